@@ -0,0 +1,15 @@
+// Gerado por gerar-manifesto-assets.js; não edite à mão.
+self.MANIFESTO_ASSETS = {
+    versao: "af16de168f",
+    arquivos: [
+        { url: "./style.css?v=12daa38746", hash: "12daa38746" },
+        { url: "./manifest.json?v=6b00c51fe7", hash: "6b00c51fe7" },
+        { url: "./db.js?v=94e1e7275c", hash: "94e1e7275c" },
+        { url: "./script.js?v=6dc01ea920", hash: "6dc01ea920" },
+        { url: "./tests.js?v=4f58ececfd", hash: "4f58ececfd" },
+        { url: "./index.html", hash: "9a8d11cb49" },
+        { url: "./offline.html", hash: "5dbdffb6fd" },
+        { url: "./icons/icone-192.png", hash: "b9e961ac2a" },
+        { url: "./icons/icone-512.png", hash: "af6d6cc226" }
+    ]
+};
@@ -6,7 +6,121 @@
  */
 
 const DB_NAME = 'BibliotecaEscolarDB';
-const DB_VERSION = 1;
+
+/**
+ * Registro ordenado das migrações do esquema. Cada passo leva o banco, e os backups,
+ * da versão anterior para `versao`:
+ *  - estrutura(db, transaction): cria Object Stores e índices no onupgradeneeded
+ *    (a transação de upgrade permite criar índices em stores já existentes);
+ *  - converter(dados): transforma os registros ({ livros: [...], ... }) e retorna uma cópia;
+ *    é aplicada aos backups antigos e, no banco, às tabelas listadas em `tabelas`.
+ * Mudanças de campos ou tabelas entram como um novo passo no fim da lista;
+ * passos já publicados não devem ser alterados.
+ */
+const MIGRACOES = [
+    {
+        versao: 1,
+        descricao: 'Livros, alunos e empréstimos',
+        estrutura: (db) => {
+            const storeLivros = db.createObjectStore('livros', { keyPath: 'id', autoIncrement: true });
+            storeLivros.createIndex('idx_isbn', 'isbn', { unique: true });
+            storeLivros.createIndex('idx_titulo', 'titulo', { unique: false });
+            storeLivros.createIndex('idx_autor', 'autor', { unique: false });
+
+            const storeAlunos = db.createObjectStore('alunos', { keyPath: 'id', autoIncrement: true });
+            storeAlunos.createIndex('idx_matricula', 'matricula', { unique: true });
+            storeAlunos.createIndex('idx_nome', 'nome', { unique: false });
+
+            const storeEmprestimos = db.createObjectStore('emprestimos', { keyPath: 'id', autoIncrement: true });
+            storeEmprestimos.createIndex('idx_idLivro', 'idLivro', { unique: false });
+            storeEmprestimos.createIndex('idx_idAluno', 'idAluno', { unique: false });
+            storeEmprestimos.createIndex('idx_status', 'status', { unique: false });
+        },
+        converter: (dados) => ({ ...dados })
+    },
+    {
+        versao: 2,
+        descricao: 'Fila de reservas por livro, em ordem de chegada',
+        estrutura: (db) => {
+            const storeReservas = db.createObjectStore('reservas', { keyPath: 'id', autoIncrement: true });
+            storeReservas.createIndex('idx_idLivro', 'idLivro', { unique: false });
+            storeReservas.createIndex('idx_idAluno', 'idAluno', { unique: false });
+            storeReservas.createIndex('idx_status', 'status', { unique: false });
+        },
+        converter: (dados) => ({ ...dados, reservas: dados.reservas || [] })
+    },
+    {
+        versao: 3,
+        descricao: 'Multas (pendente, paga ou perdoada)',
+        estrutura: (db) => {
+            const storeMultas = db.createObjectStore('multas', { keyPath: 'id', autoIncrement: true });
+            storeMultas.createIndex('idx_idAluno', 'idAluno', { unique: false });
+            storeMultas.createIndex('idx_idEmprestimo', 'idEmprestimo', { unique: false });
+            storeMultas.createIndex('idx_status', 'status', { unique: false });
+        },
+        converter: (dados) => ({ ...dados, multas: dados.multas || [] })
+    },
+    {
+        versao: 4,
+        // A auditoria é somente inclusão e nunca entra nos backups
+        descricao: 'Trilha de auditoria',
+        estrutura: (db) => {
+            const storeAuditoria = db.createObjectStore('auditoria', { keyPath: 'id', autoIncrement: true });
+            storeAuditoria.createIndex('idx_dataHora', 'dataHora', { unique: false });
+            storeAuditoria.createIndex('idx_store', 'store', { unique: false });
+            storeAuditoria.createIndex('idx_idRegistro', ['store', 'idRegistro'], { unique: false });
+        },
+        converter: (dados) => ({ ...dados })
+    },
+    {
+        versao: 5,
+        descricao: 'Exemplares individuais identificados pelo número de tombo',
+        estrutura: (db) => {
+            const storeExemplares = db.createObjectStore('exemplares', { keyPath: 'tombo' });
+            storeExemplares.createIndex('idx_idLivro', 'idLivro', { unique: false });
+            storeExemplares.createIndex('idx_status', 'status', { unique: false });
+        },
+        // Converte os contadores dos livros em exemplares
+        tabelas: ['livros', 'emprestimos', 'reservas'],
+        converter: (dados) => dados.exemplares
+            ? { ...dados }
+            : { ...dados, ...gerarExemplaresIniciais(dados) }
+    },
+    {
+        versao: 6,
+        // Os pontos de restauração ficam só no navegador e não entram nos backups
+        descricao: 'Pontos de restauração (snapshots) automáticos',
+        estrutura: (db) => {
+            const storeSnapshots = db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+            storeSnapshots.createIndex('idx_motivo', 'motivo', { unique: false });
+        },
+        converter: (dados) => ({ ...dados })
+    },
+    {
+        versao: 7,
+        // Exemplares usam o próprio tombo como uid, sem índice extra
+        descricao: 'Controle de alterações (uid, atualizadoEm, idDispositivo) e exclusões para sincronização',
+        estrutura: (db, transaction) => {
+            ['livros', 'alunos', 'emprestimos', 'reservas', 'multas'].forEach(nome => {
+                transaction.objectStore(nome).createIndex('idx_uid', 'uid', { unique: true });
+            });
+            db.createObjectStore('exclusoes', { keyPath: ['store', 'uid'] });
+        },
+        tabelas: ['livros', 'alunos', 'emprestimos', 'reservas', 'multas', 'exemplares'],
+        converter: (dados) => {
+            const convertido = { ...dados };
+            Object.keys(REFERENCIAS_SYNC).forEach(nome => {
+                convertido[nome] = (dados[nome] || []).map(registro => prepararRegistroSync(nome, registro));
+            });
+            return convertido;
+        }
+    }
+];
+
+const DB_VERSION = MIGRACOES[MIGRACOES.length - 1].versao;
+
+// Object Stores incluídas no backup completo, na ordem de exportação
+const STORES_BACKUP = ['livros', 'alunos', 'emprestimos', 'reservas', 'multas', 'exemplares'];
 
 let dbInstance = null;
 
@@ -35,32 +149,775 @@ function initDB() {
 
         // Disparado quando a versão do banco muda (ou na primeira criação)
         request.onupgradeneeded = (event) => {
-            const db = event.target.result;
-
-            // 1. Tabela: livros
-            if (!db.objectStoreNames.contains('livros')) {
-                const storeLivros = db.createObjectStore('livros', { keyPath: 'id', autoIncrement: true });
-                storeLivros.createIndex('idx_isbn', 'isbn', { unique: true });
-                storeLivros.createIndex('idx_titulo', 'titulo', { unique: false });
-                storeLivros.createIndex('idx_autor', 'autor', { unique: false });
+            const pendentes = MIGRACOES.filter(passo => passo.versao > event.oldVersion);
+            aplicarMigracoes(event.target.result, event.target.transaction, pendentes);
+        };
+    });
+}
+
+/**
+ * Executa os passos de migração em sequência dentro da transação de upgrade.
+ * Cada passo só começa depois que os registros do anterior foram lidos e regravados.
+ * @param {IDBDatabase} db Banco em atualização.
+ * @param {IDBTransaction} transaction Transação 'versionchange'.
+ * @param {Array<object>} passos Passos de MIGRACOES posteriores à versão instalada.
+ */
+function aplicarMigracoes(db, transaction, passos) {
+    const executar = (i) => {
+        if (i >= passos.length) return;
+        const passo = passos[i];
+        passo.estrutura(db, transaction);
+        if (passo.tabelas) migrarRegistros(transaction, passo, () => executar(i + 1));
+        else executar(i + 1);
+    };
+    executar(0);
+}
+
+/**
+ * Lê as tabelas do passo, aplica o converter e grava o resultado (inclusive tabelas novas que ele preencher).
+ * @param {IDBTransaction} transaction Transação 'versionchange'.
+ * @param {object} passo Passo de MIGRACOES com `tabelas`.
+ * @param {Function} concluir Chamada após enfileirar as gravações.
+ */
+function migrarRegistros(transaction, passo, concluir) {
+    const dados = {};
+    let pendentes = passo.tabelas.length;
+
+    passo.tabelas.forEach(storeName => {
+        const request = transaction.objectStore(storeName).getAll();
+        request.onsuccess = () => {
+            dados[storeName] = request.result;
+            if (--pendentes > 0) return;
+
+            const convertido = passo.converter(dados);
+            Object.keys(convertido)
+                .filter(nome => transaction.objectStoreNames.contains(nome))
+                .forEach(nome => convertido[nome].forEach(registro => transaction.objectStore(nome).put(registro)));
+            concluir();
+        };
+    });
+}
+
+/**
+ * Identifica a versão de esquema de um backup. Backups "1.0" são anteriores ao versionamento
+ * e podem vir de qualquer versão até a 5; por isso os converters toleram coleções já presentes.
+ * @param {object} payload Backup lido do arquivo.
+ * @returns {number} Versão do esquema.
+ * @throws {Error} Se a versão for desconhecida ou mais recente que a do aplicativo.
+ */
+function versaoDoBackup(payload) {
+    const versao = payload.versao === '1.0' ? 1 : payload.versao;
+    if (!Number.isInteger(versao) || versao < 1) {
+        throw new Error(`Versão do backup não reconhecida (${payload.versao}).`);
+    }
+    if (versao > DB_VERSION) {
+        throw new Error(`Backup gerado por uma versão mais recente do sistema (v${versao}). Atualize o aplicativo antes de restaurá-lo.`);
+    }
+    return versao;
+}
+
+/**
+ * Converte um backup de versão anterior para o formato atual, aplicando em ordem
+ * os converters dos passos posteriores à sua versão.
+ * @param {object} payload Backup já validado.
+ * @returns {object} Cópia do backup com versao = DB_VERSION, pronta para DB.importAllData.
+ */
+function atualizarBackup(payload) {
+    const versao = versaoDoBackup(payload);
+    return MIGRACOES
+        .filter(passo => passo.versao > versao)
+        .reduce((dados, passo) => passo.converter(dados), { ...payload, versao: DB_VERSION });
+}
+
+/**
+ * Gera a sequência de números de tombo a partir dos já cadastrados.
+ * Tombos gerados são numéricos com 6 dígitos; tombos informados manualmente
+ * em outros formatos (ex: "2024/015") não interferem na sequência.
+ * @param {Array<string>} tombosExistentes
+ * @returns {Function} Cada chamada retorna o próximo tombo livre.
+ */
+function criarSequenciaTombos(tombosExistentes) {
+    let proximo = tombosExistentes
+        .filter(t => /^\d+$/.test(t))
+        .reduce((maior, t) => Math.max(maior, parseInt(t, 10)), 0) + 1;
+    return () => String(proximo++).padStart(6, '0');
+}
+
+/**
+ * Deriva os contadores de um livro a partir da situação dos seus exemplares.
+ * Exemplares baixados saem do total; retidos e emprestados não contam como disponíveis.
+ * @param {Array<object>} exemplares Exemplares do livro.
+ * @returns {{quantidadeTotal: number, quantidadeDisponivel: number}}
+ */
+function contarExemplares(exemplares) {
+    return {
+        quantidadeTotal: exemplares.filter(e => e.status !== 'baixado').length,
+        quantidadeDisponivel: exemplares.filter(e => e.status === 'disponivel').length
+    };
+}
+
+/**
+ * Aplica a política de retenção dos pontos de restauração: mantém os `diarios` mais recentes
+ * entre os snapshots diários e os `operacoes` mais recentes entre os demais.
+ * @param {Array<number>} idsDiarios IDs dos snapshots diários, em ordem de criação.
+ * @param {Array<number>} idsOperacoes IDs dos demais snapshots, em ordem de criação.
+ * @param {{diarios: number, operacoes: number}} politica Quantidade mantida de cada tipo.
+ * @returns {Array<number>} IDs a excluir.
+ */
+function selecionarSnapshotsExpirados(idsDiarios, idsOperacoes, politica) {
+    const excedentes = (ids, limite) => ids.slice(0, Math.max(0, ids.length - Math.max(1, limite)));
+    return [...excedentes(idsDiarios, politica.diarios), ...excedentes(idsOperacoes, politica.operacoes)];
+}
+
+/**
+ * Situação esperada de um exemplar a partir dos empréstimos ativos e das reservas retidas que o citam.
+ * Exemplares baixados continuam baixados.
+ * @param {object} exemplar
+ * @param {Set<string>} tombosEmprestados Tombos de empréstimos com status 'ativo'.
+ * @param {Set<string>} tombosRetidos Tombos de reservas com status 'disponivel'.
+ * @returns {string} 'baixado', 'emprestado', 'retido' ou 'disponivel'.
+ */
+function derivarSituacaoExemplar(exemplar, tombosEmprestados, tombosRetidos) {
+    if (exemplar.status === 'baixado') return 'baixado';
+    if (tombosEmprestados.has(exemplar.tombo)) return 'emprestado';
+    if (tombosRetidos.has(exemplar.tombo)) return 'retido';
+    return 'disponivel';
+}
+
+/**
+ * Converte o modelo de contadores (quantidadeTotal/quantidadeDisponivel) em exemplares.
+ * Cada empréstimo ativo recebe um exemplar 'emprestado' e cada reserva com exemplar retido
+ * um exemplar 'retido'; o restante fica 'disponivel'. Os contadores são recalculados a partir deles.
+ * @param {object} dados { livros, emprestimos, reservas } no formato antigo.
+ * @returns {{livros: Array, emprestimos: Array, reservas: Array, exemplares: Array}} Cópias atualizadas.
+ */
+function gerarExemplaresIniciais(dados) {
+    const proximoTombo = criarSequenciaTombos([]);
+    const emprestimos = (dados.emprestimos || []).map(e => ({ ...e }));
+    const reservas = (dados.reservas || []).map(r => ({ ...r }));
+    const exemplares = [];
+
+    const livros = [...(dados.livros || [])].sort((a, b) => a.id - b.id).map(original => {
+        const livro = { ...original };
+        const ativos = emprestimos.filter(e => e.idLivro === livro.id && e.status === 'ativo');
+        const retidas = reservas.filter(r => r.idLivro === livro.id && r.status === 'disponivel');
+        const doLivro = [];
+
+        const criar = (status) => {
+            const exemplar = { tombo: proximoTombo(), idLivro: livro.id, status, conservacao: 'bom', localizacao: '', dataAquisicao: null };
+            doLivro.push(exemplar);
+            return exemplar;
+        };
+        ativos.forEach(e => { e.tombo = criar('emprestado').tombo; });
+        retidas.forEach(r => { r.tombo = criar('retido').tombo; });
+        const livres = Math.max(0, (livro.quantidadeTotal || 0) - ativos.length - retidas.length);
+        for (let i = 0; i < livres; i++) criar('disponivel');
+
+        Object.assign(livro, contarExemplares(doLivro));
+        exemplares.push(...doLivro);
+        return livro;
+    });
+
+    return { livros, emprestimos, reservas, exemplares };
+}
+
+/**
+ * Verifica se o texto é uma data 'YYYY-MM-DD' existente no calendário.
+ * @param {*} texto
+ * @returns {boolean}
+ */
+function ehDataISOValida(texto) {
+    if (typeof texto !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(texto)) return false;
+    const data = new Date(`${texto}T00:00:00Z`);
+    return !isNaN(data) && data.toISOString().slice(0, 10) === texto;
+}
+
+/**
+ * Confere empréstimos, exemplares e contadores dos livros e monta as correções possíveis.
+ * A situação esperada de cada exemplar vem dos empréstimos que continuarão ativos após o reparo
+ * e das reservas retidas; os contadores dos livros vêm dessa situação esperada.
+ * Problemas sem correção segura (ex: datas inválidas) são listados com `reparo: null`.
+ * @param {object} dados { livros, alunos, emprestimos, reservas, exemplares }.
+ * @param {string} dataHoje Data 'YYYY-MM-DD' usada para encerrar empréstimos órfãos.
+ * @returns {{problemas: Array<object>, correcoes: Array<{store: string, antes: object, depois: object|null}>}}
+ *          `depois` nulo indica exclusão do registro.
+ */
+function diagnosticarConsistencia(dados, dataHoje) {
+    const problemas = [];
+    const correcoes = [];
+    const registrar = (tipo, tabela, idRegistro, descricao, reparo = null) => {
+        problemas.push({ tipo, tabela, idRegistro, descricao, reparo });
+    };
+
+    const idsLivros = new Set(dados.livros.map(l => l.id));
+    const idsAlunos = new Set(dados.alunos.map(a => a.id));
+    const exemplares = new Map(dados.exemplares.map(e => [e.tombo, e]));
+
+    // 1. Empréstimos: órfãos, datas e registros repetidos. `vigentes` são os que continuam ativos após o reparo.
+    const vigentes = [];
+    const chavesAtivas = new Map();
+    [...dados.emprestimos].sort((a, b) => a.id - b.id).forEach(emprestimo => {
+        const ativo = emprestimo.status === 'ativo';
+
+        if (!idsLivros.has(emprestimo.idLivro)) {
+            if (ativo) {
+                registrar('orfao', 'emprestimos', emprestimo.id, `Empréstimo ativo do livro #${emprestimo.idLivro}, que não existe mais.`, 'Encerrar como devolvido hoje.');
+                correcoes.push({ store: 'emprestimos', antes: emprestimo, depois: { ...emprestimo, status: 'devolvido', dataDevolucaoReal: dataHoje } });
+                return;
+            }
+            registrar('orfao', 'emprestimos', emprestimo.id, `Empréstimo do livro #${emprestimo.idLivro}, que não existe mais.`);
+        }
+        if (!idsAlunos.has(emprestimo.idAluno)) {
+            registrar('orfao', 'emprestimos', emprestimo.id, `Empréstimo do aluno #${emprestimo.idAluno}, que não existe mais.`);
+        }
+
+        const falhasData = [];
+        if (!ehDataISOValida(emprestimo.dataEmprestimo)) falhasData.push('data do empréstimo inválida');
+        else if (emprestimo.dataEmprestimo > dataHoje) falhasData.push('data do empréstimo no futuro');
+        if (!ehDataISOValida(emprestimo.dataPrevistaDevolucao)) falhasData.push('devolução prevista inválida');
+        else if (emprestimo.dataPrevistaDevolucao < emprestimo.dataEmprestimo) falhasData.push('devolução prevista anterior ao empréstimo');
+        if (emprestimo.status === 'devolvido') {
+            if (!ehDataISOValida(emprestimo.dataDevolucaoReal)) falhasData.push('data de devolução ausente ou inválida');
+            else if (emprestimo.dataDevolucaoReal < emprestimo.dataEmprestimo) falhasData.push('devolução anterior ao empréstimo');
+        }
+        if (falhasData.length > 0) {
+            registrar('data-invalida', 'emprestimos', emprestimo.id, `Datas incoerentes: ${falhasData.join('; ')}.`);
+        }
+
+        if (!ativo) return;
+        const chave = `${emprestimo.idAluno}|${emprestimo.idLivro}|${emprestimo.dataEmprestimo}`;
+        if (chavesAtivas.has(chave)) {
+            registrar('duplicado', 'emprestimos', emprestimo.id, `Repete o empréstimo ativo #${chavesAtivas.get(chave)} (mesmo aluno, livro e data).`, 'Excluir o registro repetido.');
+            correcoes.push({ store: 'emprestimos', antes: emprestimo, depois: null });
+            return;
+        }
+        chavesAtivas.set(chave, emprestimo.id);
+        vigentes.push(emprestimo);
+    });
+
+    // 2. Exemplares citados pelos empréstimos vigentes
+    const tombosEmprestados = new Set();
+    vigentes.forEach(emprestimo => {
+        const exemplar = exemplares.get(emprestimo.tombo);
+        if (!exemplar || exemplar.idLivro !== emprestimo.idLivro) {
+            const descricao = emprestimo.tombo
+                ? `Exemplar ${emprestimo.tombo} não existe ou não pertence ao livro do empréstimo.`
+                : 'Empréstimo ativo sem exemplar associado.';
+            registrar('exemplar-invalido', 'emprestimos', emprestimo.id, descricao);
+            return;
+        }
+        if (tombosEmprestados.has(emprestimo.tombo)) {
+            registrar('tombo-duplicado', 'emprestimos', emprestimo.id, `Exemplar ${emprestimo.tombo} consta em mais de um empréstimo ativo.`);
+            return;
+        }
+        tombosEmprestados.add(emprestimo.tombo);
+    });
+
+    // 3. Situação de cada exemplar
+    const tombosRetidos = new Set(dados.reservas.filter(r => r.status === 'disponivel' && r.tombo).map(r => r.tombo));
+    const esperadosPorLivro = new Map();
+    dados.exemplares.forEach(exemplar => {
+        const status = derivarSituacaoExemplar(exemplar, tombosEmprestados, tombosRetidos);
+        if (!esperadosPorLivro.has(exemplar.idLivro)) esperadosPorLivro.set(exemplar.idLivro, []);
+        esperadosPorLivro.get(exemplar.idLivro).push({ status });
+
+        if (status !== exemplar.status) {
+            registrar('situacao-exemplar', 'exemplares', exemplar.tombo, `Exemplar ${exemplar.tombo} consta como "${exemplar.status}", mas deveria estar "${status}".`, `Marcar como "${status}".`);
+            correcoes.push({ store: 'exemplares', antes: exemplar, depois: { ...exemplar, status } });
+        }
+    });
+
+    // 4. Contadores dos livros
+    dados.livros.forEach(livro => {
+        const esperado = contarExemplares(esperadosPorLivro.get(livro.id) || []);
+        const { quantidadeTotal: total, quantidadeDisponivel: disponivel } = livro;
+        if (total === esperado.quantidadeTotal && disponivel === esperado.quantidadeDisponivel) return;
+
+        let descricao;
+        if (disponivel < 0) descricao = `disponibilidade negativa (${disponivel})`;
+        else if (disponivel > total) descricao = `mais exemplares disponíveis (${disponivel}) que o total (${total})`;
+        else descricao = `${disponivel} de ${total} disponíveis, mas os exemplares indicam ${esperado.quantidadeDisponivel} de ${esperado.quantidadeTotal}`;
+        registrar('contagem', 'livros', livro.id, `"${livro.titulo}": ${descricao}.`, `Recalcular para ${esperado.quantidadeDisponivel} de ${esperado.quantidadeTotal}.`);
+        correcoes.push({ store: 'livros', antes: livro, depois: { ...livro, ...esperado } });
+    });
+
+    return { problemas, correcoes };
+}
+
+/**
+ * Registra uma entrada na trilha de auditoria dentro da transação da própria operação,
+ * de modo que a alteração e o seu registro sejam gravados (ou desfeitos) juntos.
+ * A transação deve incluir a store 'auditoria'.
+ * @param {IDBTransaction} transaction Transação readwrite em andamento.
+ * @param {string} operacao Ex.: 'criacao', 'alteracao', 'emprestimo', 'devolucao'.
+ * @param {string} storeName Tabela afetada.
+ * @param {number|null} idRegistro ID do registro afetado.
+ * @param {object|null} antes Estado anterior do registro.
+ * @param {object|null} depois Estado posterior do registro.
+ */
+function registrarAuditoria(transaction, operacao, storeName, idRegistro, antes, depois) {
+    const copiar = (obj) => (obj === null || obj === undefined) ? null : JSON.parse(JSON.stringify(obj));
+    transaction.objectStore('auditoria').add({
+        operacao,
+        store: storeName,
+        idRegistro: idRegistro ?? null,
+        antes: copiar(antes),
+        depois: copiar(depois),
+        dataHora: new Date().toISOString()
+    });
+}
+
+/**
+ * Recalcula quantidadeTotal e quantidadeDisponivel do livro a partir dos exemplares.
+ * Deve ser chamada após alterar a situação de um exemplar, na mesma transaction
+ * (que precisa incluir 'livros' e 'exemplares').
+ * @param {IDBTransaction} transaction Transação readwrite em andamento.
+ * @param {number} idLivro ID do livro.
+ */
+function sincronizarDisponibilidade(transaction, idLivro) {
+    const storeLivros = transaction.objectStore('livros');
+    const getExemplaresReq = transaction.objectStore('exemplares').index('idx_idLivro').getAll(idLivro);
+    const getLivroReq = storeLivros.get(idLivro);
+
+    getLivroReq.onsuccess = () => {
+        const livro = getLivroReq.result;
+        if (!livro) return;
+        Object.assign(livro, contarExemplares(getExemplaresReq.result));
+        storeLivros.put(livro);
+    };
+}
+
+/**
+ * Altera a situação de um exemplar, registra a auditoria e recalcula os contadores do livro.
+ * @param {IDBTransaction} transaction Transação que inclua 'livros', 'exemplares' e 'auditoria'.
+ * @param {object} exemplar Exemplar já lido na transação.
+ * @param {string} novoStatus 'disponivel' | 'emprestado' | 'retido' | 'baixado'
+ * @param {string} operacao Operação registrada na auditoria.
+ */
+function alterarSituacaoExemplar(transaction, exemplar, novoStatus, operacao) {
+    const antes = { ...exemplar };
+    exemplar.status = novoStatus;
+    transaction.objectStore('exemplares').put(carimbarAlteracao('exemplares', exemplar));
+    registrarAuditoria(transaction, operacao, 'exemplares', exemplar.tombo, antes, exemplar);
+    sincronizarDisponibilidade(transaction, exemplar.idLivro);
+}
+
+/**
+ * Gera exemplares disponíveis para um livro e recalcula seus contadores.
+ * @param {IDBTransaction} transaction Transação com 'livros', 'exemplares' e 'auditoria'.
+ * @param {number} idLivro ID do livro.
+ * @param {number} quantidade Número de exemplares.
+ * @param {function(): string} proximoTombo Sequência criada por criarSequenciaTombos.
+ */
+function criarExemplares(transaction, idLivro, quantidade, proximoTombo) {
+    const store = transaction.objectStore('exemplares');
+    for (let i = 0; i < quantidade; i++) {
+        const exemplar = { tombo: proximoTombo(), idLivro, status: 'disponivel', conservacao: 'bom', localizacao: '', dataAquisicao: null };
+        store.add(carimbarAlteracao('exemplares', exemplar));
+        registrarAuditoria(transaction, 'criacao', 'exemplares', exemplar.tombo, null, exemplar);
+    }
+    sincronizarDisponibilidade(transaction, idLivro);
+}
+
+/**
+ * Destina um exemplar que voltou à prateleira (devolução, reserva cancelada ou expirada).
+ * Se houver alunos aguardando o livro, o exemplar fica retido para o primeiro da fila;
+ * caso contrário, volta a ficar disponível.
+ * Deve ser chamada dentro de uma transação que inclua 'livros', 'reservas', 'exemplares' e 'auditoria'.
+ * @param {IDBTransaction} transaction Transação readwrite em andamento.
+ * @param {number} idLivro ID do livro devolvido.
+ * @param {string} tombo Tombo do exemplar devolvido.
+ * @param {string} dataHoje Data atual (YYYY-MM-DD).
+ * @param {string} dataLimiteRetirada Prazo para o próximo da fila retirar o exemplar (YYYY-MM-DD).
+ * @param {Function} [onDestino] Chamado com a reserva contemplada, ou null se o exemplar ficou livre.
+ */
+function destinarExemplarDevolvido(transaction, idLivro, tombo, dataHoje, dataLimiteRetirada, onDestino) {
+    const storeReservas = transaction.objectStore('reservas');
+
+    const getFilaReq = storeReservas.index('idx_idLivro').getAll(idLivro);
+    const getExemplarReq = transaction.objectStore('exemplares').get(tombo);
+    getExemplarReq.onsuccess = () => {
+        const exemplar = getExemplarReq.result;
+        const fila = getFilaReq.result
+            .filter(r => r.status === 'aguardando')
+            .sort((a, b) => a.id - b.id);
+
+        let proxima = null;
+        if (fila.length > 0) {
+            proxima = fila[0];
+            const antes = { ...proxima };
+            proxima.status = 'disponivel';
+            proxima.dataDisponivel = dataHoje;
+            proxima.dataLimiteRetirada = dataLimiteRetirada;
+            proxima.tombo = tombo;
+            storeReservas.put(carimbarAlteracao('reservas', proxima));
+            registrarAuditoria(transaction, 'retencao', 'reservas', proxima.id, antes, proxima);
+        }
+
+        if (exemplar) {
+            alterarSituacaoExemplar(transaction, exemplar, proxima ? 'retido' : 'disponivel', proxima ? 'retencao' : 'devolucao');
+        }
+        if (onDestino) onDestino(proxima);
+    };
+}
+
+// ==========================================================================
+// Sincronização entre Computadores
+// ==========================================================================
+// Tabelas sincronizadas, na ordem em que as alterações recebidas são aplicadas
+// (referenciadas antes das que as citam), e os campos que apontam para outras tabelas.
+// Entre computadores os IDs locais não valem: as referências trafegam como uid.
+const REFERENCIAS_SYNC = {
+    livros: {},
+    alunos: {},
+    exemplares: { idLivro: 'livros' },
+    emprestimos: { idLivro: 'livros', idAluno: 'alunos' },
+    reservas: { idLivro: 'livros', idAluno: 'alunos' },
+    multas: { idEmprestimo: 'emprestimos', idAluno: 'alunos', idLivro: 'livros' }
+};
+
+// Campos únicos além do uid: o mesmo valor cadastrado em dois computadores é o mesmo registro
+const CHAVES_NATURAIS_SYNC = { livros: 'isbn', alunos: 'matricula' };
+
+// Versão atribuída a registros anteriores ao controle de alterações: perde para qualquer alteração real
+const DATA_ANTERIOR_SYNC = new Date(0).toISOString();
+
+const CHAVE_ID_DISPOSITIVO = 'biblioteca-id-dispositivo';
+
+function gerarUid() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Identificador deste navegador, criado no primeiro uso e mantido no localStorage.
+ * @returns {string}
+ */
+function obterIdDispositivo() {
+    let id = localStorage.getItem(CHAVE_ID_DISPOSITIVO);
+    if (!id) {
+        id = gerarUid();
+        localStorage.setItem(CHAVE_ID_DISPOSITIVO, id);
+    }
+    return id;
+}
+
+/**
+ * Data da nova versão de um registro. Nunca retrocede em relação à versão editada,
+ * para que a alteração local vença a anterior mesmo com o relógio deste computador atrasado.
+ */
+function proximaVersaoSync(atualizadoEmAnterior) {
+    const anterior = Date.parse(atualizadoEmAnterior || '') || 0;
+    return new Date(Math.max(Date.now(), anterior + 1)).toISOString();
+}
+
+/**
+ * Completa os campos de sincronização de um registro vindo de migração, backup ou ponto de restauração
+ * e o marca para envio. Campos já presentes são mantidos.
+ * @param {string} storeName Tabela do registro.
+ * @param {object} registro Registro lido.
+ * @returns {object} Cópia com uid, atualizadoEm, idDispositivo e pendenteSync.
+ */
+function prepararRegistroSync(storeName, registro) {
+    return {
+        ...registro,
+        uid: registro.uid || (storeName === 'exemplares' ? registro.tombo : gerarUid()),
+        atualizadoEm: registro.atualizadoEm || DATA_ANTERIOR_SYNC,
+        idDispositivo: registro.idDispositivo || '',
+        pendenteSync: true
+    };
+}
+
+/**
+ * Marca o registro como alterado neste computador. Deve ser chamada antes de cada add/put
+ * nas tabelas de REFERENCIAS_SYNC (exceto o recálculo dos contadores dos livros, que é derivado).
+ * @param {string} storeName Tabela do registro.
+ * @param {object} registro Registro a gravar (alterado no próprio objeto).
+ * @param {object|null} [anterior] Versão gravada, quando o registro foi montado sem os campos de sincronização.
+ * @returns {object} O próprio registro.
+ */
+function carimbarAlteracao(storeName, registro, anterior = null) {
+    registro.uid = registro.uid || (anterior && anterior.uid) || (storeName === 'exemplares' ? registro.tombo : gerarUid());
+    registro.atualizadoEm = proximaVersaoSync(registro.atualizadoEm || (anterior && anterior.atualizadoEm));
+    registro.idDispositivo = obterIdDispositivo();
+    registro.pendenteSync = true;
+    return registro;
+}
+
+/**
+ * Grava a lápide (tombstone) de um registro excluído, para que a exclusão chegue aos outros computadores.
+ * A transação deve incluir a store 'exclusoes'.
+ * @param {IDBTransaction} transaction Transação readwrite em andamento.
+ * @param {string} storeName Tabela do registro.
+ * @param {object|null} registro Registro excluído (sem uid, nunca foi sincronizado e é ignorado).
+ */
+function registrarExclusaoSync(transaction, storeName, registro) {
+    if (!registro || !registro.uid) return;
+    transaction.objectStore('exclusoes').put({
+        store: storeName,
+        uid: registro.uid,
+        atualizadoEm: proximaVersaoSync(registro.atualizadoEm),
+        idDispositivo: obterIdDispositivo(),
+        excluido: true,
+        pendenteSync: true
+    });
+}
+
+/**
+ * Ordem total entre duas versões de um mesmo registro (alteração ou lápide): vence a mais recente;
+ * no empate, a exclusão; persistindo o empate, o maior idDispositivo. Todos os computadores e o
+ * servidor chegam ao mesmo vencedor, em qualquer ordem de recebimento.
+ * @returns {number} Negativo se `a` perde, positivo se vence, 0 se são a mesma versão.
+ */
+function compararVersoesSync(a, b) {
+    if (a.atualizadoEm !== b.atualizadoEm) return a.atualizadoEm < b.atualizadoEm ? -1 : 1;
+    if (Boolean(a.excluido) !== Boolean(b.excluido)) return a.excluido ? 1 : -1;
+    const dispositivoA = a.idDispositivo || '';
+    const dispositivoB = b.idDispositivo || '';
+    if (dispositivoA !== dispositivoB) return dispositivoA < dispositivoB ? -1 : 1;
+    return 0;
+}
+
+/**
+ * Converte um registro local na alteração enviada ao servidor: sem o ID local e com as referências como uid.
+ * @param {string} storeName Tabela do registro.
+ * @param {object} registro Registro com os campos de sincronização.
+ * @param {object} uidsPorId { [tabela]: Map<id, uid> } das tabelas referenciadas.
+ * @returns {{store: string, uid: string, atualizadoEm: string, idDispositivo: string, excluido: boolean, dados: object}}
+ */
+function montarAlteracaoSync(storeName, registro, uidsPorId) {
+    const { id, uid, atualizadoEm, idDispositivo, pendenteSync, ...dados } = registro;
+    Object.entries(REFERENCIAS_SYNC[storeName]).forEach(([campo, tabela]) => {
+        dados[campo] = registro[campo] == null ? null : (uidsPorId[tabela].get(registro[campo]) ?? null);
+    });
+    return { store: storeName, uid, atualizadoEm, idDispositivo, excluido: false, dados };
+}
+
+/**
+ * Planeja a aplicação das alterações recebidas do servidor sobre os dados locais, sem acessar o banco.
+ * - Cada alteração só é aplicada se vencer a versão local (compararVersoesSync); a versão local
+ *   alterada e ainda não enviada que perde, ou vence, é relatada como conflito.
+ * - Registros novos recebem IDs reservados a partir do maior existente, e as referências
+ *   (uid) são traduzidas para os IDs locais, inclusive dos registros criados no mesmo lote.
+ * - O mesmo ISBN ou matrícula cadastrado com uids diferentes vira um só registro: fica o menor uid,
+ *   com os dados da versão mais recente, e o outro uid recebe uma lápide com `substituidoPor`.
+ *   A lápide é igual em todos os computadores que detectarem a colisão.
+ * - Tombo recebido para outro livro que coincide com um exemplar local ainda não enviado (gerados
+ *   em paralelo): como na mesclagem, o exemplar local é renumerado, junto com empréstimos e reservas.
+ * @param {object} dados { [tabela]: Array<registro> } das tabelas de REFERENCIAS_SYNC.
+ * @param {Array<object>} exclusoes Lápides locais.
+ * @param {Array<object>} alteracoes Alterações recebidas ({ store, uid, atualizadoEm, idDispositivo, excluido, dados?, substituidoPor? }).
+ * @returns {{operacoes: Array<{store, antes, depois}>, lapides: Array<object>, lapidesRemovidas: Array<object>,
+ *            livrosAfetados: Array<number>, conflitos: Array<object>, aplicadas: number, ignoradas: number}}
+ *          `depois` nulo significa exclusão.
+ */
+function planejarAplicacaoSync(dados, exclusoes, alteracoes) {
+    const ordem = Object.keys(REFERENCIAS_SYNC);
+    const chaveLapide = (store, uid) => `${store}|${uid}`;
+
+    // Estado local indexado, atualizado à medida que o plano avança
+    const porUid = {};
+    const porChaveNatural = {};
+    const proximoId = {};
+    ordem.forEach(store => {
+        const registros = dados[store] || [];
+        porUid[store] = new Map(registros.filter(r => r.uid).map(r => [r.uid, r]));
+        const campo = CHAVES_NATURAIS_SYNC[store];
+        if (campo) porChaveNatural[store] = new Map(registros.filter(r => r[campo]).map(r => [r[campo], r]));
+        proximoId[store] = registros.reduce((maior, r) => Math.max(maior, r.id || 0), 0) + 1;
+    });
+    const lapides = new Map(exclusoes.map(l => [chaveLapide(l.store, l.uid), l]));
+
+    const operacoes = [];
+    const lapidesGravadas = new Map();
+    const lapidesRemovidas = [];
+    const livrosAfetados = new Set();
+    const conflitos = [];
+    let aplicadas = 0;
+    let ignoradas = 0;
+
+    const indexar = (store, antes, depois) => {
+        const campo = CHAVES_NATURAIS_SYNC[store];
+        if (antes) {
+            porUid[store].delete(antes.uid);
+            if (campo && porChaveNatural[store].get(antes[campo]) === antes) porChaveNatural[store].delete(antes[campo]);
+        }
+        if (depois) {
+            porUid[store].set(depois.uid, depois);
+            if (campo && depois[campo]) porChaveNatural[store].set(depois[campo], depois);
+        }
+        if (store === 'exemplares') {
+            [antes, depois].forEach(r => { if (r && r.idLivro != null) livrosAfetados.add(r.idLivro); });
+        }
+        if (store === 'livros' && depois) livrosAfetados.add(depois.id);
+    };
+    const registrar = (store, antes, depois) => {
+        operacoes.push({ store, antes, depois });
+        indexar(store, antes, depois);
+    };
+    const gravarLapide = (lapide) => {
+        lapides.set(chaveLapide(lapide.store, lapide.uid), lapide);
+        lapidesGravadas.set(chaveLapide(lapide.store, lapide.uid), lapide);
+    };
+    // Segue as substituições registradas nas lápides até o registro local atual
+    const localizar = (store, uid) => {
+        const visitados = new Set();
+        let atual = uid;
+        while (atual && !visitados.has(atual)) {
+            if (porUid[store].has(atual)) return porUid[store].get(atual);
+            visitados.add(atual);
+            const lapide = lapides.get(chaveLapide(store, atual));
+            atual = lapide ? lapide.substituidoPor : null;
+        }
+        return null;
+    };
+    const conflito = (alteracao, descricao, vencedor = null) => {
+        conflitos.push({ store: alteracao.store, uid: alteracao.uid, idDispositivo: alteracao.idDispositivo, vencedor, descricao });
+    };
+
+    const recebidas = alteracoes
+        .filter(a => ordem.includes(a.store))
+        .sort((a, b) => ordem.indexOf(a.store) - ordem.indexOf(b.store) || compararVersoesSync(a, b));
+
+    // Tombos livres consideram também os que chegam neste lote
+    let proximoTombo = null;
+    const renumerarExemplarLocal = (exemplar, alteracao) => {
+        proximoTombo = proximoTombo || criarSequenciaTombos([
+            ...(dados.exemplares || []).map(e => e.tombo),
+            ...recebidas.filter(a => a.store === 'exemplares').map(a => a.uid)
+        ]);
+        const tombo = proximoTombo();
+        registrar('exemplares', exemplar, null);
+        registrar('exemplares', null, carimbarAlteracao('exemplares', { ...exemplar, tombo, uid: tombo }));
+        ['emprestimos', 'reservas'].forEach(tabela => {
+            [...porUid[tabela].values()]
+                .filter(r => r.tombo === exemplar.tombo && r.idLivro === exemplar.idLivro)
+                .forEach(r => registrar(tabela, r, carimbarAlteracao(tabela, { ...r, tombo })));
+        });
+        conflito(alteracao, `Tombo ${exemplar.tombo} já cadastrado em outro computador para outro livro; o exemplar local passou a ser ${tombo}.`);
+    };
+
+    recebidas.forEach(alteracao => {
+        const { store, uid } = alteracao;
+        let local = porUid[store].get(uid) || null;
+
+        if (store === 'exemplares' && local && local.pendenteSync && !alteracao.excluido) {
+            const livroRecebido = localizar('livros', alteracao.dados.idLivro);
+            if (livroRecebido && livroRecebido.id !== local.idLivro) {
+                renumerarExemplarLocal(local, alteracao);
+                local = null;
             }
+        }
 
-            // 2. Tabela: alunos
-            if (!db.objectStoreNames.contains('alunos')) {
-                const storeAlunos = db.createObjectStore('alunos', { keyPath: 'id', autoIncrement: true });
-                storeAlunos.createIndex('idx_matricula', 'matricula', { unique: true });
-                storeAlunos.createIndex('idx_nome', 'nome', { unique: false });
+        const lapideLocal = lapides.get(chaveLapide(store, uid)) || null;
+        const versaoLocal = local || lapideLocal;
+
+        if (versaoLocal && compararVersoesSync(alteracao, versaoLocal) <= 0) {
+            if (local && local.pendenteSync && compararVersoesSync(alteracao, local) < 0) {
+                conflito(alteracao, 'Registro alterado nos dois computadores; mantida a alteração local, mais recente.', 'local');
             }
+            ignoradas++;
+            return;
+        }
+        if (local && local.pendenteSync) {
+            conflito(alteracao, 'Registro alterado nos dois computadores; mantida a alteração recebida, mais recente.', 'remoto');
+        }
 
-            // 3. Tabela: emprestimos
-            if (!db.objectStoreNames.contains('emprestimos')) {
-                const storeEmprestimos = db.createObjectStore('emprestimos', { keyPath: 'id', autoIncrement: true });
-                storeEmprestimos.createIndex('idx_idLivro', 'idLivro', { unique: false });
-                storeEmprestimos.createIndex('idx_idAluno', 'idAluno', { unique: false });
-                storeEmprestimos.createIndex('idx_status', 'status', { unique: false });
+        // Exclusão (ou substituição do uid por outro, após colisão de ISBN/matrícula)
+        if (alteracao.excluido) {
+            const destino = alteracao.substituidoPor ? localizar(store, alteracao.substituidoPor) : null;
+            if (local && alteracao.substituidoPor && !destino) {
+                registrar(store, local, { ...local, uid: alteracao.substituidoPor });
+            } else if (local) {
+                registrar(store, local, null);
             }
-        };
+            gravarLapide({
+                store,
+                uid,
+                atualizadoEm: alteracao.atualizadoEm,
+                idDispositivo: alteracao.idDispositivo,
+                excluido: true,
+                ...(alteracao.substituidoPor ? { substituidoPor: alteracao.substituidoPor } : {}),
+                pendenteSync: false
+            });
+            aplicadas++;
+            return;
+        }
+
+        // Alteração: traduz as referências e os campos de sincronização
+        const depois = { ...alteracao.dados };
+        Object.entries(REFERENCIAS_SYNC[store]).forEach(([campo, tabela]) => {
+            const uidReferencia = alteracao.dados[campo];
+            if (uidReferencia == null) {
+                depois[campo] = null;
+                return;
+            }
+            const referencia = localizar(tabela, uidReferencia);
+            if (!referencia) conflito(alteracao, `Referência ${campo} não encontrada neste computador.`);
+            depois[campo] = referencia ? referencia.id : null;
+        });
+        Object.assign(depois, {
+            uid,
+            atualizadoEm: alteracao.atualizadoEm,
+            idDispositivo: alteracao.idDispositivo,
+            pendenteSync: false
+        });
+
+        const campoNatural = CHAVES_NATURAIS_SYNC[store];
+        const outro = campoNatural && depois[campoNatural] ? porChaveNatural[store].get(depois[campoNatural]) : null;
+        let alvo = local;
+
+        if (outro && outro.uid !== uid) {
+            if (local) {
+                // Dois registros distintos passariam a ter o mesmo ISBN/matrícula: requer revisão manual
+                conflito(alteracao, `${campoNatural === 'isbn' ? 'ISBN' : 'Matrícula'} ${depois[campoNatural]} já pertence a outro registro; alteração não aplicada.`);
+                ignoradas++;
+                return;
+            }
+            // Mesmo cadastro feito nos dois computadores: une os registros
+            const uidVencedor = uid < outro.uid ? uid : outro.uid;
+            const uidPerdedor = uid < outro.uid ? outro.uid : uid;
+            const dadosRecebidosVencem = compararVersoesSync(alteracao, outro) > 0;
+            const base = dadosRecebidosVencem ? depois : outro;
+            Object.keys(depois).forEach(campo => { if (!(campo in base)) delete depois[campo]; });
+            Object.assign(depois, base, {
+                uid: uidVencedor,
+                // Precisa ser enviado se o servidor ainda não tem estes dados sob o uid vencedor
+                pendenteSync: !(dadosRecebidosVencem && uidVencedor === uid)
+            });
+            const maisRecente = dadosRecebidosVencem ? alteracao.atualizadoEm : outro.atualizadoEm;
+            gravarLapide({
+                store,
+                uid: uidPerdedor,
+                atualizadoEm: new Date(Date.parse(maisRecente) + 1).toISOString(),
+                idDispositivo: '',
+                excluido: true,
+                substituidoPor: uidVencedor,
+                pendenteSync: true
+            });
+            alvo = outro;
+        }
+
+        if (store !== 'exemplares') depois.id = alvo ? alvo.id : proximoId[store]++;
+        // Alteração mais recente que a exclusão local: o registro volta a existir
+        if (lapideLocal && depois.uid === uid) {
+            lapides.delete(chaveLapide(store, uid));
+            lapidesGravadas.delete(chaveLapide(store, uid));
+            lapidesRemovidas.push(lapideLocal);
+        }
+        registrar(store, alvo, depois);
+        aplicadas++;
     });
+
+    return {
+        operacoes,
+        lapides: [...lapidesGravadas.values()],
+        lapidesRemovidas,
+        livrosAfetados: [...livrosAfetados],
+        conflitos,
+        aplicadas,
+        ignoradas
+    };
 }
 
 /**
@@ -79,150 +936,864 @@ const DB = {
             request.onerror = (e) => reject(e.target.error);
         });
 
-        const livros = await getStoreData('livros');
-        const alunos = await getStoreData('alunos');
-        const emprestimos = await getStoreData('emprestimos');
-        return { livros, alunos, emprestimos };
+        const dados = {};
+        for (const storeName of STORES_BACKUP) {
+            dados[storeName] = await getStoreData(storeName);
+        }
+        return dados;
     },
 
     /**
      * Importa dados substituindo tudo em uma única transação readwrite.
+     * Espera os dados no formato atual: backups antigos passam antes por atualizarBackup.
+     * A auditoria registra a quantidade de registros antes e depois de cada tabela.
+     * Os registros importados ficam marcados para envio na próxima sincronização, com as versões
+     * que trouxeram: alterações mais recentes feitas em outros computadores continuam vencendo.
+     * As lápides de exclusões locais são descartadas junto: referem-se aos dados substituídos.
+     * Com `opcoes.exclusoes` (volta a um ponto de restauração), os registros são gravados como vieram,
+     * com o estado de sincronização que tinham, e as lápides passam a ser exatamente as informadas.
+     * @param {object} data Tabelas do backup ({ livros, alunos, ... }).
+     * @param {object} [opcoes] { exclusoes: Array<object> } lápides do ponto de restauração.
      */
-    importAllData: async (data) => {
+    importAllData: async (data, opcoes = {}) => {
+        const { exclusoes = null } = opcoes;
         const db = await initDB();
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['livros', 'alunos', 'emprestimos'], 'readwrite');
+            const transaction = db.transaction([...STORES_BACKUP, 'exclusoes', 'auditoria'], 'readwrite');
             
             transaction.oncomplete = () => resolve();
             transaction.onerror = (e) => reject(e.target.error);
             transaction.onabort = () => reject(new Error("Transação abortada (Rollback automático executado pelo IndexedDB)."));
 
-            const storeLivros = transaction.objectStore('livros');
-            const storeAlunos = transaction.objectStore('alunos');
-            const storeEmprestimos = transaction.objectStore('emprestimos');
+            // Conta os registros atuais para a auditoria; só depois limpa e insere os novos dados
+            const contagemAntes = {};
+            let pendentes = STORES_BACKUP.length;
+            STORES_BACKUP.forEach(storeName => {
+                const countReq = transaction.objectStore(storeName).count();
+                countReq.onsuccess = () => {
+                    contagemAntes[storeName] = countReq.result;
+                    if (--pendentes === 0) substituirDados();
+                };
+            });
 
-            // Limpa os dados atuais
-            storeLivros.clear();
-            storeAlunos.clear();
-            storeEmprestimos.clear();
-
-            // Insere os novos dados
-            try {
-                data.livros.forEach(item => storeLivros.put(item));
-                data.alunos.forEach(item => storeAlunos.put(item));
-                data.emprestimos.forEach(item => storeEmprestimos.put(item));
-            } catch (err) {
-                transaction.abort();
-            }
+            const substituirDados = () => {
+                try {
+                    const contagemDepois = {};
+                    STORES_BACKUP.forEach(storeName => {
+                        const store = transaction.objectStore(storeName);
+                        const itens = data[storeName] || [];
+                        store.clear();
+                        itens.forEach(item => store.put(exclusoes ? item : prepararRegistroSync(storeName, item)));
+                        contagemDepois[storeName] = itens.length;
+                    });
+                    const storeExclusoes = transaction.objectStore('exclusoes');
+                    storeExclusoes.clear();
+                    (exclusoes || []).forEach(lapide => storeExclusoes.put(lapide));
+                    registrarAuditoria(transaction, 'importacao', '*', null, contagemAntes, contagemDepois);
+                } catch (err) {
+                    transaction.abort();
+                }
+            };
         });
     },
 
     /**
-     * Adiciona ou atualiza um registro em uma Object Store.
-     * @param {string} storeName Nome da tabela.
-     * @param {object} item Objeto a ser salvo.
-     * @returns {Promise<number>} ID do registro salvo.
+     * Transação Atômica: Criar Ponto de Restauração
+     * Copia todas as tabelas do backup e as lápides de exclusões (estado de sincronização incluído)
+     * para a store 'snapshots' e, na mesma transação, exclui os pontos que excedem a política de retenção.
+     * @param {string} motivo 'diario', 'manual' ou a operação que será executada em seguida (ex: 'importacao').
+     * @param {{diarios: number, operacoes: number}} politica Quantidade de pontos mantidos de cada tipo.
+     * @returns {Promise<object>} Snapshot criado ({ id, dataHora, motivo, versao, contagens, dados, exclusoes }).
      */
-    save: async (storeName, item) => {
+    criarSnapshot: async (motivo, politica) => {
         const db = await initDB();
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction([storeName], 'readwrite');
-            const store = transaction.objectStore(storeName);
-            
-            // Se o item tem ID, atualiza (put), senão insere (add)
-            // Como usamos autoIncrement, o put com ID existente atualiza. Sem ID, insere.
-            const request = store.put(item);
+            const transaction = db.transaction([...STORES_BACKUP, 'exclusoes', 'snapshots'], 'readwrite');
+            const storeSnapshots = transaction.objectStore('snapshots');
+            const snapshot = { dataHora: new Date().toISOString(), motivo, versao: DB_VERSION, contagens: {}, dados: {}, exclusoes: [] };
+            let pendentes = STORES_BACKUP.length;
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = (e) => reject(e.target.error);
+            // Lido antes das tabelas: a requisição termina antes da última delas, que grava o ponto
+            const getExclusoesReq = transaction.objectStore('exclusoes').getAll();
+            getExclusoesReq.onsuccess = () => { snapshot.exclusoes = getExclusoesReq.result; };
+
+            STORES_BACKUP.forEach(storeName => {
+                const request = transaction.objectStore(storeName).getAll();
+                request.onsuccess = () => {
+                    snapshot.dados[storeName] = request.result;
+                    snapshot.contagens[storeName] = request.result.length;
+                    if (--pendentes > 0) return;
+
+                    const addReq = storeSnapshots.add(snapshot);
+                    addReq.onsuccess = () => {
+                        snapshot.id = addReq.result;
+                        // Retenção: as chaves crescem com o tempo, então a ordem dos IDs é a ordem de criação
+                        const getDiariosReq = storeSnapshots.index('idx_motivo').getAllKeys('diario');
+                        const getTodosReq = storeSnapshots.getAllKeys();
+                        getTodosReq.onsuccess = () => {
+                            const diarios = new Set(getDiariosReq.result);
+                            const operacoes = getTodosReq.result.filter(id => !diarios.has(id));
+                            selecionarSnapshotsExpirados([...diarios], operacoes, politica)
+                                .forEach(id => storeSnapshots.delete(id));
+                        };
+                    };
+                };
+            });
+
+            transaction.oncomplete = () => resolve(snapshot);
+            transaction.onerror = (e) => reject(e.target.error);
         });
     },
 
     /**
-     * Retorna todos os registros de uma Object Store.
-     * @param {string} storeName Nome da tabela.
-     * @returns {Promise<Array>} Lista de objetos.
+     * Lista os pontos de restauração, do mais recente para o mais antigo, sem as tabelas copiadas.
+     * @returns {Promise<Array<{id: number, dataHora: string, motivo: string, versao: number, contagens: object}>>}
      */
-    getAll: async (storeName) => {
+    listarSnapshots: async () => {
         const db = await initDB();
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction([storeName], 'readonly');
-            const store = transaction.objectStore(storeName);
-            const request = store.getAll();
+            const transaction = db.transaction(['snapshots'], 'readonly');
+            const request = transaction.objectStore('snapshots').openCursor(null, 'prev');
+            const resultados = [];
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = (e) => reject(e.target.error);
+            request.onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                const { dados, exclusoes, ...metadados } = cursor.value;
+                resultados.push(metadados);
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => resolve(resultados);
+            transaction.onerror = (e) => reject(e.target.error);
         });
     },
 
     /**
-     * Retorna um registro específico pelo ID.
-     * @param {string} storeName Nome da tabela.
-     * @param {number} id ID do registro.
-     * @returns {Promise<object>} Objeto encontrado.
+     * Transação Atômica: Mesclar Backup
+     * Aplica, sem apagar os dados atuais, as operações calculadas por planejarMesclagem.
+     * Registros novos chegam com IDs (e tombos) já reservados e são gravados com add: se algum
+     * deles já estiver ocupado (dados alterados após o planejamento), toda a mesclagem é desfeita.
+     * Para a sincronização, os registros inseridos ganham uid próprio e os atualizados mantêm o local.
+     * @param {object} operacoes { [store]: { inserir: [registro], atualizar: [{ antes, depois }] } }.
+     * @returns {Promise<void>}
      */
-    getById: async (storeName, id) => {
+    mesclarDados: async (operacoes) => {
         const db = await initDB();
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction([storeName], 'readonly');
-            const store = transaction.objectStore(storeName);
-            const request = store.get(id);
+            const transaction = db.transaction([...STORES_BACKUP, 'auditoria'], 'readwrite');
+            const chaveDe = (storeName, registro) => storeName === 'exemplares' ? registro.tombo : registro.id;
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = (e) => reject(e.target.error);
+            STORES_BACKUP.forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                const { inserir = [], atualizar = [] } = operacoes[storeName] || {};
+                inserir.forEach(registro => {
+                    const novo = carimbarAlteracao(storeName, { ...registro, uid: null });
+                    store.add(novo);
+                    registrarAuditoria(transaction, 'criacao', storeName, chaveDe(storeName, novo), null, novo);
+                });
+                atualizar.forEach(({ antes, depois }) => {
+                    const atualizado = carimbarAlteracao(storeName, { ...depois, uid: antes.uid, atualizadoEm: antes.atualizadoEm }, antes);
+                    store.put(atualizado);
+                    registrarAuditoria(transaction, 'alteracao', storeName, chaveDe(storeName, atualizado), antes, atualizado);
+                });
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
         });
     },
 
     /**
-     * Exclui um registro pelo ID.
-     * @param {string} storeName Nome da tabela.
-     * @param {number} id ID do registro.
-     * @returns {Promise<void>}
+     * Transação Atômica: Reparo de Consistência
+     * Relê as tabelas, refaz o diagnóstico dentro da própria transação e aplica todas as
+     * correções de diagnosticarConsistencia, cada uma com entrada de auditoria 'reparo'.
+     * @param {string} dataHoje Data 'YYYY-MM-DD' do reparo.
+     * @returns {Promise<{corrigidos: number, pendentes: number}>} Problemas corrigidos e os que exigem revisão manual.
      */
-    delete: async (storeName, id) => {
+    repararConsistencia: async (dataHoje) => {
         const db = await initDB();
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction([storeName], 'readwrite');
-            const store = transaction.objectStore(storeName);
-            const request = store.delete(id);
+            const tabelas = ['livros', 'alunos', 'emprestimos', 'reservas', 'exemplares'];
+            const transaction = db.transaction([...tabelas, 'exclusoes', 'auditoria'], 'readwrite');
+            const dados = {};
+            let resultado = null;
+            let pendentes = tabelas.length;
 
-            request.onsuccess = () => resolve();
+            tabelas.forEach(storeName => {
+                const request = transaction.objectStore(storeName).getAll();
+                request.onsuccess = () => {
+                    dados[storeName] = request.result;
+                    if (--pendentes > 0) return;
+
+                    const { problemas, correcoes } = diagnosticarConsistencia(dados, dataHoje);
+                    correcoes.forEach(({ store, antes, depois }) => {
+                        const chave = store === 'exemplares' ? antes.tombo : antes.id;
+                        if (depois) {
+                            transaction.objectStore(store).put(carimbarAlteracao(store, depois));
+                        } else {
+                            transaction.objectStore(store).delete(chave);
+                            registrarExclusaoSync(transaction, store, antes);
+                        }
+                        registrarAuditoria(transaction, 'reparo', store, chave, antes, depois);
+                    });
+                    resultado = {
+                        corrigidos: problemas.filter(p => p.reparo).length,
+                        pendentes: problemas.filter(p => !p.reparo).length
+                    };
+                };
+            });
+
+            transaction.oncomplete = () => resolve(resultado);
+            transaction.onerror = (e) => reject(e.target.error);
+            transaction.onabort = () => reject(new Error("Reparo desfeito (Rollback automático executado pelo IndexedDB)."));
+        });
+    },
+
+    /**
+     * Adiciona ou atualiza um registro em uma Object Store.
+     * @param {string} storeName Nome da tabela.
+     * @param {object} item Objeto a ser salvo.
+     * @returns {Promise<number>} ID do registro salvo.
+     */
+    save: async (storeName, item) => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName, 'auditoria'], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            let idSalvo = null;
+
+            const gravar = (antes) => {
+                // Se o item tem ID, atualiza (put), senão insere (add)
+                // Como usamos autoIncrement, o put com ID existente atualiza. Sem ID, insere.
+                if (storeName in REFERENCIAS_SYNC) carimbarAlteracao(storeName, item, antes);
+                const request = store.put(item);
+
+                request.onsuccess = () => {
+                    idSalvo = request.result;
+                    registrarAuditoria(transaction, antes ? 'alteracao' : 'criacao', storeName, idSalvo, antes, { ...item, id: idSalvo });
+                };
+                request.onerror = (e) => reject(e.target.error);
+            };
+
+            // Guarda o estado anterior para a auditoria
+            if (item.id !== undefined) {
+                const getReq = store.get(item.id);
+                getReq.onsuccess = () => gravar(getReq.result || null);
+            } else {
+                gravar(null);
+            }
+
+            transaction.oncomplete = () => resolve(idSalvo);
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Retorna todos os registros de uma Object Store.
+     * @param {string} storeName Nome da tabela.
+     * @returns {Promise<Array>} Lista de objetos.
+     */
+    getAll: async (storeName) => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Retorna um registro específico pelo ID.
+     * @param {string} storeName Nome da tabela.
+     * @param {number} id ID do registro.
+     * @returns {Promise<object>} Objeto encontrado.
+     */
+    getById: async (storeName, id) => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const request = store.get(id);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Percorre uma Object Store através de um índice, aplicando filtro e paginação.
+     * A ordem dos resultados é a ordem do próprio índice (ou da chave primária se indexName for nulo).
+     * Com `comparar`, os registros que passam no filtro são ordenados por ele antes da paginação
+     * (para ordens que o índice não oferece, como a alfabética com acentos).
+     * @param {string} storeName Nome da tabela.
+     * @param {string|null} indexName Nome do índice usado para ordenar o cursor.
+     * @param {object} opcoes { direcao: 'next'|'prev', filtro: Function, offset: number, limite: number, comparar: Function }
+     * @returns {Promise<{itens: Array, total: number}>} Página solicitada e total de registros que passaram no filtro.
+     */
+    consultarIndice: async (storeName, indexName, opcoes = {}) => {
+        const { direcao = 'next', filtro = null, offset = 0, limite = Infinity, comparar = null } = opcoes;
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const fonte = indexName ? store.index(indexName) : store;
+            const request = fonte.openCursor(null, direcao);
+
+            const itens = [];
+            let total = 0;
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    if (comparar) {
+                        itens.sort((a, b) => direcao === 'prev' ? comparar(b, a) : comparar(a, b));
+                        resolve({ itens: itens.slice(offset, offset + limite), total });
+                        return;
+                    }
+                    resolve({ itens, total });
+                    return;
+                }
+
+                const item = cursor.value;
+                if (!filtro || filtro(item)) {
+                    // Conta todos os que passam no filtro, mas só guarda os da página atual
+                    // (com comparar, a página só é conhecida depois de ordenar todos)
+                    if (comparar || (total >= offset && itens.length < limite)) {
+                        itens.push(item);
+                    }
+                    total++;
+                }
+                cursor.continue();
+            };
             request.onerror = (e) => reject(e.target.error);
         });
     },
 
+    /**
+     * Busca um registro pelo valor exato de um índice.
+     * @param {string} storeName Nome da tabela.
+     * @param {string} indexName Nome do índice.
+     * @param {*} valor Valor procurado.
+     * @returns {Promise<object|undefined>} Primeiro registro encontrado.
+     */
+    getByIndex: async (storeName, indexName, valor) => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).index(indexName).get(valor);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Busca todos os registros com um valor exato de índice.
+     * @param {string} storeName Nome da tabela.
+     * @param {string} indexName Nome do índice.
+     * @param {*} valor Valor procurado.
+     * @returns {Promise<Array>} Registros encontrados.
+     */
+    getAllByIndex: async (storeName, indexName, valor) => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).index(indexName).getAll(valor);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Exclui um registro pelo ID. Nas tabelas sincronizadas, grava também a lápide da exclusão.
+     * @param {string} storeName Nome da tabela.
+     * @param {number} id ID do registro.
+     * @returns {Promise<void>}
+     */
+    delete: async (storeName, id) => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const sincronizada = storeName in REFERENCIAS_SYNC;
+            const transaction = db.transaction([storeName, 'auditoria', ...(sincronizada ? ['exclusoes'] : [])], 'readwrite');
+            const store = transaction.objectStore(storeName);
+
+            const getReq = store.get(id);
+            getReq.onsuccess = () => {
+                const request = store.delete(id);
+                registrarAuditoria(transaction, 'exclusao', storeName, id, getReq.result || null, null);
+                if (sincronizada) registrarExclusaoSync(transaction, storeName, getReq.result);
+                request.onerror = (e) => reject(e.target.error);
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Transação Atômica: Arquivar / Restaurar Livro ou Aluno
+     * Substitui a exclusão definitiva: o registro arquivado some das seleções, mas continua
+     * no banco para que o histórico de empréstimos mantenha os nomes reais.
+     * O arquivamento é bloqueado enquanto houver empréstimos ativos ou reservas em aberto vinculados.
+     * @param {string} storeName 'livros' ou 'alunos'.
+     * @param {number} id ID do registro.
+     * @param {boolean} arquivar true para arquivar, false para restaurar.
+     * @returns {Promise<void>}
+     */
+    definirArquivado: async (storeName, id, arquivar) => {
+        const indexName = storeName === 'livros' ? 'idx_idLivro' : 'idx_idAluno';
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName, 'emprestimos', 'reservas', 'auditoria'], 'readwrite');
+            const store = transaction.objectStore(storeName);
+
+            const falhar = (mensagem) => {
+                transaction.abort();
+                reject(new Error(mensagem));
+            };
+
+            const getReq = store.get(id);
+            getReq.onsuccess = () => {
+                const registro = getReq.result;
+                if (!registro) {
+                    falhar("Registro não encontrado.");
+                    return;
+                }
+
+                const antes = { ...registro };
+
+                if (!arquivar) {
+                    delete registro.arquivado;
+                    delete registro.dataArquivamento;
+                    store.put(carimbarAlteracao(storeName, registro));
+                    registrarAuditoria(transaction, 'restauracao', storeName, id, antes, registro);
+                    return;
+                }
+
+                // Integridade referencial: vínculos em aberto impedem o arquivamento
+                const getEmpReq = transaction.objectStore('emprestimos').index(indexName).getAll(id);
+                const getReservasReq = transaction.objectStore('reservas').index(indexName).getAll(id);
+                getReservasReq.onsuccess = () => {
+                    const ativos = getEmpReq.result.filter(e => e.status === 'ativo').length;
+                    const reservasAbertas = getReservasReq.result
+                        .filter(r => r.status === 'aguardando' || r.status === 'disponivel').length;
+
+                    if (ativos > 0) {
+                        falhar(`Não é possível excluir: há ${ativos} empréstimo(s) ativo(s) vinculado(s).`);
+                        return;
+                    }
+                    if (reservasAbertas > 0) {
+                        falhar(`Não é possível excluir: há ${reservasAbertas} reserva(s) em aberto vinculada(s).`);
+                        return;
+                    }
+
+                    registro.arquivado = true;
+                    registro.dataArquivamento = new Date().toISOString();
+                    store.put(carimbarAlteracao(storeName, registro));
+                    registrarAuditoria(transaction, 'arquivamento', storeName, id, antes, registro);
+                };
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Transação Atômica: Importar Lista de Alunos
+     * Insere ou atualiza os alunos pela matrícula (idx_matricula) em uma única transação:
+     * se qualquer gravação falhar, nenhum aluno da lista é gravado.
+     * Alunos já cadastrados mantêm o ID e a situação de arquivamento.
+     * @param {Array<object>} alunos Lista de { nome, matricula, turma }.
+     * @returns {Promise<{inseridos: number, atualizados: number}>}
+     */
+    importarAlunos: async (alunos) => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['alunos', 'auditoria'], 'readwrite');
+            const store = transaction.objectStore('alunos');
+            const resultado = { inseridos: 0, atualizados: 0 };
+
+            alunos.forEach(aluno => {
+                const getReq = store.index('idx_matricula').get(aluno.matricula);
+                getReq.onsuccess = () => {
+                    const existente = getReq.result;
+                    if (!existente) {
+                        const novo = carimbarAlteracao('alunos', { ...aluno });
+                        const addReq = store.add(novo);
+                        addReq.onsuccess = () => {
+                            resultado.inseridos++;
+                            registrarAuditoria(transaction, 'criacao', 'alunos', addReq.result, null, { ...novo, id: addReq.result });
+                        };
+                        return;
+                    }
+
+                    const atualizado = { ...existente, nome: aluno.nome, turma: aluno.turma };
+                    if (atualizado.nome === existente.nome && atualizado.turma === existente.turma) return;
+                    store.put(carimbarAlteracao('alunos', atualizado));
+                    resultado.atualizados++;
+                    registrarAuditoria(transaction, 'alteracao', 'alunos', existente.id, existente, atualizado);
+                };
+            });
+
+            transaction.oncomplete = () => resolve(resultado);
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Transação Atômica: Importar Acervo
+     * Insere os livros novos e, para ISBNs já cadastrados, acrescenta exemplares
+     * com tombos sequenciais, tudo em uma única transação.
+     * @param {Array<object>} itens Lista de { livro: { titulo, autor, isbn }, quantidade, idExistente? }.
+     *        idExistente aponta o livro já cadastrado (inclusive com ISBN gravado em formato antigo);
+     *        sem ele, o ISBN é procurado no índice idx_isbn.
+     * @returns {Promise<{inseridos: number, atualizados: number, exemplares: number}>}
+     */
+    importarLivros: async (itens) => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['livros', 'exemplares', 'auditoria'], 'readwrite');
+            const store = transaction.objectStore('livros');
+            const resultado = { inseridos: 0, atualizados: 0, exemplares: 0 };
+
+            // Os tombos são reservados em uma única sequência, já que as buscas abaixo intercalam
+            const getTombosReq = transaction.objectStore('exemplares').getAllKeys();
+            getTombosReq.onsuccess = () => {
+                const proximoTombo = criarSequenciaTombos(getTombosReq.result);
+
+                const somarExemplares = (existente, quantidade) => {
+                    criarExemplares(transaction, existente.id, quantidade, proximoTombo);
+                    resultado.atualizados++;
+                    resultado.exemplares += quantidade;
+                };
+
+                const inserir = (livro, quantidade) => {
+                    const novo = carimbarAlteracao('livros', { ...livro, quantidadeTotal: quantidade, quantidadeDisponivel: quantidade });
+                    const addReq = store.add(novo);
+                    addReq.onsuccess = () => {
+                        registrarAuditoria(transaction, 'criacao', 'livros', addReq.result, null, { ...novo, id: addReq.result });
+                        criarExemplares(transaction, addReq.result, quantidade, proximoTombo);
+                        resultado.inseridos++;
+                        resultado.exemplares += quantidade;
+                    };
+                };
+
+                itens.forEach(({ livro, quantidade, idExistente }) => {
+                    const getReq = idExistente
+                        ? store.get(idExistente)
+                        : store.index('idx_isbn').get(livro.isbn);
+                    getReq.onsuccess = () => {
+                        if (getReq.result) somarExemplares(getReq.result, quantidade);
+                        else inserir(livro, quantidade);
+                    };
+                });
+            };
+
+            transaction.oncomplete = () => resolve(resultado);
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Transação Atômica: Cadastrar Livro
+     * Grava o título e gera seus exemplares com tombos sequenciais.
+     * @param {object} livro Dados do título ({ titulo, autor, isbn }).
+     * @param {number} quantidade Número de exemplares a gerar.
+     * @returns {Promise<number>} ID do livro criado.
+     */
+    cadastrarLivro: async (livro, quantidade) => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['livros', 'exemplares', 'auditoria'], 'readwrite');
+            let idLivro = null;
+
+            const getTombosReq = transaction.objectStore('exemplares').getAllKeys();
+            getTombosReq.onsuccess = () => {
+                const novo = carimbarAlteracao('livros', { ...livro, quantidadeTotal: quantidade, quantidadeDisponivel: quantidade });
+                const addReq = transaction.objectStore('livros').add(novo);
+                addReq.onsuccess = () => {
+                    idLivro = addReq.result;
+                    registrarAuditoria(transaction, 'criacao', 'livros', idLivro, null, { ...novo, id: idLivro });
+                    criarExemplares(transaction, idLivro, quantidade, criarSequenciaTombos(getTombosReq.result));
+                };
+            };
+
+            transaction.oncomplete = () => resolve(idLivro);
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Transação Atômica: Adicionar Exemplar
+     * Inclui um exemplar disponível para o livro. Sem tombo informado, usa o próximo da sequência.
+     * @param {object} exemplar { idLivro, tombo?, conservacao, localizacao, dataAquisicao }.
+     * @returns {Promise<string>} Tombo do exemplar criado.
+     */
+    adicionarExemplar: async (exemplar) => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['livros', 'exemplares', 'auditoria'], 'readwrite');
+            const storeExemplares = transaction.objectStore('exemplares');
+            let tombo = null;
+
+            const falhar = (mensagem) => {
+                transaction.abort();
+                reject(new Error(mensagem));
+            };
+
+            const getLivroReq = transaction.objectStore('livros').get(exemplar.idLivro);
+            const getTombosReq = storeExemplares.getAllKeys();
+            getTombosReq.onsuccess = () => {
+                if (!getLivroReq.result) {
+                    falhar("Livro não encontrado.");
+                    return;
+                }
+                tombo = exemplar.tombo || criarSequenciaTombos(getTombosReq.result)();
+                if (getTombosReq.result.includes(tombo)) {
+                    falhar("Tombo já cadastrado.");
+                    return;
+                }
+                const novo = carimbarAlteracao('exemplares', { ...exemplar, tombo, status: 'disponivel' });
+                storeExemplares.add(novo);
+                registrarAuditoria(transaction, 'criacao', 'exemplares', tombo, null, novo);
+                sincronizarDisponibilidade(transaction, exemplar.idLivro);
+            };
+
+            transaction.oncomplete = () => resolve(tombo);
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Atualiza os dados descritivos de um exemplar (conservação, localização e aquisição).
+     * A situação de circulação só muda pelas transações de empréstimo, reserva e baixa.
+     * @param {string} tombo Tombo do exemplar.
+     * @param {object} dados { conservacao, localizacao, dataAquisicao }.
+     * @returns {Promise<void>}
+     */
+    atualizarExemplar: async (tombo, dados) => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['exemplares', 'auditoria'], 'readwrite');
+            const store = transaction.objectStore('exemplares');
+
+            const getReq = store.get(tombo);
+            getReq.onsuccess = () => {
+                const antes = getReq.result;
+                if (!antes) {
+                    transaction.abort();
+                    reject(new Error("Exemplar não encontrado."));
+                    return;
+                }
+                const atualizado = {
+                    ...antes,
+                    conservacao: dados.conservacao,
+                    localizacao: dados.localizacao,
+                    dataAquisicao: dados.dataAquisicao
+                };
+                store.put(carimbarAlteracao('exemplares', atualizado));
+                registrarAuditoria(transaction, 'alteracao', 'exemplares', tombo, antes, atualizado);
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Transação Atômica: Baixar Exemplar
+     * Retira do acervo um exemplar perdido ou descartado. Só exemplares na prateleira podem ser baixados;
+     * o registro permanece para manter o histórico dos empréstimos que o citam.
+     * @param {string} tombo Tombo do exemplar.
+     * @param {string} motivo Motivo da baixa.
+     * @param {string} dataBaixa Data da baixa (YYYY-MM-DD).
+     * @returns {Promise<void>}
+     */
+    baixarExemplar: async (tombo, motivo, dataBaixa) => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['livros', 'exemplares', 'auditoria'], 'readwrite');
+
+            const falhar = (mensagem) => {
+                transaction.abort();
+                reject(new Error(mensagem));
+            };
+
+            const getReq = transaction.objectStore('exemplares').get(tombo);
+            getReq.onsuccess = () => {
+                const exemplar = getReq.result;
+                if (!exemplar) {
+                    falhar("Exemplar não encontrado.");
+                    return;
+                }
+                if (exemplar.status !== 'disponivel') {
+                    falhar("Apenas exemplares disponíveis na prateleira podem ser baixados.");
+                    return;
+                }
+                exemplar.motivoBaixa = motivo;
+                exemplar.dataBaixa = dataBaixa;
+                alterarSituacaoExemplar(transaction, exemplar, 'baixado', 'baixa');
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
     /**
      * Transação Atômica: Registrar Empréstimo
      * Garante que a quantidade do livro seja decrementada e o empréstimo criado juntos.
+     * Antes, aplica a política de empréstimo do aluno (atrasos, multas pendentes e limite simultâneo),
+     * que pode ser liberada por uma justificativa registrada no próprio empréstimo.
+     * Se o aluno tiver um exemplar retido por reserva, a reserva é atendida e consome esse exemplar.
+     * O empréstimo registra o tombo do exemplar entregue: o informado em emprestimo.tombo
+     * ou, sem ele, o retido para o aluno ou o primeiro disponível.
      * @param {object} emprestimo Dados do empréstimo.
-     * @returns {Promise<void>}
+     * @param {object} [opcoes] { maxEmprestimosAluno: number, justificativaExcecao: string }
+     * @returns {Promise<object>} Empréstimo gravado (com id e tombo). Rejeita com erro.codigo === 'POLITICA'
+     *          quando a política bloqueia o aluno.
      */
-    registrarEmprestimo: async (emprestimo) => {
+    registrarEmprestimo: async (emprestimo, opcoes = {}) => {
+        const { maxEmprestimosAluno = Infinity, justificativaExcecao = null } = opcoes;
         const db = await initDB();
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['livros', 'emprestimos'], 'readwrite');
+            const transaction = db.transaction(['livros', 'emprestimos', 'reservas', 'multas', 'exemplares', 'auditoria'], 'readwrite');
             const storeLivros = transaction.objectStore('livros');
             const storeEmprestimos = transaction.objectStore('emprestimos');
+            const storeReservas = transaction.objectStore('reservas');
+            const storeMultas = transaction.objectStore('multas');
+
+            const falhar = (mensagem) => {
+                transaction.abort();
+                reject(new Error(mensagem));
+            };
+
+            // Entrega o exemplar e salva o empréstimo junto com sua entrada de auditoria
+            const salvarEmprestimo = (exemplar) => {
+                emprestimo.tombo = exemplar.tombo;
+                alterarSituacaoExemplar(transaction, exemplar, 'emprestado', 'emprestimo');
+                const addReq = storeEmprestimos.add(carimbarAlteracao('emprestimos', emprestimo));
+                addReq.onsuccess = () => {
+                    emprestimo.id = addReq.result;
+                    registrarAuditoria(transaction, 'emprestimo', 'emprestimos', addReq.result, null, emprestimo);
+                };
+            };
 
             // 1. Busca o livro
             const getLivroReq = storeLivros.get(emprestimo.idLivro);
 
             getLivroReq.onsuccess = () => {
                 const livro = getLivroReq.result;
-                
-                // Regra de Negócio: Impedir empréstimo se quantidadeDisponivel for 0
-                if (!livro || livro.quantidadeDisponivel <= 0) {
+
+                if (!livro) {
                     transaction.abort();
                     reject(new Error("Livro indisponível para empréstimo."));
                     return;
                 }
 
-                // 2. Atualiza a quantidade do livro
-                livro.quantidadeDisponivel -= 1;
-                storeLivros.put(livro);
+                // 2. Política do aluno: empréstimos ativos, atrasados e multas pendentes (índice idx_idAluno)
+                const getEmpAlunoReq = storeEmprestimos.index('idx_idAluno').getAll(emprestimo.idAluno);
+                const getMultasAlunoReq = storeMultas.index('idx_idAluno').getAll(emprestimo.idAluno);
+                getMultasAlunoReq.onsuccess = () => {
+                    const ativos = getEmpAlunoReq.result.filter(e => e.status === 'ativo');
+                    const atrasados = ativos.filter(e => e.dataPrevistaDevolucao < emprestimo.dataEmprestimo);
+                    const multasPendentes = getMultasAlunoReq.result.filter(m => m.status === 'pendente');
 
-                // 3. Salva o empréstimo
-                storeEmprestimos.add(emprestimo);
+                    let motivoBloqueio = null;
+                    if (atrasados.length > 0) {
+                        motivoBloqueio = `Aluno possui ${atrasados.length} empréstimo(s) em atraso.`;
+                    } else if (multasPendentes.length > 0) {
+                        const totalPendente = multasPendentes.reduce((soma, m) => soma + m.valor, 0);
+                        motivoBloqueio = `Aluno possui ${multasPendentes.length} multa(s) pendente(s) (R$ ${totalPendente.toFixed(2).replace('.', ',')}).`;
+                    } else if (ativos.length >= maxEmprestimosAluno) {
+                        motivoBloqueio = `Aluno atingiu o limite de ${maxEmprestimosAluno} empréstimo(s) simultâneo(s).`;
+                    }
+
+                    if (motivoBloqueio) {
+                        if (!justificativaExcecao) {
+                            const erro = new Error(motivoBloqueio);
+                            erro.codigo = 'POLITICA';
+                            transaction.abort();
+                            reject(erro);
+                            return;
+                        }
+                        // Liberação manual: fica registrada junto ao empréstimo
+                        emprestimo.excecaoPolitica = {
+                            motivo: motivoBloqueio,
+                            justificativa: justificativaExcecao,
+                            data: new Date().toISOString()
+                        };
+                    }
+
+                    verificarReservasEDisponibilidade();
+                };
+            };
+
+            const verificarReservasEDisponibilidade = () => {
+                // 3. Verifica a fila de reservas e os exemplares do livro
+                const getReservasReq = storeReservas.index('idx_idLivro').getAll(emprestimo.idLivro);
+                const getExemplaresReq = transaction.objectStore('exemplares').index('idx_idLivro').getAll(emprestimo.idLivro);
+                getExemplaresReq.onsuccess = () => {
+                    const reservas = getReservasReq.result;
+                    const exemplares = getExemplaresReq.result;
+                    const disponiveis = exemplares.filter(e => e.status === 'disponivel');
+                    const reservaDoAluno = reservas.find(r => r.idAluno === emprestimo.idAluno
+                        && (r.status === 'aguardando'
+                            || (r.status === 'disponivel' && r.dataLimiteRetirada >= emprestimo.dataEmprestimo)));
+
+                    const atenderReserva = () => {
+                        reservaDoAluno.status = 'atendida';
+                        reservaDoAluno.dataAtendimento = emprestimo.dataEmprestimo;
+                        storeReservas.put(carimbarAlteracao('reservas', reservaDoAluno));
+                    };
+
+                    if (reservaDoAluno && reservaDoAluno.status === 'disponivel') {
+                        const retido = exemplares.find(e => e.tombo === reservaDoAluno.tombo);
+                        const escolhido = emprestimo.tombo && emprestimo.tombo !== reservaDoAluno.tombo
+                            ? disponiveis.find(e => e.tombo === emprestimo.tombo)
+                            : retido;
+                        if (!escolhido) {
+                            falhar(`Exemplar ${emprestimo.tombo} não está disponível para empréstimo.`);
+                            return;
+                        }
+                        atenderReserva();
+                        salvarEmprestimo(escolhido);
+                        // Aluno levou outro exemplar: o retido segue para o próximo da fila
+                        if (retido && escolhido !== retido) {
+                            destinarExemplarDevolvido(transaction, emprestimo.idLivro, retido.tombo, emprestimo.dataEmprestimo, reservaDoAluno.dataLimiteRetirada);
+                        }
+                        return;
+                    }
+
+                    // Regra de Negócio: Impedir empréstimo se não houver exemplar disponível
+                    if (disponiveis.length === 0) {
+                        const retido = reservas.some(r => r.status === 'disponivel');
+                        falhar(retido
+                            ? "Exemplar retido para o aluno com reserva. Empréstimo não permitido."
+                            : "Livro indisponível para empréstimo.");
+                        return;
+                    }
+
+                    const escolhido = emprestimo.tombo
+                        ? disponiveis.find(e => e.tombo === emprestimo.tombo)
+                        : disponiveis.sort((a, b) => a.tombo.localeCompare(b.tombo))[0];
+                    if (!escolhido) {
+                        falhar(`Exemplar ${emprestimo.tombo} não está disponível para empréstimo.`);
+                        return;
+                    }
+
+                    // Se o aluno estava na fila e pegou um exemplar livre, a reserva é atendida
+                    if (reservaDoAluno) atenderReserva();
+
+                    // 4. Entrega o exemplar (os contadores do livro são recalculados) e salva o empréstimo
+                    salvarEmprestimo(escolhido);
+                };
             };
 
             getLivroReq.onerror = (e) => {
@@ -231,24 +1802,32 @@ const DB = {
             };
 
             // Se a transação for concluída com sucesso
-            transaction.oncomplete = () => resolve();
+            transaction.oncomplete = () => resolve(emprestimo);
             transaction.onerror = (e) => reject(e.target.error);
         });
     },
 
     /**
      * Transação Atômica: Registrar Devolução
-     * Atualiza o status do empréstimo e incrementa a quantidade do livro.
+     * Atualiza o status do empréstimo, gera a multa por atraso (se houver) e devolve o exemplar ao acervo.
+     * Se houver fila de reservas, o exemplar fica retido para o próximo aluno em vez de ficar disponível.
      * @param {number} idEmprestimo ID do empréstimo a ser devolvido.
      * @param {string} dataDevolucaoReal Data atual no formato ISO.
-     * @returns {Promise<void>}
+     * @param {object} [opcoes] {
+     *   dataLimiteRetirada: prazo (YYYY-MM-DD) para retirada do exemplar retido,
+     *   calcularMulta: (emprestimo) => { diasAtraso, valor } | null
+     * }
+     * @returns {Promise<{reserva: object|null, multa: object|null}>} Reserva contemplada e multa gerada, se houver.
      */
-    registrarDevolucao: async (idEmprestimo, dataDevolucaoReal) => {
+    registrarDevolucao: async (idEmprestimo, dataDevolucaoReal, opcoes = {}) => {
+        const { dataLimiteRetirada = dataDevolucaoReal, calcularMulta = null } = opcoes;
         const db = await initDB();
         return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['livros', 'emprestimos'], 'readwrite');
-            const storeLivros = transaction.objectStore('livros');
+            const transaction = db.transaction(['livros', 'emprestimos', 'reservas', 'multas', 'exemplares', 'auditoria'], 'readwrite');
             const storeEmprestimos = transaction.objectStore('emprestimos');
+            const storeMultas = transaction.objectStore('multas');
+            let reservaContemplada = null;
+            let multaGerada = null;
 
             // 1. Busca o empréstimo
             const getEmpReq = storeEmprestimos.get(idEmprestimo);
@@ -262,19 +1841,117 @@ const DB = {
                     return;
                 }
 
-                // 2. Atualiza o status do empréstimo
+                // 2. Gera a multa por atraso conforme as regras vigentes
+                const calculo = calcularMulta ? calcularMulta(emprestimo) : null;
+                if (calculo && calculo.valor > 0) {
+                    multaGerada = {
+                        idEmprestimo: emprestimo.id,
+                        idAluno: emprestimo.idAluno,
+                        idLivro: emprestimo.idLivro,
+                        diasAtraso: calculo.diasAtraso,
+                        valor: calculo.valor,
+                        status: 'pendente',
+                        dataGeracao: dataDevolucaoReal
+                    };
+                    const addMultaReq = storeMultas.add(carimbarAlteracao('multas', multaGerada));
+                    addMultaReq.onsuccess = () => {
+                        multaGerada.id = addMultaReq.result;
+                        registrarAuditoria(transaction, 'criacao', 'multas', multaGerada.id, null, multaGerada);
+                    };
+                }
+
+                // 3. Atualiza o status do empréstimo
+                const antes = { ...emprestimo };
                 emprestimo.status = 'devolvido';
                 emprestimo.dataDevolucaoReal = dataDevolucaoReal;
-                storeEmprestimos.put(emprestimo);
-
-                // 3. Busca o livro para atualizar a quantidade
-                const getLivroReq = storeLivros.get(emprestimo.idLivro);
-                getLivroReq.onsuccess = () => {
-                    const livro = getLivroReq.result;
-                    if (livro) {
-                        livro.quantidadeDisponivel += 1;
-                        storeLivros.put(livro);
+                storeEmprestimos.put(carimbarAlteracao('emprestimos', emprestimo));
+                registrarAuditoria(transaction, 'devolucao', 'emprestimos', emprestimo.id, antes, emprestimo);
+
+                // 4. Retém o exemplar para a fila de reservas ou o devolve à prateleira
+                destinarExemplarDevolvido(transaction, emprestimo.idLivro, emprestimo.tombo, dataDevolucaoReal, dataLimiteRetirada, (reserva) => {
+                    reservaContemplada = reserva;
+                });
+            };
+
+            getEmpReq.onerror = (e) => {
+                transaction.abort();
+                reject(e.target.error);
+            };
+
+            transaction.oncomplete = () => resolve({ reserva: reservaContemplada, multa: multaGerada });
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Transação Atômica: Renovar Empréstimo
+     * Adia a data prevista de devolução e registra a renovação no histórico do próprio empréstimo.
+     * Recusa a renovação se o limite foi atingido, se o empréstimo já está atrasado
+     * ou se há alunos aguardando o livro na fila de reservas.
+     * @param {number} idEmprestimo ID do empréstimo a ser renovado.
+     * @param {string} novaDataPrevista Nova data prevista (YYYY-MM-DD).
+     * @param {string} dataRenovacao Data atual (YYYY-MM-DD).
+     * @param {number} maxRenovacoes Quantidade máxima de renovações permitidas.
+     * @returns {Promise<object>} Empréstimo atualizado.
+     */
+    renovarEmprestimo: async (idEmprestimo, novaDataPrevista, dataRenovacao, maxRenovacoes) => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['emprestimos', 'reservas', 'auditoria'], 'readwrite');
+            const storeEmprestimos = transaction.objectStore('emprestimos');
+            const storeReservas = transaction.objectStore('reservas');
+            let emprestimoAtualizado = null;
+
+            const falhar = (mensagem) => {
+                transaction.abort();
+                reject(new Error(mensagem));
+            };
+
+            const getEmpReq = storeEmprestimos.get(idEmprestimo);
+
+            getEmpReq.onsuccess = () => {
+                const emprestimo = getEmpReq.result;
+
+                if (!emprestimo || emprestimo.status !== 'ativo') {
+                    falhar("Empréstimo inválido ou já devolvido.");
+                    return;
+                }
+
+                const renovacoes = emprestimo.renovacoes || [];
+
+                // Regras de Negócio: limite de renovações e bloqueio de empréstimos atrasados
+                if (renovacoes.length >= maxRenovacoes) {
+                    falhar(`Limite de ${maxRenovacoes} renovação(ões) atingido para este empréstimo.`);
+                    return;
+                }
+                if (emprestimo.dataPrevistaDevolucao < dataRenovacao) {
+                    falhar("Empréstimo atrasado não pode ser renovado. Registre a devolução.");
+                    return;
+                }
+                if (novaDataPrevista <= emprestimo.dataPrevistaDevolucao) {
+                    falhar("A nova data prevista deve ser posterior à data atual de devolução.");
+                    return;
+                }
+
+                // Regra de Negócio: não renovar enquanto houver aluno aguardando o livro
+                const getFilaReq = storeReservas.index('idx_idLivro').getAll(emprestimo.idLivro);
+                getFilaReq.onsuccess = () => {
+                    if (getFilaReq.result.some(r => r.status === 'aguardando')) {
+                        falhar("Há alunos aguardando este livro na fila de reservas. Renovação não permitida.");
+                        return;
                     }
+
+                    const antes = JSON.parse(JSON.stringify(emprestimo));
+                    renovacoes.push({
+                        dataRenovacao,
+                        dataPrevistaAnterior: emprestimo.dataPrevistaDevolucao,
+                        novaDataPrevista
+                    });
+                    emprestimo.renovacoes = renovacoes;
+                    emprestimo.dataPrevistaDevolucao = novaDataPrevista;
+                    storeEmprestimos.put(carimbarAlteracao('emprestimos', emprestimo));
+                    registrarAuditoria(transaction, 'renovacao', 'emprestimos', emprestimo.id, antes, emprestimo);
+                    emprestimoAtualizado = emprestimo;
                 };
             };
 
@@ -283,6 +1960,325 @@ const DB = {
                 reject(e.target.error);
             };
 
+            transaction.oncomplete = () => resolve(emprestimoAtualizado);
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Transação Atômica: Registrar Reserva
+     * Coloca o aluno no fim da fila de um livro sem exemplares disponíveis.
+     * @param {object} reserva { idLivro, idAluno, dataReserva }
+     * @returns {Promise<number>} ID da reserva criada.
+     */
+    registrarReserva: async (reserva) => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['livros', 'emprestimos', 'reservas', 'auditoria'], 'readwrite');
+            const storeLivros = transaction.objectStore('livros');
+            const storeEmprestimos = transaction.objectStore('emprestimos');
+            const storeReservas = transaction.objectStore('reservas');
+            let idReserva = null;
+
+            const falhar = (mensagem) => {
+                transaction.abort();
+                reject(new Error(mensagem));
+            };
+
+            const getLivroReq = storeLivros.get(reserva.idLivro);
+            getLivroReq.onsuccess = () => {
+                const livro = getLivroReq.result;
+                if (!livro) {
+                    falhar("Livro não encontrado.");
+                    return;
+                }
+                if (livro.quantidadeDisponivel > 0) {
+                    falhar("Livro possui exemplares disponíveis. Registre o empréstimo diretamente.");
+                    return;
+                }
+
+                const getReservasReq = storeReservas.index('idx_idAluno').getAll(reserva.idAluno);
+                getReservasReq.onsuccess = () => {
+                    const jaNaFila = getReservasReq.result.some(r => r.idLivro === reserva.idLivro
+                        && (r.status === 'aguardando' || r.status === 'disponivel'));
+                    if (jaNaFila) {
+                        falhar("Aluno já possui reserva ativa para este livro.");
+                        return;
+                    }
+
+                    const getEmpReq = storeEmprestimos.index('idx_idAluno').getAll(reserva.idAluno);
+                    getEmpReq.onsuccess = () => {
+                        const comLivro = getEmpReq.result.some(e => e.idLivro === reserva.idLivro && e.status === 'ativo');
+                        if (comLivro) {
+                            falhar("Aluno já está com este livro emprestado.");
+                            return;
+                        }
+
+                        const novaReserva = carimbarAlteracao('reservas', { ...reserva, status: 'aguardando' });
+                        const addReq = storeReservas.add(novaReserva);
+                        addReq.onsuccess = () => {
+                            idReserva = addReq.result;
+                            registrarAuditoria(transaction, 'reserva', 'reservas', idReserva, null, { ...novaReserva, id: idReserva });
+                        };
+                    };
+                };
+            };
+
+            transaction.oncomplete = () => resolve(idReserva);
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Transação Atômica: Cancelar Reserva
+     * Se a reserva já retinha um exemplar, ele passa ao próximo da fila ou volta a ficar disponível.
+     * @param {number} idReserva ID da reserva.
+     * @param {string} dataHoje Data atual (YYYY-MM-DD).
+     * @param {string} dataLimiteRetirada Prazo de retirada para o próximo da fila (YYYY-MM-DD).
+     * @returns {Promise<void>}
+     */
+    cancelarReserva: async (idReserva, dataHoje, dataLimiteRetirada) => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['livros', 'reservas', 'exemplares', 'auditoria'], 'readwrite');
+            const storeReservas = transaction.objectStore('reservas');
+
+            const getReservaReq = storeReservas.get(idReserva);
+            getReservaReq.onsuccess = () => {
+                const reserva = getReservaReq.result;
+                if (!reserva || (reserva.status !== 'aguardando' && reserva.status !== 'disponivel')) {
+                    transaction.abort();
+                    reject(new Error("Reserva inválida ou já encerrada."));
+                    return;
+                }
+
+                const antes = { ...reserva };
+                const retinhaExemplar = reserva.status === 'disponivel';
+                reserva.status = 'cancelada';
+                reserva.dataEncerramento = dataHoje;
+                storeReservas.put(carimbarAlteracao('reservas', reserva));
+                registrarAuditoria(transaction, 'cancelamento', 'reservas', reserva.id, antes, reserva);
+
+                if (retinhaExemplar) {
+                    destinarExemplarDevolvido(transaction, reserva.idLivro, reserva.tombo, dataHoje, dataLimiteRetirada);
+                }
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Transação Atômica: Processar Reservas Expiradas
+     * Encerra as retenções cujo prazo de retirada passou e repassa cada exemplar
+     * ao próximo aluno da fila (ou o devolve ao acervo disponível).
+     * @param {string} dataHoje Data atual (YYYY-MM-DD).
+     * @param {string} dataLimiteRetirada Prazo de retirada para os próximos da fila (YYYY-MM-DD).
+     * @returns {Promise<number>} Quantidade de reservas expiradas.
+     */
+    processarReservasExpiradas: async (dataHoje, dataLimiteRetirada) => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['livros', 'reservas', 'exemplares', 'auditoria'], 'readwrite');
+            const storeReservas = transaction.objectStore('reservas');
+            let expiradas = [];
+
+            const getRetidasReq = storeReservas.index('idx_status').getAll('disponivel');
+            getRetidasReq.onsuccess = () => {
+                expiradas = getRetidasReq.result.filter(r => r.dataLimiteRetirada < dataHoje);
+
+                // Processa uma por vez: duas retenções do mesmo livro não podem ler a mesma fila
+                const processar = (i) => {
+                    if (i >= expiradas.length) return;
+                    const reserva = expiradas[i];
+                    const antes = { ...reserva };
+                    reserva.status = 'expirada';
+                    reserva.dataEncerramento = dataHoje;
+                    storeReservas.put(carimbarAlteracao('reservas', reserva));
+                    registrarAuditoria(transaction, 'expiracao', 'reservas', reserva.id, antes, reserva);
+                    destinarExemplarDevolvido(transaction, reserva.idLivro, reserva.tombo, dataHoje, dataLimiteRetirada, () => processar(i + 1));
+                };
+                processar(0);
+            };
+
+            transaction.oncomplete = () => resolve(expiradas.length);
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Transação Atômica: Quitar Multa
+     * Registra o pagamento ou o perdão de uma multa pendente.
+     * @param {number} idMulta ID da multa.
+     * @param {string} novoStatus 'paga' ou 'perdoada'.
+     * @param {string} dataQuitacao Data atual (YYYY-MM-DD).
+     * @param {string} [observacao] Forma de pagamento ou motivo do perdão.
+     * @returns {Promise<void>}
+     */
+    quitarMulta: async (idMulta, novoStatus, dataQuitacao, observacao = '') => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['multas', 'auditoria'], 'readwrite');
+            const storeMultas = transaction.objectStore('multas');
+
+            const getMultaReq = storeMultas.get(idMulta);
+            getMultaReq.onsuccess = () => {
+                const multa = getMultaReq.result;
+                if (!multa || multa.status !== 'pendente') {
+                    transaction.abort();
+                    reject(new Error("Multa inválida ou já quitada."));
+                    return;
+                }
+
+                const antes = { ...multa };
+                multa.status = novoStatus;
+                multa.dataQuitacao = dataQuitacao;
+                multa.observacao = observacao;
+                storeMultas.put(carimbarAlteracao('multas', multa));
+                registrarAuditoria(transaction, novoStatus === 'paga' ? 'pagamento' : 'perdao', 'multas', multa.id, antes, multa);
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Lista as alterações locais ainda não enviadas ao servidor de sincronização
+     * (registros com pendenteSync e lápides de exclusões), já no formato do protocolo.
+     * @returns {Promise<Array<object>>} Alterações { store, uid, atualizadoEm, idDispositivo, excluido, dados?, substituidoPor? }.
+     */
+    listarAlteracoesSync: async () => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const tabelas = Object.keys(REFERENCIAS_SYNC);
+            const transaction = db.transaction([...tabelas, 'exclusoes'], 'readonly');
+            const dados = {};
+            tabelas.forEach(storeName => {
+                const request = transaction.objectStore(storeName).getAll();
+                request.onsuccess = () => { dados[storeName] = request.result; };
+            });
+            const getExclusoesReq = transaction.objectStore('exclusoes').getAll();
+
+            transaction.oncomplete = () => {
+                const uidsPorId = {};
+                tabelas.forEach(storeName => {
+                    uidsPorId[storeName] = new Map(dados[storeName].map(r => [r.id, r.uid]));
+                });
+                const alteracoes = tabelas.flatMap(storeName => dados[storeName]
+                    .filter(r => r.pendenteSync)
+                    .map(r => montarAlteracaoSync(storeName, r, uidsPorId)));
+                getExclusoesReq.result
+                    .filter(l => l.pendenteSync)
+                    .forEach(({ pendenteSync, ...lapide }) => alteracoes.push(lapide));
+                resolve(alteracoes);
+            };
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Retira a marca de pendência das alterações aceitas pelo servidor. Registros alterados
+     * de novo depois do envio (outra versão) continuam pendentes.
+     * @param {Array<object>} alteracoes Alterações enviadas (como listadas por listarAlteracoesSync).
+     * @returns {Promise<void>}
+     */
+    confirmarEnvioSync: async (alteracoes) => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([...Object.keys(REFERENCIAS_SYNC), 'exclusoes'], 'readwrite');
+
+            alteracoes.forEach(alteracao => {
+                const { store, uid, atualizadoEm } = alteracao;
+                const storeDestino = transaction.objectStore(alteracao.excluido ? 'exclusoes' : store);
+                const getReq = alteracao.excluido
+                    ? storeDestino.get([store, uid])
+                    : store === 'exemplares' ? storeDestino.get(uid) : storeDestino.index('idx_uid').get(uid);
+                getReq.onsuccess = () => {
+                    const registro = getReq.result;
+                    if (!registro || !registro.pendenteSync || registro.atualizadoEm !== atualizadoEm) return;
+                    storeDestino.put({ ...registro, pendenteSync: false });
+                };
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Transação Atômica: Aplicar Alterações Recebidas
+     * Relê as tabelas sincronizadas, planeja com planejarAplicacaoSync e grava tudo em uma única
+     * transação, com auditoria 'sincronizacao' por registro e recálculo dos contadores dos livros afetados.
+     * @param {Array<object>} alteracoes Alterações recebidas do servidor.
+     * @returns {Promise<{aplicadas: number, ignoradas: number, conflitos: Array<object>}>}
+     */
+    aplicarAlteracoesSync: async (alteracoes) => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const tabelas = Object.keys(REFERENCIAS_SYNC);
+            const transaction = db.transaction([...tabelas, 'exclusoes', 'auditoria'], 'readwrite');
+            const storeExclusoes = transaction.objectStore('exclusoes');
+            const dados = {};
+            let resultado = null;
+            let pendentes = tabelas.length + 1;
+
+            const aplicar = (exclusoes) => {
+                const plano = planejarAplicacaoSync(dados, exclusoes, alteracoes);
+                plano.operacoes.forEach(({ store, antes, depois }) => {
+                    const chave = store === 'exemplares' ? (depois || antes).tombo : (depois || antes).id;
+                    if (depois) transaction.objectStore(store).put(depois);
+                    else transaction.objectStore(store).delete(chave);
+                    registrarAuditoria(transaction, 'sincronizacao', store, chave, antes, depois);
+                });
+                plano.lapidesRemovidas.forEach(l => storeExclusoes.delete([l.store, l.uid]));
+                plano.lapides.forEach(l => storeExclusoes.put(l));
+                plano.livrosAfetados.forEach(idLivro => sincronizarDisponibilidade(transaction, idLivro));
+                resultado = { aplicadas: plano.aplicadas, ignoradas: plano.ignoradas, conflitos: plano.conflitos };
+            };
+
+            let exclusoes = [];
+            const concluirLeitura = () => {
+                if (--pendentes === 0) aplicar(exclusoes);
+            };
+            tabelas.forEach(storeName => {
+                const request = transaction.objectStore(storeName).getAll();
+                request.onsuccess = () => {
+                    dados[storeName] = request.result;
+                    concluirLeitura();
+                };
+            });
+            const getExclusoesReq = storeExclusoes.getAll();
+            getExclusoesReq.onsuccess = () => {
+                exclusoes = getExclusoesReq.result;
+                concluirLeitura();
+            };
+
+            transaction.oncomplete = () => resolve(resultado);
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    },
+
+    /**
+     * Marca todos os registros e lápides para envio, sem alterar suas versões.
+     * Usado ao trocar de servidor: o novo servidor precisa receber a base inteira.
+     * @returns {Promise<void>}
+     */
+    marcarTudoParaSincronizar: async () => {
+        const db = await initDB();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([...Object.keys(REFERENCIAS_SYNC), 'exclusoes'], 'readwrite');
+            [...Object.keys(REFERENCIAS_SYNC), 'exclusoes'].forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                const request = store.getAll();
+                request.onsuccess = () => {
+                    request.result
+                        .filter(registro => !registro.pendenteSync)
+                        .forEach(registro => store.put({ ...registro, pendenteSync: true }));
+                };
+            });
+
             transaction.oncomplete = () => resolve();
             transaction.onerror = (e) => reject(e.target.error);
         });
@@ -0,0 +1,101 @@
+/**
+ * gerar-manifesto-assets.js
+ * Gera o asset-manifest.js consumido pelo Service Worker.
+ *
+ * Calcula o hash SHA-256 do conteúdo de cada arquivo estático, reescreve as
+ * referências `?v=` do index.html com esses hashes e grava a lista de
+ * pré-cache junto com a versão derivada de todos eles. Assim o cache só é
+ * renovado quando algum arquivo realmente muda, sem números escritos à mão.
+ *
+ * Uso (na raiz do projeto, apenas módulos nativos do Node):
+ *   node gerar-manifesto-assets.js             -> atualiza index.html e asset-manifest.js
+ *   node gerar-manifesto-assets.js --verificar -> falha se algum deles estiver desatualizado
+ *   node --test gerar-manifesto-assets.test.js -> confere o manifesto com os arquivos listados
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const RAIZ = __dirname;
+const ARQUIVO_SAIDA = 'asset-manifest.js';
+
+// Arquivos referenciados no index.html com `?v=<hash>` (cache busting no navegador)
+const ARQUIVOS_VERSIONADOS = ['style.css', 'manifest.json', 'db.js', 'script.js', 'tests.js'];
+
+// Arquivos pré-cacheados pelo caminho puro (o hash entra apenas na versão do cache)
+const ARQUIVOS_FIXOS = ['index.html', 'offline.html', 'icons/icone-192.png', 'icons/icone-512.png'];
+
+function calcularHash(conteudo) {
+    return crypto.createHash('sha256').update(conteudo).digest('hex').slice(0, 10);
+}
+
+function lerArquivo(relativo) {
+    return fs.readFileSync(path.join(RAIZ, relativo));
+}
+
+/**
+ * Substitui (ou acrescenta) o `?v=` de cada arquivo versionado nos atributos href/src.
+ */
+function reescreverReferencias(html, hashes) {
+    return ARQUIVOS_VERSIONADOS.reduce((resultado, arquivo) => {
+        const nome = arquivo.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const padrao = new RegExp(`((?:href|src)=")${nome}(?:\\?v=[^"]*)?"`, 'g');
+        return resultado.replace(padrao, `$1${arquivo}?v=${hashes[arquivo]}"`);
+    }, html);
+}
+
+function montarManifesto() {
+    const hashes = {};
+    ARQUIVOS_VERSIONADOS.forEach(arquivo => { hashes[arquivo] = calcularHash(lerArquivo(arquivo)); });
+
+    const html = reescreverReferencias(lerArquivo('index.html').toString('utf8'), hashes);
+
+    const arquivos = [
+        ...ARQUIVOS_VERSIONADOS.map(arquivo => ({ url: `./${arquivo}?v=${hashes[arquivo]}`, hash: hashes[arquivo] })),
+        ...ARQUIVOS_FIXOS.map(arquivo => ({
+            url: `./${arquivo}`,
+            hash: calcularHash(arquivo === 'index.html' ? html : lerArquivo(arquivo))
+        }))
+    ];
+    const versao = calcularHash(arquivos.map(a => `${a.url} ${a.hash}`).join('\n'));
+
+    const script = [
+        '// Gerado por gerar-manifesto-assets.js; não edite à mão.',
+        'self.MANIFESTO_ASSETS = {',
+        `    versao: ${JSON.stringify(versao)},`,
+        '    arquivos: [',
+        arquivos.map(a => `        { url: ${JSON.stringify(a.url)}, hash: ${JSON.stringify(a.hash)} }`).join(',\n'),
+        '    ]',
+        '};',
+        ''
+    ].join('\n');
+
+    return { html, script, versao };
+}
+
+function main() {
+    const { html, script, versao } = montarManifesto();
+    const caminhoHTML = path.join(RAIZ, 'index.html');
+    const caminhoSaida = path.join(RAIZ, ARQUIVO_SAIDA);
+
+    if (process.argv.includes('--verificar')) {
+        const atual = fs.existsSync(caminhoSaida) ? fs.readFileSync(caminhoSaida, 'utf8') : '';
+        if (atual !== script || fs.readFileSync(caminhoHTML, 'utf8') !== html) {
+            console.error(`${ARQUIVO_SAIDA} desatualizado. Execute: node gerar-manifesto-assets.js`);
+            process.exit(1);
+        }
+        console.log(`${ARQUIVO_SAIDA} em dia (versão ${versao}).`);
+        return;
+    }
+
+    fs.writeFileSync(caminhoHTML, html);
+    fs.writeFileSync(caminhoSaida, script);
+    console.log(`${ARQUIVO_SAIDA} gerado (versão ${versao}).`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { ARQUIVOS_VERSIONADOS, ARQUIVOS_FIXOS, calcularHash, montarManifesto };
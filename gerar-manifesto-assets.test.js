@@ -0,0 +1,47 @@
+/**
+ * gerar-manifesto-assets.test.js
+ * Confere o asset-manifest.js gravado com os arquivos que ele lista.
+ *
+ * Uso (na raiz do projeto, apenas módulos nativos do Node):
+ *   node --test gerar-manifesto-assets.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { ARQUIVOS_VERSIONADOS, ARQUIVOS_FIXOS, calcularHash, montarManifesto } = require('./gerar-manifesto-assets');
+
+// Executa o manifesto como o Service Worker faz (importScripts), com `self` isolado
+function lerManifestoGravado() {
+    const contexto = { self: {} };
+    vm.runInNewContext(fs.readFileSync(path.join(__dirname, 'asset-manifest.js'), 'utf8'), contexto);
+    return contexto.self.MANIFESTO_ASSETS;
+}
+
+test('cada arquivo listado existe e tem o hash do seu conteúdo', () => {
+    const { arquivos } = lerManifestoGravado();
+    assert.strictEqual(arquivos.length, ARQUIVOS_VERSIONADOS.length + ARQUIVOS_FIXOS.length);
+
+    arquivos.forEach(({ url, hash }) => {
+        const [caminho, versao] = url.replace(/^\.\//, '').split('?v=');
+        const conteudo = fs.readFileSync(path.join(__dirname, caminho));
+        assert.strictEqual(hash, calcularHash(conteudo), `hash desatualizado: ${caminho}`);
+        if (ARQUIVOS_VERSIONADOS.includes(caminho)) assert.strictEqual(versao, hash, `?v= diferente do hash: ${caminho}`);
+    });
+});
+
+test('index.html referencia as mesmas versões do manifesto', () => {
+    const html = fs.readFileSync(path.join(__dirname, 'index.html'), 'utf8');
+    lerManifestoGravado().arquivos
+        .filter(({ url }) => url.includes('?v='))
+        .forEach(({ url }) => assert.ok(html.includes(`"${url.replace(/^\.\//, '')}"`), `index.html sem ${url}`));
+});
+
+test('manifesto gravado é o que o gerador produz hoje', () => {
+    const { script, versao } = montarManifesto();
+    assert.strictEqual(fs.readFileSync(path.join(__dirname, 'asset-manifest.js'), 'utf8'), script);
+    assert.strictEqual(lerManifestoGravado().versao, versao);
+});
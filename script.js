@@ -10,6 +10,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // ==========================================================================
     document.getElementById('btn-exportar').addEventListener('click', exportarDados);
     document.getElementById('input-importar').addEventListener('change', handleImportarDados);
+    document.getElementById('btn-confirmar-mesclagem').addEventListener('click', handleConfirmarMesclagem);
     document.getElementById('btn-testes-oculto').addEventListener('click', () => {
         if (typeof window.runTests === 'function') window.runTests();
     });
@@ -18,15 +19,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Registro do Service Worker (PWA)
     // ==========================================================================
     if ('serviceWorker' in navigator) {
-        window.addEventListener('load', () => {
-            navigator.serviceWorker.register('./service-worker.js?v=3')
-                .then((registration) => {
-                    console.log('[PWA] Service Worker registrado com sucesso:', registration.scope);
-                })
-                .catch((error) => {
-                    console.error('[PWA] Falha ao registrar o Service Worker:', error);
-                });
-        });
+        window.addEventListener('load', registrarServiceWorker);
     }
 
     // ==========================================================================
@@ -41,11 +34,31 @@ document.addEventListener('DOMContentLoaded', () => {
     // ==========================================================================
     document.getElementById('form-livro').addEventListener('submit', handleSalvarLivro);
     document.getElementById('btn-cancelar-livro').addEventListener('click', resetFormLivro);
+    initFiltrosLivros();
 
     document.getElementById('form-aluno').addEventListener('submit', handleSalvarAluno);
     document.getElementById('btn-cancelar-aluno').addEventListener('click', resetFormAluno);
+    document.getElementById('filtro-alunos-situacao').addEventListener('change', renderizarTabelaAlunos);
+    document.getElementById('form-perfil-emprestimo').addEventListener('submit', handleEmprestimoPeloPerfil);
 
     document.getElementById('form-emprestimo').addEventListener('submit', handleRegistrarEmprestimo);
+    document.getElementById('emprestimo-livro').addEventListener('change', atualizarSelectExemplares);
+    document.getElementById('form-exemplar').addEventListener('submit', handleSalvarExemplar);
+    document.getElementById('btn-cancelar-exemplar').addEventListener('click', resetFormExemplar);
+    document.getElementById('form-reserva').addEventListener('submit', handleRegistrarReserva);
+    document.getElementById('filtro-multas-status').addEventListener('change', renderizarMultas);
+
+    document.getElementById('form-regras').addEventListener('submit', handleSalvarRegras);
+    preencherFormRegras();
+    initImportacaoAlunos();
+    initImportacaoLivros();
+    initRelatorios();
+    initAuditoria();
+    initPontosRestauracao();
+    initConsistencia();
+    initDocumentos();
+    initBalcao();
+    initSincronizacao();
 });
 
 // ==========================================================================
@@ -92,6 +105,86 @@ function showToast(message, type = 'success') {
     }, 3000);
 }
 
+// ==========================================================================
+// Configurações: Regras de Circulação
+// ==========================================================================
+const CONFIG_STORAGE_KEY = 'biblioteca-config';
+
+// Modelo padrão do aviso de atraso; os campos {chave} são preenchidos por preencherModeloAviso
+const MODELO_AVISO_ATRASO_PADRAO = [
+    'Prezados responsáveis por {aluno} ({turma}),',
+    '',
+    'Consta na {biblioteca} a devolução pendente de {quantidade} item(ns):',
+    '',
+    '{itens}',
+    '',
+    'Pedimos a gentileza de providenciar a devolução o quanto antes.',
+    '',
+    '{biblioteca} — {data}'
+].join('\n');
+
+// Valores padrão usados enquanto a biblioteca não personaliza as regras
+const CONFIG_PADRAO = {
+    prazoEmprestimoDias: 7,
+    diasRenovacao: 7,
+    maxRenovacoes: 2,
+    diasReserva: 3,
+    maxEmprestimosAluno: 3,
+    valorDiarioMulta: 0.5,
+    valorMaximoMulta: 0,      // 0 = sem teto
+    diasCarenciaMulta: 0,
+    snapshotsDiarios: 7,      // pontos de restauração diários mantidos
+    snapshotsOperacoes: 10,   // pontos tirados antes de importações e operações em lote
+    nomeBiblioteca: 'Biblioteca Escolar',
+    imprimirComprovantes: false,
+    modeloAvisoAtraso: MODELO_AVISO_ATRASO_PADRAO,
+    somBalcao: true,          // sinais sonoros das leituras no modo balcão
+    urlSync: '',              // servidor de sincronização (vazio = desativada)
+    tokenSync: '',
+    intervaloSyncMinutos: 5   // 0 = só pelo botão
+};
+
+/**
+ * Lê as regras de circulação salvas localmente, completando com os valores padrão.
+ * @returns {object}
+ */
+function obterConfiguracoes() {
+    try {
+        const salvas = JSON.parse(localStorage.getItem(CONFIG_STORAGE_KEY)) || {};
+        return { ...CONFIG_PADRAO, ...salvas };
+    } catch (e) {
+        return { ...CONFIG_PADRAO };
+    }
+}
+
+function salvarConfiguracoes(config) {
+    localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify({ ...obterConfiguracoes(), ...config }));
+}
+
+function preencherFormRegras() {
+    const config = obterConfiguracoes();
+    document.querySelectorAll('#form-regras [data-config]').forEach(input => {
+        input.value = config[input.getAttribute('data-config')];
+    });
+}
+
+function handleSalvarRegras(event) {
+    event.preventDefault();
+    const config = {};
+    document.querySelectorAll('#form-regras [data-config]').forEach(input => {
+        config[input.getAttribute('data-config')] = parseFloat(input.value);
+    });
+
+    if (Object.values(config).some(valor => isNaN(valor) || valor < 0)) {
+        showToast("Informe valores numéricos válidos para as regras.", "error");
+        return;
+    }
+
+    salvarConfiguracoes(config);
+    configurarDataPrevistaPadrao();
+    showToast("Regras de circulação salvas!");
+}
+
 // ==========================================================================
 // Lógica de Negócio: Estado Derivado (Atrasos)
 // ==========================================================================
@@ -118,6 +211,142 @@ function calcularAtraso(dataPrevistaDevolucao) {
     return { isAtrasado: false, diasAtraso: 0 };
 }
 
+// ==========================================================================
+// Lógica de Negócio: ISBN (validação e normalização)
+// ==========================================================================
+/**
+ * Remove hífens e espaços de um ISBN digitado.
+ * @param {string} valor
+ * @returns {string}
+ */
+function limparISBN(valor) {
+    return String(valor || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * Verifica o dígito verificador de um ISBN-10 (módulo 11, 'X' vale 10).
+ * @param {string} isbn ISBN-10 já limpo.
+ * @returns {boolean}
+ */
+function validarDigitoISBN10(isbn) {
+    if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+    let soma = 0;
+    for (let i = 0; i < 10; i++) {
+        const valor = isbn[i] === 'X' ? 10 : parseInt(isbn[i], 10);
+        soma += valor * (10 - i);
+    }
+    return soma % 11 === 0;
+}
+
+/**
+ * Calcula o dígito verificador de um ISBN-13 a partir dos 12 primeiros dígitos (pesos 1 e 3).
+ * @param {string} dozeDigitos
+ * @returns {number}
+ */
+function calcularDigitoISBN13(dozeDigitos) {
+    let soma = 0;
+    for (let i = 0; i < 12; i++) {
+        soma += parseInt(dozeDigitos[i], 10) * (i % 2 === 0 ? 1 : 3);
+    }
+    return (10 - (soma % 10)) % 10;
+}
+
+function validarDigitoISBN13(isbn) {
+    return /^\d{13}$/.test(isbn) && calcularDigitoISBN13(isbn) === parseInt(isbn[12], 10);
+}
+
+/**
+ * Valida e normaliza um ISBN para a forma canônica de 13 dígitos sem separadores.
+ * ISBN-10 é convertido para ISBN-13 (prefixo 978), para que as duas formas
+ * do mesmo livro caiam no mesmo registro do índice único idx_isbn.
+ * @param {string} valor ISBN digitado (com ou sem hífens).
+ * @returns {string} ISBN-13 normalizado.
+ * @throws {Error} Se o tamanho ou o dígito verificador forem inválidos.
+ */
+function normalizarISBN(valor) {
+    const isbn = limparISBN(valor);
+
+    if (isbn.length === 10) {
+        if (!validarDigitoISBN10(isbn)) {
+            throw new Error("ISBN-10 inválido: dígito verificador não confere.");
+        }
+        const base = '978' + isbn.slice(0, 9);
+        return base + calcularDigitoISBN13(base);
+    }
+
+    if (isbn.length === 13) {
+        if (!validarDigitoISBN13(isbn)) {
+            throw new Error("ISBN-13 inválido: dígito verificador não confere.");
+        }
+        return isbn;
+    }
+
+    throw new Error("ISBN deve ter 10 ou 13 dígitos.");
+}
+
+/**
+ * Versão tolerante de normalizarISBN: retorna null em vez de lançar erro.
+ */
+function tentarNormalizarISBN(valor) {
+    try {
+        return normalizarISBN(valor);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Procura um livro já cadastrado com o mesmo ISBN normalizado.
+ * Consulta o índice idx_isbn e, para registros antigos gravados com hífens
+ * ou como ISBN-10, faz uma varredura comparando a forma normalizada.
+ * @param {string} isbn13 ISBN já normalizado.
+ * @returns {Promise<object|undefined>}
+ */
+async function buscarLivroPorISBN(isbn13) {
+    const livro = await DB.getByIndex('livros', 'idx_isbn', isbn13);
+    if (livro) return livro;
+
+    const { itens } = await DB.consultarIndice('livros', 'idx_isbn', {
+        filtro: (l) => tentarNormalizarISBN(l.isbn) === isbn13,
+        limite: 1
+    });
+    return itens[0];
+}
+
+/**
+ * Calcula o valor da multa a partir dos dias de atraso e das regras configuradas.
+ * Os dias de carência não são cobrados; o teto (valorMaximoMulta) só se aplica se for maior que zero.
+ * @param {number} diasAtraso Dias de atraso (ver calcularAtraso).
+ * @param {object} regras { valorDiarioMulta, valorMaximoMulta, diasCarenciaMulta }
+ * @returns {number} Valor em reais, arredondado em centavos.
+ */
+function calcularValorMulta(diasAtraso, regras) {
+    const diasCobrados = Math.max(0, diasAtraso - (regras.diasCarenciaMulta || 0));
+    let valor = diasCobrados * (regras.valorDiarioMulta || 0);
+    if (regras.valorMaximoMulta > 0) {
+        valor = Math.min(valor, regras.valorMaximoMulta);
+    }
+    return Math.round(valor * 100) / 100;
+}
+
+/**
+ * Multa de um empréstimo devolvido hoje, usada dentro da transação de devolução.
+ * @param {object} emprestimo
+ * @returns {object|null} { diasAtraso, valor } ou null se não houver atraso.
+ */
+function calcularMultaEmprestimo(emprestimo) {
+    const { isAtrasado, diasAtraso } = calcularAtraso(emprestimo.dataPrevistaDevolucao);
+    if (!isAtrasado) return null;
+    return { diasAtraso, valor: calcularValorMulta(diasAtraso, obterConfiguracoes()) };
+}
+
+/**
+ * Formata um valor numérico como moeda (R$).
+ */
+function formatarMoeda(valor) {
+    return Number(valor || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+}
+
 /**
  * Formata uma data YYYY-MM-DD para DD/MM/YYYY
  */
@@ -128,12 +357,43 @@ function formatarData(dataISO) {
 }
 
 /**
- * Define a data prevista padrão para 7 dias a partir de hoje no formulário.
+ * Escapa texto livre digitado pelo usuário antes de inseri-lo em HTML ou atributos.
+ */
+function escaparHTML(texto) {
+    return String(texto ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Converte um objeto Date para YYYY-MM-DD no fuso local.
+ */
+function formatarDataISO(data) {
+    const ano = data.getFullYear();
+    const mes = String(data.getMonth() + 1).padStart(2, '0');
+    const dia = String(data.getDate()).padStart(2, '0');
+    return `${ano}-${mes}-${dia}`;
+}
+
+/**
+ * Soma dias a uma data YYYY-MM-DD e retorna no mesmo formato.
+ */
+function adicionarDias(dataISO, dias) {
+    const partes = dataISO.split('-');
+    const data = new Date(partes[0], partes[1] - 1, partes[2]);
+    data.setDate(data.getDate() + dias);
+    return formatarDataISO(data);
+}
+
+/**
+ * Define a data prevista padrão no formulário conforme o prazo configurado (7 dias por padrão).
  */
 function configurarDataPrevistaPadrao() {
     const inputData = document.getElementById('emprestimo-data-prevista');
     const dataPadrao = new Date();
-    dataPadrao.setDate(dataPadrao.getDate() + 7); // Regra: 7 dias de prazo
+    dataPadrao.setDate(dataPadrao.getDate() + obterConfiguracoes().prazoEmprestimoDias);
     
     // Formata para YYYY-MM-DD para o input type="date"
     const ano = dataPadrao.getFullYear();
@@ -147,9 +407,12 @@ function configurarDataPrevistaPadrao() {
 // Controladores (Controllers): Livros
 // ==========================================================================
 async function carregarDadosIniciais() {
+    await processarReservasExpiradas();
     await renderizarTabelaLivros();
     await renderizarTabelaAlunos();
     await renderizarTabelaEmprestimos();
+    await renderizarTabelaReservas();
+    await renderizarMultas();
     await atualizarSelectsEmprestimo();
 }
 
@@ -158,68 +421,215 @@ async function handleSalvarLivro(event) {
     
     const idInput = document.getElementById('livro-id').value;
     const qtdTotal = parseInt(document.getElementById('livro-qtd').value, 10);
+
+    let isbn;
+    try {
+        isbn = normalizarISBN(document.getElementById('livro-isbn').value);
+    } catch (error) {
+        showToast(error.message, "error");
+        document.getElementById('livro-isbn').focus();
+        return;
+    }
+
+    // ISBN já cadastrado em outro registro: abre o existente para edição em vez de falhar no índice único
+    try {
+        const existente = await buscarLivroPorISBN(isbn);
+        if (existente && existente.id !== parseInt(idInput, 10)) {
+            if (existente.arquivado) {
+                if (!confirm(`O ISBN pertence ao livro arquivado "${existente.titulo}". Deseja restaurá-lo para edição?`)) return;
+                await DB.definirArquivado('livros', existente.id, false);
+                await renderizarTabelaLivros();
+            }
+            await editarLivro(existente.id);
+            showToast(`ISBN já cadastrado em "${existente.titulo}". O registro foi aberto para edição.`, "info");
+            return;
+        }
+    } catch (error) {
+        console.error(error);
+    }
     
     const livro = {
         titulo: document.getElementById('livro-titulo').value.trim(),
         autor: document.getElementById('livro-autor').value.trim(),
-        isbn: document.getElementById('livro-isbn').value.trim(),
-        quantidadeTotal: qtdTotal,
-        // Se for novo, qtd disponível = total. Se for edição, mantemos a lógica complexa de ajuste fora do escopo básico,
-        // mas para simplificar, se não tiver ID, é novo.
-        quantidadeDisponivel: qtdTotal 
+        isbn: isbn
     };
 
-    if (idInput) {
-        livro.id = parseInt(idInput, 10);
-        // Recupera o livro antigo para não sobrescrever a quantidade disponível incorretamente
-        try {
-            const livroAntigo = await DB.getById('livros', livro.id);
-            const diferencaTotal = qtdTotal - livroAntigo.quantidadeTotal;
-            livro.quantidadeDisponivel = livroAntigo.quantidadeDisponivel + diferencaTotal;
-            
-            if (livro.quantidadeDisponivel < 0) {
-                showToast("Erro: Quantidade total não pode ser menor que os livros já emprestados.", "error");
-                return;
-            }
-        } catch (e) {
-            console.error(e);
-        }
-    }
-
     try {
-        await DB.save('livros', livro);
+        if (idInput) {
+            // Na edição, os contadores vêm dos exemplares e são preservados; exemplares se gerenciam no modal próprio
+            const livroAntigo = await DB.getById('livros', parseInt(idInput, 10));
+            await DB.save('livros', { ...livroAntigo, ...livro });
+        } else {
+            await DB.cadastrarLivro(livro, qtdTotal);
+        }
         showToast(idInput ? "Livro atualizado!" : "Livro cadastrado!");
         resetFormLivro();
         await renderizarTabelaLivros();
         await atualizarSelectsEmprestimo();
     } catch (error) {
-        showToast("Erro ao salvar livro. Verifique se o ISBN já existe.", "error");
+        showToast("Erro ao salvar livro.", "error");
         console.error(error);
     }
 }
 
+// Estado da listagem do acervo (busca, ordenação e paginação)
+const estadoTabelaLivros = {
+    termo: '',
+    somenteDisponiveis: false,
+    arquivados: false,
+    ordenarPor: 'titulo',
+    direcao: 'next',
+    pagina: 1,
+    porPagina: 20
+};
+
+// Coluna ordenável -> índice do IndexedDB usado pelo cursor
+const INDICES_ORDENACAO_LIVROS = {
+    titulo: 'idx_titulo',
+    autor: 'idx_autor',
+    isbn: 'idx_isbn'
+};
+
+// Título e autor seguem a ordem alfabética do português: acentos e maiúsculas não mudam a posição
+// (a ordem dos índices compara códigos de caractere, pondo "Árvore" depois de "Zebra")
+const COLUNAS_ORDEM_ALFABETICA = ['titulo', 'autor'];
+
+/**
+ * Remove acentos e converte para minúsculas, para buscas tolerantes.
+ * @param {string} texto
+ * @returns {string}
+ */
+function normalizarTexto(texto) {
+    return String(texto || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim();
+}
+
+/**
+ * Verifica se um livro corresponde ao termo de busca (título, autor ou ISBN).
+ * @param {object} livro
+ * @param {string} termoNormalizado Termo já passado por normalizarTexto.
+ * @returns {boolean}
+ */
+function livroCorrespondeBusca(livro, termoNormalizado) {
+    if (!termoNormalizado) return true;
+    const isbnDigitos = String(livro.isbn || '').replace(/[^0-9xX]/g, '').toLowerCase();
+    const termoDigitos = termoNormalizado.replace(/[-\s]/g, '');
+    return normalizarTexto(livro.titulo).includes(termoNormalizado)
+        || normalizarTexto(livro.autor).includes(termoNormalizado)
+        || (termoDigitos.length > 0 && isbnDigitos.includes(termoDigitos));
+}
+
+function initFiltrosLivros() {
+    let debounce = null;
+    document.getElementById('busca-livros').addEventListener('input', (e) => {
+        clearTimeout(debounce);
+        debounce = setTimeout(() => {
+            estadoTabelaLivros.termo = e.target.value;
+            estadoTabelaLivros.pagina = 1;
+            renderizarTabelaLivros();
+        }, 250);
+    });
+
+    document.getElementById('filtro-livros-disponiveis').addEventListener('change', (e) => {
+        estadoTabelaLivros.somenteDisponiveis = e.target.checked;
+        estadoTabelaLivros.pagina = 1;
+        renderizarTabelaLivros();
+    });
+
+    document.getElementById('filtro-livros-situacao').addEventListener('change', (e) => {
+        estadoTabelaLivros.arquivados = e.target.value === 'arquivados';
+        estadoTabelaLivros.pagina = 1;
+        renderizarTabelaLivros();
+    });
+
+    document.querySelectorAll('#tabela-livros th[data-ordenar]').forEach(th => {
+        th.addEventListener('click', () => {
+            const coluna = th.getAttribute('data-ordenar');
+            if (estadoTabelaLivros.ordenarPor === coluna) {
+                estadoTabelaLivros.direcao = estadoTabelaLivros.direcao === 'next' ? 'prev' : 'next';
+            } else {
+                estadoTabelaLivros.ordenarPor = coluna;
+                estadoTabelaLivros.direcao = 'next';
+            }
+            estadoTabelaLivros.pagina = 1;
+            renderizarTabelaLivros();
+        });
+    });
+}
+
+/**
+ * Consulta o acervo aplicando a busca, os filtros e a ordenação atuais da tabela.
+ * @param {object} [paginacao] { offset, limite }; sem ela, retorna todos os livros filtrados.
+ * @returns {Promise<{itens: Array<object>, total: number}>}
+ */
+async function consultarLivrosFiltrados(paginacao = {}) {
+    const { termo, somenteDisponiveis, arquivados, ordenarPor, direcao } = estadoTabelaLivros;
+    const termoNormalizado = normalizarTexto(termo);
+    const isbnBuscado = tentarNormalizarISBN(termo);
+
+    if (isbnBuscado) {
+        // Caminho rápido: ISBN completo digitado, consulta direta no índice único
+        const livro = await buscarLivroPorISBN(isbnBuscado);
+        const itens = livro && !!livro.arquivado === arquivados
+            && (!somenteDisponiveis || livro.quantidadeDisponivel > 0) ? [livro] : [];
+        return { itens, total: itens.length };
+    }
+
+    return DB.consultarIndice('livros', INDICES_ORDENACAO_LIVROS[ordenarPor], {
+        direcao,
+        filtro: (livro) => !!livro.arquivado === arquivados
+            && (!somenteDisponiveis || livro.quantidadeDisponivel > 0)
+            && livroCorrespondeBusca(livro, termoNormalizado),
+        comparar: COLUNAS_ORDEM_ALFABETICA.includes(ordenarPor)
+            ? (a, b) => String(a[ordenarPor] || '').localeCompare(String(b[ordenarPor] || ''), 'pt-BR', { sensitivity: 'base' })
+            : null,
+        ...paginacao
+    });
+}
+
 async function renderizarTabelaLivros() {
     const tbody = document.querySelector('#tabela-livros tbody');
-    tbody.innerHTML = '';
     
     try {
-        const livros = await DB.getAll('livros');
-        
-        if (livros.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="5" style="text-align:center">Nenhum livro cadastrado.</td></tr>';
+        const { termo, somenteDisponiveis, arquivados, porPagina } = estadoTabelaLivros;
+        const resultado = await consultarLivrosFiltrados({
+            offset: (estadoTabelaLivros.pagina - 1) * porPagina,
+            limite: porPagina
+        });
+
+        // Se a página atual ficou vazia (ex.: após exclusão), volta para a última página válida
+        const totalPaginas = Math.max(1, Math.ceil(resultado.total / porPagina));
+        if (estadoTabelaLivros.pagina > totalPaginas) {
+            estadoTabelaLivros.pagina = totalPaginas;
+            return renderizarTabelaLivros();
+        }
+
+        atualizarCabecalhosOrdenacao();
+        renderizarPaginacaoLivros(resultado.total, totalPaginas);
+        tbody.innerHTML = '';
+
+        if (resultado.itens.length === 0) {
+            const mensagem = termo || somenteDisponiveis || arquivados ? 'Nenhum livro encontrado.' : 'Nenhum livro cadastrado.';
+            tbody.innerHTML = `<tr><td colspan="5" style="text-align:center">${mensagem}</td></tr>`;
             return;
         }
 
-        livros.forEach(livro => {
+        resultado.itens.forEach(livro => {
             const tr = document.createElement('tr');
             tr.innerHTML = `
-                <td>${livro.titulo}</td>
-                <td>${livro.autor}</td>
-                <td>${livro.isbn}</td>
+                <td>${escaparHTML(livro.titulo)}</td>
+                <td>${escaparHTML(livro.autor)}</td>
+                <td>${escaparHTML(livro.isbn)}</td>
                 <td><strong>${livro.quantidadeDisponivel}</strong> / ${livro.quantidadeTotal}</td>
                 <td class="td-actions">
-                    <button class="btn btn-sm btn-secondary" onclick="editarLivro(${livro.id})">Editar</button>
-                    <button class="btn btn-sm btn-danger" onclick="excluirLivro(${livro.id})">Excluir</button>
+                    ${livro.arquivado
+                        ? `<button class="btn btn-sm btn-secondary" onclick="restaurarLivro(${livro.id})">Restaurar</button>`
+                        : `<button class="btn btn-sm btn-secondary" onclick="editarLivro(${livro.id})">Editar</button>
+                    <button class="btn btn-sm btn-secondary" onclick="abrirExemplares(${livro.id})">Exemplares</button>
+                    <button class="btn btn-sm btn-danger" onclick="excluirLivro(${livro.id})">Excluir</button>`}
                 </td>
             `;
             tbody.appendChild(tr);
@@ -229,6 +639,33 @@ async function renderizarTabelaLivros() {
     }
 }
 
+function atualizarCabecalhosOrdenacao() {
+    document.querySelectorAll('#tabela-livros th[data-ordenar]').forEach(th => {
+        th.classList.remove('sort-asc', 'sort-desc');
+        if (th.getAttribute('data-ordenar') === estadoTabelaLivros.ordenarPor) {
+            th.classList.add(estadoTabelaLivros.direcao === 'next' ? 'sort-asc' : 'sort-desc');
+        }
+    });
+}
+
+function renderizarPaginacaoLivros(total, totalPaginas) {
+    const container = document.getElementById('paginacao-livros');
+    const { pagina } = estadoTabelaLivros;
+
+    container.innerHTML = `
+        <span>${total} livro(s) &middot; Página ${pagina} de ${totalPaginas}</span>
+        <div class="pagination-actions">
+            <button class="btn btn-sm btn-secondary" ${pagina <= 1 ? 'disabled' : ''} onclick="irParaPaginaLivros(${pagina - 1})">Anterior</button>
+            <button class="btn btn-sm btn-secondary" ${pagina >= totalPaginas ? 'disabled' : ''} onclick="irParaPaginaLivros(${pagina + 1})">Próxima</button>
+        </div>
+    `;
+}
+
+function irParaPaginaLivros(pagina) {
+    estadoTabelaLivros.pagina = pagina;
+    renderizarTabelaLivros();
+}
+
 async function editarLivro(id) {
     try {
         const livro = await DB.getById('livros', id);
@@ -238,6 +675,7 @@ async function editarLivro(id) {
             document.getElementById('livro-autor').value = livro.autor;
             document.getElementById('livro-isbn').value = livro.isbn;
             document.getElementById('livro-qtd').value = livro.quantidadeTotal;
+            document.getElementById('livro-qtd').disabled = true;
             
             document.getElementById('btn-cancelar-livro').classList.remove('hidden');
             
@@ -250,21 +688,33 @@ async function editarLivro(id) {
 }
 
 async function excluirLivro(id) {
-    if (confirm("Tem certeza que deseja excluir este livro? Esta ação não pode ser desfeita.")) {
+    if (confirm("Arquivar este livro? Ele deixará de aparecer nas seleções, mas o histórico de empréstimos será mantido.")) {
         try {
-            await DB.delete('livros', id);
-            showToast("Livro excluído com sucesso.");
+            await DB.definirArquivado('livros', id, true);
+            showToast("Livro arquivado com sucesso.");
             await renderizarTabelaLivros();
             await atualizarSelectsEmprestimo();
         } catch (error) {
-            showToast("Erro ao excluir livro.", "error");
+            showToast(error.message || "Erro ao arquivar livro.", "error");
         }
     }
 }
 
+async function restaurarLivro(id) {
+    try {
+        await DB.definirArquivado('livros', id, false);
+        showToast("Livro restaurado.");
+        await renderizarTabelaLivros();
+        await atualizarSelectsEmprestimo();
+    } catch (error) {
+        showToast(error.message || "Erro ao restaurar livro.", "error");
+    }
+}
+
 function resetFormLivro() {
     document.getElementById('form-livro').reset();
     document.getElementById('livro-id').value = '';
+    document.getElementById('livro-qtd').disabled = false;
     document.getElementById('btn-cancelar-livro').classList.add('hidden');
 }
 
@@ -300,25 +750,33 @@ async function handleSalvarAluno(event) {
 
 async function renderizarTabelaAlunos() {
     const tbody = document.querySelector('#tabela-alunos tbody');
+    const verArquivados = document.getElementById('filtro-alunos-situacao').value === 'arquivados';
     tbody.innerHTML = '';
     
     try {
-        const alunos = await DB.getAll('alunos');
+        const todosAlunos = await DB.getAll('alunos');
+        preencherTurmasCarteirinhas(todosAlunos.filter(a => !a.arquivado));
+        const alunos = todosAlunos.filter(a => !!a.arquivado === verArquivados);
         
         if (alunos.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="4" style="text-align:center">Nenhum aluno cadastrado.</td></tr>';
+            const mensagem = verArquivados ? 'Nenhum aluno arquivado.' : 'Nenhum aluno cadastrado.';
+            tbody.innerHTML = `<tr><td colspan="4" style="text-align:center">${mensagem}</td></tr>`;
             return;
         }
 
         alunos.forEach(aluno => {
+            const acoesHtml = aluno.arquivado
+                ? `<button class="btn btn-sm btn-secondary" onclick="restaurarAluno(${aluno.id})">Restaurar</button>`
+                : `<button class="btn btn-sm btn-secondary" onclick="editarAluno(${aluno.id})">Editar</button>
+                    <button class="btn btn-sm btn-danger" onclick="excluirAluno(${aluno.id})">Excluir</button>`;
+
             const tr = document.createElement('tr');
             tr.innerHTML = `
-                <td>${aluno.nome}</td>
-                <td>${aluno.matricula}</td>
-                <td>${aluno.turma}</td>
+                <td><button type="button" class="btn-link" onclick="abrirPerfilAluno(${aluno.id})" title="Ver perfil e histórico">${escaparHTML(aluno.nome)}</button></td>
+                <td>${escaparHTML(aluno.matricula)}</td>
+                <td>${escaparHTML(aluno.turma)}</td>
                 <td class="td-actions">
-                    <button class="btn btn-sm btn-secondary" onclick="editarAluno(${aluno.id})">Editar</button>
-                    <button class="btn btn-sm btn-danger" onclick="excluirAluno(${aluno.id})">Excluir</button>
+                    ${acoesHtml}
                 </td>
             `;
             tbody.appendChild(tr);
@@ -347,18 +805,29 @@ async function editarAluno(id) {
 }
 
 async function excluirAluno(id) {
-    if (confirm("Tem certeza que deseja excluir este aluno? Esta ação não pode ser desfeita.")) {
+    if (confirm("Arquivar este aluno? Ele deixará de aparecer nas seleções, mas o histórico de empréstimos será mantido.")) {
         try {
-            await DB.delete('alunos', id);
-            showToast("Aluno excluído com sucesso.");
+            await DB.definirArquivado('alunos', id, true);
+            showToast("Aluno arquivado com sucesso.");
             await renderizarTabelaAlunos();
             await atualizarSelectsEmprestimo();
         } catch (error) {
-            showToast("Erro ao excluir aluno.", "error");
+            showToast(error.message || "Erro ao arquivar aluno.", "error");
         }
     }
 }
 
+async function restaurarAluno(id) {
+    try {
+        await DB.definirArquivado('alunos', id, false);
+        showToast("Aluno restaurado.");
+        await renderizarTabelaAlunos();
+        await atualizarSelectsEmprestimo();
+    } catch (error) {
+        showToast(error.message || "Erro ao restaurar aluno.", "error");
+    }
+}
+
 function resetFormAluno() {
     document.getElementById('form-aluno').reset();
     document.getElementById('aluno-id').value = '';
@@ -371,29 +840,55 @@ function resetFormAluno() {
 async function atualizarSelectsEmprestimo() {
     const selectLivro = document.getElementById('emprestimo-livro');
     const selectAluno = document.getElementById('emprestimo-aluno');
+    const selectReservaLivro = document.getElementById('reserva-livro');
+    const selectReservaAluno = document.getElementById('reserva-aluno');
     
     try {
-        const livros = await DB.getAll('livros');
-        const alunos = await DB.getAll('alunos');
+        const todosAlunos = await DB.getAll('alunos');
+        const reservas = await DB.getAll('reservas');
+
+        // Registros arquivados não aparecem nas seleções
+        const livros = (await DB.getAll('livros')).filter(l => !l.arquivado);
+        const alunos = todosAlunos.filter(a => !a.arquivado);
+        const mapaAlunos = new Map(todosAlunos.map(a => [a.id, a.nome]));
+        const retidasPorLivro = new Map();
+        reservas.filter(r => r.status === 'disponivel').forEach(r => {
+            if (!retidasPorLivro.has(r.idLivro)) retidasPorLivro.set(r.idLivro, []);
+            retidasPorLivro.get(r.idLivro).push(mapaAlunos.get(r.idAluno) || 'Aluno Excluído');
+        });
         
-        // Atualiza Select de Livros (Apenas disponíveis)
+        // Atualiza Select de Livros (Disponíveis ou com exemplar retido por reserva)
         selectLivro.innerHTML = '<option value="">Selecione um livro disponível...</option>';
+        selectReservaLivro.innerHTML = '<option value="">Selecione um livro indisponível...</option>';
         livros.forEach(livro => {
-            if (livro.quantidadeDisponivel > 0) {
+            const retidas = retidasPorLivro.get(livro.id) || [];
+            if (livro.quantidadeDisponivel > 0 || retidas.length > 0) {
                 const option = document.createElement('option');
                 option.value = livro.id;
-                option.textContent = `${livro.titulo} (${livro.quantidadeDisponivel} disp.)`;
+                option.textContent = livro.quantidadeDisponivel > 0
+                    ? `${livro.titulo} (${livro.quantidadeDisponivel} disp.)`
+                    : `${livro.titulo} (reservado para ${retidas.join(', ')})`;
                 selectLivro.appendChild(option);
             }
+
+            // Reservas só fazem sentido para livros sem exemplares disponíveis
+            if (livro.quantidadeDisponivel <= 0) {
+                const option = document.createElement('option');
+                option.value = livro.id;
+                option.textContent = livro.titulo;
+                selectReservaLivro.appendChild(option);
+            }
         });
 
-        // Atualiza Select de Alunos
+        // Atualiza Selects de Alunos
         selectAluno.innerHTML = '<option value="">Selecione um aluno...</option>';
+        selectReservaAluno.innerHTML = '<option value="">Selecione um aluno...</option>';
         alunos.forEach(aluno => {
             const option = document.createElement('option');
             option.value = aluno.id;
             option.textContent = `${aluno.nome} - ${aluno.turma}`;
             selectAluno.appendChild(option);
+            selectReservaAluno.appendChild(option.cloneNode(true));
         });
     } catch (error) {
         console.error("Erro ao atualizar selects:", error);
@@ -405,6 +900,7 @@ async function handleRegistrarEmprestimo(event) {
     
     const idLivro = parseInt(document.getElementById('emprestimo-livro').value, 10);
     const idAluno = parseInt(document.getElementById('emprestimo-aluno').value, 10);
+    const tombo = document.getElementById('emprestimo-exemplar').value;
     const dataPrevistaDevolucao = document.getElementById('emprestimo-data-prevista').value;
     
     // Formata a data de hoje para YYYY-MM-DD
@@ -422,17 +918,22 @@ async function handleRegistrarEmprestimo(event) {
         dataDevolucaoReal: null,
         status: 'ativo'
     };
+    // Sem exemplar escolhido, o banco entrega o retido para o aluno ou o primeiro disponível
+    if (tombo) emprestimo.tombo = tombo;
 
     try {
-        // Usa a transação atômica
-        await DB.registrarEmprestimo(emprestimo);
+        // Usa a transação atômica (com a política de empréstimo do aluno)
+        const { id } = await registrarEmprestimoComPolitica(emprestimo);
         showToast("Empréstimo registrado com sucesso!");
+        await imprimirComprovanteAutomatico(id);
         document.getElementById('form-emprestimo').reset();
+        await atualizarSelectExemplares();
         configurarDataPrevistaPadrao();
         
         // Atualiza as views
         await renderizarTabelaLivros();
         await renderizarTabelaEmprestimos();
+        await renderizarTabelaReservas();
         await atualizarSelectsEmprestimo();
     } catch (error) {
         showToast(error.message || "Erro ao registrar empréstimo.", "error");
@@ -440,6 +941,60 @@ async function handleRegistrarEmprestimo(event) {
     }
 }
 
+/**
+ * Registra o empréstimo aplicando a política do aluno (limite simultâneo e atrasos).
+ * Se a política bloquear, oferece a liberação manual mediante justificativa,
+ * que fica registrada no próprio empréstimo.
+ * @param {object} emprestimo Dados do empréstimo.
+ * @returns {Promise<object>} Empréstimo gravado (com id e tombo).
+ */
+async function registrarEmprestimoComPolitica(emprestimo) {
+    const opcoes = { maxEmprestimosAluno: obterConfiguracoes().maxEmprestimosAluno };
+
+    try {
+        return await DB.registrarEmprestimo(emprestimo, opcoes);
+    } catch (error) {
+        if (error.codigo !== 'POLITICA') throw error;
+
+        if (!confirm(`${error.message}\n\nDeseja liberar este empréstimo mesmo assim?`)) {
+            throw error;
+        }
+        const justificativa = (prompt("Informe a justificativa da liberação:") || '').trim();
+        if (!justificativa) {
+            throw new Error("Liberação cancelada: a justificativa é obrigatória.");
+        }
+
+        return DB.registrarEmprestimo(emprestimo, { ...opcoes, justificativaExcecao: justificativa });
+    }
+}
+
+/**
+ * Preenche a escolha de exemplar do formulário de empréstimo com os tombos disponíveis do livro selecionado.
+ */
+async function atualizarSelectExemplares() {
+    const select = document.getElementById('emprestimo-exemplar');
+    const idLivro = parseInt(document.getElementById('emprestimo-livro').value, 10);
+    select.innerHTML = '<option value="">Qualquer exemplar disponível</option>';
+    if (!idLivro) return;
+
+    try {
+        const exemplares = await DB.getAllByIndex('exemplares', 'idx_idLivro', idLivro);
+        exemplares
+            .filter(e => e.status === 'disponivel')
+            .sort((a, b) => a.tombo.localeCompare(b.tombo))
+            .forEach(exemplar => {
+                const option = document.createElement('option');
+                option.value = exemplar.tombo;
+                option.textContent = exemplar.localizacao
+                    ? `${exemplar.tombo} (${exemplar.localizacao})`
+                    : exemplar.tombo;
+                select.appendChild(option);
+            });
+    } catch (error) {
+        console.error("Erro ao carregar exemplares:", error);
+    }
+}
+
 async function renderizarTabelaEmprestimos() {
     const tbody = document.querySelector('#tabela-emprestimos tbody');
     tbody.innerHTML = '';
@@ -477,7 +1032,10 @@ async function renderizarTabelaEmprestimos() {
             
             if (emp.status === 'devolvido') {
                 statusBadge = `<span style="color: var(--success-color); font-weight: 600;">Devolvido em ${formatarData(emp.dataDevolucaoReal)}</span>`;
-                acoesHtml = `<span style="color: var(--text-muted)">Concluído</span>`;
+                acoesHtml = `
+                    <span style="color: var(--text-muted)">Concluído</span>
+                    <button class="btn btn-sm btn-secondary" onclick="imprimirComprovante(${emp.id})">Recibo</button>
+                `;
             } else {
                 // Calcula atraso dinamicamente
                 const { isAtrasado, diasAtraso } = calcularAtraso(emp.dataPrevistaDevolucao);
@@ -489,13 +1047,27 @@ async function renderizarTabelaEmprestimos() {
                 } else {
                     statusBadge = `<span style="color: var(--primary-color); font-weight: 600;">Ativo</span>`;
                 }
+
+                const totalRenovacoes = (emp.renovacoes || []).length;
+                if (totalRenovacoes > 0) {
+                    statusBadge += ` <small class="status-extra" title="Renovações registradas">${totalRenovacoes}x renovado</small>`;
+                }
                 
-                acoesHtml = `<button class="btn btn-sm btn-success" onclick="registrarDevolucao(${emp.id})">Devolver</button>`;
+                acoesHtml = `
+                    <button class="btn btn-sm btn-success" onclick="registrarDevolucao(${emp.id})">Devolver</button>
+                    <button class="btn btn-sm btn-secondary" onclick="renovarEmprestimo(${emp.id})" ${isAtrasado ? 'disabled title="Empréstimo atrasado"' : ''}>Renovar</button>
+                    <button class="btn btn-sm btn-secondary" onclick="imprimirComprovante(${emp.id})">Recibo</button>
+                `;
             }
 
+            if (emp.excecaoPolitica) {
+                statusBadge += ` <small class="status-extra" title="${escaparHTML(`${emp.excecaoPolitica.motivo} Justificativa: ${emp.excecaoPolitica.justificativa}`)}">liberado</small>`;
+            }
+
+            const tombo = emp.tombo ? ` <small class="status-extra">Tombo ${escaparHTML(emp.tombo)}</small>` : '';
             tr.innerHTML = `
-                <td>${tituloLivro}</td>
-                <td>${nomeAluno}</td>
+                <td>${escaparHTML(tituloLivro)}${tombo}</td>
+                <td>${escaparHTML(nomeAluno)}</td>
                 <td>${formatarData(emp.dataEmprestimo)}</td>
                 <td>${formatarData(emp.dataPrevistaDevolucao)}</td>
                 <td>${statusBadge}</td>
@@ -518,13 +1090,26 @@ async function registrarDevolucao(idEmprestimo) {
             const dataDevolucaoReal = `${ano}-${mes}-${dia}`;
 
             // Usa a transação atômica
-            await DB.registrarDevolucao(idEmprestimo, dataDevolucaoReal);
+            const { reserva, multa } = await DB.registrarDevolucao(idEmprestimo, dataDevolucaoReal, {
+                dataLimiteRetirada: calcularDataLimiteRetirada(),
+                calcularMulta: calcularMultaEmprestimo
+            });
             
             showToast("Devolução registrada com sucesso!", "success");
+            await imprimirComprovanteAutomatico(idEmprestimo);
+            if (multa) {
+                showToast(`Multa de ${formatarMoeda(multa.valor)} gerada por ${multa.diasAtraso} dia(s) de atraso.`, "info");
+            }
+            if (reserva) {
+                const aluno = await DB.getById('alunos', reserva.idAluno);
+                showToast(`Exemplar retido para a reserva de ${aluno ? aluno.nome : 'aluno'} até ${formatarData(reserva.dataLimiteRetirada)}.`, "info");
+            }
             
             // Atualiza as views
             await renderizarTabelaLivros();
             await renderizarTabelaEmprestimos();
+            await renderizarTabelaReservas();
+            await renderizarMultas();
             await atualizarSelectsEmprestimo();
         } catch (error) {
             showToast(error.message || "Erro ao registrar devolução.", "error");
@@ -533,141 +1118,4347 @@ async function registrarDevolucao(idEmprestimo) {
     }
 }
 
-// ==========================================================================
-// Sistema de Backup e Restauração
-// ==========================================================================
-function gerarChecksumSimples(objeto) {
-    // Remove espaços e quebras de linha para garantir consistência
-    const str = JSON.stringify(objeto).replace(/\s/g, '');
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-        hash += str.charCodeAt(i);
-    }
-    return hash.toString(16);
-}
-
-async function exportarDados() {
+async function renovarEmprestimo(idEmprestimo) {
     try {
-        const dados = await DB.exportAllData();
-        const totalRegistros = dados.livros.length + dados.alunos.length + dados.emprestimos.length;
-
-        const payload = {
-            versao: "1.0",
-            dataExportacao: new Date().toISOString(),
-            totalRegistros: totalRegistros,
-            livros: dados.livros,
-            alunos: dados.alunos,
-            emprestimos: dados.emprestimos
-        };
+        const { diasRenovacao, maxRenovacoes } = obterConfiguracoes();
+        const emprestimo = await DB.getById('emprestimos', idEmprestimo);
+        if (!emprestimo) return;
 
-        payload.checksum = gerarChecksumSimples(payload);
+        // O novo prazo conta a partir da data prevista atual (ou de hoje, se for posterior)
+        const hoje = formatarDataISO(new Date());
+        const base = emprestimo.dataPrevistaDevolucao > hoje ? emprestimo.dataPrevistaDevolucao : hoje;
+        const novaDataPrevista = adicionarDias(base, diasRenovacao);
 
-        const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        const dataStr = payload.dataExportacao.split('T')[0];
-        a.download = `backup-biblioteca-${dataStr}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        if (!confirm(`Renovar este empréstimo até ${formatarData(novaDataPrevista)}?`)) return;
 
-        showToast("Backup exportado com sucesso!");
-    } catch (e) {
-        showToast("Erro ao exportar dados.", "error");
-        console.error(e);
+        // Usa a transação atômica
+        await DB.renovarEmprestimo(idEmprestimo, novaDataPrevista, hoje, maxRenovacoes);
+        showToast(`Empréstimo renovado até ${formatarData(novaDataPrevista)}.`);
+        await renderizarTabelaEmprestimos();
+    } catch (error) {
+        showToast(error.message || "Erro ao renovar empréstimo.", "error");
+        console.error(error);
     }
 }
 
-function validarBackup(json) {
-    // 2) Estrutura mínima
-    if (!json.versao || !json.dataExportacao || json.totalRegistros === undefined || !json.checksum) {
-        throw new Error("Estrutura do backup inválida (campos raiz ausentes).");
-    }
+// ==========================================================================
+// Controladores (Controllers): Reservas
+// ==========================================================================
+/**
+ * Prazo para o aluno retirar um exemplar retido, contado a partir de hoje.
+ */
+function calcularDataLimiteRetirada() {
+    return adicionarDias(formatarDataISO(new Date()), obterConfiguracoes().diasReserva);
+}
 
-    // 3) Arrays realmente arrays
-    if (!Array.isArray(json.livros) || !Array.isArray(json.alunos) || !Array.isArray(json.emprestimos)) {
-        throw new Error("Estrutura de dados corrompida (esperado arrays).");
+/**
+ * Encerra retenções vencidas e repassa os exemplares para o próximo da fila.
+ */
+async function processarReservasExpiradas() {
+    try {
+        const expiradas = await DB.processarReservasExpiradas(formatarDataISO(new Date()), calcularDataLimiteRetirada());
+        if (expiradas > 0) {
+            showToast(`${expiradas} reserva(s) expirada(s) repassada(s) para o próximo da fila.`, "info");
+        }
+    } catch (error) {
+        console.error("Erro ao processar reservas expiradas:", error);
     }
+}
 
-    // 6) totalRegistros confere
-    const somaReal = json.livros.length + json.alunos.length + json.emprestimos.length;
-    if (json.totalRegistros !== somaReal) {
-        throw new Error("Total de registros não confere com a soma real.");
+async function handleRegistrarReserva(event) {
+    event.preventDefault();
+
+    const reserva = {
+        idLivro: parseInt(document.getElementById('reserva-livro').value, 10),
+        idAluno: parseInt(document.getElementById('reserva-aluno').value, 10),
+        dataReserva: new Date().toISOString()
+    };
+
+    try {
+        // Usa a transação atômica
+        await DB.registrarReserva(reserva);
+        showToast("Aluno adicionado à fila de reservas!");
+        document.getElementById('form-reserva').reset();
+        await renderizarTabelaReservas();
+    } catch (error) {
+        showToast(error.message || "Erro ao registrar reserva.", "error");
+        console.error(error);
     }
+}
 
-    // 7) checksum válido
-    const checksumOriginal = json.checksum;
-    delete json.checksum; // Remove para recalcular
-    const checksumCalculado = gerarChecksumSimples(json);
-    json.checksum = checksumOriginal; // Restaura o objeto original
-    
-    if (checksumOriginal !== checksumCalculado) {
-        throw new Error("Checksum inválido. O arquivo foi modificado ou está corrompido.");
+async function renderizarTabelaReservas() {
+    const tbody = document.querySelector('#tabela-reservas tbody');
+    tbody.innerHTML = '';
+
+    try {
+        const reservas = await DB.getAll('reservas');
+        const livros = await DB.getAll('livros');
+        const alunos = await DB.getAll('alunos');
+
+        const mapaLivros = new Map(livros.map(l => [l.id, l.titulo]));
+        const mapaAlunos = new Map(alunos.map(a => [a.id, a.nome]));
+
+        const ativas = reservas
+            .filter(r => r.status === 'aguardando' || r.status === 'disponivel')
+            .sort((a, b) => a.id - b.id);
+
+        if (ativas.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" style="text-align:center">Nenhuma reserva ativa.</td></tr>';
+            return;
+        }
+
+        // Posição na fila de cada livro (ordem de chegada)
+        const posicoes = new Map();
+        ativas.forEach(reserva => {
+            if (reserva.status !== 'aguardando') return;
+            const posicao = (posicoes.get(reserva.idLivro) || 0) + 1;
+            posicoes.set(reserva.idLivro, posicao);
+            reserva.posicao = posicao;
+        });
+
+        ativas.forEach(reserva => {
+            const statusBadge = reserva.status === 'disponivel'
+                ? `<span style="color: var(--success-color); font-weight: 600;">Retido até ${formatarData(reserva.dataLimiteRetirada)}</span>`
+                : `<span style="color: var(--primary-color); font-weight: 600;">Aguardando (${reserva.posicao}º da fila)</span>`;
+
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${escaparHTML(mapaLivros.get(reserva.idLivro) || 'Livro Excluído')}</td>
+                <td>${escaparHTML(mapaAlunos.get(reserva.idAluno) || 'Aluno Excluído')}</td>
+                <td>${formatarData(reserva.dataReserva.split('T')[0])}</td>
+                <td>${statusBadge}</td>
+                <td class="td-actions">
+                    <button class="btn btn-sm btn-danger" onclick="cancelarReserva(${reserva.id})">Cancelar</button>
+                </td>
+            `;
+            tbody.appendChild(tr);
+        });
+    } catch (error) {
+        console.error("Erro ao carregar reservas:", error);
     }
+}
 
-    // 4 & 5) Tipos primitivos e campos obrigatórios
-    validarEstrutura(json.livros, ['id', 'titulo', 'autor', 'isbn', 'quantidadeTotal', 'quantidadeDisponivel']);
-    validarEstrutura(json.alunos, ['id', 'nome', 'matricula', 'turma']);
-    validarEstrutura(json.emprestimos, ['id', 'idLivro', 'idAluno', 'dataEmprestimo', 'dataPrevistaDevolucao', 'status']);
+async function cancelarReserva(idReserva) {
+    if (!confirm("Cancelar esta reserva?")) return;
+
+    try {
+        await DB.cancelarReserva(idReserva, formatarDataISO(new Date()), calcularDataLimiteRetirada());
+        showToast("Reserva cancelada.");
+        await renderizarTabelaLivros();
+        await renderizarTabelaReservas();
+        await atualizarSelectsEmprestimo();
+    } catch (error) {
+        showToast(error.message || "Erro ao cancelar reserva.", "error");
+        console.error(error);
+    }
 }
 
-function validarEstrutura(array, camposObrigatorios) {
-    for (let item of array) {
-        if (typeof item !== 'object' || item === null) throw new Error("Item inválido no array (não é objeto).");
-        for (let campo of camposObrigatorios) {
-            if (!(campo in item)) {
-                throw new Error(`Campo obrigatório '${campo}' ausente em um dos registros.`);
+// ==========================================================================
+// Controladores (Controllers): Multas
+// ==========================================================================
+const ROTULOS_STATUS_MULTA = {
+    pendente: 'Pendente',
+    paga: 'Paga',
+    perdoada: 'Perdoada'
+};
+
+async function renderizarMultas() {
+    const tbody = document.querySelector('#tabela-multas tbody');
+    const filtroStatus = document.getElementById('filtro-multas-status').value;
+    tbody.innerHTML = '';
+
+    try {
+        const multas = await DB.getAll('multas');
+        const livros = await DB.getAll('livros');
+        const alunos = await DB.getAll('alunos');
+
+        const mapaLivros = new Map(livros.map(l => [l.id, l.titulo]));
+        const mapaAlunos = new Map(alunos.map(a => [a.id, a]));
+
+        renderizarSaldosMultas(multas.filter(m => m.status === 'pendente'), mapaAlunos);
+
+        const filtradas = multas
+            .filter(m => !filtroStatus || m.status === filtroStatus)
+            .sort((a, b) => b.id - a.id);
+
+        if (filtradas.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align:center">Nenhuma multa encontrada.</td></tr>';
+            return;
+        }
+
+        filtradas.forEach(multa => {
+            const aluno = mapaAlunos.get(multa.idAluno);
+            const cores = { pendente: 'var(--danger-color)', paga: 'var(--success-color)', perdoada: 'var(--text-muted)' };
+            let statusBadge = `<span style="color: ${cores[multa.status]}; font-weight: 600;">${ROTULOS_STATUS_MULTA[multa.status]}</span>`;
+            if (multa.dataQuitacao) {
+                statusBadge += ` <small class="status-extra" title="${escaparHTML(multa.observacao)}">em ${formatarData(multa.dataQuitacao)}</small>`;
             }
+
+            const acoesHtml = multa.status === 'pendente'
+                ? `<button class="btn btn-sm btn-success" onclick="quitarMulta(${multa.id}, 'paga')">Registrar Pagamento</button>
+                   <button class="btn btn-sm btn-secondary" onclick="quitarMulta(${multa.id}, 'perdoada')">Perdoar</button>`
+                : `<span style="color: var(--text-muted)">Concluído</span>`;
+
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${aluno ? escaparHTML(aluno.nome) : 'Aluno Excluído'}</td>
+                <td>${escaparHTML(mapaLivros.get(multa.idLivro) || 'Livro Excluído')}</td>
+                <td>${multa.diasAtraso} dia(s)</td>
+                <td>${formatarMoeda(multa.valor)}</td>
+                <td>${statusBadge}</td>
+                <td class="td-actions">${acoesHtml}</td>
+            `;
+            tbody.appendChild(tr);
+        });
+    } catch (error) {
+        console.error("Erro ao carregar multas:", error);
+    }
+}
+
+/**
+ * Agrupa o saldo devedor (multas pendentes) por aluno e por turma.
+ * @param {Array} multasPendentes
+ * @param {Map} mapaAlunos id -> aluno
+ * @returns {{porAluno: Array, porTurma: Array, total: number}}
+ */
+function agruparSaldosMultas(multasPendentes, mapaAlunos) {
+    const porAluno = new Map();
+    const porTurma = new Map();
+    let total = 0;
+
+    multasPendentes.forEach(multa => {
+        const aluno = mapaAlunos.get(multa.idAluno);
+        const nome = aluno ? aluno.nome : 'Aluno Excluído';
+        const turma = aluno ? aluno.turma : 'Sem turma';
+
+        porAluno.set(multa.idAluno, { nome, turma, valor: ((porAluno.get(multa.idAluno) || {}).valor || 0) + multa.valor });
+        porTurma.set(turma, (porTurma.get(turma) || 0) + multa.valor);
+        total += multa.valor;
+    });
+
+    return {
+        porAluno: [...porAluno.values()].sort((a, b) => b.valor - a.valor),
+        porTurma: [...porTurma.entries()].map(([turma, valor]) => ({ turma, valor })).sort((a, b) => b.valor - a.valor),
+        total
+    };
+}
+
+function renderizarSaldosMultas(multasPendentes, mapaAlunos) {
+    const { porAluno, porTurma, total } = agruparSaldosMultas(multasPendentes, mapaAlunos);
+
+    document.getElementById('multas-total-pendente').textContent = formatarMoeda(total);
+
+    const linhas = (itens, rotulo) => itens.length === 0
+        ? '<tr><td colspan="2" style="text-align:center">Nenhum saldo pendente.</td></tr>'
+        : itens.map(item => `<tr><td>${rotulo(item)}</td><td>${formatarMoeda(item.valor)}</td></tr>`).join('');
+
+    document.querySelector('#tabela-saldo-alunos tbody').innerHTML = linhas(porAluno, item => `${escaparHTML(item.nome)} <small class="status-extra">${escaparHTML(item.turma)}</small>`);
+    document.querySelector('#tabela-saldo-turmas tbody').innerHTML = linhas(porTurma, item => escaparHTML(item.turma));
+}
+
+async function quitarMulta(idMulta, novoStatus) {
+    let observacao;
+    if (novoStatus === 'perdoada') {
+        observacao = (prompt("Informe o motivo do perdão da multa:") || '').trim();
+        if (!observacao) {
+            showToast("O motivo do perdão é obrigatório.", "error");
+            return;
         }
+    } else {
+        observacao = prompt("Forma de pagamento / observação (opcional):");
+        if (observacao === null) return;
+    }
+
+    try {
+        await DB.quitarMulta(idMulta, novoStatus, formatarDataISO(new Date()), observacao.trim());
+        showToast(novoStatus === 'paga' ? "Pagamento registrado!" : "Multa perdoada.");
+        await renderizarMultas();
+    } catch (error) {
+        showToast(error.message || "Erro ao atualizar multa.", "error");
+        console.error(error);
     }
 }
 
-async function handleImportarDados(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+// ==========================================================================
+// Controladores (Controllers): Exemplares
+// ==========================================================================
+const ROTULOS_SITUACAO_EXEMPLAR = {
+    disponivel: { texto: 'Disponível', cor: 'var(--success-color)' },
+    emprestado: { texto: 'Emprestado', cor: 'var(--primary-color)' },
+    retido: { texto: 'Retido p/ reserva', cor: 'var(--text-main)' },
+    baixado: { texto: 'Baixado', cor: 'var(--text-muted)' }
+};
 
-    const reader = new FileReader();
-    reader.onload = async (e) => {
-        try {
-            // 1) JSON válido (try/catch)
-            let json;
-            try {
-                json = JSON.parse(e.target.result);
-            } catch (err) {
-                throw new Error("Arquivo não é um JSON válido.");
-            }
+const ROTULOS_CONSERVACAO_EXEMPLAR = {
+    novo: 'Novo',
+    bom: 'Bom',
+    regular: 'Regular',
+    danificado: 'Danificado'
+};
 
-            // Validações profundas
-            validarBackup(json);
+// Livro exibido no modal de exemplares (null quando fechado)
+let idLivroExemplaresAberto = null;
 
-            if (!confirm("Atenção: A restauração substituirá TODOS os dados atuais. Deseja continuar?")) {
-                event.target.value = ''; // Reseta o input
-                return;
-            }
+async function abrirExemplares(idLivro) {
+    idLivroExemplaresAberto = idLivro;
+    resetFormExemplar();
+    await renderizarExemplares();
+    document.getElementById('modal-exemplares').classList.remove('hidden');
+}
 
-            // Criar backup temporário automático antes de restaurar (em memória)
-            const backupTemporario = await DB.exportAllData();
+function fecharExemplares() {
+    idLivroExemplaresAberto = null;
+    document.getElementById('modal-exemplares').classList.add('hidden');
+}
 
-            try {
-                // Inserir dados em uma única transação readwrite
-                await DB.importAllData(json);
-                showToast("Restauração concluída com sucesso!", "success");
-                carregarDadosIniciais(); // Recarrega a UI
-            } catch (err) {
-                // Rollback manual restaurando backup temporário
-                console.warn("Falha na restauração. Executando rollback para o backup temporário...");
-                await DB.importAllData(backupTemporario);
-                throw new Error("Erro durante a gravação no banco. Rollback executado com sucesso.");
-            }
+async function renderizarExemplares() {
+    if (idLivroExemplaresAberto === null) return;
+    const tbody = document.querySelector('#tabela-exemplares tbody');
 
-        } catch (error) {
-            showToast(`Erro na restauração: ${error.message}`, "error");
-            console.error(error);
-        } finally {
-            event.target.value = ''; // Reseta o input para permitir importar o mesmo arquivo novamente
+    try {
+        const [livro, exemplares] = await Promise.all([
+            DB.getById('livros', idLivroExemplaresAberto),
+            DB.getAllByIndex('exemplares', 'idx_idLivro', idLivroExemplaresAberto)
+        ]);
+        document.getElementById('exemplares-titulo').textContent =
+            `${livro.titulo} · ${livro.quantidadeDisponivel} de ${livro.quantidadeTotal} disponível(is)`;
+
+        if (exemplares.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align:center">Nenhum exemplar cadastrado.</td></tr>';
+            return;
         }
+
+        tbody.innerHTML = exemplares
+            .sort((a, b) => a.tombo.localeCompare(b.tombo))
+            .map(exemplar => {
+                const rotulo = ROTULOS_SITUACAO_EXEMPLAR[exemplar.status];
+                const tombo = escaparHTML(exemplar.tombo);
+                // Literal JS para o onclick: aspas no tombo não encerram o argumento
+                const tomboJS = escaparHTML(JSON.stringify(exemplar.tombo));
+                const motivo = exemplar.motivoBaixa
+                    ? ` <small class="status-extra" title="Baixado em ${formatarData(exemplar.dataBaixa)}">${escaparHTML(exemplar.motivoBaixa)}</small>`
+                    : '';
+                const acoes = exemplar.status === 'baixado' ? '' : `
+                    <button class="btn btn-sm btn-secondary" onclick="editarExemplar(${tomboJS})">Editar</button>
+                    <button class="btn btn-sm btn-danger" onclick="baixarExemplar(${tomboJS})" ${exemplar.status !== 'disponivel' ? 'disabled title="Exemplar fora da prateleira"' : ''}>Baixar</button>`;
+                return `
+                    <tr>
+                        <td>${tombo}</td>
+                        <td><span style="color: ${rotulo.cor}; font-weight: 600;">${rotulo.texto}</span>${motivo}</td>
+                        <td>${ROTULOS_CONSERVACAO_EXEMPLAR[exemplar.conservacao] || escaparHTML(exemplar.conservacao || '-')}</td>
+                        <td>${escaparHTML(exemplar.localizacao || '-')}</td>
+                        <td>${exemplar.dataAquisicao ? formatarData(exemplar.dataAquisicao) : '-'}</td>
+                        <td class="td-actions">${acoes}</td>
+                    </tr>`;
+            }).join('');
+    } catch (error) {
+        console.error("Erro ao carregar exemplares:", error);
+    }
+}
+
+async function handleSalvarExemplar(event) {
+    event.preventDefault();
+
+    const campoTombo = document.getElementById('exemplar-tombo');
+    const dados = {
+        conservacao: document.getElementById('exemplar-conservacao').value,
+        localizacao: document.getElementById('exemplar-localizacao').value.trim(),
+        dataAquisicao: document.getElementById('exemplar-data-aquisicao').value || null
     };
-    reader.readAsText(file);
+
+    try {
+        if (campoTombo.readOnly) {
+            await DB.atualizarExemplar(campoTombo.value, dados);
+            showToast("Exemplar atualizado!");
+        } else {
+            const tombo = await DB.adicionarExemplar({ ...dados, idLivro: idLivroExemplaresAberto, tombo: campoTombo.value.trim() });
+            showToast(`Exemplar ${tombo} adicionado!`);
+        }
+        resetFormExemplar();
+        await atualizarViewsExemplares();
+    } catch (error) {
+        showToast(error.message || "Erro ao salvar exemplar.", "error");
+        console.error(error);
+    }
+}
+
+async function editarExemplar(tombo) {
+    try {
+        const exemplar = await DB.getById('exemplares', tombo);
+        if (!exemplar) return;
+        const campoTombo = document.getElementById('exemplar-tombo');
+        campoTombo.value = exemplar.tombo;
+        campoTombo.readOnly = true;
+        document.getElementById('exemplar-conservacao').value = exemplar.conservacao || 'bom';
+        document.getElementById('exemplar-localizacao').value = exemplar.localizacao || '';
+        document.getElementById('exemplar-data-aquisicao').value = exemplar.dataAquisicao || '';
+        document.getElementById('btn-salvar-exemplar').textContent = 'Salvar Exemplar';
+        document.getElementById('btn-cancelar-exemplar').classList.remove('hidden');
+    } catch (error) {
+        showToast("Erro ao carregar dados do exemplar.", "error");
+    }
+}
+
+function resetFormExemplar() {
+    document.getElementById('form-exemplar').reset();
+    document.getElementById('exemplar-tombo').readOnly = false;
+    document.getElementById('btn-salvar-exemplar').textContent = 'Adicionar Exemplar';
+    document.getElementById('btn-cancelar-exemplar').classList.add('hidden');
+}
+
+async function baixarExemplar(tombo) {
+    const motivo = (prompt(`Informe o motivo da baixa do exemplar ${tombo} (ex: extraviado, danificado):`) || '').trim();
+    if (!motivo) return;
+
+    try {
+        await DB.baixarExemplar(tombo, motivo, formatarDataISO(new Date()));
+        showToast(`Exemplar ${tombo} baixado.`);
+        await atualizarViewsExemplares();
+    } catch (error) {
+        showToast(error.message || "Erro ao baixar exemplar.", "error");
+        console.error(error);
+    }
+}
+
+// Contadores do livro mudam junto com os exemplares
+async function atualizarViewsExemplares() {
+    await renderizarExemplares();
+    await renderizarTabelaLivros();
+    await atualizarSelectsEmprestimo();
+    await atualizarSelectExemplares();
+}
+
+// ==========================================================================
+// Controladores (Controllers): Perfil do Aluno
+// ==========================================================================
+// Aluno exibido no modal de perfil (null quando fechado)
+let idPerfilAberto = null;
+
+/**
+ * Separa os empréstimos de um aluno em abertos e histórico e soma as multas pendentes.
+ * @param {Array<object>} emprestimos Empréstimos do aluno (idx_idAluno).
+ * @param {Array<object>} multas Multas do aluno (idx_idAluno).
+ * @returns {{ativos: Array, historico: Array, totalAtrasados: number, saldoPendente: number}}
+ *          ativos: por data prevista, com { atraso } de calcularAtraso;
+ *          historico: devolvidos, do mais recente para o mais antigo.
+ */
+function resumirHistoricoAluno(emprestimos, multas) {
+    const ativos = emprestimos
+        .filter(e => e.status === 'ativo')
+        .map(e => ({ ...e, atraso: calcularAtraso(e.dataPrevistaDevolucao) }))
+        .sort((a, b) => a.dataPrevistaDevolucao.localeCompare(b.dataPrevistaDevolucao));
+
+    const historico = emprestimos
+        .filter(e => e.status === 'devolvido')
+        .sort((a, b) => (b.dataDevolucaoReal || '').localeCompare(a.dataDevolucaoReal || ''));
+
+    return {
+        ativos,
+        historico,
+        totalAtrasados: ativos.filter(e => e.atraso.isAtrasado).length,
+        saldoPendente: multas.filter(m => m.status === 'pendente').reduce((soma, m) => soma + m.valor, 0)
+    };
+}
+
+async function abrirPerfilAluno(idAluno) {
+    idPerfilAberto = idAluno;
+    document.getElementById('perfil-emprestimo-data-prevista').value =
+        adicionarDias(formatarDataISO(new Date()), obterConfiguracoes().prazoEmprestimoDias);
+    await renderizarPerfilAluno();
+    document.getElementById('modal-perfil-aluno').classList.remove('hidden');
+}
+
+function fecharPerfilAluno() {
+    idPerfilAberto = null;
+    document.getElementById('modal-perfil-aluno').classList.add('hidden');
+}
+
+async function renderizarPerfilAluno() {
+    if (idPerfilAberto === null) return;
+
+    try {
+        const aluno = await DB.getById('alunos', idPerfilAberto);
+        if (!aluno) {
+            fecharPerfilAluno();
+            return;
+        }
+
+        const [emprestimos, multas, livros, reservas] = await Promise.all([
+            DB.getAllByIndex('emprestimos', 'idx_idAluno', aluno.id),
+            DB.getAllByIndex('multas', 'idx_idAluno', aluno.id),
+            DB.getAll('livros'),
+            DB.getAllByIndex('reservas', 'idx_idAluno', aluno.id)
+        ]);
+        const mapaLivros = new Map(livros.map(l => [l.id, l]));
+        const { ativos, historico, totalAtrasados, saldoPendente } = resumirHistoricoAluno(emprestimos, multas);
+        const livroDe = (id) => mapaLivros.get(id) || { titulo: 'Livro Excluído', autor: '-' };
+
+        document.getElementById('perfil-nome').textContent = aluno.nome;
+        document.getElementById('perfil-dados').textContent =
+            `Matrícula ${aluno.matricula} · Turma ${aluno.turma}${aluno.arquivado ? ' · Arquivado' : ''}`;
+        document.getElementById('perfil-total-emprestimos').textContent = emprestimos.length;
+        document.getElementById('perfil-total-ativos').textContent = ativos.length;
+        document.getElementById('perfil-total-atrasados').textContent = totalAtrasados;
+        document.getElementById('perfil-saldo-multas').textContent = formatarMoeda(saldoPendente);
+
+        // Empréstimo pelo perfil: livros com exemplar livre ou retido para este aluno
+        const form = document.getElementById('form-perfil-emprestimo');
+        form.classList.toggle('hidden', !!aluno.arquivado);
+        const retidosParaAluno = new Set(reservas.filter(r => r.status === 'disponivel').map(r => r.idLivro));
+        const selectLivro = document.getElementById('perfil-emprestimo-livro');
+        selectLivro.innerHTML = '<option value="">Selecione um livro disponível...</option>';
+        livros
+            .filter(l => !l.arquivado && (l.quantidadeDisponivel > 0 || retidosParaAluno.has(l.id)))
+            .forEach(livro => {
+                const option = document.createElement('option');
+                option.value = livro.id;
+                option.textContent = retidosParaAluno.has(livro.id)
+                    ? `${livro.titulo} (reservado para este aluno)`
+                    : `${livro.titulo} (${livro.quantidadeDisponivel} disp.)`;
+                selectLivro.appendChild(option);
+            });
+
+        const tbodyAtivos = document.querySelector('#perfil-tabela-ativos tbody');
+        tbodyAtivos.innerHTML = ativos.length === 0
+            ? '<tr><td colspan="5" style="text-align:center">Nenhum empréstimo em aberto.</td></tr>'
+            : ativos.map(emp => {
+                const status = emp.atraso.isAtrasado
+                    ? `<span style="color: var(--danger-color); font-weight: 600;">Atrasado (${emp.atraso.diasAtraso} dias)</span>`
+                    : '<span style="color: var(--primary-color); font-weight: 600;">Ativo</span>';
+                return `
+                    <tr>
+                        <td>${escaparHTML(livroDe(emp.idLivro).titulo)}${emp.tombo ? ` <small class="status-extra">Tombo ${escaparHTML(emp.tombo)}</small>` : ''}</td>
+                        <td>${formatarData(emp.dataEmprestimo)}</td>
+                        <td>${formatarData(emp.dataPrevistaDevolucao)}</td>
+                        <td>${status}</td>
+                        <td class="td-actions">
+                            <button class="btn btn-sm btn-success" onclick="devolverPeloPerfil(${emp.id})">Devolver</button>
+                            <button class="btn btn-sm btn-secondary" onclick="renovarPeloPerfil(${emp.id})" ${emp.atraso.isAtrasado ? 'disabled title="Empréstimo atrasado"' : ''}>Renovar</button>
+                        </td>
+                    </tr>`;
+            }).join('');
+
+        const tbodyHistorico = document.querySelector('#perfil-tabela-historico tbody');
+        tbodyHistorico.innerHTML = historico.length === 0
+            ? '<tr><td colspan="5" style="text-align:center">Nenhuma leitura concluída.</td></tr>'
+            : historico.map(emp => {
+                const livro = livroDe(emp.idLivro);
+                const diasAtraso = Math.max(0, diferencaEmDias(emp.dataPrevistaDevolucao, emp.dataDevolucaoReal));
+                return `
+                    <tr>
+                        <td>${escaparHTML(livro.titulo)}</td>
+                        <td>${escaparHTML(livro.autor)}</td>
+                        <td>${formatarData(emp.dataEmprestimo)}</td>
+                        <td>${formatarData(emp.dataDevolucaoReal)}</td>
+                        <td>${diasAtraso > 0 ? `${diasAtraso} dia(s)` : 'No prazo'}</td>
+                    </tr>`;
+            }).join('');
+
+        const tbodyMultas = document.querySelector('#perfil-tabela-multas tbody');
+        tbodyMultas.innerHTML = multas.length === 0
+            ? '<tr><td colspan="4" style="text-align:center">Nenhuma multa.</td></tr>'
+            : multas.map(multa => `
+                <tr>
+                    <td>${escaparHTML(livroDe(multa.idLivro).titulo)}</td>
+                    <td>${formatarData(multa.dataGeracao)}</td>
+                    <td>${formatarMoeda(multa.valor)}</td>
+                    <td>${ROTULOS_STATUS_MULTA[multa.status]}</td>
+                </tr>`).join('');
+    } catch (error) {
+        console.error("Erro ao carregar perfil do aluno:", error);
+    }
+}
+
+async function handleEmprestimoPeloPerfil(event) {
+    event.preventDefault();
+
+    const emprestimo = {
+        idLivro: parseInt(document.getElementById('perfil-emprestimo-livro').value, 10),
+        idAluno: idPerfilAberto,
+        dataEmprestimo: formatarDataISO(new Date()),
+        dataPrevistaDevolucao: document.getElementById('perfil-emprestimo-data-prevista').value,
+        dataDevolucaoReal: null,
+        status: 'ativo'
+    };
+
+    try {
+        const { id } = await registrarEmprestimoComPolitica(emprestimo);
+        showToast("Empréstimo registrado com sucesso!");
+        await imprimirComprovanteAutomatico(id);
+        await renderizarPerfilAluno();
+        await renderizarTabelaLivros();
+        await renderizarTabelaEmprestimos();
+        await renderizarTabelaReservas();
+        await atualizarSelectsEmprestimo();
+    } catch (error) {
+        showToast(error.message || "Erro ao registrar empréstimo.", "error");
+        console.error(error);
+    }
+}
+
+async function devolverPeloPerfil(idEmprestimo) {
+    await registrarDevolucao(idEmprestimo);
+    await renderizarPerfilAluno();
+}
+
+async function renovarPeloPerfil(idEmprestimo) {
+    await renovarEmprestimo(idEmprestimo);
+    await renderizarPerfilAluno();
+}
+
+// ==========================================================================
+// Utilitários: Gráficos SVG
+// ==========================================================================
+
+/**
+ * Gera um gráfico de barras horizontais (rótulo à esquerda, valor após a barra).
+ * @param {Array<{rotulo: string, valor: number}>} itens
+ * @returns {string} Marcação SVG.
+ */
+function gerarGraficoBarras(itens) {
+    if (itens.length === 0) return '<p class="grafico-vazio">Sem dados no período.</p>';
+
+    const alturaLinha = 26;
+    const larguraRotulo = 190;
+    const larguraBarras = 340;
+    const maximo = Math.max(...itens.map(item => item.valor), 1);
+    const altura = itens.length * alturaLinha;
+
+    const barras = itens.map((item, i) => {
+        const y = i * alturaLinha;
+        const largura = Math.max(2, (item.valor / maximo) * larguraBarras);
+        const rotulo = item.rotulo.length > 28 ? `${item.rotulo.slice(0, 27)}…` : item.rotulo;
+        return `
+            <g>
+                <title>${escaparHTML(item.rotulo)}: ${item.valor}</title>
+                <text class="grafico-texto" x="${larguraRotulo - 8}" y="${y + 17}" text-anchor="end">${escaparHTML(rotulo)}</text>
+                <rect class="grafico-barra" x="${larguraRotulo}" y="${y + 4}" width="${largura}" height="${alturaLinha - 8}" rx="3"></rect>
+                <text class="grafico-texto" x="${larguraRotulo + largura + 6}" y="${y + 17}">${item.valor}</text>
+            </g>`;
+    }).join('');
+
+    return `<svg viewBox="0 0 ${larguraRotulo + larguraBarras + 50} ${altura}" role="img">${barras}</svg>`;
+}
+
+/**
+ * Gera um gráfico de colunas (série temporal), com o rótulo sob cada coluna.
+ * @param {Array<{rotulo: string, valor: number}>} itens
+ * @returns {string} Marcação SVG.
+ */
+function gerarGraficoColunas(itens) {
+    if (itens.length === 0) return '<p class="grafico-vazio">Sem dados no período.</p>';
+
+    const alturaColunas = 160;
+    const larguraColuna = 48;
+    const maximo = Math.max(...itens.map(item => item.valor), 1);
+
+    const colunas = itens.map((item, i) => {
+        const x = i * larguraColuna;
+        const altura = (item.valor / maximo) * alturaColunas;
+        const y = 20 + alturaColunas - altura;
+        return `
+            <g>
+                <title>${escaparHTML(item.rotulo)}: ${item.valor}</title>
+                <text class="grafico-texto" x="${x + larguraColuna / 2}" y="${y - 4}" text-anchor="middle">${item.valor}</text>
+                <rect class="grafico-barra" x="${x + 8}" y="${y}" width="${larguraColuna - 16}" height="${altura}" rx="3"></rect>
+                <text class="grafico-texto" x="${x + larguraColuna / 2}" y="${alturaColunas + 38}" text-anchor="middle">${escaparHTML(item.rotulo)}</text>
+            </g>`;
+    }).join('');
+
+    return `<svg viewBox="0 0 ${Math.max(itens.length * larguraColuna, 300)} ${alturaColunas + 46}" role="img">${colunas}</svg>`;
+}
+
+// ==========================================================================
+// Controladores (Controllers): Relatórios de Circulação
+// ==========================================================================
+const LIMITE_RANKING_RELATORIO = 10;
+
+/**
+ * Dias corridos entre duas datas YYYY-MM-DD.
+ * @param {string} inicioISO
+ * @param {string} fimISO
+ * @returns {number}
+ */
+function diferencaEmDias(inicioISO, fimISO) {
+    const [a1, m1, d1] = inicioISO.split('-').map(Number);
+    const [a2, m2, d2] = fimISO.split('-').map(Number);
+    return Math.round((Date.UTC(a2, m2 - 1, d2) - Date.UTC(a1, m1 - 1, d1)) / 86400000);
+}
+
+/**
+ * Conta ocorrências por chave e retorna o ranking em ordem decrescente.
+ * @param {Array} itens
+ * @param {function} chave item -> rótulo
+ * @param {number} [limite]
+ * @returns {Array<{rotulo: string, valor: number}>}
+ */
+function rankearPorChave(itens, chave, limite = Infinity) {
+    const contagem = new Map();
+    itens.forEach(item => {
+        const rotulo = chave(item);
+        contagem.set(rotulo, (contagem.get(rotulo) || 0) + 1);
+    });
+    return [...contagem.entries()]
+        .map(([rotulo, valor]) => ({ rotulo, valor }))
+        .sort((a, b) => b.valor - a.valor || a.rotulo.localeCompare(b.rotulo, 'pt-BR'))
+        .slice(0, limite);
+}
+
+/**
+ * Agrega os empréstimos feitos no período (pela data do empréstimo).
+ * Um empréstimo conta como atrasado se foi devolvido depois da data prevista
+ * ou se continua ativo e calcularAtraso o aponta como atrasado.
+ * @param {Array<object>} emprestimos Todos os empréstimos.
+ * @param {Array<object>} livros
+ * @param {Array<object>} alunos
+ * @param {{de: string, ate: string}} periodo Datas YYYY-MM-DD (inclusivas).
+ * @returns {object} { total, atrasados, taxaAtraso, duracaoMedia, leitores, porMes,
+ *                     topTitulos, topAutores, porTurma, porAluno, nuncaEmprestados }
+ */
+function calcularEstatisticasCirculacao(emprestimos, livros, alunos, periodo) {
+    const mapaLivros = new Map(livros.map(l => [l.id, l]));
+    const mapaAlunos = new Map(alunos.map(a => [a.id, a]));
+    const doPeriodo = emprestimos.filter(e => e.dataEmprestimo >= periodo.de && e.dataEmprestimo <= periodo.ate);
+
+    const atrasados = doPeriodo.filter(e => e.status === 'devolvido'
+        ? e.dataDevolucaoReal > e.dataPrevistaDevolucao
+        : calcularAtraso(e.dataPrevistaDevolucao).isAtrasado).length;
+
+    const devolvidos = doPeriodo.filter(e => e.status === 'devolvido' && e.dataDevolucaoReal);
+    const duracaoMedia = devolvidos.length === 0 ? null
+        : devolvidos.reduce((soma, e) => soma + diferencaEmDias(e.dataEmprestimo, e.dataDevolucaoReal), 0) / devolvidos.length;
+
+    // Série mensal com todos os meses do período, inclusive os sem empréstimos
+    const porMes = [];
+    for (let mes = periodo.de.slice(0, 7); mes <= periodo.ate.slice(0, 7); mes = adicionarDias(`${mes}-28`, 4).slice(0, 7)) {
+        const [ano, numero] = mes.split('-');
+        const rotulo = `${new Date(ano, numero - 1, 1).toLocaleDateString('pt-BR', { month: 'short' }).replace('.', '')}/${ano.slice(2)}`;
+        porMes.push({ rotulo, valor: doPeriodo.filter(e => e.dataEmprestimo.startsWith(mes)).length });
+    }
+
+    const livroDe = (e) => mapaLivros.get(e.idLivro);
+    const alunoDe = (e) => mapaAlunos.get(e.idAluno);
+    const idsEmprestados = new Set(emprestimos.map(e => e.idLivro));
+
+    return {
+        total: doPeriodo.length,
+        atrasados,
+        taxaAtraso: doPeriodo.length === 0 ? 0 : atrasados / doPeriodo.length,
+        duracaoMedia,
+        leitores: new Set(doPeriodo.map(e => e.idAluno)).size,
+        porMes,
+        topTitulos: rankearPorChave(doPeriodo, e => (livroDe(e) || {}).titulo || 'Livro Excluído', LIMITE_RANKING_RELATORIO),
+        topAutores: rankearPorChave(doPeriodo, e => (livroDe(e) || {}).autor || 'Livro Excluído', LIMITE_RANKING_RELATORIO),
+        porTurma: rankearPorChave(doPeriodo, e => (alunoDe(e) || {}).turma || 'Sem turma'),
+        porAluno: rankearPorChave(doPeriodo, e => (alunoDe(e) || {}).nome || 'Aluno Excluído', LIMITE_RANKING_RELATORIO),
+        nuncaEmprestados: livros
+            .filter(l => !l.arquivado && !idsEmprestados.has(l.id))
+            .sort((a, b) => a.titulo.localeCompare(b.titulo, 'pt-BR'))
+    };
+}
+
+function initRelatorios() {
+    // Período padrão: do início do ano letivo (1º de janeiro) até hoje
+    const hoje = formatarDataISO(new Date());
+    document.getElementById('relatorio-de').value = `${hoje.slice(0, 4)}-01-01`;
+    document.getElementById('relatorio-ate').value = hoje;
+
+    document.getElementById('form-periodo-relatorio').addEventListener('submit', (e) => {
+        e.preventDefault();
+        renderizarRelatorios();
+    });
+    document.querySelector('.tab-btn[data-target="tab-relatorios"]').addEventListener('click', renderizarRelatorios);
+}
+
+async function renderizarRelatorios() {
+    const periodo = {
+        de: document.getElementById('relatorio-de').value,
+        ate: document.getElementById('relatorio-ate').value
+    };
+    if (!periodo.de || !periodo.ate || periodo.de > periodo.ate) {
+        showToast("Informe um período válido.", "error");
+        return;
+    }
+
+    try {
+        const [emprestimos, livros, alunos] = await Promise.all([
+            DB.getAll('emprestimos'), DB.getAll('livros'), DB.getAll('alunos')
+        ]);
+        const estatisticas = calcularEstatisticasCirculacao(emprestimos, livros, alunos, periodo);
+
+        document.getElementById('relatorio-periodo-descricao').textContent =
+            `Estatísticas dos empréstimos realizados de ${formatarData(periodo.de)} a ${formatarData(periodo.ate)}.`;
+        document.getElementById('rel-total-emprestimos').textContent = estatisticas.total;
+        document.getElementById('rel-taxa-atraso').textContent = `${(estatisticas.taxaAtraso * 100).toFixed(1).replace('.', ',')}%`;
+        document.getElementById('rel-duracao-media').textContent = estatisticas.duracaoMedia === null
+            ? '-' : estatisticas.duracaoMedia.toFixed(1).replace('.', ',');
+        document.getElementById('rel-leitores').textContent = estatisticas.leitores;
+
+        document.getElementById('grafico-mensal').innerHTML = gerarGraficoColunas(estatisticas.porMes);
+        document.getElementById('grafico-titulos').innerHTML = gerarGraficoBarras(estatisticas.topTitulos);
+        document.getElementById('grafico-autores').innerHTML = gerarGraficoBarras(estatisticas.topAutores);
+        document.getElementById('grafico-turmas').innerHTML = gerarGraficoBarras(estatisticas.porTurma);
+        document.getElementById('grafico-alunos').innerHTML = gerarGraficoBarras(estatisticas.porAluno);
+
+        const tbody = document.querySelector('#tabela-nunca-emprestados tbody');
+        tbody.innerHTML = estatisticas.nuncaEmprestados.length === 0
+            ? '<tr><td colspan="4" style="text-align:center">Todos os livros já foram emprestados.</td></tr>'
+            : estatisticas.nuncaEmprestados.map(l => `
+                <tr>
+                    <td>${escaparHTML(l.titulo)}</td>
+                    <td>${escaparHTML(l.autor)}</td>
+                    <td>${escaparHTML(l.isbn)}</td>
+                    <td>${l.quantidadeTotal}</td>
+                </tr>`).join('');
+    } catch (error) {
+        console.error("Erro ao gerar relatórios:", error);
+    }
+}
+
+// ==========================================================================
+// Utilitários: Leitura de CSV
+// ==========================================================================
+
+/**
+ * Decodifica o conteúdo de um arquivo de texto.
+ * Sem codificação informada, tenta UTF-8 e recorre ao Latin-1 (padrão do Excel no Windows)
+ * quando o arquivo contém bytes inválidos em UTF-8.
+ * @param {ArrayBuffer} buffer
+ * @param {string} [codificacao] 'utf-8' ou 'windows-1252'.
+ * @returns {string}
+ */
+function decodificarTexto(buffer, codificacao) {
+    if (codificacao) return new TextDecoder(codificacao).decode(buffer);
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (e) {
+        return new TextDecoder('windows-1252').decode(buffer);
+    }
+}
+
+/**
+ * Escolhe entre ';' e ',' pelo número de ocorrências na primeira linha (fora de aspas).
+ * @param {string} texto
+ * @returns {string}
+ */
+function detectarDelimitador(texto) {
+    let pontoEVirgula = 0;
+    let virgula = 0;
+    let entreAspas = false;
+    for (const c of texto) {
+        if (c === '"') entreAspas = !entreAspas;
+        else if (!entreAspas && (c === '\n' || c === '\r')) break;
+        else if (!entreAspas && c === ';') pontoEVirgula++;
+        else if (!entreAspas && c === ',') virgula++;
+    }
+    return pontoEVirgula >= virgula && pontoEVirgula > 0 ? ';' : ',';
+}
+
+/**
+ * Converte um texto CSV em uma matriz de células.
+ * Suporta campos entre aspas (com delimitadores, quebras de linha e "" escapadas)
+ * e ignora linhas totalmente vazias.
+ * @param {string} texto
+ * @param {string} delimitador
+ * @returns {Array<Array<string>>}
+ */
+function parseCSV(texto, delimitador) {
+    const linhas = [];
+    let linha = [];
+    let celula = '';
+    let entreAspas = false;
+
+    const fecharLinha = () => {
+        linha.push(celula);
+        if (linha.some(c => c.trim() !== '')) linhas.push(linha);
+        linha = [];
+        celula = '';
+    };
+
+    for (let i = 0; i < texto.length; i++) {
+        const c = texto[i];
+        if (entreAspas) {
+            if (c === '"' && texto[i + 1] === '"') {
+                celula += '"';
+                i++;
+            } else if (c === '"') {
+                entreAspas = false;
+            } else {
+                celula += c;
+            }
+        } else if (c === '"') {
+            entreAspas = true;
+        } else if (c === delimitador) {
+            linha.push(celula);
+            celula = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && texto[i + 1] === '\n') i++;
+            fecharLinha();
+        } else {
+            celula += c;
+        }
+    }
+    if (celula !== '' || linha.length > 0) fecharLinha();
+
+    return linhas;
+}
+
+/**
+ * Sugere qual coluna do cabeçalho corresponde a um campo, por nomes usuais.
+ * @param {Array<string>} cabecalho
+ * @param {Array<string>} sinonimos Nomes aceitos, já normalizados.
+ * @returns {number} Índice da coluna ou -1.
+ */
+function sugerirColunaCSV(cabecalho, sinonimos) {
+    const normalizados = cabecalho.map(normalizarTexto);
+    const exato = normalizados.findIndex(nome => sinonimos.includes(nome));
+    if (exato !== -1) return exato;
+    return normalizados.findIndex(nome => sinonimos.some(s => nome.includes(s)));
+}
+
+// ==========================================================================
+// Controladores (Controllers): Importação de Alunos (CSV)
+// ==========================================================================
+const CAMPOS_IMPORTACAO_ALUNOS = {
+    nome: ['nome', 'aluno', 'nome do aluno', 'estudante'],
+    matricula: ['matricula', 'ra', 'codigo', 'registro'],
+    turma: ['turma', 'classe', 'serie', 'sala']
+};
+
+const ROTULOS_ACAO_IMPORTACAO = {
+    inserir: { texto: 'Inserir', cor: 'var(--success-color)' },
+    atualizar: { texto: 'Atualizar', cor: 'var(--primary-color)' },
+    ignorar: { texto: 'Ignorar', cor: 'var(--text-muted)' },
+    invalida: { texto: 'Erro', cor: 'var(--danger-color)' }
+};
+
+// Arquivo lido e linhas classificadas da importação em andamento
+const estadoImportacaoAlunos = { buffer: null, cabecalho: [], linhas: [], classificacao: [] };
+
+/**
+ * Classifica as linhas do CSV contra os alunos já cadastrados (pela matrícula).
+ * @param {Array<Array<string>>} linhas Linhas de dados, sem o cabeçalho.
+ * @param {object} mapeamento { nome, matricula, turma } com o índice de cada coluna.
+ * @param {Array<object>} alunosExistentes
+ * @returns {Array<{numeroLinha: number, aluno: object, acao: string, motivo: string}>}
+ *          acao: 'inserir' | 'atualizar' | 'ignorar' | 'invalida'
+ */
+function classificarLinhasAlunos(linhas, mapeamento, alunosExistentes) {
+    const porMatricula = new Map(alunosExistentes.map(a => [a.matricula, a]));
+    const linhaDaMatricula = new Map();
+
+    return linhas.map((celulas, i) => {
+        // Linha 1 do arquivo é o cabeçalho
+        const numeroLinha = i + 2;
+        const aluno = {
+            nome: (celulas[mapeamento.nome] || '').trim(),
+            matricula: (celulas[mapeamento.matricula] || '').trim(),
+            turma: (celulas[mapeamento.turma] || '').trim()
+        };
+
+        const faltando = Object.keys(aluno).filter(campo => !aluno[campo]);
+        if (faltando.length > 0) {
+            return { numeroLinha, aluno, acao: 'invalida', motivo: `Campo(s) vazio(s): ${faltando.join(', ')}` };
+        }
+        if (linhaDaMatricula.has(aluno.matricula)) {
+            return { numeroLinha, aluno, acao: 'invalida', motivo: `Matrícula repetida na linha ${linhaDaMatricula.get(aluno.matricula)}` };
+        }
+        linhaDaMatricula.set(aluno.matricula, numeroLinha);
+
+        const existente = porMatricula.get(aluno.matricula);
+        if (!existente) {
+            return { numeroLinha, aluno, acao: 'inserir', motivo: '' };
+        }
+
+        const alterados = ['nome', 'turma'].filter(campo => existente[campo] !== aluno[campo]);
+        const arquivado = existente.arquivado ? ' (aluno arquivado)' : '';
+        if (alterados.length === 0) {
+            return { numeroLinha, aluno, acao: 'ignorar', motivo: `Sem alterações${arquivado}` };
+        }
+        return { numeroLinha, aluno, acao: 'atualizar', motivo: `Altera ${alterados.join(', ')}${arquivado}` };
+    });
+}
+
+function initImportacaoAlunos() {
+    document.getElementById('csv-alunos-arquivo').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (ev) => {
+            estadoImportacaoAlunos.buffer = ev.target.result;
+            lerCSVAlunos();
+        };
+        reader.readAsArrayBuffer(file);
+    });
+
+    document.getElementById('csv-alunos-delimitador').addEventListener('change', lerCSVAlunos);
+    document.getElementById('csv-alunos-codificacao').addEventListener('change', lerCSVAlunos);
+    document.querySelectorAll('#csv-alunos-mapeamento select').forEach(select => {
+        select.addEventListener('change', atualizarPreviewAlunos);
+    });
+    document.getElementById('form-importar-alunos').addEventListener('submit', handleImportarAlunos);
+}
+
+/**
+ * Decodifica e separa o arquivo conforme as opções da tela e sugere o mapeamento das colunas.
+ */
+function lerCSVAlunos() {
+    if (!estadoImportacaoAlunos.buffer) return;
+
+    const texto = decodificarTexto(estadoImportacaoAlunos.buffer, document.getElementById('csv-alunos-codificacao').value);
+    const delimitador = document.getElementById('csv-alunos-delimitador').value || detectarDelimitador(texto);
+    const [cabecalho = [], ...linhas] = parseCSV(texto, delimitador);
+
+    estadoImportacaoAlunos.cabecalho = cabecalho;
+    estadoImportacaoAlunos.linhas = linhas;
+
+    document.querySelectorAll('#csv-alunos-mapeamento select').forEach(select => {
+        select.innerHTML = '<option value="">Selecione a coluna...</option>';
+        cabecalho.forEach((nome, indice) => {
+            const option = document.createElement('option');
+            option.value = indice;
+            option.textContent = nome.trim() || `Coluna ${indice + 1}`;
+            select.appendChild(option);
+        });
+        const sugestao = sugerirColunaCSV(cabecalho, CAMPOS_IMPORTACAO_ALUNOS[select.dataset.campo]);
+        if (sugestao !== -1) select.value = sugestao;
+    });
+    document.getElementById('csv-alunos-mapeamento').classList.remove('hidden');
+
+    atualizarPreviewAlunos();
+}
+
+async function atualizarPreviewAlunos() {
+    const tbody = document.querySelector('#tabela-preview-alunos tbody');
+    const resumo = document.getElementById('csv-alunos-resumo');
+    const btnImportar = document.getElementById('btn-importar-alunos');
+
+    const mapeamento = {};
+    document.querySelectorAll('#csv-alunos-mapeamento select').forEach(select => {
+        mapeamento[select.dataset.campo] = select.value === '' ? null : parseInt(select.value, 10);
+    });
+
+    estadoImportacaoAlunos.classificacao = [];
+    btnImportar.disabled = true;
+
+    if (Object.values(mapeamento).some(indice => indice === null)) {
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align:center">Indique a coluna de cada campo.</td></tr>';
+        resumo.textContent = '';
+        return;
+    }
+
+    try {
+        const existentes = await DB.getAll('alunos');
+        const classificacao = classificarLinhasAlunos(estadoImportacaoAlunos.linhas, mapeamento, existentes);
+        estadoImportacaoAlunos.classificacao = classificacao;
+
+        tbody.innerHTML = '';
+        if (classificacao.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" style="text-align:center">O arquivo não possui linhas de dados.</td></tr>';
+        }
+
+        classificacao.forEach(item => {
+            const rotulo = ROTULOS_ACAO_IMPORTACAO[item.acao];
+            const motivo = item.motivo ? ` <small class="status-extra">${escaparHTML(item.motivo)}</small>` : '';
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${item.numeroLinha}</td>
+                <td>${escaparHTML(item.aluno.nome)}</td>
+                <td>${escaparHTML(item.aluno.matricula)}</td>
+                <td>${escaparHTML(item.aluno.turma)}</td>
+                <td><span style="color: ${rotulo.cor}; font-weight: 600;">${rotulo.texto}</span>${motivo}</td>
+            `;
+            tbody.appendChild(tr);
+        });
+
+        const contar = (acao) => classificacao.filter(item => item.acao === acao).length;
+        resumo.textContent = `${contar('inserir')} a inserir, ${contar('atualizar')} a atualizar, ${contar('ignorar')} ignorada(s), ${contar('invalida')} com erro.`;
+        btnImportar.disabled = contar('inserir') + contar('atualizar') === 0;
+    } catch (error) {
+        console.error("Erro ao gerar pré-visualização:", error);
+    }
+}
+
+async function handleImportarAlunos(event) {
+    event.preventDefault();
+
+    const alunos = estadoImportacaoAlunos.classificacao
+        .filter(item => item.acao === 'inserir' || item.acao === 'atualizar')
+        .map(item => item.aluno);
+    if (alunos.length === 0) return;
+
+    if (!confirm(`Gravar ${alunos.length} aluno(s)? Linhas ignoradas ou com erro não serão importadas.`)) return;
+
+    try {
+        await criarPontoRestauracao('importacao-alunos');
+        const { inseridos, atualizados } = await DB.importarAlunos(alunos);
+        showToast(`Importação concluída: ${inseridos} inserido(s), ${atualizados} atualizado(s).`);
+        resetImportacaoAlunos();
+        await renderizarTabelaAlunos();
+        await atualizarSelectsEmprestimo();
+    } catch (error) {
+        showToast("Erro na importação. Nenhum aluno foi gravado.", "error");
+        console.error(error);
+    }
+}
+
+function resetImportacaoAlunos() {
+    Object.assign(estadoImportacaoAlunos, { buffer: null, cabecalho: [], linhas: [], classificacao: [] });
+    document.getElementById('form-importar-alunos').reset();
+    document.getElementById('csv-alunos-mapeamento').classList.add('hidden');
+    document.getElementById('csv-alunos-resumo').textContent = '';
+    document.getElementById('btn-importar-alunos').disabled = true;
+    document.querySelector('#tabela-preview-alunos tbody').innerHTML =
+        '<tr><td colspan="5" style="text-align:center">Selecione um arquivo para ver a pré-visualização.</td></tr>';
+}
+
+// ==========================================================================
+// Utilitários: Leitura de Registros MARC 21
+// ==========================================================================
+const MARC_FIM_REGISTRO = 0x1D;
+const MARC_FIM_CAMPO = 0x1E;
+const MARC_SUBCAMPO = '\x1F';
+
+/**
+ * Retorna o primeiro subcampo encontrado entre as tags informadas, na ordem de preferência.
+ * @param {Array<{tag: string, subcampos: Array<[string, string]>}>} campos
+ * @param {Array<string>} tags
+ * @param {string} codigo Código do subcampo (ex: 'a').
+ * @returns {string}
+ */
+function subcampoMARC(campos, tags, codigo) {
+    for (const tag of tags) {
+        const campo = campos.find(c => c.tag === tag && c.subcampos.some(([cod]) => cod === codigo));
+        if (campo) return campo.subcampos.find(([cod]) => cod === codigo)[1];
+    }
+    return '';
+}
+
+/**
+ * Remove a pontuação ISBD do fim de um subcampo (" /", " :", ",", ".").
+ * @param {string} texto
+ * @returns {string}
+ */
+function limparPontuacaoMARC(texto) {
+    return texto.replace(/[\s\/:;,.=]+$/, '').trim();
+}
+
+/**
+ * Converte os campos de dados de um registro MARC em um livro:
+ * título em 245 $a/$b, autor em 100/110 (ou 700/710) $a e ISBN em 020 $a.
+ * @param {Array<{tag: string, subcampos: Array<[string, string]>}>} campos
+ * @returns {{titulo: string, autor: string, isbn: string, quantidade: number}}
+ */
+function registroMARCParaLivro(campos) {
+    const titulo = [subcampoMARC(campos, ['245'], 'a'), subcampoMARC(campos, ['245'], 'b')]
+        .map(limparPontuacaoMARC)
+        .filter(Boolean)
+        .join(': ');
+    const autor = limparPontuacaoMARC(subcampoMARC(campos, ['100', '110', '700', '710'], 'a'));
+    // O 020 $a pode trazer qualificadores: "8535914846 (broch.)"
+    const isbn = (subcampoMARC(campos, ['020'], 'a').match(/[\dXx-]{10,17}/) || [''])[0];
+
+    return { titulo, autor, isbn, quantidade: 1 };
+}
+
+/**
+ * Lê um arquivo MARC 21 binário (ISO 2709) com um ou mais registros.
+ * A posição 09 do líder indica UTF-8 ('a'); registros MARC-8 são lidos como Latin-1,
+ * o que pode deixar acentos combinados incorretos.
+ * @param {ArrayBuffer} buffer
+ * @returns {Array<object>} Livros no formato de registroMARCParaLivro.
+ */
+function parseMARC21(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const ascii = (inicio, fim) => String.fromCharCode(...bytes.subarray(inicio, fim));
+    const livros = [];
+    let inicio = 0;
+
+    while (inicio < bytes.length) {
+        // Alguns exportadores separam os registros com quebras de linha
+        if (bytes[inicio] === 0x0A || bytes[inicio] === 0x0D || bytes[inicio] === 0x20) {
+            inicio++;
+            continue;
+        }
+
+        const tamanho = parseInt(ascii(inicio, inicio + 5), 10);
+        const baseDados = parseInt(ascii(inicio + 12, inicio + 17), 10);
+        if (!tamanho || !baseDados || inicio + tamanho > bytes.length || bytes[inicio + tamanho - 1] !== MARC_FIM_REGISTRO) {
+            throw new Error(`Registro MARC ${livros.length + 1} inválido ou truncado.`);
+        }
+
+        const decoder = new TextDecoder(ascii(inicio + 9, inicio + 10) === 'a' ? 'utf-8' : 'windows-1252');
+        const campos = [];
+
+        // Diretório: entradas de 12 bytes (tag, tamanho, posição) até o fim de campo
+        for (let pos = inicio + 24; bytes[pos] !== MARC_FIM_CAMPO && pos < inicio + baseDados; pos += 12) {
+            const tag = ascii(pos, pos + 3);
+            if (tag < '010') continue; // Campos de controle não têm subcampos
+
+            const comprimento = parseInt(ascii(pos + 3, pos + 7), 10);
+            const posicao = inicio + baseDados + parseInt(ascii(pos + 7, pos + 12), 10);
+            const dados = decoder.decode(bytes.subarray(posicao, posicao + comprimento))
+                .replace(/\x1E$/, '');
+
+            // Os dois primeiros caracteres são os indicadores
+            const subcampos = dados.split(MARC_SUBCAMPO).slice(1).map(parte => [parte[0], parte.slice(1)]);
+            campos.push({ tag, subcampos });
+        }
+
+        livros.push(registroMARCParaLivro(campos));
+        inicio += tamanho;
+    }
+
+    return livros;
+}
+
+/**
+ * Lê um arquivo MARCXML (com ou sem o namespace da Library of Congress).
+ * @param {string} texto
+ * @returns {Array<object>} Livros no formato de registroMARCParaLivro.
+ */
+function parseMARCXML(texto) {
+    const doc = new DOMParser().parseFromString(texto, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error("Arquivo MARCXML inválido.");
+    }
+
+    return Array.from(doc.getElementsByTagNameNS('*', 'record')).map(registro => {
+        const campos = Array.from(registro.getElementsByTagNameNS('*', 'datafield')).map(campo => ({
+            tag: campo.getAttribute('tag'),
+            subcampos: Array.from(campo.getElementsByTagNameNS('*', 'subfield'))
+                .map(sub => [sub.getAttribute('code'), sub.textContent])
+        }));
+        return registroMARCParaLivro(campos);
+    });
+}
+
+/**
+ * Identifica o formato do arquivo do acervo pela extensão e, na falta dela, pelo conteúdo.
+ * @param {string} nomeArquivo
+ * @param {ArrayBuffer} buffer
+ * @returns {string} 'marc' | 'marcxml' | 'csv'
+ */
+function detectarFormatoCatalogo(nomeArquivo, buffer) {
+    const extensao = nomeArquivo.toLowerCase().split('.').pop();
+    if (extensao === 'xml') return 'marcxml';
+    if (['mrc', 'marc', 'iso'].includes(extensao)) return 'marc';
+
+    const inicio = new TextDecoder('utf-8').decode(new Uint8Array(buffer).subarray(0, 64));
+    if (inicio.trimStart().startsWith('<')) return 'marcxml';
+    if (/^\d{5}/.test(inicio) && new Uint8Array(buffer).includes(MARC_FIM_REGISTRO)) return 'marc';
+    return 'csv';
+}
+
+// ==========================================================================
+// Controladores (Controllers): Importação do Acervo (CSV e MARC)
+// ==========================================================================
+const CAMPOS_IMPORTACAO_LIVROS = {
+    titulo: ['titulo', 'title', 'obra'],
+    autor: ['autor', 'author', 'autoria'],
+    isbn: ['isbn'],
+    quantidade: ['quantidade', 'qtd', 'exemplares', 'copias']
+};
+
+// Arquivo lido e registros classificados da importação em andamento
+const estadoImportacaoLivros = { buffer: null, formato: null, linhasCSV: [], classificacao: [] };
+
+/**
+ * Converte as linhas de um CSV (sem o cabeçalho) em livros, conforme o mapeamento de colunas.
+ * Sem coluna de quantidade, cada linha vale um exemplar.
+ * @param {Array<Array<string>>} linhas
+ * @param {object} mapeamento { titulo, autor, isbn, quantidade } com o índice de cada coluna (quantidade pode ser null).
+ * @returns {Array<{titulo: string, autor: string, isbn: string, quantidade: number}>}
+ */
+function linhasCSVParaLivros(linhas, mapeamento) {
+    return linhas.map(celulas => {
+        const valor = (campo) => (mapeamento[campo] === null ? '' : (celulas[mapeamento[campo]] || '').trim());
+        const quantidade = valor('quantidade');
+        return {
+            titulo: valor('titulo'),
+            autor: valor('autor'),
+            isbn: valor('isbn'),
+            quantidade: quantidade === '' ? 1 : Number(quantidade)
+        };
+    });
+}
+
+/**
+ * Classifica os livros lidos do arquivo contra o acervo cadastrado (pelo ISBN normalizado).
+ * ISBNs repetidos no arquivo são agrupados no primeiro registro, somando as quantidades.
+ * @param {Array<object>} livros Saída de linhasCSVParaLivros, parseMARC21 ou parseMARCXML.
+ * @param {Array<object>} livrosExistentes
+ * @param {string} prefixoOrigem 'Linha' (CSV) ou 'Registro' (MARC).
+ * @returns {Array<object>} Itens { origem, livro, quantidade, acao, motivo, idExistente }.
+ *          acao: 'inserir' | 'somar' | 'agrupada' | 'invalida'
+ */
+function classificarRegistrosCatalogo(livros, livrosExistentes, prefixoOrigem) {
+    const porISBN = new Map();
+    livrosExistentes.forEach(l => porISBN.set(tentarNormalizarISBN(l.isbn) || l.isbn, l));
+    const primeiroDoArquivo = new Map();
+
+    return livros.map((registro, i) => {
+        // No CSV, a linha 1 é o cabeçalho
+        const origem = `${prefixoOrigem} ${prefixoOrigem === 'Linha' ? i + 2 : i + 1}`;
+        const isbn = tentarNormalizarISBN(registro.isbn);
+        const livro = { titulo: registro.titulo, autor: registro.autor, isbn: isbn || registro.isbn };
+        const item = { origem, livro, quantidade: registro.quantidade, acao: 'invalida', motivo: '', idExistente: null };
+
+        const faltando = ['titulo', 'autor', 'isbn'].filter(campo => !registro[campo]);
+        if (faltando.length > 0) {
+            item.motivo = `Campo(s) vazio(s): ${faltando.join(', ')}`;
+            return item;
+        }
+        if (!isbn) {
+            item.motivo = "ISBN inválido";
+            return item;
+        }
+        if (!Number.isInteger(registro.quantidade) || registro.quantidade < 1) {
+            item.motivo = "Quantidade inválida";
+            return item;
+        }
+
+        const primeiro = primeiroDoArquivo.get(isbn);
+        if (primeiro) {
+            primeiro.quantidade += registro.quantidade;
+            item.acao = 'agrupada';
+            item.motivo = `Somada a ${primeiro.origem}`;
+            return item;
+        }
+        primeiroDoArquivo.set(isbn, item);
+
+        const existente = porISBN.get(isbn);
+        if (existente) {
+            item.acao = 'somar';
+            item.idExistente = existente.id;
+            item.motivo = `Já cadastrado: "${existente.titulo}"${existente.arquivado ? ' (arquivado)' : ''}`;
+        } else {
+            item.acao = 'inserir';
+        }
+        return item;
+    });
+}
+
+function initImportacaoLivros() {
+    document.getElementById('importar-livros-arquivo').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (ev) => {
+            estadoImportacaoLivros.buffer = ev.target.result;
+            estadoImportacaoLivros.formato = detectarFormatoCatalogo(file.name, ev.target.result);
+            lerArquivoCatalogo();
+        };
+        reader.readAsArrayBuffer(file);
+    });
+
+    document.getElementById('importar-livros-delimitador').addEventListener('change', lerArquivoCatalogo);
+    document.getElementById('importar-livros-codificacao').addEventListener('change', lerArquivoCatalogo);
+    document.querySelectorAll('#importar-livros-mapeamento select').forEach(select => {
+        select.addEventListener('change', atualizarPreviewLivros);
+    });
+    document.getElementById('form-importar-livros').addEventListener('submit', handleImportarLivros);
+}
+
+/**
+ * Lê o arquivo conforme o formato detectado. Para CSV, monta o mapeamento de colunas.
+ */
+function lerArquivoCatalogo() {
+    const { buffer, formato } = estadoImportacaoLivros;
+    if (!buffer) return;
+
+    const mapeamentoDiv = document.getElementById('importar-livros-mapeamento');
+    document.getElementById('relatorio-importacao-livros').classList.add('hidden');
+
+    if (formato !== 'csv') {
+        mapeamentoDiv.classList.add('hidden');
+        atualizarPreviewLivros();
+        return;
+    }
+
+    const texto = decodificarTexto(buffer, document.getElementById('importar-livros-codificacao').value);
+    const delimitador = document.getElementById('importar-livros-delimitador').value || detectarDelimitador(texto);
+    const [cabecalho = [], ...linhas] = parseCSV(texto, delimitador);
+    estadoImportacaoLivros.linhasCSV = linhas;
+
+    mapeamentoDiv.querySelectorAll('select').forEach(select => {
+        const rotuloVazio = select.dataset.opcional ? 'Sem coluna (1 exemplar por linha)' : 'Selecione a coluna...';
+        select.innerHTML = `<option value="">${rotuloVazio}</option>`;
+        cabecalho.forEach((nome, indice) => {
+            const option = document.createElement('option');
+            option.value = indice;
+            option.textContent = nome.trim() || `Coluna ${indice + 1}`;
+            select.appendChild(option);
+        });
+        const sugestao = sugerirColunaCSV(cabecalho, CAMPOS_IMPORTACAO_LIVROS[select.dataset.campo]);
+        if (sugestao !== -1) select.value = sugestao;
+    });
+    mapeamentoDiv.classList.remove('hidden');
+
+    atualizarPreviewLivros();
+}
+
+async function atualizarPreviewLivros() {
+    const tbody = document.querySelector('#tabela-preview-livros tbody');
+    const resumo = document.getElementById('importar-livros-resumo');
+    const btnImportar = document.getElementById('btn-importar-livros');
+    const { buffer, formato } = estadoImportacaoLivros;
+
+    estadoImportacaoLivros.classificacao = [];
+    btnImportar.disabled = true;
+
+    try {
+        let livros;
+        if (formato === 'marc') {
+            livros = parseMARC21(buffer);
+        } else if (formato === 'marcxml') {
+            livros = parseMARCXML(decodificarTexto(buffer));
+        } else {
+            const mapeamento = {};
+            document.querySelectorAll('#importar-livros-mapeamento select').forEach(select => {
+                mapeamento[select.dataset.campo] = select.value === '' ? null : parseInt(select.value, 10);
+            });
+            if (['titulo', 'autor', 'isbn'].some(campo => mapeamento[campo] === null)) {
+                tbody.innerHTML = '<tr><td colspan="6" style="text-align:center">Indique a coluna de cada campo.</td></tr>';
+                resumo.textContent = '';
+                return;
+            }
+            livros = linhasCSVParaLivros(estadoImportacaoLivros.linhasCSV, mapeamento);
+        }
+
+        const existentes = await DB.getAll('livros');
+        const classificacao = classificarRegistrosCatalogo(livros, existentes, formato === 'csv' ? 'Linha' : 'Registro');
+        estadoImportacaoLivros.classificacao = classificacao;
+
+        tbody.innerHTML = '';
+        if (classificacao.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align:center">Nenhum registro encontrado no arquivo.</td></tr>';
+        }
+
+        const rotulos = {
+            ...ROTULOS_ACAO_IMPORTACAO,
+            somar: { texto: 'Somar exemplares', cor: 'var(--primary-color)' },
+            agrupada: { texto: 'Agrupada', cor: 'var(--text-muted)' }
+        };
+        classificacao.forEach(item => {
+            const rotulo = rotulos[item.acao];
+            const motivo = item.motivo ? ` <small class="status-extra">${escaparHTML(item.motivo)}</small>` : '';
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${item.origem}</td>
+                <td>${escaparHTML(item.livro.titulo)}</td>
+                <td>${escaparHTML(item.livro.autor)}</td>
+                <td>${escaparHTML(item.livro.isbn)}</td>
+                <td>${Number.isFinite(item.quantidade) ? item.quantidade : '-'}</td>
+                <td><span style="color: ${rotulo.cor}; font-weight: 600;">${rotulo.texto}</span>${motivo}</td>
+            `;
+            tbody.appendChild(tr);
+        });
+
+        const contar = (acao) => classificacao.filter(item => item.acao === acao).length;
+        resumo.textContent = `${contar('inserir')} novo(s), ${contar('somar')} já cadastrado(s), ${contar('invalida')} com erro.`;
+        btnImportar.disabled = contar('inserir') + contar('somar') === 0;
+    } catch (error) {
+        tbody.innerHTML = `<tr><td colspan="6" style="text-align:center">${escaparHTML(error.message)}</td></tr>`;
+        resumo.textContent = '';
+        console.error("Erro ao ler o arquivo do acervo:", error);
+    }
+}
+
+async function handleImportarLivros(event) {
+    event.preventDefault();
+
+    const classificacao = estadoImportacaoLivros.classificacao;
+    const itens = classificacao.filter(item => item.acao === 'inserir' || item.acao === 'somar');
+    if (itens.length === 0) return;
+
+    if (!confirm(`Gravar ${itens.length} título(s) no acervo? Registros com erro não serão importados.`)) return;
+
+    try {
+        await criarPontoRestauracao('importacao-acervo');
+        const resultado = await DB.importarLivros(itens);
+        renderizarRelatorioImportacaoLivros(resultado, classificacao.filter(item => item.acao === 'invalida'));
+        showToast("Importação do acervo concluída!");
+        resetImportacaoLivros();
+        await renderizarTabelaLivros();
+        await atualizarSelectsEmprestimo();
+    } catch (error) {
+        showToast("Erro na importação. Nenhum livro foi gravado.", "error");
+        console.error(error);
+    }
+}
+
+/**
+ * Exibe o relatório final da importação: totais gravados e registros descartados com o motivo.
+ * @param {object} resultado { inseridos, atualizados, exemplares } de DB.importarLivros.
+ * @param {Array<object>} invalidos Itens classificados como 'invalida'.
+ */
+function renderizarRelatorioImportacaoLivros(resultado, invalidos) {
+    const relatorio = document.getElementById('relatorio-importacao-livros');
+    const listaInvalidos = invalidos
+        .map(item => `<li>${item.origem}: ${escaparHTML(item.motivo)}${item.livro.titulo ? ` (${escaparHTML(item.livro.titulo)})` : ''}</li>`)
+        .join('');
+
+    relatorio.innerHTML = `
+        <strong>Relatório da importação</strong>
+        <div>${resultado.inseridos} livro(s) novo(s) cadastrado(s).</div>
+        <div>${resultado.atualizados} livro(s) já cadastrado(s) receberam exemplares.</div>
+        <div>${resultado.exemplares} exemplar(es) adicionados ao acervo.</div>
+        <div>${invalidos.length} registro(s) descartado(s)${invalidos.length ? ':' : '.'}</div>
+        ${listaInvalidos ? `<ul>${listaInvalidos}</ul>` : ''}
+    `;
+    relatorio.classList.remove('hidden');
+}
+
+function resetImportacaoLivros() {
+    Object.assign(estadoImportacaoLivros, { buffer: null, formato: null, linhasCSV: [], classificacao: [] });
+    document.getElementById('form-importar-livros').reset();
+    document.getElementById('importar-livros-mapeamento').classList.add('hidden');
+    document.getElementById('importar-livros-resumo').textContent = '';
+    document.getElementById('btn-importar-livros').disabled = true;
+    document.querySelector('#tabela-preview-livros tbody').innerHTML =
+        '<tr><td colspan="6" style="text-align:center">Selecione um arquivo para ver a pré-visualização.</td></tr>';
+}
+
+// ==========================================================================
+// Controladores (Controllers): Auditoria
+// ==========================================================================
+const ROTULOS_OPERACAO_AUDITORIA = {
+    criacao: 'Criação',
+    alteracao: 'Alteração',
+    exclusao: 'Exclusão',
+    arquivamento: 'Arquivamento',
+    restauracao: 'Restauração',
+    emprestimo: 'Empréstimo',
+    devolucao: 'Devolução',
+    renovacao: 'Renovação',
+    reserva: 'Reserva',
+    retencao: 'Retenção de Reserva',
+    cancelamento: 'Cancelamento',
+    expiracao: 'Expiração',
+    pagamento: 'Pagamento',
+    perdao: 'Perdão',
+    importacao: 'Importação',
+    baixa: 'Baixa',
+    reparo: 'Reparo de Consistência',
+    sincronizacao: 'Sincronização'
+};
+
+// Limite de entradas exibidas; aumenta ao clicar em "Mostrar mais"
+let limiteAuditoria = 50;
+
+function initAuditoria() {
+    const selectOperacao = document.getElementById('auditoria-operacao');
+    Object.entries(ROTULOS_OPERACAO_AUDITORIA).forEach(([valor, rotulo]) => {
+        const option = document.createElement('option');
+        option.value = valor;
+        option.textContent = rotulo;
+        selectOperacao.appendChild(option);
+    });
+
+    document.getElementById('form-filtro-auditoria').addEventListener('submit', (e) => {
+        e.preventDefault();
+        limiteAuditoria = 50;
+        renderizarAuditoria();
+    });
+
+    // Carrega a trilha quando a aba de configurações é aberta
+    document.querySelector('.tab-btn[data-target="tab-config"]').addEventListener('click', renderizarAuditoria);
+}
+
+// Campos de controle da sincronização (carimbados pelo db.js em toda gravação)
+const CAMPOS_CONTROLE_SYNC = ['atualizadoEm', 'idDispositivo', 'pendenteSync'];
+
+/**
+ * Lista os campos que mudaram entre dois estados de um registro.
+ * @param {object|null} antes
+ * @param {object|null} depois
+ * @returns {Array<{campo: string, antes: *, depois: *}>}
+ */
+function resumirAlteracoes(antes, depois) {
+    const campos = new Set([...Object.keys(antes || {}), ...Object.keys(depois || {})]);
+    const alteracoes = [];
+    campos.forEach(campo => {
+        if (CAMPOS_CONTROLE_SYNC.includes(campo)) return;
+        const valorAntes = antes ? antes[campo] : undefined;
+        const valorDepois = depois ? depois[campo] : undefined;
+        if (JSON.stringify(valorAntes) !== JSON.stringify(valorDepois)) {
+            alteracoes.push({ campo, antes: valorAntes, depois: valorDepois });
+        }
+    });
+    return alteracoes;
+}
+
+/**
+ * Verifica se uma entrada da auditoria atende aos filtros da tela.
+ * @param {object} entrada
+ * @param {object} filtros { store, operacao, de, ate, busca } (datas YYYY-MM-DD)
+ * @returns {boolean}
+ */
+function entradaAuditoriaCorresponde(entrada, filtros) {
+    if (filtros.store && entrada.store !== filtros.store) return false;
+    if (filtros.operacao && entrada.operacao !== filtros.operacao) return false;
+
+    // dataHora é ISO (UTC); compara pela data local do registro
+    const dataLocal = formatarDataISO(new Date(entrada.dataHora));
+    if (filtros.de && dataLocal < filtros.de) return false;
+    if (filtros.ate && dataLocal > filtros.ate) return false;
+
+    if (filtros.busca) {
+        const termo = normalizarTexto(filtros.busca);
+        if (String(entrada.idRegistro) === termo) return true;
+        const conteudo = normalizarTexto(JSON.stringify([entrada.antes, entrada.depois]));
+        if (!conteudo.includes(termo)) return false;
+    }
+    return true;
+}
+
+async function renderizarAuditoria() {
+    const tbody = document.querySelector('#tabela-auditoria tbody');
+    const filtros = {
+        store: document.getElementById('auditoria-store').value,
+        operacao: document.getElementById('auditoria-operacao').value,
+        de: document.getElementById('auditoria-de').value,
+        ate: document.getElementById('auditoria-ate').value,
+        busca: document.getElementById('auditoria-busca').value.trim()
+    };
+
+    try {
+        // Mais recentes primeiro, percorrendo o índice de data/hora
+        const { itens, total } = await DB.consultarIndice('auditoria', 'idx_dataHora', {
+            direcao: 'prev',
+            filtro: (entrada) => entradaAuditoriaCorresponde(entrada, filtros),
+            limite: limiteAuditoria
+        });
+
+        tbody.innerHTML = '';
+        if (itens.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" style="text-align:center">Nenhuma entrada encontrada.</td></tr>';
+        }
+
+        itens.forEach(entrada => {
+            const alteracoes = resumirAlteracoes(entrada.antes, entrada.depois);
+            const resumo = alteracoes
+                .map(a => `<div><strong>${escaparHTML(a.campo)}</strong>: ${escaparHTML(JSON.stringify(a.antes) ?? '-')} &rarr; ${escaparHTML(JSON.stringify(a.depois) ?? '-')}</div>`)
+                .join('');
+
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${new Date(entrada.dataHora).toLocaleString('pt-BR')}</td>
+                <td>${ROTULOS_OPERACAO_AUDITORIA[entrada.operacao] || entrada.operacao}</td>
+                <td>${entrada.store === '*' ? 'Todas' : entrada.store}</td>
+                <td>${entrada.idRegistro ?? '-'}</td>
+                <td class="td-auditoria">
+                    <details>
+                        <summary>${alteracoes.length} campo(s)</summary>
+                        ${resumo}
+                    </details>
+                </td>
+            `;
+            tbody.appendChild(tr);
+        });
+
+        const paginacao = document.getElementById('paginacao-auditoria');
+        paginacao.innerHTML = `
+            <span>Exibindo ${itens.length} de ${total} entrada(s)</span>
+            ${itens.length < total ? '<button class="btn btn-sm btn-secondary" onclick="mostrarMaisAuditoria()">Mostrar mais</button>' : ''}
+        `;
+    } catch (error) {
+        console.error("Erro ao carregar auditoria:", error);
+    }
+}
+
+function mostrarMaisAuditoria() {
+    limiteAuditoria += 50;
+    renderizarAuditoria();
+}
+
+// ==========================================================================
+// Utilitários: Planilhas (CSV e XLSX)
+// ==========================================================================
+
+/**
+ * Dispara o download de um arquivo gerado no navegador.
+ * @param {Blob} blob
+ * @param {string} nomeArquivo
+ */
+function baixarArquivo(blob, nomeArquivo) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = nomeArquivo;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Gera um CSV no padrão do Excel brasileiro: ponto e vírgula e datas DD/MM/AAAA.
+ * O BOM inicial faz o Excel reconhecer o arquivo como UTF-8.
+ * @param {Array<string>} cabecalho
+ * @param {Array<Array<*>>} linhas Células em texto, número, Date ou null.
+ * @returns {string}
+ */
+function gerarCSV(cabecalho, linhas) {
+    const formatarCelula = (valor) => {
+        if (valor === null || valor === undefined) return '';
+        if (valor instanceof Date) return valor.toLocaleDateString('pt-BR');
+        const texto = String(valor);
+        return /[;"\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+    };
+    return '\uFEFF' + [cabecalho, ...linhas]
+        .map(linha => linha.map(formatarCelula).join(';'))
+        .join('\r\n');
+}
+
+// Tabela do CRC-32 (polinômio 0xEDB88320), usada nos cabeçalhos ZIP
+const TABELA_CRC32 = (() => {
+    const tabela = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        tabela[n] = c >>> 0;
+    }
+    return tabela;
+})();
+
+function calcularCRC32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = TABELA_CRC32[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Monta um arquivo ZIP sem compressão (método "stored"), suficiente para o pacote XLSX.
+ * @param {Array<{nome: string, conteudo: string}>} arquivos
+ * @returns {Uint8Array}
+ */
+function gerarZip(arquivos) {
+    const encoder = new TextEncoder();
+    const partes = [];
+    const diretorioCentral = [];
+    let offset = 0;
+
+    const cabecalho = (tamanho, preencher) => {
+        const bytes = new Uint8Array(tamanho);
+        preencher(new DataView(bytes.buffer));
+        return bytes;
+    };
+
+    arquivos.forEach(({ nome, conteudo }) => {
+        const nomeBytes = encoder.encode(nome);
+        const dados = encoder.encode(conteudo);
+        const crc = calcularCRC32(dados);
+
+        // Cabeçalho local: assinatura, versão 2.0, flag UTF-8, tamanhos e CRC
+        const local = cabecalho(30, (v) => {
+            v.setUint32(0, 0x04034B50, true);
+            v.setUint16(4, 20, true);
+            v.setUint16(6, 0x0800, true);
+            v.setUint32(14, crc, true);
+            v.setUint32(18, dados.length, true);
+            v.setUint32(22, dados.length, true);
+            v.setUint16(26, nomeBytes.length, true);
+        });
+
+        const central = cabecalho(46, (v) => {
+            v.setUint32(0, 0x02014B50, true);
+            v.setUint16(4, 20, true);
+            v.setUint16(6, 20, true);
+            v.setUint16(8, 0x0800, true);
+            v.setUint32(16, crc, true);
+            v.setUint32(20, dados.length, true);
+            v.setUint32(24, dados.length, true);
+            v.setUint16(28, nomeBytes.length, true);
+            v.setUint32(42, offset, true);
+        });
+
+        partes.push(local, nomeBytes, dados);
+        diretorioCentral.push(central, nomeBytes);
+        offset += local.length + nomeBytes.length + dados.length;
+    });
+
+    const tamanhoCentral = diretorioCentral.reduce((soma, parte) => soma + parte.length, 0);
+    const fim = cabecalho(22, (v) => {
+        v.setUint32(0, 0x06054B50, true);
+        v.setUint16(8, arquivos.length, true);
+        v.setUint16(10, arquivos.length, true);
+        v.setUint32(12, tamanhoCentral, true);
+        v.setUint32(16, offset, true);
+    });
+
+    const todas = [...partes, ...diretorioCentral, fim];
+    const zip = new Uint8Array(todas.reduce((soma, parte) => soma + parte.length, 0));
+    let posicao = 0;
+    todas.forEach(parte => {
+        zip.set(parte, posicao);
+        posicao += parte.length;
+    });
+    return zip;
+}
+
+function escaparXML(texto) {
+    return String(texto)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Caracteres de controle não são permitidos em XML 1.0
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
+
+/**
+ * Converte o índice de uma coluna (0, 1, ... 26) na letra usada pelo Excel (A, B, ... AA).
+ * @param {number} indice
+ * @returns {string}
+ */
+function letraColunaXLSX(indice) {
+    let letra = '';
+    for (let n = indice + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letra = String.fromCharCode(65 + ((n - 1) % 26)) + letra;
+    }
+    return letra;
+}
+
+/**
+ * Gera uma pasta de trabalho XLSX (Office Open XML) com uma planilha.
+ * Números e datas são gravados como valores nativos; o cabeçalho fica em negrito.
+ * @param {string} nomePlanilha
+ * @param {Array<string>} cabecalho
+ * @param {Array<Array<*>>} linhas Células em texto, número, Date ou null.
+ * @returns {Uint8Array} Conteúdo do arquivo .xlsx.
+ */
+function gerarXLSX(nomePlanilha, cabecalho, linhas) {
+    // Estilos: 0 = padrão, 1 = data (formato 14), 2 = cabeçalho em negrito
+    const celula = (valor, ref, estiloTexto) => {
+        if (valor === null || valor === undefined || valor === '') return '';
+        if (valor instanceof Date) {
+            // Número de série do Excel: dias desde 30/12/1899
+            const serie = (Date.UTC(valor.getFullYear(), valor.getMonth(), valor.getDate()) - Date.UTC(1899, 11, 30)) / 86400000;
+            return `<c r="${ref}" s="1"><v>${serie}</v></c>`;
+        }
+        if (typeof valor === 'number' && Number.isFinite(valor)) {
+            return `<c r="${ref}"><v>${valor}</v></c>`;
+        }
+        return `<c r="${ref}" t="inlineStr"${estiloTexto}><is><t xml:space="preserve">${escaparXML(valor)}</t></is></c>`;
+    };
+
+    const linhasXML = [cabecalho, ...linhas].map((linha, i) => {
+        const celulas = linha.map((valor, j) => celula(valor, `${letraColunaXLSX(j)}${i + 1}`, i === 0 ? ' s="2"' : '')).join('');
+        return `<row r="${i + 1}">${celulas}</row>`;
+    }).join('');
+
+    // Nomes de planilha: até 31 caracteres, sem : \ / ? * [ ]
+    const nomeSeguro = escaparXML(nomePlanilha.replace(/[:\\\/?*\[\]]/g, ' ').slice(0, 31));
+    const cabecalhoXML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const tipo = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+    const rel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+    return gerarZip([
+        {
+            nome: '[Content_Types].xml',
+            conteudo: `${cabecalhoXML}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + `<Override PartName="/xl/workbook.xml" ContentType="${tipo}.sheet.main+xml"/>`
+                + `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="${tipo}.worksheet+xml"/>`
+                + `<Override PartName="/xl/styles.xml" ContentType="${tipo}.styles+xml"/>`
+                + '</Types>'
+        },
+        {
+            nome: '_rels/.rels',
+            conteudo: `${cabecalhoXML}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + `<Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/>`
+                + '</Relationships>'
+        },
+        {
+            nome: 'xl/workbook.xml',
+            conteudo: `${cabecalhoXML}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${rel}">`
+                + `<sheets><sheet name="${nomeSeguro}" sheetId="1" r:id="rId1"/></sheets>`
+                + '</workbook>'
+        },
+        {
+            nome: 'xl/_rels/workbook.xml.rels',
+            conteudo: `${cabecalhoXML}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + `<Relationship Id="rId1" Type="${rel}/worksheet" Target="worksheets/sheet1.xml"/>`
+                + `<Relationship Id="rId2" Type="${rel}/styles" Target="styles.xml"/>`
+                + '</Relationships>'
+        },
+        {
+            nome: 'xl/styles.xml',
+            conteudo: `${cabecalhoXML}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+                + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+                + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+                + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+                + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+                + '<cellXfs count="3">'
+                + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+                + '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+                + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+                + '</cellXfs>'
+                + '</styleSheet>'
+        },
+        {
+            nome: 'xl/worksheets/sheet1.xml',
+            conteudo: `${cabecalhoXML}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+                + `<sheetData>${linhasXML}</sheetData>`
+                + '</worksheet>'
+        }
+    ]);
+}
+
+/**
+ * Converte uma data YYYY-MM-DD em Date local, para exportação como data nativa.
+ * @param {string} dataISO
+ * @returns {Date|null}
+ */
+function dataISOParaDate(dataISO) {
+    if (!dataISO) return null;
+    const [ano, mes, dia] = dataISO.split('-').map(Number);
+    return new Date(ano, mes - 1, dia);
+}
+
+// ==========================================================================
+// Controladores (Controllers): Exportação de Planilhas
+// ==========================================================================
+
+/**
+ * Monta a planilha do acervo com a busca, os filtros e a ordenação atuais da tabela.
+ * @returns {Promise<{titulo: string, cabecalho: Array<string>, linhas: Array<Array<*>>}>}
+ */
+async function montarPlanilhaLivros() {
+    const { itens } = await consultarLivrosFiltrados();
+    return {
+        titulo: estadoTabelaLivros.arquivados ? 'Livros arquivados' : 'Acervo',
+        cabecalho: ['Título', 'Autor', 'ISBN', 'Disponíveis', 'Total'],
+        linhas: itens.map(l => [l.titulo, l.autor, l.isbn, l.quantidadeDisponivel, l.quantidadeTotal])
+    };
+}
+
+/**
+ * Monta a planilha de alunos conforme o filtro de situação da tabela.
+ */
+async function montarPlanilhaAlunos() {
+    const verArquivados = document.getElementById('filtro-alunos-situacao').value === 'arquivados';
+    const alunos = (await DB.getAll('alunos')).filter(a => !!a.arquivado === verArquivados);
+    return {
+        titulo: verArquivados ? 'Alunos arquivados' : 'Alunos',
+        cabecalho: ['Nome', 'Matrícula', 'Turma'],
+        linhas: alunos.map(a => [a.nome, a.matricula, a.turma])
+    };
+}
+
+/**
+ * Monta a planilha de empréstimos na mesma ordem da tabela (ativos primeiro),
+ * trocando idLivro/idAluno por título e nome. O atraso vem de calcularAtraso.
+ */
+async function montarPlanilhaEmprestimos() {
+    const emprestimos = await DB.getAll('emprestimos');
+    const mapaLivros = new Map((await DB.getAll('livros')).map(l => [l.id, l.titulo]));
+    const mapaAlunos = new Map((await DB.getAll('alunos')).map(a => [a.id, a]));
+
+    emprestimos.sort((a, b) => {
+        if (a.status === 'ativo' && b.status === 'devolvido') return -1;
+        if (a.status === 'devolvido' && b.status === 'ativo') return 1;
+        return 0;
+    });
+
+    const linhas = emprestimos.map(emp => {
+        const aluno = mapaAlunos.get(emp.idAluno);
+        let situacao = 'Devolvido';
+        let diasAtraso = 0;
+        if (emp.status === 'ativo') {
+            const atraso = calcularAtraso(emp.dataPrevistaDevolucao);
+            situacao = atraso.isAtrasado ? 'Atrasado' : 'Ativo';
+            diasAtraso = atraso.diasAtraso;
+        }
+
+        return [
+            mapaLivros.get(emp.idLivro) || 'Livro Excluído',
+            aluno ? aluno.nome : 'Aluno Excluído',
+            aluno ? aluno.turma : '',
+            dataISOParaDate(emp.dataEmprestimo),
+            dataISOParaDate(emp.dataPrevistaDevolucao),
+            dataISOParaDate(emp.dataDevolucaoReal),
+            situacao,
+            diasAtraso,
+            (emp.renovacoes || []).length
+        ];
+    });
+
+    return {
+        titulo: 'Empréstimos',
+        cabecalho: ['Livro', 'Aluno', 'Turma', 'Empréstimo', 'Devolução Prevista', 'Devolução Real', 'Situação', 'Dias de Atraso', 'Renovações'],
+        linhas
+    };
+}
+
+const PLANILHAS_EXPORTACAO = {
+    livros: montarPlanilhaLivros,
+    alunos: montarPlanilhaAlunos,
+    emprestimos: montarPlanilhaEmprestimos
+};
+
+/**
+ * Exporta a tabela de uma aba em CSV ou XLSX.
+ * @param {string} tabela 'livros' | 'alunos' | 'emprestimos'
+ * @param {string} formato 'csv' | 'xlsx'
+ */
+async function exportarPlanilha(tabela, formato) {
+    try {
+        const { titulo, cabecalho, linhas } = await PLANILHAS_EXPORTACAO[tabela]();
+        const nomeArquivo = `${tabela}-biblioteca-${formatarDataISO(new Date())}.${formato}`;
+
+        const blob = formato === 'xlsx'
+            ? new Blob([gerarXLSX(titulo, cabecalho, linhas)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+            : new Blob([gerarCSV(cabecalho, linhas)], { type: 'text/csv;charset=utf-8' });
+
+        baixarArquivo(blob, nomeArquivo);
+        showToast(`${linhas.length} registro(s) exportado(s).`);
+    } catch (error) {
+        showToast("Erro ao exportar a planilha.", "error");
+        console.error(error);
+    }
+}
+
+// ==========================================================================
+// Sistema de Backup e Restauração
+// ==========================================================================
+
+/**
+ * Checksum aditivo dos backups anteriores ao SHA-256. Mantido apenas para conferir
+ * arquivos antigos: não detecta letras trocadas de lugar nem anagramas.
+ * @param {object} objeto Payload sem o campo checksum.
+ * @returns {string} Soma dos códigos dos caracteres, em hexadecimal.
+ */
+function gerarChecksumSimples(objeto) {
+    // Remove espaços e quebras de linha para garantir consistência
+    const str = JSON.stringify(objeto).replace(/\s/g, '');
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        hash += str.charCodeAt(i);
+    }
+    return hash.toString(16);
+}
+
+/**
+ * Serializa um valor em JSON canônico: chaves dos objetos em ordem alfabética e sem espaços,
+ * para que o mesmo conteúdo gere sempre o mesmo texto (e o mesmo hash).
+ * @param {*} valor
+ * @returns {string}
+ */
+function serializarCanonico(valor) {
+    if (Array.isArray(valor)) {
+        return `[${valor.map(item => serializarCanonico(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (valor !== null && typeof valor === 'object') {
+        const pares = Object.keys(valor)
+            .filter(chave => valor[chave] !== undefined)
+            .sort()
+            .map(chave => `${JSON.stringify(chave)}:${serializarCanonico(valor[chave])}`);
+        return `{${pares.join(',')}}`;
+    }
+    return JSON.stringify(valor);
+}
+
+/**
+ * Calcula o SHA-256 de um texto (UTF-8) com a Web Crypto API.
+ * @param {string} texto
+ * @returns {Promise<string>} Digest em hexadecimal.
+ */
+async function calcularSHA256(texto) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(texto));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Gera o bloco de integridade do backup: um SHA-256 do payload inteiro e um por seção,
+ * que permite apontar qual tabela foi alterada quando o arquivo não confere.
+ * @param {object} payload Backup sem o campo integridade.
+ * @returns {Promise<{algoritmo: string, geral: string, secoes: object}>}
+ */
+async function gerarIntegridadeBackup(payload) {
+    const secoes = {};
+    for (const nome of STORES_BACKUP.filter(nome => payload[nome] !== undefined)) {
+        secoes[nome] = await calcularSHA256(serializarCanonico(payload[nome]));
+    }
+    return {
+        algoritmo: 'SHA-256',
+        geral: await calcularSHA256(serializarCanonico(payload)),
+        secoes
+    };
+}
+
+/**
+ * Confere o SHA-256 de um backup contra o bloco de integridade registrado nele.
+ * @param {object} json Backup com o campo integridade.
+ * @throws {Error} Indicando as seções divergentes (ou os metadados, se só eles mudaram).
+ */
+async function verificarIntegridadeBackup(json) {
+    const { integridade, ...conteudo } = json;
+    if (integridade.algoritmo !== 'SHA-256' || !integridade.secoes) {
+        throw new Error(`Algoritmo de integridade não suportado (${integridade.algoritmo}).`);
+    }
+
+    const calculada = await gerarIntegridadeBackup(conteudo);
+    if (calculada.geral === integridade.geral) return;
+
+    const nomes = new Set([...Object.keys(integridade.secoes), ...Object.keys(calculada.secoes)]);
+    const divergentes = [...nomes].filter(nome => integridade.secoes[nome] !== calculada.secoes[nome]);
+    if (divergentes.length > 0) {
+        throw new Error(`Integridade violada na(s) seção(ões): ${divergentes.join(', ')}. O arquivo foi modificado ou está corrompido.`);
+    }
+    throw new Error("Integridade violada nos metadados do backup (versão, data ou total de registros).");
+}
+
+/**
+ * Envelope dos backups criptografados (JSON):
+ * {
+ *   formato: 'biblioteca-backup-criptografado',
+ *   versaoEnvelope: 1,
+ *   algoritmo: 'AES-GCM',                  // chave de 256 bits, tag de 128 bits
+ *   kdf: { nome: 'PBKDF2', hash: 'SHA-256', iteracoes, salt },
+ *   iv,                                    // 12 bytes
+ *   verificadorSenha,                      // 32 bytes derivados junto com a chave
+ *   dados                                  // backup JSON (UTF-8) cifrado, com a tag ao final
+ * }
+ * Campos binários vão em Base64. O PBKDF2 gera 512 bits: os 256 primeiros formam a chave AES
+ * e os 256 seguintes o verificador, que distingue senha incorreta de arquivo corrompido.
+ */
+const FORMATO_BACKUP_CRIPTOGRAFADO = 'biblioteca-backup-criptografado';
+const ITERACOES_PBKDF2_BACKUP = 600000;
+// Teto para as iterações lidas do envelope: um valor absurdo travaria a derivação da chave
+const MAX_ITERACOES_PBKDF2_BACKUP = ITERACOES_PBKDF2_BACKUP * 10;
+
+function bytesParaBase64(bytes) {
+    let binario = '';
+    bytes.forEach(byte => { binario += String.fromCharCode(byte); });
+    return btoa(binario);
+}
+
+function base64ParaBytes(texto) {
+    return Uint8Array.from(atob(texto), caractere => caractere.charCodeAt(0));
+}
+
+/**
+ * Deriva da senha a chave AES-GCM e o verificador de senha do envelope.
+ * @param {string} senha
+ * @param {Uint8Array} salt
+ * @param {number} iteracoes
+ * @returns {Promise<{chave: CryptoKey, verificador: Uint8Array}>}
+ */
+async function derivarChavesBackup(senha, salt, iteracoes) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(senha), 'PBKDF2', false, ['deriveBits']);
+    const bits = new Uint8Array(await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: iteracoes }, material, 512));
+    const chave = await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    return { chave, verificador: bits.slice(32) };
+}
+
+/**
+ * Criptografa o texto de um backup com a senha informada.
+ * @param {string} texto Backup serializado em JSON.
+ * @param {string} senha
+ * @param {number} [iteracoes] Iterações do PBKDF2 (registradas no envelope).
+ * @returns {Promise<object>} Envelope no formato FORMATO_BACKUP_CRIPTOGRAFADO.
+ */
+async function criptografarBackup(texto, senha, iteracoes = ITERACOES_PBKDF2_BACKUP) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const { chave, verificador } = await derivarChavesBackup(senha, salt, iteracoes);
+    const cifrado = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, chave, new TextEncoder().encode(texto));
+
+    return {
+        formato: FORMATO_BACKUP_CRIPTOGRAFADO,
+        versaoEnvelope: 1,
+        algoritmo: 'AES-GCM',
+        kdf: { nome: 'PBKDF2', hash: 'SHA-256', iteracoes, salt: bytesParaBase64(salt) },
+        iv: bytesParaBase64(iv),
+        verificadorSenha: bytesParaBase64(verificador),
+        dados: bytesParaBase64(new Uint8Array(cifrado))
+    };
+}
+
+function ehBackupCriptografado(json) {
+    return json !== null && typeof json === 'object' && json.formato === FORMATO_BACKUP_CRIPTOGRAFADO;
+}
+
+/**
+ * Abre um envelope criptografado.
+ * @param {object} envelope
+ * @param {string} senha
+ * @returns {Promise<string>} Texto JSON do backup.
+ * @throws {Error} Com codigo 'SENHA' se a senha não conferir; sem código se o envelope estiver corrompido.
+ */
+async function descriptografarBackup(envelope, senha) {
+    let salt, iv, verificadorEsperado, cifrado;
+    try {
+        if (envelope.versaoEnvelope !== 1 || envelope.algoritmo !== 'AES-GCM' || envelope.kdf.nome !== 'PBKDF2') {
+            throw new Error();
+        }
+        const { iteracoes } = envelope.kdf;
+        if (!Number.isInteger(iteracoes) || iteracoes < 1 || iteracoes > MAX_ITERACOES_PBKDF2_BACKUP) {
+            throw new Error();
+        }
+        salt = base64ParaBytes(envelope.kdf.salt);
+        iv = base64ParaBytes(envelope.iv);
+        verificadorEsperado = envelope.verificadorSenha;
+        cifrado = base64ParaBytes(envelope.dados);
+    } catch (err) {
+        throw new Error("Envelope de backup criptografado inválido ou corrompido.");
+    }
+
+    const { chave, verificador } = await derivarChavesBackup(senha, salt, envelope.kdf.iteracoes);
+    if (bytesParaBase64(verificador) !== verificadorEsperado) {
+        const erro = new Error("Senha incorreta.");
+        erro.codigo = 'SENHA';
+        throw erro;
+    }
+
+    try {
+        const texto = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, chave, cifrado);
+        return new TextDecoder().decode(texto);
+    } catch (err) {
+        // A senha confere: a falha na autenticação do AES-GCM indica dados alterados
+        throw new Error("Backup criptografado corrompido: os dados não passaram na verificação do AES-GCM.");
+    }
+}
+
+/**
+ * Monta o arquivo de backup (versão, contagem e integridade SHA-256) a partir das tabelas.
+ * @param {object} dados { livros, alunos, ... } no formato atual.
+ * @param {string} dataExportacao Data/hora ISO registrada no arquivo.
+ * @returns {Promise<object>}
+ */
+async function montarPayloadBackup(dados, dataExportacao) {
+    const payload = {
+        versao: DB_VERSION,
+        dataExportacao,
+        totalRegistros: STORES_BACKUP.reduce((soma, storeName) => soma + dados[storeName].length, 0)
+    };
+    STORES_BACKUP.forEach(storeName => { payload[storeName] = dados[storeName]; });
+
+    payload.integridade = await gerarIntegridadeBackup(payload);
+    return payload;
+}
+
+async function exportarDados() {
+    const campoSenha = document.getElementById('backup-senha');
+    const campoConfirmacao = document.getElementById('backup-senha-confirmacao');
+    const senha = campoSenha.value;
+    if (senha && senha !== campoConfirmacao.value) {
+        showToast("A confirmação não confere com a senha do backup.", "error");
+        campoConfirmacao.focus();
+        return;
+    }
+
+    try {
+        const payload = await montarPayloadBackup(await DB.exportAllData(), new Date().toISOString());
+        const conteudo = senha
+            ? await criptografarBackup(JSON.stringify(payload), senha)
+            : payload;
+        const blob = new Blob([JSON.stringify(conteudo, null, 2)], { type: 'application/json' });
+        const dataStr = payload.dataExportacao.split('T')[0];
+        baixarArquivo(blob, `backup-biblioteca-${dataStr}${senha ? '-criptografado' : ''}.json`);
+
+        campoSenha.value = '';
+        campoConfirmacao.value = '';
+        showToast(senha ? "Backup criptografado exportado com sucesso!" : "Backup exportado com sucesso!");
+    } catch (e) {
+        showToast("Erro ao exportar dados.", "error");
+        console.error(e);
+    }
+}
+
+// Coleções que podem faltar em backups gerados por versões anteriores do app
+const COLECOES_OPCIONAIS_BACKUP = ['reservas', 'multas', 'exemplares'];
+
+// Última versão de esquema exportada só com o checksum aditivo; das seguintes em diante o
+// bloco de integridade é obrigatório (sem ele, remover o SHA-256 bastaria para adulterar o arquivo)
+const ULTIMA_VERSAO_CHECKSUM_SIMPLES = 5;
+
+/**
+ * Valida estrutura, contagem e integridade de um backup.
+ * @param {object} json Backup lido do arquivo.
+ * @returns {Promise<Array<string>>} Avisos que não impedem a restauração (ex.: checksum legado).
+ * @throws {Error} Se o backup estiver incompleto, corrompido ou adulterado.
+ */
+async function validarBackup(json) {
+    const avisos = [];
+
+    // 2) Estrutura mínima
+    if (!json.versao || !json.dataExportacao || json.totalRegistros === undefined || !(json.integridade || json.checksum)) {
+        throw new Error("Estrutura do backup inválida (campos raiz ausentes).");
+    }
+    // Versão conhecida e não mais recente que a do aplicativo
+    const versao = versaoDoBackup(json);
+
+    // 3) Arrays realmente arrays
+    if (!Array.isArray(json.livros) || !Array.isArray(json.alunos) || !Array.isArray(json.emprestimos)) {
+        throw new Error("Estrutura de dados corrompida (esperado arrays).");
+    }
+    // Reservas, multas e exemplares são opcionais (backups anteriores a esses recursos não os possuem)
+    if (COLECOES_OPCIONAIS_BACKUP.some(nome => json[nome] !== undefined && !Array.isArray(json[nome]))) {
+        throw new Error("Estrutura de dados corrompida (esperado arrays).");
+    }
+
+    // 6) totalRegistros confere
+    const somaReal = json.livros.length + json.alunos.length + json.emprestimos.length
+        + COLECOES_OPCIONAIS_BACKUP.reduce((soma, nome) => soma + (json[nome] || []).length, 0);
+    if (json.totalRegistros !== somaReal) {
+        throw new Error("Total de registros não confere com a soma real.");
+    }
+
+    // 7) Integridade: SHA-256 por seção; backups antigos trazem só o checksum aditivo
+    if (json.integridade) {
+        await verificarIntegridadeBackup(json);
+    } else if (versao > ULTIMA_VERSAO_CHECKSUM_SIMPLES) {
+        throw new Error(`Backup v${versao} sem o bloco de integridade SHA-256. O arquivo foi modificado ou está corrompido.`);
+    } else {
+        const checksumOriginal = json.checksum;
+        delete json.checksum; // Remove para recalcular
+        const checksumCalculado = gerarChecksumSimples(json);
+        json.checksum = checksumOriginal; // Restaura o objeto original
+
+        if (checksumOriginal !== checksumCalculado) {
+            throw new Error("Checksum inválido. O arquivo foi modificado ou está corrompido.");
+        }
+        avisos.push("Backup em formato antigo, protegido apenas por checksum simples: alterações no conteúdo podem não ser detectadas.");
+    }
+
+    // 4 & 5) Tipos primitivos e campos obrigatórios
+    validarEstrutura(json.livros, ['id', 'titulo', 'autor', 'isbn', 'quantidadeTotal', 'quantidadeDisponivel']);
+    validarEstrutura(json.alunos, ['id', 'nome', 'matricula', 'turma']);
+    validarEstrutura(json.emprestimos, ['id', 'idLivro', 'idAluno', 'dataEmprestimo', 'dataPrevistaDevolucao', 'status']);
+    validarEstrutura(json.reservas || [], ['id', 'idLivro', 'idAluno', 'dataReserva', 'status']);
+    validarEstrutura(json.multas || [], ['id', 'idEmprestimo', 'idAluno', 'valor', 'status']);
+    validarEstrutura(json.exemplares || [], ['tombo', 'idLivro', 'status']);
+
+    return avisos;
+}
+
+function validarEstrutura(array, camposObrigatorios) {
+    for (let item of array) {
+        if (typeof item !== 'object' || item === null) throw new Error("Item inválido no array (não é objeto).");
+        for (let campo of camposObrigatorios) {
+            if (!(campo in item)) {
+                throw new Error(`Campo obrigatório '${campo}' ausente em um dos registros.`);
+            }
+        }
+    }
+}
+
+/**
+ * Pede a senha de um backup criptografado e o descriptografa.
+ * @param {object} envelope
+ * @returns {Promise<object|null>} Backup em claro, ou null se o usuário cancelar.
+ * @throws {Error} Se o arquivo estiver corrompido ou as tentativas de senha se esgotarem.
+ */
+async function abrirBackupCriptografado(envelope) {
+    const maxTentativas = 3;
+    let mensagem = "Este backup está protegido por senha. Informe a senha:";
+
+    for (let tentativa = 1; tentativa <= maxTentativas; tentativa++) {
+        const senha = prompt(mensagem);
+        if (senha === null) return null;
+
+        try {
+            const texto = await descriptografarBackup(envelope, senha);
+            try {
+                return JSON.parse(texto);
+            } catch (err) {
+                throw new Error("Conteúdo descriptografado não é um JSON válido.");
+            }
+        } catch (error) {
+            if (error.codigo !== 'SENHA') throw error;
+            mensagem = `Senha incorreta (tentativa ${tentativa} de ${maxTentativas}). Informe a senha do backup:`;
+        }
+    }
+    throw new Error("Senha incorreta.");
+}
+
+async function handleImportarDados(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+        try {
+            // 1) JSON válido (try/catch)
+            let json;
+            try {
+                json = JSON.parse(e.target.result);
+            } catch (err) {
+                throw new Error("Arquivo não é um JSON válido.");
+            }
+
+            // Backup criptografado: pede a senha (com novas tentativas se estiver errada)
+            if (ehBackupCriptografado(json)) {
+                json = await abrirBackupCriptografado(json);
+                if (!json) return;
+            }
+
+            // Validações profundas
+            const avisos = await validarBackup(json);
+            avisos.forEach(aviso => console.warn(`[Backup] ${aviso}`));
+            const textoAvisos = avisos.map(aviso => `Aviso: ${aviso}\n\n`).join('');
+
+            // Mesclagem: nada é apagado; os conflitos são resolvidos na tela antes de gravar
+            if (document.getElementById('modo-importacao').value === 'mesclar') {
+                if (textoAvisos && !confirm(`${textoAvisos}Deseja continuar?`)) return;
+                await abrirMesclagem(atualizarBackup(json));
+                return;
+            }
+
+            if (!confirm(`${textoAvisos}Atenção: A restauração substituirá TODOS os dados atuais. Deseja continuar?`)) {
+                event.target.value = ''; // Reseta o input
+                return;
+            }
+
+            // Ponto de restauração automático antes de restaurar (fica na lista da aba Configurações)
+            const snapshot = await criarPontoRestauracao('importacao');
+
+            try {
+                // Converte backups de versões anteriores e insere em uma única transação readwrite
+                await DB.importAllData(atualizarBackup(json));
+                showToast("Restauração concluída com sucesso!", "success");
+                carregarDadosIniciais(); // Recarrega a UI
+            } catch (err) {
+                // Rollback manual a partir do ponto de restauração
+                console.warn("Falha na restauração. Executando rollback para o ponto de restauração...");
+                await aplicarPontoRestauracao(snapshot);
+                throw new Error("Erro durante a gravação no banco. Rollback executado com sucesso.");
+            }
+
+        } catch (error) {
+            showToast(`Erro na restauração: ${error.message}`, "error");
+            console.error(error);
+        } finally {
+            event.target.value = ''; // Reseta o input para permitir importar o mesmo arquivo novamente
+        }
+    };
+    reader.readAsText(file);
+}
+
+// ==========================================================================
+// Controladores (Controllers): Mesclagem de Backups
+// ==========================================================================
+const ROTULOS_RESOLUCAO_MESCLAGEM = {
+    local: 'Manter local',
+    entrada: 'Usar do arquivo',
+    ambos: 'Manter ambos'
+};
+
+const ROTULOS_TABELA_MESCLAGEM = {
+    livros: 'Livros',
+    alunos: 'Alunos',
+    emprestimos: 'Empréstimos',
+    reservas: 'Reservas',
+    multas: 'Multas',
+    exemplares: 'Exemplares'
+};
+
+// Backup (já validado e no formato atual) e escolhas da mesclagem em andamento
+const estadoMesclagem = { entrada: null, resolucoes: {} };
+
+/**
+ * Planeja a mesclagem de um backup com os dados locais, sem apagar nada.
+ * Livros são pareados pelo ISBN, alunos pela matrícula, exemplares pelo tombo e empréstimos
+ * pelo trio livro + aluno + data do empréstimo (já com os IDs locais); reservas e multas
+ * repetidas são ignoradas. Registros novos recebem IDs livres e todas as referências
+ * (idLivro, idAluno, idEmprestimo, tombo) são convertidas para os IDs locais.
+ * Registros pareados com dados diferentes viram conflitos, resolvidos conforme `resolucoes`
+ * (padrão: manter o local). Ao final, a situação dos exemplares e os contadores dos livros
+ * afetados são recalculados sobre o resultado.
+ * @param {object} local Dados atuais ({ livros, alunos, ... } de DB.exportAllData).
+ * @param {object} entrada Backup no formato atual (ver atualizarBackup).
+ * @param {object} [resolucoes] { [chaveConflito]: 'local' | 'entrada' | 'ambos' }.
+ * @returns {{operacoes: object, conflitos: Array<object>, resumo: object}}
+ *          operacoes: formato de DB.mesclarDados; resumo: { [store]: { novos, existentes, atualizados } }.
+ */
+function planejarMesclagem(local, entrada, resolucoes = {}) {
+    const operacoes = {};
+    const resumo = {};
+    STORES_BACKUP.forEach(nome => {
+        operacoes[nome] = { inserir: [], atualizar: [] };
+        resumo[nome] = { novos: 0, existentes: 0, atualizados: 0 };
+    });
+    const conflitos = [];
+
+    const mesmosCampos = (a, b, campos) => campos.every(campo => (a[campo] ?? null) === (b[campo] ?? null));
+    const proximoId = (registros) => {
+        let proximo = registros.reduce((maior, r) => Math.max(maior, r.id || 0), 0) + 1;
+        return () => proximo++;
+    };
+    const inserir = (tabela, registro) => {
+        operacoes[tabela].inserir.push(registro);
+        resumo[tabela].novos++;
+    };
+    // Registros locais alterados ao longo do plano (pela resolução ou pelo recálculo final)
+    const alterados = {};
+    STORES_BACKUP.forEach(nome => { alterados[nome] = new Map(); });
+    const chaveDe = (tabela, registro) => tabela === 'exemplares' ? registro.tombo : registro.id;
+    const atualizar = (tabela, antes, depois) => {
+        const chave = chaveDe(tabela, antes);
+        if (!alterados[tabela].has(chave)) resumo[tabela].atualizados++;
+        alterados[tabela].set(chave, { antes, depois });
+    };
+    const atualDe = (tabela, registro) => (alterados[tabela].get(chaveDe(tabela, registro)) || { depois: registro }).depois;
+    const resolver = (tabela, registro, localReg, entradaReg, opcoes) => {
+        const chave = `${tabela}:${chaveDe(tabela, registro)}`;
+        const resolucao = opcoes.includes(resolucoes[chave]) ? resolucoes[chave] : 'local';
+        conflitos.push({ chave, tabela, local: localReg, entrada: entradaReg, opcoes, resolucao });
+        return resolucao;
+    };
+
+    // 1. Livros (ISBN é único: o conflito só admite manter um dos cadastros)
+    const mapaLivros = new Map();
+    const livrosPorISBN = new Map(local.livros.map(l => [tentarNormalizarISBN(l.isbn) || l.isbn, l]));
+    const novoIdLivro = proximoId(local.livros);
+    entrada.livros.forEach(livro => {
+        const existente = livrosPorISBN.get(tentarNormalizarISBN(livro.isbn) || livro.isbn);
+        if (!existente) {
+            const id = novoIdLivro();
+            mapaLivros.set(livro.id, id);
+            inserir('livros', { ...livro, id });
+            return;
+        }
+        mapaLivros.set(livro.id, existente.id);
+        resumo.livros.existentes++;
+        if (mesmosCampos(existente, livro, ['titulo', 'autor'])) return;
+        if (resolver('livros', livro, existente, livro, ['local', 'entrada']) === 'entrada') {
+            atualizar('livros', existente, { ...existente, titulo: livro.titulo, autor: livro.autor });
+        }
+    });
+
+    // 2. Alunos ("manter ambos" cadastra o do arquivo com a matrícula acrescida de sufixo)
+    const mapaAlunos = new Map();
+    const alunosPorMatricula = new Map(local.alunos.map(a => [String(a.matricula).trim(), a]));
+    const matriculasUsadas = new Set([...local.alunos, ...entrada.alunos].map(a => String(a.matricula).trim()));
+    const novoIdAluno = proximoId(local.alunos);
+    entrada.alunos.forEach(aluno => {
+        const matricula = String(aluno.matricula).trim();
+        const existente = alunosPorMatricula.get(matricula);
+        let novo = { ...aluno };
+        if (existente) {
+            const iguais = mesmosCampos(existente, aluno, ['nome', 'turma']);
+            const resolucao = iguais ? 'local' : resolver('alunos', aluno, existente, aluno, ['local', 'entrada', 'ambos']);
+            if (resolucao !== 'ambos') {
+                mapaAlunos.set(aluno.id, existente.id);
+                resumo.alunos.existentes++;
+                if (resolucao === 'entrada') {
+                    atualizar('alunos', existente, { ...existente, nome: aluno.nome, turma: aluno.turma });
+                }
+                return;
+            }
+            let sufixo = 2;
+            while (matriculasUsadas.has(`${matricula}-${sufixo}`)) sufixo++;
+            novo.matricula = `${matricula}-${sufixo}`;
+            matriculasUsadas.add(novo.matricula);
+        }
+        novo.id = novoIdAluno();
+        mapaAlunos.set(aluno.id, novo.id);
+        inserir('alunos', novo);
+    });
+
+    // 3. Exemplares (mesmo tombo no mesmo livro é o mesmo exemplar; tombo ocupado por outro livro é renumerado)
+    const mapaTombos = new Map();
+    const exemplaresPorTombo = new Map(local.exemplares.map(e => [e.tombo, e]));
+    const proximoTombo = criarSequenciaTombos([...local.exemplares, ...entrada.exemplares].map(e => e.tombo));
+    entrada.exemplares.forEach(exemplar => {
+        const idLivro = mapaLivros.get(exemplar.idLivro) ?? null;
+        const existente = exemplaresPorTombo.get(exemplar.tombo);
+        if (existente && existente.idLivro === idLivro) {
+            mapaTombos.set(exemplar.tombo, exemplar.tombo);
+            resumo.exemplares.existentes++;
+            return;
+        }
+        const tombo = existente ? proximoTombo() : exemplar.tombo;
+        mapaTombos.set(exemplar.tombo, tombo);
+        inserir('exemplares', { ...exemplar, tombo, idLivro });
+    });
+
+    const converterReferencias = (registro) => {
+        const convertido = {
+            ...registro,
+            idLivro: mapaLivros.get(registro.idLivro) ?? null,
+            idAluno: mapaAlunos.get(registro.idAluno) ?? null
+        };
+        if (registro.tombo) convertido.tombo = mapaTombos.get(registro.tombo) || registro.tombo;
+        return convertido;
+    };
+
+    // 4. Empréstimos (mesmo livro, aluno e data: duplicado; com situação diferente: conflito).
+    // São o mesmo empréstimo em dois estados: manter ambos deixaria um exemplar emprestado duas vezes
+    const mapaEmprestimos = new Map();
+    const chaveEmprestimo = (e) => `${e.idLivro}|${e.idAluno}|${e.dataEmprestimo}`;
+    const emprestimosLocais = new Map();
+    local.emprestimos.forEach(e => { if (!emprestimosLocais.has(chaveEmprestimo(e))) emprestimosLocais.set(chaveEmprestimo(e), e); });
+    const novoIdEmprestimo = proximoId(local.emprestimos);
+    entrada.emprestimos.forEach(emprestimo => {
+        const convertido = converterReferencias(emprestimo);
+        const existente = emprestimosLocais.get(chaveEmprestimo(convertido));
+        if (existente) {
+            const iguais = mesmosCampos(existente, convertido, ['status', 'dataPrevistaDevolucao', 'dataDevolucaoReal']);
+            const resolucao = iguais ? 'local' : resolver('emprestimos', emprestimo, existente, convertido, ['local', 'entrada']);
+            mapaEmprestimos.set(emprestimo.id, existente.id);
+            resumo.emprestimos.existentes++;
+            if (resolucao === 'entrada') atualizar('emprestimos', existente, { ...convertido, id: existente.id });
+            return;
+        }
+        const id = novoIdEmprestimo();
+        mapaEmprestimos.set(emprestimo.id, id);
+        inserir('emprestimos', { ...convertido, id });
+    });
+
+    // 5. Reservas (mesmo livro, aluno e data) e multas (uma por empréstimo)
+    const chaveReserva = (r) => `${r.idLivro}|${r.idAluno}|${r.dataReserva}`;
+    const reservasLocais = new Set(local.reservas.map(chaveReserva));
+    const novoIdReserva = proximoId(local.reservas);
+    entrada.reservas.forEach(reserva => {
+        const convertida = converterReferencias(reserva);
+        if (reservasLocais.has(chaveReserva(convertida))) {
+            resumo.reservas.existentes++;
+            return;
+        }
+        inserir('reservas', { ...convertida, id: novoIdReserva() });
+    });
+
+    const emprestimosComMulta = new Set(local.multas.map(m => m.idEmprestimo));
+    const novoIdMulta = proximoId(local.multas);
+    entrada.multas.forEach(multa => {
+        const idEmprestimo = mapaEmprestimos.get(multa.idEmprestimo) ?? null;
+        if (idEmprestimo !== null && emprestimosComMulta.has(idEmprestimo)) {
+            resumo.multas.existentes++;
+            return;
+        }
+        const convertida = converterReferencias(multa);
+        inserir('multas', { ...convertida, idEmprestimo, id: novoIdMulta() });
+    });
+
+    // 6. Situação dos exemplares e contadores dos livros afetados, sobre o resultado da mesclagem
+    const resultado = (tabela) => [
+        ...local[tabela].map(registro => atualDe(tabela, registro)),
+        ...operacoes[tabela].inserir
+    ];
+    const emprestimosFinais = resultado('emprestimos');
+    const reservasFinais = resultado('reservas');
+    const tombosEmprestados = new Set(emprestimosFinais.filter(e => e.status === 'ativo' && e.tombo).map(e => e.tombo));
+    const tombosRetidos = new Set(reservasFinais.filter(r => r.status === 'disponivel' && r.tombo).map(r => r.tombo));
+    const livrosAfetados = new Set([
+        ...operacoes.exemplares.inserir,
+        ...operacoes.emprestimos.inserir,
+        ...operacoes.reservas.inserir,
+        ...[...alterados.emprestimos.values()].flatMap(({ antes, depois }) => [antes, depois])
+    ].map(r => r.idLivro));
+
+    operacoes.exemplares.inserir.forEach(exemplar => {
+        exemplar.status = derivarSituacaoExemplar(exemplar, tombosEmprestados, tombosRetidos);
+    });
+    local.exemplares.filter(e => livrosAfetados.has(e.idLivro)).forEach(exemplar => {
+        const status = derivarSituacaoExemplar(exemplar, tombosEmprestados, tombosRetidos);
+        if (status !== exemplar.status) atualizar('exemplares', exemplar, { ...exemplar, status });
+    });
+
+    const exemplaresFinais = resultado('exemplares');
+    const contarDoLivro = (idLivro) => contarExemplares(exemplaresFinais.filter(e => e.idLivro === idLivro));
+    operacoes.livros.inserir.forEach(livro => Object.assign(livro, contarDoLivro(livro.id)));
+    local.livros.filter(l => livrosAfetados.has(l.id)).forEach(livro => {
+        const atual = atualDe('livros', livro);
+        const contagem = contarDoLivro(livro.id);
+        if (!mesmosCampos(atual, contagem, ['quantidadeTotal', 'quantidadeDisponivel'])) {
+            atualizar('livros', livro, { ...atual, ...contagem });
+        }
+    });
+
+    STORES_BACKUP.forEach(nome => { operacoes[nome].atualizar = [...alterados[nome].values()]; });
+    return { operacoes, conflitos, resumo };
+}
+
+/**
+ * Texto curto que identifica um registro na tela de conflitos.
+ * @param {string} tabela
+ * @param {object} registro
+ * @returns {string}
+ */
+function descreverRegistroMesclagem(tabela, registro) {
+    if (tabela === 'livros') return `${registro.titulo} — ${registro.autor}`;
+    if (tabela === 'alunos') return `${registro.nome} · Matrícula ${registro.matricula} · Turma ${registro.turma}`;
+    const situacao = registro.status === 'ativo'
+        ? `Ativo, devolução prevista ${formatarData(registro.dataPrevistaDevolucao)}`
+        : `Devolvido em ${formatarData(registro.dataDevolucaoReal)}`;
+    return `Empréstimo de ${formatarData(registro.dataEmprestimo)} · ${situacao}`;
+}
+
+async function abrirMesclagem(entrada) {
+    estadoMesclagem.entrada = entrada;
+    estadoMesclagem.resolucoes = {};
+    await renderizarMesclagem();
+    document.getElementById('modal-mesclagem').classList.remove('hidden');
+}
+
+function fecharMesclagem() {
+    estadoMesclagem.entrada = null;
+    estadoMesclagem.resolucoes = {};
+    document.getElementById('modal-mesclagem').classList.add('hidden');
+}
+
+async function renderizarMesclagem() {
+    try {
+        const local = await DB.exportAllData();
+        const { conflitos, resumo } = planejarMesclagem(local, estadoMesclagem.entrada, estadoMesclagem.resolucoes);
+
+        document.querySelector('#tabela-resumo-mesclagem tbody').innerHTML = STORES_BACKUP.map(nome => `
+            <tr>
+                <td>${ROTULOS_TABELA_MESCLAGEM[nome]}</td>
+                <td>${resumo[nome].novos}</td>
+                <td>${resumo[nome].existentes}</td>
+                <td>${resumo[nome].atualizados}</td>
+            </tr>`).join('');
+
+        document.getElementById('mesclagem-total-conflitos').textContent = conflitos.length === 0
+            ? 'Nenhum conflito: os registros em comum são idênticos.'
+            : `${conflitos.length} conflito(s). Escolha qual versão manter em cada um.`;
+        document.querySelector('#tabela-conflitos-mesclagem tbody').innerHTML = conflitos.map(conflito => `
+            <tr>
+                <td>${ROTULOS_TABELA_MESCLAGEM[conflito.tabela]}</td>
+                <td>${escaparHTML(descreverRegistroMesclagem(conflito.tabela, conflito.local))}</td>
+                <td>${escaparHTML(descreverRegistroMesclagem(conflito.tabela, conflito.entrada))}</td>
+                <td>
+                    <select data-conflito="${escaparHTML(conflito.chave)}" aria-label="Resolução do conflito">
+                        ${conflito.opcoes.map(opcao => `<option value="${opcao}" ${opcao === conflito.resolucao ? 'selected' : ''}>${ROTULOS_RESOLUCAO_MESCLAGEM[opcao]}</option>`).join('')}
+                    </select>
+                </td>
+            </tr>`).join('');
+
+        // A escolha de um conflito pode mudar os pareamentos seguintes, então o plano é refeito
+        document.querySelectorAll('#tabela-conflitos-mesclagem select').forEach(select => {
+            select.addEventListener('change', () => {
+                estadoMesclagem.resolucoes[select.getAttribute('data-conflito')] = select.value;
+                renderizarMesclagem();
+            });
+        });
+    } catch (error) {
+        showToast("Erro ao comparar o backup com os dados atuais.", "error");
+        console.error(error);
+    }
+}
+
+async function handleConfirmarMesclagem() {
+    try {
+        // Replaneja sobre os dados atuais, com as escolhas feitas na tela
+        const local = await DB.exportAllData();
+        const { operacoes, resumo } = planejarMesclagem(local, estadoMesclagem.entrada, estadoMesclagem.resolucoes);
+        await criarPontoRestauracao('mesclagem');
+        await DB.mesclarDados(operacoes);
+
+        const novos = STORES_BACKUP.reduce((soma, nome) => soma + resumo[nome].novos, 0);
+        const atualizados = STORES_BACKUP.reduce((soma, nome) => soma + resumo[nome].atualizados, 0);
+        fecharMesclagem();
+        showToast(`Mesclagem concluída: ${novos} registro(s) novo(s), ${atualizados} atualizado(s).`, "success");
+        carregarDadosIniciais();
+    } catch (error) {
+        showToast(`Erro na mesclagem: ${error.message}`, "error");
+        console.error(error);
+    }
+}
+
+// ==========================================================================
+// Controladores (Controllers): Pontos de Restauração (Snapshots)
+// ==========================================================================
+const ROTULOS_MOTIVO_SNAPSHOT = {
+    diario: 'Diário',
+    manual: 'Manual',
+    importacao: 'Antes de restaurar backup',
+    mesclagem: 'Antes de mesclar backup',
+    'importacao-alunos': 'Antes de importar alunos',
+    'importacao-acervo': 'Antes de importar acervo',
+    restauracao: 'Antes de voltar a um ponto',
+    reparo: 'Antes de reparar dados'
+};
+
+/**
+ * Cria um ponto de restauração aplicando a política de retenção configurada.
+ * @param {string} motivo Chave de ROTULOS_MOTIVO_SNAPSHOT.
+ * @returns {Promise<object>} Snapshot criado (com as tabelas copiadas).
+ */
+async function criarPontoRestauracao(motivo) {
+    const config = obterConfiguracoes();
+    return DB.criarSnapshot(motivo, { diarios: config.snapshotsDiarios, operacoes: config.snapshotsOperacoes });
+}
+
+/**
+ * Cria o ponto de restauração diário, se ainda não houver um com a data de hoje.
+ */
+async function garantirSnapshotDiario() {
+    try {
+        const hoje = formatarDataISO(new Date());
+        const snapshots = await DB.listarSnapshots();
+        const feitoHoje = snapshots.some(s => s.motivo === 'diario' && formatarDataISO(new Date(s.dataHora)) === hoje);
+        if (!feitoHoje) await criarPontoRestauracao('diario');
+    } catch (error) {
+        console.error("Erro ao criar o ponto de restauração diário:", error);
+    }
+}
+
+function initPontosRestauracao() {
+    const config = obterConfiguracoes();
+    document.getElementById('retencao-diarios').value = config.snapshotsDiarios;
+    document.getElementById('retencao-operacoes').value = config.snapshotsOperacoes;
+    document.getElementById('form-retencao').addEventListener('submit', handleSalvarRetencao);
+    document.getElementById('btn-criar-snapshot').addEventListener('click', async () => {
+        try {
+            await criarPontoRestauracao('manual');
+            showToast("Ponto de restauração criado!");
+            await renderizarPontosRestauracao();
+        } catch (error) {
+            showToast("Erro ao criar ponto de restauração.", "error");
+            console.error(error);
+        }
+    });
+
+    // Carrega a lista quando a aba de configurações é aberta
+    document.querySelector('.tab-btn[data-target="tab-config"]').addEventListener('click', renderizarPontosRestauracao);
+    garantirSnapshotDiario();
+}
+
+function handleSalvarRetencao(event) {
+    event.preventDefault();
+    const diarios = parseInt(document.getElementById('retencao-diarios').value, 10);
+    const operacoes = parseInt(document.getElementById('retencao-operacoes').value, 10);
+    if (!(diarios >= 1) || !(operacoes >= 1)) {
+        showToast("Mantenha ao menos um ponto de restauração de cada tipo.", "error");
+        return;
+    }
+    salvarConfiguracoes({ snapshotsDiarios: diarios, snapshotsOperacoes: operacoes });
+    showToast("Retenção salva! Vale a partir do próximo ponto criado.");
+}
+
+async function renderizarPontosRestauracao() {
+    const tbody = document.querySelector('#tabela-snapshots tbody');
+    document.getElementById('snapshot-detalhe').classList.add('hidden');
+
+    try {
+        const snapshots = await DB.listarSnapshots();
+        if (snapshots.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" style="text-align:center">Nenhum ponto de restauração.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = snapshots.map(snapshot => {
+            const total = Object.values(snapshot.contagens).reduce((soma, n) => soma + n, 0);
+            return `
+                <tr>
+                    <td>${new Date(snapshot.dataHora).toLocaleString('pt-BR')}</td>
+                    <td>${ROTULOS_MOTIVO_SNAPSHOT[snapshot.motivo] || escaparHTML(snapshot.motivo)}</td>
+                    <td>${total}</td>
+                    <td class="td-actions">
+                        <button class="btn btn-sm btn-secondary" onclick="detalharPontoRestauracao(${snapshot.id})">Detalhes</button>
+                        <button class="btn btn-sm btn-secondary" onclick="baixarPontoRestauracao(${snapshot.id})">Baixar</button>
+                        <button class="btn btn-sm btn-danger" onclick="restaurarPontoRestauracao(${snapshot.id})">Restaurar</button>
+                    </td>
+                </tr>`;
+        }).join('');
+    } catch (error) {
+        console.error("Erro ao carregar pontos de restauração:", error);
+    }
+}
+
+/**
+ * Mostra as contagens do ponto ao lado das contagens atuais de cada tabela.
+ * @param {number} id
+ */
+async function detalharPontoRestauracao(id) {
+    try {
+        const snapshots = await DB.listarSnapshots();
+        const snapshot = snapshots.find(s => s.id === id);
+        const atuais = await DB.exportAllData();
+        if (!snapshot) return;
+
+        const detalhe = document.getElementById('snapshot-detalhe');
+        detalhe.innerHTML = `
+            <h3 class="titulo-grafico">Ponto de ${new Date(snapshot.dataHora).toLocaleString('pt-BR')}</h3>
+            <div class="indicadores">
+                ${STORES_BACKUP.map(nome => `
+                    <div class="indicador">
+                        <span class="indicador-valor">${snapshot.contagens[nome] ?? 0}</span>
+                        <span class="indicador-rotulo">${ROTULOS_TABELA_MESCLAGEM[nome]} (hoje: ${atuais[nome].length})</span>
+                    </div>`).join('')}
+            </div>`;
+        detalhe.classList.remove('hidden');
+    } catch (error) {
+        showToast("Erro ao carregar o ponto de restauração.", "error");
+        console.error(error);
+    }
+}
+
+async function baixarPontoRestauracao(id) {
+    try {
+        const snapshot = await DB.getById('snapshots', id);
+        const dados = atualizarBackup({ ...snapshot.dados, versao: snapshot.versao });
+        const payload = await montarPayloadBackup(dados, snapshot.dataHora);
+        const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+        baixarArquivo(blob, `backup-biblioteca-${formatarDataISO(new Date(snapshot.dataHora))}-ponto-${snapshot.id}.json`);
+    } catch (error) {
+        showToast("Erro ao baixar o ponto de restauração.", "error");
+        console.error(error);
+    }
+}
+
+/**
+ * Substitui os dados atuais pelos de um ponto de restauração, inclusive o estado de sincronização:
+ * registros já enviados não voltam a ser enviados e as exclusões pendentes continuam pendentes.
+ * Pontos criados antes da cópia das lápides voltam sem nenhuma.
+ * @param {object} snapshot Ponto completo (com dados), como lido da store 'snapshots'.
+ * @returns {Promise<void>}
+ */
+function aplicarPontoRestauracao(snapshot) {
+    return DB.importAllData(atualizarBackup({ ...snapshot.dados, versao: snapshot.versao }), { exclusoes: snapshot.exclusoes || [] });
+}
+
+async function restaurarPontoRestauracao(id) {
+    if (!confirm("Voltar a este ponto substituirá TODOS os dados atuais. Um novo ponto com o estado atual será criado antes. Deseja continuar?")) return;
+
+    try {
+        const snapshot = await DB.getById('snapshots', id);
+        await criarPontoRestauracao('restauracao');
+        await aplicarPontoRestauracao(snapshot);
+        showToast("Dados restaurados para o ponto selecionado!", "success");
+        carregarDadosIniciais();
+        await renderizarPontosRestauracao();
+    } catch (error) {
+        showToast(`Erro ao restaurar: ${error.message}`, "error");
+        console.error(error);
+    }
+}
+
+// ==========================================================================
+// Controladores (Controllers): Verificação de Consistência
+// ==========================================================================
+const ROTULOS_PROBLEMA_CONSISTENCIA = {
+    orfao: 'Empréstimo órfão',
+    duplicado: 'Empréstimo repetido',
+    'data-invalida': 'Datas inválidas',
+    'exemplar-invalido': 'Exemplar inválido',
+    'tombo-duplicado': 'Exemplar em dois empréstimos',
+    'situacao-exemplar': 'Situação do exemplar',
+    contagem: 'Disponibilidade'
+};
+
+function initConsistencia() {
+    document.getElementById('btn-verificar-consistencia').addEventListener('click', verificarConsistencia);
+    document.getElementById('btn-reparar-consistencia').addEventListener('click', handleRepararConsistencia);
+}
+
+/**
+ * Diagnostica os dados atuais e lista os problemas encontrados.
+ * @returns {Promise<Array<object>>} Problemas encontrados.
+ */
+async function verificarConsistencia() {
+    const tbody = document.querySelector('#tabela-consistencia tbody');
+    const resumo = document.getElementById('consistencia-resumo');
+    const btnReparar = document.getElementById('btn-reparar-consistencia');
+
+    try {
+        const { problemas } = diagnosticarConsistencia(await DB.exportAllData(), formatarDataISO(new Date()));
+        const reparaveis = problemas.filter(p => p.reparo).length;
+
+        btnReparar.disabled = reparaveis === 0;
+        resumo.textContent = problemas.length === 0
+            ? 'Nenhum problema encontrado.'
+            : `${problemas.length} problema(s) encontrado(s); ${reparaveis} com correção automática.`;
+
+        tbody.innerHTML = problemas.map(problema => `
+            <tr>
+                <td>${ROTULOS_PROBLEMA_CONSISTENCIA[problema.tipo]}</td>
+                <td>${ROTULOS_TABELA_MESCLAGEM[problema.tabela]} #${escaparHTML(problema.idRegistro)}</td>
+                <td>${escaparHTML(problema.descricao)}</td>
+                <td>${problema.reparo ? escaparHTML(problema.reparo) : '<em>Revisar manualmente</em>'}</td>
+            </tr>
+        `).join('');
+        return problemas;
+    } catch (error) {
+        showToast("Erro ao verificar os dados.", "error");
+        console.error(error);
+        return [];
+    }
+}
+
+async function handleRepararConsistencia() {
+    if (!confirm("Aplicar todas as correções automáticas? Um ponto de restauração será criado antes.")) return;
+
+    try {
+        await criarPontoRestauracao('reparo');
+        const { corrigidos, pendentes } = await DB.repararConsistencia(formatarDataISO(new Date()));
+        const aviso = pendentes > 0 ? ` ${pendentes} problema(s) exigem revisão manual.` : '';
+        showToast(`${corrigidos} problema(s) corrigido(s).${aviso}`, pendentes > 0 ? 'info' : 'success');
+        carregarDadosIniciais();
+        await verificarConsistencia();
+    } catch (error) {
+        showToast(`Erro ao reparar: ${error.message}`, "error");
+        console.error(error);
+    }
+}
+
+// ==========================================================================
+// Utilitários: Documentos em PDF
+// ==========================================================================
+const PDF_LARGURA_PAGINA = 595.28;  // A4 em pontos
+const PDF_ALTURA_PAGINA = 841.89;
+const PDF_MARGEM = 56;
+const PDF_CORPO = { tamanho: 11, entrelinha: 15 };
+const PDF_TITULO = { tamanho: 14, entrelinha: 22 };
+
+// Caracteres fora do Latin-1 que existem na WinAnsiEncoding das fontes padrão do PDF
+const CARACTERES_WINANSI = { '€': 0x80, '‚': 0x82, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97 };
+
+/**
+ * Converte um texto para string literal de PDF em WinAnsiEncoding (um byte por caractere).
+ * Caracteres sem representação viram "?".
+ * @param {string} texto
+ * @returns {string}
+ */
+function textoParaPDF(texto) {
+    return Array.from(String(texto), (caractere) => {
+        const codigo = caractere.charCodeAt(0);
+        const byte = CARACTERES_WINANSI[caractere]
+            ?? ((codigo >= 0x20 && codigo < 0x7F) || (codigo >= 0xA0 && codigo <= 0xFF) ? codigo : 0x3F);
+        const convertido = String.fromCharCode(byte);
+        return '()\\'.includes(convertido) ? `\\${convertido}` : convertido;
+    }).join('');
+}
+
+/**
+ * Quebra uma linha de texto em partes de até `limite` caracteres, preferindo os espaços.
+ * @param {string} linha
+ * @param {number} limite
+ * @returns {Array<string>}
+ */
+function quebrarLinhaPDF(linha, limite) {
+    const partes = [];
+    let restante = linha;
+    while (restante.length > limite) {
+        const corte = restante.lastIndexOf(' ', limite);
+        const posicao = corte > 0 ? corte : limite;
+        partes.push(restante.slice(0, posicao));
+        restante = restante.slice(posicao).trimStart();
+    }
+    partes.push(restante);
+    return partes;
+}
+
+/**
+ * Gera um PDF A4 de texto (Helvetica) a partir de documentos com título e linhas.
+ * No formato 'pagina' cada documento começa em uma nova página; no formato 'recorte'
+ * os documentos são empilhados na mesma página, separados por uma linha tracejada de corte.
+ * @param {Array<{titulo: string, linhas: Array<string>}>} documentos
+ * @param {string} [formato] 'pagina' ou 'recorte'.
+ * @returns {Uint8Array} Conteúdo do arquivo .pdf.
+ */
+function gerarPDF(documentos, formato = 'pagina') {
+    const caracteresPorLinha = Math.floor((PDF_LARGURA_PAGINA - 2 * PDF_MARGEM) / (PDF_CORPO.tamanho * 0.52));
+    const topo = PDF_ALTURA_PAGINA - PDF_MARGEM;
+    const paginas = [];
+    let comandos = null;
+    let y = 0;
+
+    const novaPagina = () => {
+        comandos = [];
+        paginas.push(comandos);
+        y = topo;
+    };
+    const escrever = (texto, fonte, estilo) => {
+        if (y - estilo.entrelinha < PDF_MARGEM) novaPagina();
+        y -= estilo.entrelinha;
+        comandos.push(`BT /${fonte} ${estilo.tamanho} Tf ${PDF_MARGEM} ${y.toFixed(2)} Td (${textoParaPDF(texto)}) Tj ET`);
+    };
+
+    documentos.forEach((documento, i) => {
+        const linhas = documento.linhas.flatMap(linha => quebrarLinhaPDF(linha, caracteresPorLinha));
+        const altura = PDF_TITULO.entrelinha + linhas.length * PDF_CORPO.entrelinha;
+
+        if (!comandos || formato === 'pagina' || y - altura - PDF_CORPO.entrelinha < PDF_MARGEM) {
+            novaPagina();
+        } else if (i > 0) {
+            y -= PDF_CORPO.entrelinha / 2;
+            comandos.push(`[4 3] 0 d 0.5 w ${PDF_MARGEM} ${y.toFixed(2)} m ${PDF_LARGURA_PAGINA - PDF_MARGEM} ${y.toFixed(2)} l S [] 0 d`);
+            y -= PDF_CORPO.entrelinha / 2;
+        }
+
+        escrever(documento.titulo, 'F2', PDF_TITULO);
+        linhas.forEach(linha => escrever(linha, 'F1', PDF_CORPO));
+    });
+    if (paginas.length === 0) novaPagina();
+
+    // Objetos: 1 catálogo, 2 árvore de páginas, 3-4 fontes, depois página e conteúdo de cada página
+    const objetos = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${paginas.map((_, i) => `${5 + 2 * i} 0 R`).join(' ')}] /Count ${paginas.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+    ];
+    paginas.forEach((pagina, i) => {
+        const conteudo = pagina.join('\n');
+        objetos.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_LARGURA_PAGINA} ${PDF_ALTURA_PAGINA}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + 2 * i} 0 R >>`);
+        objetos.push(`<< /Length ${conteudo.length} >>\nstream\n${conteudo}\nendstream`);
+    });
+
+    // Todo o arquivo usa um byte por caractere, então o comprimento da string é o deslocamento em bytes
+    let arquivo = '%PDF-1.4\n';
+    const deslocamentos = objetos.map((objeto, i) => {
+        const inicio = arquivo.length;
+        arquivo += `${i + 1} 0 obj\n${objeto}\nendobj\n`;
+        return inicio;
+    });
+    const inicioXref = arquivo.length;
+    arquivo += `xref\n0 ${objetos.length + 1}\n0000000000 65535 f \n`;
+    arquivo += deslocamentos.map(d => `${String(d).padStart(10, '0')} 00000 n \n`).join('');
+    arquivo += `trailer\n<< /Size ${objetos.length + 1} /Root 1 0 R >>\nstartxref\n${inicioXref}\n%%EOF\n`;
+
+    return Uint8Array.from(arquivo, c => c.charCodeAt(0));
+}
+
+// ==========================================================================
+// Controladores (Controllers): Comprovantes e Avisos de Atraso
+// ==========================================================================
+/**
+ * Substitui os campos {chave} do modelo; campos desconhecidos são mantidos como estão.
+ * @param {string} modelo
+ * @param {object} valores
+ * @returns {string}
+ */
+function preencherModeloAviso(modelo, valores) {
+    return modelo.replace(/\{(\w+)\}/g, (trecho, chave) => (chave in valores ? String(valores[chave]) : trecho));
+}
+
+/**
+ * Monta o comprovante de um empréstimo ou devolução.
+ * @param {string} tipo 'emprestimo' ou 'devolucao'.
+ * @param {{emprestimo: object, livro: object, aluno: object, multa: object}} dados Livro, aluno e multa podem faltar.
+ * @param {object} config Configurações (nomeBiblioteca).
+ * @param {Date} [emissao]
+ * @returns {{titulo: string, linhas: Array<string>}}
+ */
+function montarComprovante(tipo, { emprestimo, livro, aluno, multa }, config, emissao = new Date()) {
+    const linhas = [
+        tipo === 'emprestimo' ? 'Comprovante de Empréstimo' : 'Comprovante de Devolução',
+        '',
+        `Aluno: ${aluno ? aluno.nome : 'Aluno Excluído'}`
+    ];
+    if (aluno) linhas.push(`Matrícula: ${aluno.matricula} · Turma: ${aluno.turma}`);
+    linhas.push(`Livro: ${livro ? livro.titulo : 'Livro Excluído'}`);
+    if (livro) linhas.push(`Autor: ${livro.autor}`);
+    if (emprestimo.tombo) linhas.push(`Tombo: ${emprestimo.tombo}`);
+    linhas.push(`Emprestado em: ${formatarData(emprestimo.dataEmprestimo)}`);
+
+    if (tipo === 'emprestimo') {
+        linhas.push(`Devolver até: ${formatarData(emprestimo.dataPrevistaDevolucao)}`);
+    } else {
+        linhas.push(`Devolvido em: ${formatarData(emprestimo.dataDevolucaoReal)}`);
+        if (multa) linhas.push(`Multa: ${formatarMoeda(multa.valor)} (${multa.diasAtraso} dia(s) de atraso)`);
+    }
+
+    linhas.push('', `Emitido em ${emissao.toLocaleString('pt-BR')}`);
+    return { titulo: config.nomeBiblioteca, linhas };
+}
+
+/**
+ * Agrupa os empréstimos ativos em atraso por aluno (ordem de turma e nome).
+ * Empréstimos de alunos excluídos ficam de fora: não há a quem enviar o aviso.
+ * @param {Array<object>} emprestimos
+ * @param {Array<object>} livros
+ * @param {Array<object>} alunos
+ * @returns {Array<{aluno: object, itens: Array<{emprestimo: object, livro: object, diasAtraso: number}>}>}
+ */
+function agruparAtrasosPorAluno(emprestimos, livros, alunos) {
+    const mapaLivros = new Map(livros.map(l => [l.id, l]));
+    const mapaAlunos = new Map(alunos.map(a => [a.id, a]));
+    const grupos = new Map();
+
+    emprestimos
+        .filter(e => e.status === 'ativo' && mapaAlunos.has(e.idAluno))
+        .sort((a, b) => a.dataPrevistaDevolucao.localeCompare(b.dataPrevistaDevolucao))
+        .forEach(emprestimo => {
+            const { isAtrasado, diasAtraso } = calcularAtraso(emprestimo.dataPrevistaDevolucao);
+            if (!isAtrasado) return;
+            if (!grupos.has(emprestimo.idAluno)) grupos.set(emprestimo.idAluno, { aluno: mapaAlunos.get(emprestimo.idAluno), itens: [] });
+            grupos.get(emprestimo.idAluno).itens.push({
+                emprestimo,
+                livro: mapaLivros.get(emprestimo.idLivro) || { titulo: 'Livro Excluído' },
+                diasAtraso
+            });
+        });
+
+    return [...grupos.values()].sort((a, b) =>
+        String(a.aluno.turma).localeCompare(String(b.aluno.turma), 'pt-BR') || a.aluno.nome.localeCompare(b.aluno.nome, 'pt-BR'));
+}
+
+/**
+ * Monta o aviso de atraso de um aluno a partir do modelo configurado.
+ * @param {{aluno: object, itens: Array<object>}} grupo Item de agruparAtrasosPorAluno.
+ * @param {object} config Configurações (nomeBiblioteca, modeloAvisoAtraso).
+ * @param {string} dataHoje Data 'YYYY-MM-DD' do aviso.
+ * @returns {{titulo: string, linhas: Array<string>}}
+ */
+function montarAvisoAtraso(grupo, config, dataHoje) {
+    const itens = grupo.itens
+        .map(({ emprestimo, livro, diasAtraso }) =>
+            `• ${livro.titulo} — devolução prevista em ${formatarData(emprestimo.dataPrevistaDevolucao)} (${diasAtraso} dia(s) de atraso)`)
+        .join('\n');
+    const texto = preencherModeloAviso(config.modeloAvisoAtraso, {
+        biblioteca: config.nomeBiblioteca,
+        aluno: grupo.aluno.nome,
+        turma: grupo.aluno.turma,
+        matricula: grupo.aluno.matricula,
+        data: formatarData(dataHoje),
+        quantidade: grupo.itens.length,
+        itens
+    });
+    return { titulo: `${config.nomeBiblioteca} — Aviso de Atraso`, linhas: texto.split('\n') };
+}
+
+/**
+ * Imprime documentos pela área de impressão, escondendo o restante da página.
+ * @param {Array<{titulo: string, linhas: Array<string>}>} documentos
+ * @param {string} formato 'pagina', 'recorte' ou 'comprovante'.
+ */
+function imprimirDocumentos(documentos, formato) {
+    imprimirHTML(documentos.map(documento => `
+        <section class="documento-impresso">
+            <h2>${escaparHTML(documento.titulo)}</h2>
+            ${documento.linhas.map(linha => `<p>${escaparHTML(linha) || '&nbsp;'}</p>`).join('')}
+        </section>`).join(''), formato);
+}
+
+/**
+ * Imprime uma marcação pronta pela área de impressão.
+ * @param {string} html
+ * @param {string} formato Sufixo da classe `impressao-*` que define o layout impresso.
+ */
+function imprimirHTML(html, formato) {
+    const area = document.getElementById('area-impressao');
+    area.className = `impressao-${formato}`;
+    area.innerHTML = html;
+
+    // window.print() bloqueia até o diálogo de impressão ser fechado
+    document.body.classList.add('imprimindo-documentos');
+    window.print();
+    document.body.classList.remove('imprimindo-documentos');
+}
+
+/**
+ * Imprime o comprovante de um empréstimo (ativo) ou da sua devolução.
+ * @param {number} idEmprestimo
+ */
+async function imprimirComprovante(idEmprestimo) {
+    try {
+        const emprestimo = await DB.getById('emprestimos', idEmprestimo);
+        if (!emprestimo) return;
+        const [livro, aluno, multas] = await Promise.all([
+            DB.getById('livros', emprestimo.idLivro),
+            DB.getById('alunos', emprestimo.idAluno),
+            DB.getAllByIndex('multas', 'idx_idAluno', emprestimo.idAluno)
+        ]);
+        const tipo = emprestimo.status === 'devolvido' ? 'devolucao' : 'emprestimo';
+        const multa = multas.find(m => m.idEmprestimo === emprestimo.id);
+        imprimirDocumentos([montarComprovante(tipo, { emprestimo, livro, aluno, multa }, obterConfiguracoes())], 'comprovante');
+    } catch (error) {
+        showToast("Erro ao gerar o comprovante.", "error");
+        console.error(error);
+    }
+}
+
+/**
+ * Imprime o comprovante logo após o empréstimo ou a devolução, se configurado.
+ * @param {number} idEmprestimo
+ */
+async function imprimirComprovanteAutomatico(idEmprestimo) {
+    if (obterConfiguracoes().imprimirComprovantes) await imprimirComprovante(idEmprestimo);
+}
+
+async function montarAvisosAtraso() {
+    const [emprestimos, livros, alunos] = await Promise.all([
+        DB.getAll('emprestimos'), DB.getAll('livros'), DB.getAll('alunos')
+    ]);
+    const config = obterConfiguracoes();
+    const hoje = formatarDataISO(new Date());
+    return agruparAtrasosPorAluno(emprestimos, livros, alunos).map(grupo => montarAvisoAtraso(grupo, config, hoje));
+}
+
+async function renderizarResumoAvisos() {
+    try {
+        const [emprestimos, livros, alunos] = await Promise.all([
+            DB.getAll('emprestimos'), DB.getAll('livros'), DB.getAll('alunos')
+        ]);
+        const grupos = agruparAtrasosPorAluno(emprestimos, livros, alunos);
+        const totalItens = grupos.reduce((soma, g) => soma + g.itens.length, 0);
+        document.getElementById('avisos-resumo').textContent = grupos.length === 0
+            ? 'Nenhum empréstimo em atraso.'
+            : `${grupos.length} aluno(s) com ${totalItens} item(ns) em atraso.`;
+    } catch (error) {
+        console.error("Erro ao carregar avisos de atraso:", error);
+    }
+}
+
+/**
+ * Imprime ou baixa em PDF os avisos de atraso, um por aluno.
+ * @param {string} destino 'impressao' ou 'pdf'.
+ */
+async function gerarAvisosAtraso(destino) {
+    try {
+        const avisos = await montarAvisosAtraso();
+        if (avisos.length === 0) {
+            showToast("Nenhum empréstimo em atraso.", "info");
+            return;
+        }
+        const formato = document.getElementById('avisos-formato').value;
+        if (destino === 'pdf') {
+            const blob = new Blob([gerarPDF(avisos, formato)], { type: 'application/pdf' });
+            baixarArquivo(blob, `avisos-atraso-${formatarDataISO(new Date())}.pdf`);
+        } else {
+            imprimirDocumentos(avisos, formato);
+        }
+    } catch (error) {
+        showToast("Erro ao gerar os avisos de atraso.", "error");
+        console.error(error);
+    }
+}
+
+function preencherFormDocumentos() {
+    const config = obterConfiguracoes();
+    document.getElementById('config-nome-biblioteca').value = config.nomeBiblioteca;
+    document.getElementById('config-imprimir-comprovantes').checked = config.imprimirComprovantes;
+    document.getElementById('config-modelo-aviso').value = config.modeloAvisoAtraso;
+}
+
+function handleSalvarDocumentos(event) {
+    event.preventDefault();
+    const nomeBiblioteca = document.getElementById('config-nome-biblioteca').value.trim();
+    const modeloAvisoAtraso = document.getElementById('config-modelo-aviso').value;
+    if (!nomeBiblioteca || !modeloAvisoAtraso.trim()) {
+        showToast("Informe o nome da biblioteca e o modelo do aviso.", "error");
+        return;
+    }
+    salvarConfiguracoes({
+        nomeBiblioteca,
+        imprimirComprovantes: document.getElementById('config-imprimir-comprovantes').checked,
+        modeloAvisoAtraso
+    });
+    showToast("Configurações de documentos salvas!");
+}
+
+function initDocumentos() {
+    preencherFormDocumentos();
+    document.getElementById('form-documentos').addEventListener('submit', handleSalvarDocumentos);
+    document.getElementById('btn-modelo-aviso-padrao').addEventListener('click', () => {
+        document.getElementById('config-modelo-aviso').value = MODELO_AVISO_ATRASO_PADRAO;
+    });
+    document.getElementById('btn-imprimir-avisos').addEventListener('click', () => gerarAvisosAtraso('impressao'));
+    document.getElementById('btn-pdf-avisos').addEventListener('click', () => gerarAvisosAtraso('pdf'));
+    document.querySelector('.tab-btn[data-target="tab-relatorios"]').addEventListener('click', renderizarResumoAvisos);
+}
+
+// ==========================================================================
+// Utilitários: Códigos de Barras (Code 128 e QR Code em SVG)
+// ==========================================================================
+
+// Larguras (barra, espaço, barra...) de cada símbolo do Code 128; 103-105 são os inícios A/B/C e 106 é a parada
+const PADROES_CODE128 = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_INICIO_B = 104;
+const CODE128_INICIO_C = 105;
+const CODE128_PARA_B = 100;
+const CODE128_PARA_C = 99;
+const CODE128_PARADA = 106;
+
+/**
+ * Codifica um texto ASCII imprimível em símbolos Code 128, usando o conjunto C
+ * (pares de dígitos) nas sequências numéricas longas, como ISBNs e matrículas.
+ * @param {string} texto
+ * @returns {Array<number>} Símbolos do início à parada, com o dígito verificador.
+ * @throws {Error} Se o texto estiver vazio ou tiver caracteres fora do ASCII imprimível.
+ */
+function codificarCode128(texto) {
+    if (!texto) throw new Error("Informe o conteúdo do código de barras.");
+    const invalido = [...texto].find(c => c.charCodeAt(0) < 32 || c.charCodeAt(0) > 126);
+    if (invalido) throw new Error(`Caractere não suportado no código de barras: "${invalido}".`);
+
+    const digitosAPartir = (i) => {
+        let n = 0;
+        while (i + n < texto.length && texto[i + n] >= '0' && texto[i + n] <= '9') n++;
+        return n;
+    };
+
+    const inicialC = digitosAPartir(0) >= 4 || (texto.length === 2 && digitosAPartir(0) === 2);
+    const simbolos = [inicialC ? CODE128_INICIO_C : CODE128_INICIO_B];
+    let conjunto = inicialC ? 'C' : 'B';
+    let i = 0;
+
+    while (i < texto.length) {
+        const digitos = digitosAPartir(i);
+        if (conjunto === 'C') {
+            if (digitos >= 2) {
+                simbolos.push(parseInt(texto.slice(i, i + 2), 10));
+                i += 2;
+                continue;
+            }
+            simbolos.push(CODE128_PARA_B);
+            conjunto = 'B';
+        }
+        // No conjunto B, vale trocar para C em sequências pares de 4 dígitos no fim ou 6 no meio
+        if (digitos >= 4 && digitos % 2 === 0 && (i + digitos === texto.length || digitos >= 6)) {
+            simbolos.push(CODE128_PARA_C);
+            conjunto = 'C';
+            continue;
+        }
+        simbolos.push(texto.charCodeAt(i) - 32);
+        i++;
+    }
+
+    const verificador = simbolos.reduce((soma, valor, posicao) => soma + valor * Math.max(posicao, 1), 0) % 103;
+    return [...simbolos, verificador, CODE128_PARADA];
+}
+
+/**
+ * Gera o código de barras Code 128 em SVG, com zona de silêncio e o texto legível abaixo.
+ * @param {string} texto
+ * @param {{altura: number, modulo: number, legenda: boolean}} [opcoes]
+ * @returns {string} Marcação SVG.
+ */
+function gerarSVGCode128(texto, { altura = 50, modulo = 2, legenda = true } = {}) {
+    const larguras = codificarCode128(texto).map(simbolo => PADROES_CODE128[simbolo]).join('');
+    const margem = 10 * modulo;
+    const barras = [];
+    let x = margem;
+
+    [...larguras].forEach((largura, i) => {
+        const w = Number(largura) * modulo;
+        if (i % 2 === 0) barras.push(`M${x} 0h${w}v${altura}h-${w}z`);
+        x += w;
+    });
+
+    const larguraTotal = x + margem;
+    const alturaTotal = altura + (legenda ? 16 : 0);
+    return `<svg xmlns="http://www.w3.org/2000/svg" class="codigo-barras" viewBox="0 0 ${larguraTotal} ${alturaTotal}" width="${larguraTotal}" height="${alturaTotal}" role="img" aria-label="Código de barras ${escaparHTML(texto)}">`
+        + `<rect width="${larguraTotal}" height="${alturaTotal}" fill="#fff"/><path d="${barras.join('')}" fill="#000"/>`
+        + (legenda ? `<text x="${larguraTotal / 2}" y="${altura + 13}" text-anchor="middle" font-family="monospace" font-size="12">${escaparHTML(texto)}</text>` : '')
+        + '</svg>';
+}
+
+// Blocos do QR Code com correção de erros nível M, versões 1 a 6 (até 106 bytes):
+// [total de codewords, codewords de correção por bloco, quantidade de blocos]
+const BLOCOS_QRCODE_M = [null, [26, 10, 1], [44, 16, 1], [70, 26, 1], [100, 18, 2], [134, 24, 2], [172, 16, 4]];
+const CENTRO_ALINHAMENTO_QRCODE = [null, null, 18, 22, 26, 30, 34];
+
+// Multiplicação no corpo GF(256) com o polinômio 0x11D usado pelo QR Code
+function multiplicarGF256(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+/**
+ * Calcula os codewords de correção Reed-Solomon de um bloco.
+ * @param {Array<number>} dados
+ * @param {number} grau Quantidade de codewords de correção.
+ * @returns {Array<number>}
+ */
+function calcularCorrecaoReedSolomon(dados, grau) {
+    const divisor = new Array(grau).fill(0);
+    divisor[grau - 1] = 1;
+    let raiz = 1;
+    for (let i = 0; i < grau; i++) {
+        for (let j = 0; j < grau; j++) {
+            divisor[j] = multiplicarGF256(divisor[j], raiz);
+            if (j + 1 < grau) divisor[j] ^= divisor[j + 1];
+        }
+        raiz = multiplicarGF256(raiz, 0x02);
+    }
+
+    const resto = new Array(grau).fill(0);
+    dados.forEach(byte => {
+        const fator = byte ^ resto.shift();
+        resto.push(0);
+        divisor.forEach((coeficiente, i) => { resto[i] ^= multiplicarGF256(coeficiente, fator); });
+    });
+    return resto;
+}
+
+// Condição de cada uma das 8 máscaras do QR Code (x = coluna, y = linha)
+const MASCARAS_QRCODE = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * Pontuação de penalidade de uma matriz (regras da norma ISO/IEC 18004); a menor vence.
+ * @param {Array<Array<boolean>>} modulos
+ * @returns {number}
+ */
+function pontuarMatrizQRCode(modulos) {
+    const tamanho = modulos.length;
+    const linhas = [...modulos, ...modulos.map((_, x) => modulos.map(linha => linha[x]))];
+    const padraoLocalizador = [true, false, true, true, true, false, true];
+    let pontos = 0;
+
+    linhas.forEach(linha => {
+        // Sequências de 5 ou mais módulos da mesma cor
+        let inicio = 0;
+        for (let i = 1; i <= tamanho; i++) {
+            if (i === tamanho || linha[i] !== linha[inicio]) {
+                if (i - inicio >= 5) pontos += 3 + (i - inicio - 5);
+                inicio = i;
+            }
+        }
+        // Padrões 1:1:3:1:1 com quatro módulos claros antes ou depois
+        for (let i = 0; i + 7 <= tamanho; i++) {
+            if (!padraoLocalizador.every((cor, k) => linha[i + k] === cor)) continue;
+            const claros = (de, ate) => de >= 0 && ate <= tamanho && linha.slice(de, ate).every(cor => !cor);
+            if (claros(i - 4, i) || claros(i + 7, i + 11)) pontos += 40;
+        }
+    });
+
+    // Blocos 2x2 da mesma cor
+    for (let y = 0; y + 1 < tamanho; y++) {
+        for (let x = 0; x + 1 < tamanho; x++) {
+            const cor = modulos[y][x];
+            if (modulos[y][x + 1] === cor && modulos[y + 1][x] === cor && modulos[y + 1][x + 1] === cor) pontos += 3;
+        }
+    }
+
+    // Proporção de módulos escuros distante de 50%
+    const escuros = modulos.reduce((soma, linha) => soma + linha.filter(Boolean).length, 0);
+    pontos += Math.floor(Math.abs(escuros * 100 / (tamanho * tamanho) - 50) / 5) * 10;
+    return pontos;
+}
+
+/**
+ * Gera a matriz de um QR Code (modo byte em UTF-8, correção de erros nível M).
+ * @param {string} texto Até 106 bytes em UTF-8.
+ * @returns {Array<Array<boolean>>} Linhas de módulos; true = escuro.
+ * @throws {Error} Se o texto não couber na versão 6.
+ */
+function gerarMatrizQRCode(texto) {
+    const bytes = Array.from(new TextEncoder().encode(texto));
+    const versao = BLOCOS_QRCODE_M.findIndex((blocos, v) =>
+        blocos && 4 + 8 + bytes.length * 8 <= (blocos[0] - blocos[1] * blocos[2]) * 8);
+    if (versao < 1) throw new Error("Conteúdo longo demais para o QR Code.");
+
+    const [totalCodewords, correcaoPorBloco, quantidadeBlocos] = BLOCOS_QRCODE_M[versao];
+    const capacidade = totalCodewords - correcaoPorBloco * quantidadeBlocos;
+
+    // 1. Sequência de bits: modo byte (0100), tamanho em 8 bits, dados, terminador e preenchimento
+    const bits = [];
+    const anexar = (valor, quantidade) => {
+        for (let i = quantidade - 1; i >= 0; i--) bits.push((valor >>> i) & 1);
+    };
+    anexar(0b0100, 4);
+    anexar(bytes.length, 8);
+    bytes.forEach(byte => anexar(byte, 8));
+    anexar(0, Math.min(4, capacidade * 8 - bits.length));
+    anexar(0, (8 - bits.length % 8) % 8);
+    const dados = [];
+    for (let i = 0; i < bits.length; i += 8) dados.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    for (let preenchimento = 0xEC; dados.length < capacidade; preenchimento ^= 0xEC ^ 0x11) dados.push(preenchimento);
+
+    // 2. Blocos com correção Reed-Solomon, intercalados
+    const tamanhoBloco = capacidade / quantidadeBlocos;
+    const blocos = Array.from({ length: quantidadeBlocos }, (_, b) => dados.slice(b * tamanhoBloco, (b + 1) * tamanhoBloco));
+    const correcoes = blocos.map(bloco => calcularCorrecaoReedSolomon(bloco, correcaoPorBloco));
+    const codewords = [];
+    for (let i = 0; i < tamanhoBloco; i++) blocos.forEach(bloco => codewords.push(bloco[i]));
+    for (let i = 0; i < correcaoPorBloco; i++) correcoes.forEach(correcao => codewords.push(correcao[i]));
+
+    // 3. Padrões fixos: localizadores, sincronismo, alinhamento e área de formato
+    const tamanho = 17 + 4 * versao;
+    const modulos = Array.from({ length: tamanho }, () => new Array(tamanho).fill(false));
+    const fixos = Array.from({ length: tamanho }, () => new Array(tamanho).fill(false));
+    const fixar = (x, y, escuro) => {
+        modulos[y][x] = escuro;
+        fixos[y][x] = true;
+    };
+
+    for (let i = 0; i < tamanho; i++) {
+        fixar(6, i, i % 2 === 0);
+        fixar(i, 6, i % 2 === 0);
+    }
+    [[3, 3], [tamanho - 4, 3], [3, tamanho - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const distancia = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < tamanho && y >= 0 && y < tamanho) fixar(x, y, distancia !== 2 && distancia !== 4);
+            }
+        }
+    });
+    const centro = CENTRO_ALINHAMENTO_QRCODE[versao];
+    if (centro) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) fixar(centro + dx, centro + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+    }
+
+    // Informação de formato (nível M = 00) com BCH e máscara XOR; também reserva a área antes dos dados
+    const desenharFormato = (mascara) => {
+        const valor = (0b00 << 3) | mascara;
+        let resto = valor;
+        for (let i = 0; i < 10; i++) resto = (resto << 1) ^ ((resto >>> 9) * 0x537);
+        const formato = ((valor << 10) | resto) ^ 0x5412;
+        const bit = (i) => ((formato >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) fixar(8, i, bit(i));
+        fixar(8, 7, bit(6));
+        fixar(8, 8, bit(7));
+        fixar(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) fixar(14 - i, 8, bit(i));
+        for (let i = 0; i < 8; i++) fixar(tamanho - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) fixar(8, tamanho - 15 + i, bit(i));
+        fixar(8, tamanho - 8, true);
+    };
+    desenharFormato(0);
+
+    // 4. Dados em zigue-zague, em pares de colunas da direita para a esquerda (pulando a coluna 6)
+    let indiceBit = 0;
+    for (let direita = tamanho - 1; direita >= 1; direita -= 2) {
+        if (direita === 6) direita = 5;
+        const subindo = ((direita + 1) & 2) === 0;
+        for (let passo = 0; passo < tamanho; passo++) {
+            const y = subindo ? tamanho - 1 - passo : passo;
+            for (let j = 0; j < 2; j++) {
+                const x = direita - j;
+                if (fixos[y][x] || indiceBit >= codewords.length * 8) continue;
+                modulos[y][x] = ((codewords[indiceBit >>> 3] >>> (7 - (indiceBit & 7))) & 1) === 1;
+                indiceBit++;
+            }
+        }
+    }
+
+    // 5. Escolhe a máscara de menor penalidade
+    const aplicarMascara = (mascara) => {
+        for (let y = 0; y < tamanho; y++) {
+            for (let x = 0; x < tamanho; x++) {
+                if (!fixos[y][x] && MASCARAS_QRCODE[mascara](x, y)) modulos[y][x] = !modulos[y][x];
+            }
+        }
+    };
+    let melhor = { mascara: 0, pontos: Infinity };
+    MASCARAS_QRCODE.forEach((_, mascara) => {
+        aplicarMascara(mascara);
+        desenharFormato(mascara);
+        const pontos = pontuarMatrizQRCode(modulos);
+        if (pontos < melhor.pontos) melhor = { mascara, pontos };
+        aplicarMascara(mascara); // desfaz (XOR)
+    });
+    aplicarMascara(melhor.mascara);
+    desenharFormato(melhor.mascara);
+    return modulos;
+}
+
+/**
+ * Gera o QR Code em SVG, com a zona de silêncio de 4 módulos.
+ * @param {string} texto
+ * @param {{modulo: number}} [opcoes]
+ * @returns {string} Marcação SVG.
+ */
+function gerarSVGQRCode(texto, { modulo = 3 } = {}) {
+    const modulos = gerarMatrizQRCode(texto);
+    const lado = modulos.length + 8;
+    const caminho = [];
+    modulos.forEach((linha, y) => linha.forEach((escuro, x) => {
+        if (escuro) caminho.push(`M${x + 4} ${y + 4}h1v1h-1z`);
+    }));
+    return `<svg xmlns="http://www.w3.org/2000/svg" class="codigo-qr" viewBox="0 0 ${lado} ${lado}" width="${lado * modulo}" height="${lado * modulo}" shape-rendering="crispEdges" role="img" aria-label="QR Code ${escaparHTML(texto)}">`
+        + `<rect width="${lado}" height="${lado}" fill="#fff"/><path d="${caminho.join('')}" fill="#000"/></svg>`;
+}
+
+// ==========================================================================
+// Controladores (Controllers): Carteirinhas e Etiquetas de Lombada
+// ==========================================================================
+
+/**
+ * Gera o Code 128 ou, se o conteúdo não for codificável (ex: acentos), um aviso no lugar.
+ * @param {string} texto
+ * @param {object} [opcoes] Repassadas a gerarSVGCode128.
+ * @returns {string}
+ */
+function codigoBarrasOuAviso(texto, opcoes) {
+    try {
+        return gerarSVGCode128(texto, opcoes);
+    } catch (error) {
+        return `<p class="codigo-invalido">${escaparHTML(error.message)}</p>`;
+    }
+}
+
+/**
+ * Gera o QR Code ou, se o conteúdo passar da capacidade suportada, um aviso no lugar.
+ * @param {string} texto
+ * @param {object} [opcoes] Repassadas a gerarSVGQRCode.
+ * @returns {string}
+ */
+function qrCodeOuAviso(texto, opcoes) {
+    try {
+        return gerarSVGQRCode(texto, opcoes);
+    } catch (error) {
+        return `<p class="codigo-invalido">${escaparHTML(error.message)}</p>`;
+    }
+}
+
+/**
+ * Monta as folhas de carteirinhas: uma folha por turma, em ordem de turma e nome.
+ * A matrícula vai no Code 128 e no QR Code, para leitura pelo mesmo leitor do balcão.
+ * @param {Array<object>} alunos
+ * @param {string} nomeBiblioteca
+ * @returns {string} Marcação HTML.
+ */
+function montarFolhasCarteirinhas(alunos, nomeBiblioteca) {
+    const porTurma = new Map();
+    [...alunos]
+        .sort((a, b) => String(a.turma).localeCompare(String(b.turma), 'pt-BR') || a.nome.localeCompare(b.nome, 'pt-BR'))
+        .forEach(aluno => {
+            if (!porTurma.has(aluno.turma)) porTurma.set(aluno.turma, []);
+            porTurma.get(aluno.turma).push(aluno);
+        });
+
+    return [...porTurma.entries()].map(([turma, alunosDaTurma]) => `
+        <section class="folha-impressa">
+            <h2>${escaparHTML(nomeBiblioteca)} — Turma ${escaparHTML(turma)}</h2>
+            <div class="grade-carteirinhas">
+                ${alunosDaTurma.map(aluno => `
+                    <div class="carteirinha">
+                        <div class="carteirinha-cabecalho">${escaparHTML(nomeBiblioteca)}</div>
+                        <div class="carteirinha-corpo">
+                            <div class="carteirinha-dados">
+                                <strong>${escaparHTML(aluno.nome)}</strong>
+                                <span>Turma: ${escaparHTML(aluno.turma)}</span>
+                                <span>Matrícula: ${escaparHTML(aluno.matricula)}</span>
+                            </div>
+                            ${qrCodeOuAviso(String(aluno.matricula), { modulo: 2 })}
+                        </div>
+                        ${codigoBarrasOuAviso(String(aluno.matricula), { altura: 36, modulo: 1.5 })}
+                    </div>`).join('')}
+            </div>
+        </section>`).join('');
+}
+
+/**
+ * Monta as etiquetas de lombada: uma por exemplar não baixado, com o ISBN em Code 128.
+ * @param {Array<object>} livros
+ * @param {Array<object>} exemplares
+ * @returns {string} Marcação HTML.
+ */
+function montarEtiquetasLombada(livros, exemplares) {
+    const etiquetas = livros.flatMap(livro => exemplares
+        .filter(e => e.idLivro === livro.id && e.status !== 'baixado')
+        .sort((a, b) => a.tombo.localeCompare(b.tombo))
+        .map(exemplar => `
+            <div class="etiqueta-lombada">
+                <strong>${escaparHTML(livro.titulo)}</strong>
+                <span>${escaparHTML(livro.autor)} · Tombo ${escaparHTML(exemplar.tombo)}</span>
+                ${livro.isbn ? codigoBarrasOuAviso(livro.isbn, { altura: 32, modulo: 1.5 }) : '<p class="codigo-invalido">Livro sem ISBN.</p>'}
+            </div>`));
+    return `<section class="folha-impressa"><div class="grade-etiquetas">${etiquetas.join('')}</div></section>`;
+}
+
+/**
+ * Atualiza a escolha de turma das carteirinhas, mantendo a seleção atual quando possível.
+ * @param {Array<object>} alunos Alunos ativos.
+ */
+function preencherTurmasCarteirinhas(alunos) {
+    const select = document.getElementById('carteirinhas-turma');
+    const selecionada = select.value;
+    const turmas = [...new Set(alunos.map(a => a.turma))].sort((a, b) => String(a).localeCompare(String(b), 'pt-BR'));
+    select.innerHTML = '<option value="">Todas as turmas</option>'
+        + turmas.map(turma => `<option value="${escaparHTML(turma)}">${escaparHTML(turma)}</option>`).join('');
+    if (turmas.includes(selecionada)) select.value = selecionada;
+}
+
+async function imprimirCarteirinhas() {
+    try {
+        const turma = document.getElementById('carteirinhas-turma').value;
+        const alunos = (await DB.getAll('alunos')).filter(a => !a.arquivado && (!turma || a.turma === turma));
+        if (alunos.length === 0) {
+            showToast("Nenhum aluno ativo para imprimir.", "info");
+            return;
+        }
+        imprimirHTML(montarFolhasCarteirinhas(alunos, obterConfiguracoes().nomeBiblioteca), 'carteirinhas');
+    } catch (error) {
+        showToast("Erro ao gerar as carteirinhas.", "error");
+        console.error(error);
+    }
+}
+
+/**
+ * Imprime as etiquetas dos livros exibidos no acervo (busca e filtros atuais).
+ */
+async function imprimirEtiquetasLombada() {
+    try {
+        const { itens } = await consultarLivrosFiltrados();
+        const exemplares = await DB.getAll('exemplares');
+        const idsLivros = new Set(itens.map(l => l.id));
+        if (!exemplares.some(e => idsLivros.has(e.idLivro) && e.status !== 'baixado')) {
+            showToast("Nenhum exemplar para etiquetar.", "info");
+            return;
+        }
+        imprimirHTML(montarEtiquetasLombada(itens, exemplares), 'etiquetas');
+    } catch (error) {
+        showToast("Erro ao gerar as etiquetas.", "error");
+        console.error(error);
+    }
+}
+
+// ==========================================================================
+// Controladores (Controllers): Modo Balcão (leitor de código de barras)
+// ==========================================================================
+
+// Aluno em atendimento, livros lidos no atendimento e fila das leituras (o leitor digita mais rápido que o banco)
+const estadoBalcao = { aluno: null, lidos: [], fila: Promise.resolve() };
+let contextoAudioBalcao = null;
+
+/**
+ * Identifica o código lido: matrícula de aluno, ISBN de livro ou tombo de exemplar, nessa ordem.
+ * @param {string} codigo Texto digitado pelo leitor.
+ * @returns {Promise<{tipo: string, aluno?: object, livro?: object, exemplar?: object}>}
+ *          tipo 'aluno', 'livro', 'exemplar' ou 'desconhecido'.
+ */
+async function identificarLeituraBalcao(codigo) {
+    const aluno = await DB.getByIndex('alunos', 'idx_matricula', codigo);
+    if (aluno) return { tipo: 'aluno', aluno };
+
+    const isbn = tentarNormalizarISBN(codigo);
+    const livro = isbn ? await buscarLivroPorISBN(isbn) : null;
+    if (livro) return { tipo: 'livro', livro };
+
+    const exemplar = await DB.getById('exemplares', codigo);
+    if (exemplar) return { tipo: 'exemplar', exemplar, livro: await DB.getById('livros', exemplar.idLivro) };
+
+    return { tipo: 'desconhecido' };
+}
+
+/**
+ * Decide o que fazer com uma leitura de livro ou exemplar no balcão.
+ * Exemplar (ou livro) que está emprestado é devolvido; caso contrário, é emprestado ao aluno em atendimento.
+ * Pelo ISBN, a devolução só é automática quando não há dúvida sobre qual empréstimo encerrar:
+ * o do aluno em atendimento ou o único empréstimo ativo do livro.
+ * @param {object} leitura Resultado de identificarLeituraBalcao (tipo 'livro' ou 'exemplar').
+ * @param {object|null} aluno Aluno em atendimento.
+ * @param {Array<object>} emprestimosAtivos Empréstimos ativos do livro lido.
+ * @returns {{acao: string, emprestimo?: object, tombo?: string, mensagem?: string}} acao 'devolver', 'emprestar' ou 'erro'.
+ */
+function decidirAcaoBalcao(leitura, aluno, emprestimosAtivos) {
+    if (leitura.tipo === 'exemplar') {
+        const emprestimo = emprestimosAtivos.find(e => e.tombo === leitura.exemplar.tombo);
+        if (emprestimo) return { acao: 'devolver', emprestimo };
+        if (aluno) return { acao: 'emprestar', tombo: leitura.exemplar.tombo };
+        return { acao: 'erro', mensagem: 'Leia a matrícula do aluno antes do livro.' };
+    }
+
+    if (aluno) {
+        const doAluno = emprestimosAtivos.find(e => e.idAluno === aluno.id);
+        return doAluno ? { acao: 'devolver', emprestimo: doAluno } : { acao: 'emprestar' };
+    }
+    if (emprestimosAtivos.length === 1) return { acao: 'devolver', emprestimo: emprestimosAtivos[0] };
+    if (emprestimosAtivos.length > 1) {
+        return { acao: 'erro', mensagem: `Há ${emprestimosAtivos.length} exemplares deste livro emprestados: leia o tombo ou a matrícula do aluno.` };
+    }
+    return { acao: 'erro', mensagem: 'Leia a matrícula do aluno antes do livro.' };
+}
+
+/**
+ * Emite um sinal curto pela Web Audio API: agudo para empréstimo, médio para devolução
+ * e dois graves para erro. Ignorado sem suporte a áudio ou com o som desligado.
+ * @param {string} tipo 'aluno', 'emprestimo', 'devolucao' ou 'erro'.
+ */
+function emitirSinalBalcao(tipo) {
+    const Contexto = window.AudioContext || window.webkitAudioContext;
+    if (!Contexto || !obterConfiguracoes().somBalcao) return;
+    contextoAudioBalcao = contextoAudioBalcao || new Contexto();
+
+    const notas = {
+        aluno: [[660, 0]],
+        emprestimo: [[880, 0]],
+        devolucao: [[660, 0], [990, 0.12]],
+        erro: [[220, 0], [220, 0.2]]
+    }[tipo];
+    notas.forEach(([frequencia, atraso]) => {
+        const oscilador = contextoAudioBalcao.createOscillator();
+        const volume = contextoAudioBalcao.createGain();
+        oscilador.frequency.value = frequencia;
+        volume.gain.value = 0.15;
+        oscilador.connect(volume).connect(contextoAudioBalcao.destination);
+        const inicio = contextoAudioBalcao.currentTime + atraso;
+        oscilador.start(inicio);
+        oscilador.stop(inicio + 0.12);
+    });
+}
+
+/**
+ * Mostra o resultado da leitura no painel de status e no histórico, com sinal sonoro.
+ * @param {string} tipo 'aluno', 'emprestimo', 'devolucao' ou 'erro'.
+ * @param {string} mensagem
+ */
+function registrarEventoBalcao(tipo, mensagem) {
+    const status = document.getElementById('balcao-status');
+    status.className = `balcao-status balcao-${tipo}`;
+    status.textContent = mensagem;
+
+    const lista = document.getElementById('balcao-eventos');
+    const item = document.createElement('li');
+    item.className = `balcao-${tipo}`;
+    item.textContent = `${new Date().toLocaleTimeString('pt-BR')} — ${mensagem}`;
+    lista.prepend(item);
+    while (lista.children.length > 50) lista.lastElementChild.remove();
+
+    emitirSinalBalcao(tipo);
+}
+
+async function renderizarAtendimentoBalcao() {
+    const painel = document.getElementById('balcao-aluno');
+    const aluno = estadoBalcao.aluno;
+    if (!aluno) {
+        painel.innerHTML = '<p class="subtitle">Nenhum aluno em atendimento. Leia a carteirinha para começar.</p>';
+        return;
+    }
+
+    const ativos = (await DB.getAllByIndex('emprestimos', 'idx_idAluno', aluno.id)).filter(e => e.status === 'ativo');
+    painel.innerHTML = `
+        <h3>${escaparHTML(aluno.nome)}</h3>
+        <p class="subtitle">Turma ${escaparHTML(aluno.turma)} · Matrícula ${escaparHTML(aluno.matricula)} · ${ativos.length} empréstimo(s) ativo(s)</p>
+        <ul class="balcao-lidos">
+            ${estadoBalcao.lidos.map(lido => `<li>${escaparHTML(lido)}</li>`).join('')}
+        </ul>`;
+}
+
+async function atualizarViewsCirculacao() {
+    await renderizarTabelaLivros();
+    await renderizarTabelaEmprestimos();
+    await renderizarTabelaReservas();
+    await renderizarMultas();
+    await atualizarSelectsEmprestimo();
+}
+
+/**
+ * Processa um código lido no balcão: troca o aluno em atendimento, empresta ou devolve.
+ * @param {string} codigo
+ */
+async function processarLeituraBalcao(codigo) {
+    try {
+        const leitura = await identificarLeituraBalcao(codigo);
+
+        if (leitura.tipo === 'aluno') {
+            if (leitura.aluno.arquivado) throw new Error(`Aluno ${leitura.aluno.nome} está arquivado.`);
+            estadoBalcao.aluno = leitura.aluno;
+            estadoBalcao.lidos = [];
+            registrarEventoBalcao('aluno', `Atendendo ${leitura.aluno.nome} (${leitura.aluno.turma}).`);
+            await renderizarAtendimentoBalcao();
+            return;
+        }
+        if (leitura.tipo === 'desconhecido') throw new Error(`Código "${codigo}" não encontrado.`);
+
+        const livro = leitura.livro;
+        const emprestimosAtivos = (await DB.getAllByIndex('emprestimos', 'idx_idLivro', leitura.exemplar ? leitura.exemplar.idLivro : livro.id))
+            .filter(e => e.status === 'ativo');
+        const decisao = decidirAcaoBalcao(leitura, estadoBalcao.aluno, emprestimosAtivos);
+        const titulo = livro ? livro.titulo : 'Livro Excluído';
+        const hoje = formatarDataISO(new Date());
+
+        if (decisao.acao === 'erro') throw new Error(decisao.mensagem);
+
+        if (decisao.acao === 'devolver') {
+            const { reserva, multa } = await DB.registrarDevolucao(decisao.emprestimo.id, hoje, {
+                dataLimiteRetirada: calcularDataLimiteRetirada(),
+                calcularMulta: calcularMultaEmprestimo
+            });
+            let mensagem = `Devolvido: ${titulo}.`;
+            if (multa) mensagem += ` Multa de ${formatarMoeda(multa.valor)}.`;
+            if (reserva) mensagem += ' Separe o exemplar para a reserva.';
+            registrarEventoBalcao('devolucao', mensagem);
+            await imprimirComprovanteAutomatico(decisao.emprestimo.id);
+        } else {
+            const emprestimo = {
+                idLivro: livro.id,
+                idAluno: estadoBalcao.aluno.id,
+                dataEmprestimo: hoje,
+                dataPrevistaDevolucao: adicionarDias(hoje, obterConfiguracoes().prazoEmprestimoDias),
+                dataDevolucaoReal: null,
+                status: 'ativo'
+            };
+            if (decisao.tombo) emprestimo.tombo = decisao.tombo;
+
+            const gravado = await registrarEmprestimoComPolitica(emprestimo);
+            estadoBalcao.lidos.push(`${titulo} (tombo ${gravado.tombo}) — devolver até ${formatarData(gravado.dataPrevistaDevolucao)}`);
+            registrarEventoBalcao('emprestimo', `Emprestado: ${titulo} até ${formatarData(gravado.dataPrevistaDevolucao)}.`);
+            await imprimirComprovanteAutomatico(gravado.id);
+        }
+
+        await renderizarAtendimentoBalcao();
+        await atualizarViewsCirculacao();
+    } catch (error) {
+        registrarEventoBalcao('erro', error.message || 'Erro ao processar a leitura.');
+        console.error(error);
+    }
+}
+
+function encerrarAtendimentoBalcao() {
+    if (!estadoBalcao.aluno) return;
+    registrarEventoBalcao('aluno', `Atendimento de ${estadoBalcao.aluno.nome} encerrado.`);
+    estadoBalcao.aluno = null;
+    estadoBalcao.lidos = [];
+    renderizarAtendimentoBalcao();
+}
+
+function abrirBalcao() {
+    document.querySelector('.tab-btn[data-target="tab-balcao"]').click();
+    document.getElementById('balcao-leitura').focus();
+}
+
+function initBalcao() {
+    const entrada = document.getElementById('balcao-leitura');
+    const som = document.getElementById('balcao-som');
+    som.checked = obterConfiguracoes().somBalcao;
+    som.addEventListener('change', () => salvarConfiguracoes({ somBalcao: som.checked }));
+
+    // Enter (enviado pelo leitor ao fim de cada código) processa; Esc encerra o atendimento
+    entrada.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            encerrarAtendimentoBalcao();
+            return;
+        }
+        if (event.key !== 'Enter') return;
+        event.preventDefault();
+        const codigo = entrada.value.trim();
+        entrada.value = '';
+        if (!codigo) return;
+        estadoBalcao.fila = estadoBalcao.fila.then(async () => {
+            await processarLeituraBalcao(codigo);
+            entrada.focus();
+        });
+    });
+
+    // F2 abre o balcão de qualquer aba; dentro dele, o foco volta sempre para a leitura
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'F2') {
+            event.preventDefault();
+            abrirBalcao();
+        }
+    });
+    document.getElementById('tab-balcao').addEventListener('click', (event) => {
+        if (event.target.id !== 'balcao-som') entrada.focus();
+    });
+    document.querySelector('.tab-btn[data-target="tab-balcao"]').addEventListener('click', () => {
+        renderizarAtendimentoBalcao();
+        entrada.focus();
+    });
+    renderizarAtendimentoBalcao();
+}
+
+// ==========================================================================
+// PWA: Registro do Service Worker e Aviso de Nova Versão
+// ==========================================================================
+// Intervalo entre verificações de atualização enquanto o app fica aberto
+const INTERVALO_VERIFICACAO_SW_MS = 60 * 60 * 1000;
+
+// true depois que o usuário clicou em "Recarregar" nesta aba
+let atualizacaoSWSolicitada = false;
+
+/**
+ * Registra o Service Worker e acompanha novas versões. A versão nova fica em
+ * espera (o SW não chama skipWaiting sozinho) até o usuário aceitar o aviso;
+ * só então ela assume e a página recarrega, sem trocar arquivos no meio do uso.
+ */
+function registrarServiceWorker() {
+    // Página já controlada por um SW: a troca de controlador é uma atualização, não a primeira instalação
+    const haviaControlador = Boolean(navigator.serviceWorker.controller);
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (atualizacaoSWSolicitada) {
+            atualizacaoSWSolicitada = false;
+            window.location.reload();
+        } else if (haviaControlador) {
+            // Outra aba aceitou a atualização; os arquivos desta aba são da versão anterior
+            mostrarAvisoAtualizacao('Uma nova versão foi ativada em outra aba. Recarregue para usá-la.', () => window.location.reload());
+        }
+    });
+
+    // updateViaCache 'none': o navegador sempre confere service-worker.js e asset-manifest.js na rede
+    navigator.serviceWorker.register('./service-worker.js', { updateViaCache: 'none' })
+        .then((registration) => {
+            console.log('[PWA] Service Worker registrado com sucesso:', registration.scope);
+            monitorarAtualizacoesSW(registration);
+            setInterval(() => registration.update().catch(() => {}), INTERVALO_VERIFICACAO_SW_MS);
+        })
+        .catch((error) => {
+            console.error('[PWA] Falha ao registrar o Service Worker:', error);
+        });
+}
+
+function monitorarAtualizacoesSW(registration) {
+    const avisarSeInstalado = (worker) => {
+        // Sem controlador é a primeira instalação: não há versão antiga a substituir
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            mostrarAvisoAtualizacao('Nova versão disponível.', () => {
+                atualizacaoSWSolicitada = true;
+                worker.postMessage({ tipo: 'ATIVAR_NOVA_VERSAO' });
+            });
+        }
+    };
+
+    // Versão que ficou em espera numa visita anterior
+    if (registration.waiting) avisarSeInstalado(registration.waiting);
+
+    registration.addEventListener('updatefound', () => {
+        const novoWorker = registration.installing;
+        if (!novoWorker) return;
+        novoWorker.addEventListener('statechange', () => avisarSeInstalado(novoWorker));
+    });
+}
+
+function mostrarAvisoAtualizacao(mensagem, aoRecarregar) {
+    const banner = document.getElementById('banner-atualizacao');
+    const btnRecarregar = document.getElementById('btn-recarregar-atualizacao');
+    document.getElementById('banner-atualizacao-texto').textContent = mensagem;
+
+    btnRecarregar.disabled = false;
+    btnRecarregar.onclick = () => {
+        btnRecarregar.disabled = true;
+        aoRecarregar();
+    };
+    document.getElementById('btn-dispensar-atualizacao').onclick = () => banner.classList.add('hidden');
+    banner.classList.remove('hidden');
+}
+
+// ==========================================================================
+// Controladores (Controllers): Sincronização entre Computadores
+// ==========================================================================
+// Estado da sincronização com o servidor atual (fica fora das configurações, que o usuário edita)
+const SYNC_STORAGE_KEY = 'biblioteca-sync';
+const ESTADO_SYNC_PADRAO = { idServidor: null, cursor: 0, ultimaSincronizacao: null, conflitos: [] };
+
+const ROTULOS_TABELA_SYNC = {
+    livros: 'Livros',
+    alunos: 'Alunos',
+    exemplares: 'Exemplares',
+    emprestimos: 'Empréstimos',
+    reservas: 'Reservas',
+    multas: 'Multas'
+};
+
+// Execução em andamento, compartilhada pelo botão e pela sincronização automática
+let sincronizacaoEmAndamento = null;
+let temporizadorSync = null;
+
+function obterEstadoSync() {
+    try {
+        return { ...ESTADO_SYNC_PADRAO, ...(JSON.parse(localStorage.getItem(SYNC_STORAGE_KEY)) || {}) };
+    } catch (e) {
+        return { ...ESTADO_SYNC_PADRAO };
+    }
+}
+
+function salvarEstadoSync(estado) {
+    localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({ ...obterEstadoSync(), ...estado }));
+}
+
+/**
+ * Requisição JSON ao servidor de sincronização configurado.
+ * @param {string} caminho Ex.: '/sync/status'.
+ * @param {object} [opcoes] Opções do fetch (method, body).
+ * @returns {Promise<object>} Corpo da resposta.
+ * @throws {Error} Com a mensagem do servidor, ou de rede indisponível.
+ */
+async function requisicaoSync(caminho, opcoes = {}) {
+    const { urlSync, tokenSync } = obterConfiguracoes();
+    const headers = { 'Content-Type': 'application/json' };
+    if (tokenSync) headers.Authorization = `Bearer ${tokenSync}`;
+
+    let resposta;
+    try {
+        resposta = await fetch(`${urlSync.replace(/\/+$/, '')}${caminho}`, { ...opcoes, headers });
+    } catch (err) {
+        throw new Error("Servidor de sincronização inacessível. Verifique o endereço e a rede.");
+    }
+    const corpo = await resposta.json().catch(() => ({}));
+    if (!resposta.ok) throw new Error(corpo.erro || `Servidor de sincronização respondeu ${resposta.status}.`);
+    return corpo;
+}
+
+/**
+ * Envia as alterações locais ao servidor e aplica as recebidas.
+ * @param {object} [opcoes] { silenciosa: true só avisa quando algo chegou, houve conflito ou falhou }.
+ * @returns {Promise<object|null>} { enviadas, aplicadas, ignoradas, conflitos } ou null se não sincronizou.
+ */
+function sincronizar(opcoes = {}) {
+    if (!sincronizacaoEmAndamento) {
+        sincronizacaoEmAndamento = executarSincronizacao(opcoes)
+            .finally(() => { sincronizacaoEmAndamento = null; });
+    }
+    return sincronizacaoEmAndamento;
+}
+
+async function executarSincronizacao({ silenciosa = false } = {}) {
+    if (!obterConfiguracoes().urlSync) {
+        if (!silenciosa) showToast("Informe o endereço do servidor de sincronização.", "error");
+        return null;
+    }
+
+    renderizarStatusSync("Sincronizando...");
+    try {
+        // 1. Servidor novo (ou com os dados recriados): recomeça o cursor e reenvia a base inteira
+        const status = await requisicaoSync('/sync/status');
+        if (status.idServidor !== obterEstadoSync().idServidor) {
+            await DB.marcarTudoParaSincronizar();
+            salvarEstadoSync({ idServidor: status.idServidor, cursor: 0 });
+        }
+
+        // 2. Recebimento antes do envio: tombos gerados em paralelo são renumerados aqui,
+        //    antes de a versão local sobrescrever a do outro computador no servidor
+        const recebimento = await requisicaoSync(`/sync/pull?desde=${obterEstadoSync().cursor}`);
+        const aplicacao = recebimento.alteracoes.length > 0
+            ? await DB.aplicarAlteracoesSync(recebimento.alteracoes)
+            : { aplicadas: 0, ignoradas: 0, conflitos: [] };
+        salvarEstadoSync({ cursor: recebimento.cursor, conflitos: aplicacao.conflitos });
+
+        // 3. Envio das alterações locais; as que perderem no servidor voltam na próxima sincronização
+        //    (o eco das aceitas também volta e é ignorado por ter a mesma versão)
+        const pendentes = await DB.listarAlteracoesSync();
+        if (pendentes.length > 0) {
+            await requisicaoSync('/sync/push', {
+                method: 'POST',
+                body: JSON.stringify({ idDispositivo: obterIdDispositivo(), alteracoes: pendentes })
+            });
+            await DB.confirmarEnvioSync(pendentes);
+        }
+        salvarEstadoSync({ ultimaSincronizacao: new Date().toISOString() });
+
+        renderizarStatusSync();
+        renderizarConflitosSync();
+        if (aplicacao.aplicadas > 0) await carregarDadosIniciais();
+
+        if (aplicacao.conflitos.length > 0) {
+            showToast(`Sincronização concluída com ${aplicacao.conflitos.length} conflito(s). Veja a lista em Configurações.`, "info");
+        } else if (!silenciosa || aplicacao.aplicadas > 0) {
+            showToast(`Sincronização concluída: ${pendentes.length} alteração(ões) enviada(s), ${aplicacao.aplicadas} recebida(s).`);
+        }
+        return { enviadas: pendentes.length, ...aplicacao };
+    } catch (error) {
+        console.error("Erro na sincronização:", error);
+        renderizarStatusSync(`Falha na última tentativa: ${error.message}`);
+        if (!silenciosa) showToast(error.message, "error");
+        return null;
+    }
+}
+
+function renderizarStatusSync(mensagem = null) {
+    const { ultimaSincronizacao } = obterEstadoSync();
+    document.getElementById('sync-status').textContent = mensagem || (ultimaSincronizacao
+        ? `Última sincronização: ${new Date(ultimaSincronizacao).toLocaleString('pt-BR')}`
+        : "Ainda não sincronizado.");
+}
+
+function renderizarConflitosSync() {
+    const tbody = document.querySelector('#tabela-sync-conflitos tbody');
+    const { conflitos } = obterEstadoSync();
+    if (conflitos.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="3" style="text-align:center">Nenhum conflito na última sincronização.</td></tr>';
+        return;
+    }
+    tbody.innerHTML = conflitos.map(conflito => `
+        <tr>
+            <td>${ROTULOS_TABELA_SYNC[conflito.store] || escaparHTML(conflito.store)}</td>
+            <td><code title="${escaparHTML(conflito.uid)}">${escaparHTML(conflito.uid.slice(0, 8))}</code></td>
+            <td>${escaparHTML(conflito.descricao)}</td>
+        </tr>`).join('');
+}
+
+/**
+ * (Re)programa a sincronização automática conforme as configurações.
+ */
+function agendarSincronizacao() {
+    clearInterval(temporizadorSync);
+    temporizadorSync = null;
+    const { urlSync, intervaloSyncMinutos } = obterConfiguracoes();
+    if (urlSync && intervaloSyncMinutos > 0) {
+        temporizadorSync = setInterval(() => sincronizar({ silenciosa: true }), intervaloSyncMinutos * 60 * 1000);
+    }
+}
+
+function preencherFormSync() {
+    const config = obterConfiguracoes();
+    document.getElementById('sync-url').value = config.urlSync;
+    document.getElementById('sync-token').value = config.tokenSync;
+    document.getElementById('sync-intervalo').value = config.intervaloSyncMinutos;
+}
+
+function handleSalvarSync(event) {
+    event.preventDefault();
+    const urlSync = document.getElementById('sync-url').value.trim();
+    const tokenSync = document.getElementById('sync-token').value.trim();
+    const intervaloSyncMinutos = parseInt(document.getElementById('sync-intervalo').value, 10);
+
+    if (urlSync) {
+        let url = null;
+        try {
+            url = new URL(urlSync);
+        } catch (e) {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            showToast("Informe o endereço completo do servidor (ex.: http://192.168.0.10:8787).", "error");
+            return;
+        }
+    }
+    if (isNaN(intervaloSyncMinutos) || intervaloSyncMinutos < 0) {
+        showToast("Informe um intervalo válido (0 para sincronizar só manualmente).", "error");
+        return;
+    }
+
+    // Outro servidor: o cursor e os conflitos do anterior não valem mais
+    if (urlSync !== obterConfiguracoes().urlSync) {
+        localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(ESTADO_SYNC_PADRAO));
+        renderizarConflitosSync();
+    }
+    salvarConfiguracoes({ urlSync, tokenSync, intervaloSyncMinutos });
+    agendarSincronizacao();
+    renderizarStatusSync();
+    showToast("Configurações de sincronização salvas!");
+}
+
+function initSincronizacao() {
+    preencherFormSync();
+    renderizarStatusSync();
+    renderizarConflitosSync();
+    document.getElementById('form-sync').addEventListener('submit', handleSalvarSync);
+    document.getElementById('btn-sincronizar').addEventListener('click', () => sincronizar());
+
+    agendarSincronizacao();
+    // Ao abrir o app e ao voltar a conexão, sincroniza sem interromper o atendimento
+    window.addEventListener('online', () => {
+        if (obterConfiguracoes().urlSync) sincronizar({ silenciosa: true });
+    });
+    if (obterConfiguracoes().urlSync) sincronizar({ silenciosa: true });
 }
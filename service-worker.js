@@ -4,69 +4,130 @@
  * Intercepta requisições de rede e serve arquivos do cache local.
  */
 
-// 1. Versionamento Explícito do Cache
-const CACHE_NAME = 'biblioteca-v3';
-
-// Lista de arquivos estáticos essenciais para o funcionamento offline
-const ASSETS_TO_CACHE = [
-    './',
-    './index.html',
-    './style.css?v=3',
-    './script.js?v=3',
-    './db.js?v=3',
-    './tests.js?v=3',
-    './manifest.json?v=3'
-];
+// 1. Manifesto de Assets Gerado
+// Lista de pré-cache com hashes de conteúdo, produzida por gerar-manifesto-assets.js.
+// Qualquer mudança nos arquivos altera este script importado, o que dispara a atualização do SW.
+importScripts('./asset-manifest.js');
+
+const PREFIXO_CACHE = 'biblioteca-';
+const CACHE_NAME = `${PREFIXO_CACHE}${self.MANIFESTO_ASSETS.versao}`;
+const CACHE_FONTES = `${PREFIXO_CACHE}fontes`;
+const ASSETS_TO_CACHE = self.MANIFESTO_ASSETS.arquivos.map((arquivo) => arquivo.url);
+
+const PAGINA_APP = './index.html';
+const PAGINA_OFFLINE = './offline.html';
+const ORIGENS_FONTES = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
 
 /**
  * 2. Evento INSTALL
  * Disparado quando o Service Worker é registrado pela primeira vez (ou atualizado).
- * Aqui fazemos o pré-cache de todos os arquivos essenciais.
+ * Aqui fazemos o pré-cache de todos os arquivos essenciais. Uma falha rejeita a
+ * instalação, para que nunca fique ativa uma versão com cache incompleto.
+ * Não chamamos skipWaiting: a nova versão aguarda até o usuário aceitar a
+ * atualização pelo aviso exibido na página (mensagem ATIVAR_NOVA_VERSAO).
  */
 self.addEventListener('install', (event) => {
-    // Força a instalação imediata, sem esperar que outras abas fechem
-    self.skipWaiting();
-
     event.waitUntil(
         caches.open(CACHE_NAME)
             .then((cache) => {
-                console.log('[Service Worker] Fazendo cache dos arquivos estáticos...');
-                return cache.addAll(ASSETS_TO_CACHE);
-            })
-            .catch((error) => {
-                console.error('[Service Worker] Falha ao fazer cache no install:', error);
+                console.log(`[Service Worker] Fazendo cache dos arquivos estáticos (versão ${self.MANIFESTO_ASSETS.versao})...`);
+                // cache: 'reload' evita que o cache HTTP entregue um arquivo antigo sob o hash novo
+                return cache.addAll(ASSETS_TO_CACHE.map((url) => new Request(url, { cache: 'reload' })));
             })
     );
 });
 
 /**
  * 3. Evento ACTIVATE
- * Disparado logo após o install.
- * Ideal para limpar caches de versões antigas (ex: remover 'biblioteca-v1' quando a atual for 'v2').
+ * Disparado quando esta versão assume (primeira instalação ou após o usuário aceitar a atualização).
+ * Remove os caches de versões anteriores, preservando o cache de fontes.
  */
 self.addEventListener('activate', (event) => {
-    // Força o SW a assumir o controle de todas as páginas abertas imediatamente
-    event.waitUntil(self.clients.claim());
-
     event.waitUntil(
-        caches.keys().then((cacheNames) => {
-            return Promise.all(
-                cacheNames.map((cacheName) => {
-                    // Se o nome do cache encontrado for diferente da versão atual, exclua-o
-                    if (cacheName !== CACHE_NAME) {
+        caches.keys()
+            .then((cacheNames) => Promise.all(
+                cacheNames
+                    .filter((cacheName) => cacheName.startsWith(PREFIXO_CACHE) && cacheName !== CACHE_NAME && cacheName !== CACHE_FONTES)
+                    .map((cacheName) => {
                         console.log(`[Service Worker] Removendo cache antigo: ${cacheName}`);
                         return caches.delete(cacheName);
+                    })
+            ))
+            // Assume o controle das páginas abertas (só importa na primeira instalação;
+            // nas atualizações a página recarrega ao receber o controllerchange)
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * 4. Evento MESSAGE
+ * A página envia ATIVAR_NOVA_VERSAO quando o usuário clica em "Recarregar" no aviso de atualização.
+ */
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.tipo === 'ATIVAR_NOVA_VERSAO') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * Resposta usada quando o recurso não está no cache e a rede falhou.
+ * Navegações recebem a página offline; demais recursos, um 503 explícito
+ * (devolver undefined ao respondWith gera erro de rede no navegador).
+ */
+function respostaOffline(request) {
+    if (request.mode === 'navigate') {
+        return caches.match(PAGINA_OFFLINE, { cacheName: CACHE_NAME })
+            .then((pagina) => pagina || new Response('Sem conexão.', {
+                status: 503,
+                headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+            }));
+    }
+    return new Response('', { status: 503, statusText: 'Offline' });
+}
+
+/**
+ * Navegações para a raiz do escopo ou para o index.html recebem o app do cache,
+ * independentemente da query string (ex.: atalhos e start_url).
+ */
+function ehNavegacaoDoApp(request) {
+    if (request.mode !== 'navigate') return false;
+    const url = new URL(request.url);
+    const escopo = new URL(self.registration.scope);
+    return url.origin === escopo.origin
+        && (url.pathname === escopo.pathname || url.pathname === `${escopo.pathname}index.html`);
+}
+
+/**
+ * Stale-while-revalidate: responde com a cópia em cache (se houver) e atualiza em segundo plano.
+ * Usado para as fontes do Google, que não fazem parte do manifesto de assets.
+ */
+function responderComRevalidacao(event) {
+    return caches.open(CACHE_FONTES).then((cache) =>
+        cache.match(event.request).then((cachedResponse) => {
+            const rede = fetch(event.request)
+                .then((networkResponse) => {
+                    if (networkResponse.ok || networkResponse.type === 'opaque') {
+                        return cache.put(event.request, networkResponse.clone()).then(() => networkResponse);
                     }
-                })
-            );
+                    return networkResponse;
+                });
+
+            if (cachedResponse) {
+                event.waitUntil(rede.catch(() => {}));
+                return cachedResponse;
+            }
+            return rede.catch(() => respostaOffline(event.request));
         })
     );
-});
+}
 
 /**
- * 4. Evento FETCH
+ * 5. Evento FETCH
  * Intercepta todas as requisições HTTP feitas pela página.
- * Estratégia: Cache First (Busca no cache primeiro, se não achar, vai para a rede).
+ * Estratégias:
+ * - Navegações do app: index.html do cache (app shell), com a rede como reserva.
+ * - Fontes do Google: stale-while-revalidate em cache próprio.
+ * - Demais: Cache First no cache da versão atual, depois rede; sem ambos, resposta offline.
  */
 self.addEventListener('fetch', (event) => {
     // Ignora requisições que não sejam GET (ex: POST, PUT) ou requisições de extensões (chrome-extension://)
@@ -77,8 +138,15 @@ self.addEventListener('fetch', (event) => {
     // O IndexedDB não passa pelo evento fetch do Service Worker, pois é uma API local do navegador.
     // Portanto, o SW não interfere nas operações de banco de dados.
 
+    if (ORIGENS_FONTES.some((origem) => event.request.url.startsWith(origem))) {
+        event.respondWith(responderComRevalidacao(event));
+        return;
+    }
+
+    const chave = ehNavegacaoDoApp(event.request) ? PAGINA_APP : event.request;
+
     event.respondWith(
-        caches.match(event.request)
+        caches.match(chave, { cacheName: CACHE_NAME })
             .then((cachedResponse) => {
                 // Se o arquivo estiver no cache, retorna ele imediatamente (Offline)
                 if (cachedResponse) {
@@ -86,14 +154,9 @@ self.addEventListener('fetch', (event) => {
                 }
 
                 // Se não estiver no cache, tenta buscar na rede
-                return fetch(event.request).then((networkResponse) => {
-                    // Opcional: Adicionar arquivos novos ao cache dinamicamente
-                    // (Não implementado aqui para manter o controle estrito sobre o que é cacheado)
-                    return networkResponse;
-                }).catch(() => {
-                    // Fallback genérico caso a rede falhe e o arquivo não esteja no cache
+                return fetch(event.request).catch(() => {
                     console.warn('[Service Worker] Recurso não encontrado no cache e rede indisponível:', event.request.url);
-                    // Se for uma navegação de página (HTML), poderíamos retornar uma página offline genérica aqui
+                    return respostaOffline(event.request);
                 });
             })
     );
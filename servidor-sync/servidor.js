@@ -0,0 +1,226 @@
+/**
+ * servidor-sync/servidor.js
+ * Servidor de referência para a sincronização entre computadores da biblioteca.
+ * Roda na rede local da escola, sem dependências além do Node.js:
+ *
+ *   node servidor-sync/servidor.js
+ *   node --test servidor-sync/servidor.test.js   (testes, sem rede externa)
+ *
+ * Variáveis de ambiente:
+ *   PORTA          Porta HTTP (padrão 8787).
+ *   SYNC_TOKEN     Se definido, exige o cabeçalho "Authorization: Bearer <token>".
+ *   ARQUIVO_DADOS  Arquivo JSON onde as alterações são guardadas (padrão servidor-sync/dados.json).
+ *
+ * Protocolo (JSON):
+ *   GET  /sync/status            -> { idServidor, cursor, total }
+ *   POST /sync/push              <- { idDispositivo, alteracoes: [...] }  -> { aceitas, ignoradas, cursor }
+ *   GET  /sync/pull?desde=<seq>  -> { idServidor, alteracoes: [...], cursor }
+ *
+ * O servidor guarda só a versão vencedora de cada registro (tabela + uid). Cada versão aceita
+ * recebe um número de sequência crescente (seq), e o pull devolve as versões com seq maior
+ * que o cursor do computador. idServidor muda se o arquivo de dados for recriado, o que faz
+ * os computadores reenviarem tudo.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORTA = Number(process.env.PORTA) || 8787;
+const SYNC_TOKEN = process.env.SYNC_TOKEN || '';
+const ARQUIVO_DADOS = process.env.ARQUIVO_DADOS || path.join(__dirname, 'dados.json');
+const TAMANHO_MAXIMO_CORPO = 20 * 1024 * 1024;
+
+const TABELAS = ['livros', 'alunos', 'exemplares', 'emprestimos', 'reservas', 'multas'];
+
+/**
+ * Mesma regra de compararVersoesSync (db.js): vence a versão mais recente; no empate,
+ * a exclusão; persistindo o empate, o maior idDispositivo.
+ */
+function compararVersoes(a, b) {
+    if (a.atualizadoEm !== b.atualizadoEm) return a.atualizadoEm < b.atualizadoEm ? -1 : 1;
+    if (Boolean(a.excluido) !== Boolean(b.excluido)) return a.excluido ? 1 : -1;
+    const dispositivoA = a.idDispositivo || '';
+    const dispositivoB = b.idDispositivo || '';
+    if (dispositivoA !== dispositivoB) return dispositivoA < dispositivoB ? -1 : 1;
+    return 0;
+}
+
+/**
+ * Valida uma alteração recebida.
+ * @returns {string|null} Mensagem de erro, ou null se válida.
+ */
+function validarAlteracao(alteracao) {
+    if (!alteracao || typeof alteracao !== 'object') return 'alteração inválida';
+    if (!TABELAS.includes(alteracao.store)) return `tabela desconhecida (${alteracao.store})`;
+    if (typeof alteracao.uid !== 'string' || !alteracao.uid) return 'uid ausente';
+    if (typeof alteracao.atualizadoEm !== 'string' || Number.isNaN(Date.parse(alteracao.atualizadoEm))) return `atualizadoEm inválido (${alteracao.uid})`;
+    if (typeof alteracao.excluido !== 'boolean') return `excluido ausente (${alteracao.uid})`;
+    if (!alteracao.excluido && (!alteracao.dados || typeof alteracao.dados !== 'object')) return `dados ausentes (${alteracao.uid})`;
+    return null;
+}
+
+// ==========================================================================
+// Armazenamento (arquivo JSON regravado por inteiro a cada envio)
+// ==========================================================================
+function carregarDados() {
+    if (fs.existsSync(ARQUIVO_DADOS)) {
+        const conteudo = JSON.parse(fs.readFileSync(ARQUIVO_DADOS, 'utf8'));
+        return {
+            idServidor: conteudo.idServidor,
+            cursor: conteudo.cursor,
+            registros: new Map(conteudo.alteracoes.map(a => [`${a.store}|${a.uid}`, a]))
+        };
+    }
+    return { idServidor: crypto.randomUUID(), cursor: 0, registros: new Map() };
+}
+
+function salvarDados(estado) {
+    const conteudo = JSON.stringify({
+        idServidor: estado.idServidor,
+        cursor: estado.cursor,
+        alteracoes: [...estado.registros.values()]
+    });
+    // Grava em arquivo temporário e renomeia: uma queda no meio não corrompe os dados
+    const temporario = `${ARQUIVO_DADOS}.tmp`;
+    fs.writeFileSync(temporario, conteudo);
+    fs.renameSync(temporario, ARQUIVO_DADOS);
+}
+
+/**
+ * Aplica as alterações enviadas por um computador, mantendo só a versão vencedora de cada registro.
+ * @returns {{aceitas: number, ignoradas: number, cursor: number}}
+ */
+function receberAlteracoes(estado, alteracoes) {
+    let aceitas = 0;
+    let ignoradas = 0;
+    alteracoes.forEach(alteracao => {
+        const chave = `${alteracao.store}|${alteracao.uid}`;
+        const atual = estado.registros.get(chave);
+        if (atual && compararVersoes(alteracao, atual) <= 0) {
+            ignoradas++;
+            return;
+        }
+        estado.cursor++;
+        estado.registros.set(chave, { ...alteracao, seq: estado.cursor });
+        aceitas++;
+    });
+    if (aceitas > 0) salvarDados(estado);
+    return { aceitas, ignoradas, cursor: estado.cursor };
+}
+
+function listarDesde(estado, desde) {
+    return [...estado.registros.values()]
+        .filter(a => a.seq > desde)
+        .sort((a, b) => a.seq - b.seq);
+}
+
+// ==========================================================================
+// HTTP
+// ==========================================================================
+function responder(res, status, corpo) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    });
+    res.end(corpo === null ? '' : JSON.stringify(corpo));
+}
+
+function lerCorpo(req) {
+    return new Promise((resolve, reject) => {
+        const partes = [];
+        let tamanho = 0;
+        req.on('data', (parte) => {
+            tamanho += parte.length;
+            if (tamanho > TAMANHO_MAXIMO_CORPO) {
+                reject(Object.assign(new Error('Corpo da requisição muito grande.'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            partes.push(parte);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(partes).toString('utf8') || '{}'));
+            } catch (err) {
+                reject(Object.assign(new Error('JSON inválido.'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function autorizado(req) {
+    if (!SYNC_TOKEN) return true;
+    const esperado = Buffer.from(`Bearer ${SYNC_TOKEN}`);
+    const recebido = Buffer.from(req.headers.authorization || '');
+    return recebido.length === esperado.length && crypto.timingSafeEqual(recebido, esperado);
+}
+
+function criarServidor(estado) {
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            if (req.method === 'OPTIONS') {
+                responder(res, 204, null);
+                return;
+            }
+            if (!autorizado(req)) {
+                responder(res, 401, { erro: 'Token de sincronização inválido.' });
+                return;
+            }
+
+            if (req.method === 'GET' && url.pathname === '/sync/status') {
+                responder(res, 200, { idServidor: estado.idServidor, cursor: estado.cursor, total: estado.registros.size });
+                return;
+            }
+
+            if (req.method === 'GET' && url.pathname === '/sync/pull') {
+                const desde = Number(url.searchParams.get('desde')) || 0;
+                responder(res, 200, { idServidor: estado.idServidor, alteracoes: listarDesde(estado, desde), cursor: estado.cursor });
+                return;
+            }
+
+            if (req.method === 'POST' && url.pathname === '/sync/push') {
+                const corpo = await lerCorpo(req);
+                if (!corpo || typeof corpo !== 'object' || Array.isArray(corpo)) {
+                    responder(res, 400, { erro: 'O corpo deve ser um objeto JSON.' });
+                    return;
+                }
+                const alteracoes = Array.isArray(corpo.alteracoes) ? corpo.alteracoes : null;
+                if (!alteracoes) {
+                    responder(res, 400, { erro: 'Campo "alteracoes" ausente.' });
+                    return;
+                }
+                const erro = alteracoes.map(validarAlteracao).find(Boolean);
+                if (erro) {
+                    responder(res, 400, { erro: `Alteração rejeitada: ${erro}.` });
+                    return;
+                }
+                const resultado = receberAlteracoes(estado, alteracoes);
+                console.log(`[sync] ${corpo.idDispositivo || 'dispositivo desconhecido'}: ${resultado.aceitas} aceita(s), ${resultado.ignoradas} ignorada(s).`);
+                responder(res, 200, resultado);
+                return;
+            }
+
+            responder(res, 404, { erro: 'Rota não encontrada.' });
+        } catch (err) {
+            responder(res, err.status || 500, { erro: err.status ? err.message : 'Erro interno do servidor.' });
+            if (!err.status) console.error('[sync]', err);
+        }
+    });
+}
+
+if (require.main === module) {
+    const estado = carregarDados();
+    if (!fs.existsSync(ARQUIVO_DADOS)) salvarDados(estado);
+    criarServidor(estado).listen(PORTA, () => {
+        console.log(`Servidor de sincronização em http://0.0.0.0:${PORTA} (${estado.registros.size} registro(s), cursor ${estado.cursor}).`);
+        if (!SYNC_TOKEN) console.log('Aviso: SYNC_TOKEN não definido; qualquer computador da rede pode sincronizar.');
+    });
+}
+
+module.exports = { compararVersoes, validarAlteracao, receberAlteracoes, listarDesde, criarServidor };
@@ -0,0 +1,131 @@
+/**
+ * servidor-sync/servidor.test.js
+ * Testes do servidor de referência: regra de versões, validação, recebimento e pull por cursor.
+ *
+ *   node --test servidor-sync/servidor.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// O servidor grava cada envio aceito: os testes usam um arquivo temporário e dispensam o token
+const PASTA_TEMPORARIA = fs.mkdtempSync(path.join(os.tmpdir(), 'servidor-sync-'));
+process.env.ARQUIVO_DADOS = path.join(PASTA_TEMPORARIA, 'dados.json');
+process.env.SYNC_TOKEN = '';
+
+const { compararVersoes, validarAlteracao, receberAlteracoes, listarDesde, criarServidor } = require('./servidor');
+
+test.after(() => fs.rmSync(PASTA_TEMPORARIA, { recursive: true, force: true }));
+
+const novoEstado = () => ({ idServidor: 'teste', cursor: 0, registros: new Map() });
+const alteracao = (uid, atualizadoEm, extras = {}) => ({
+    store: 'livros', uid, atualizadoEm, idDispositivo: 'pc-a', excluido: false, dados: { titulo: uid }, ...extras
+});
+
+test('compararVersoes: a versão mais recente vence', () => {
+    const antiga = alteracao('u1', '2026-03-01T10:00:00.000Z');
+    const nova = alteracao('u1', '2026-03-01T10:00:00.001Z');
+    assert.strictEqual(compararVersoes(nova, antiga), 1);
+    assert.strictEqual(compararVersoes(antiga, nova), -1);
+});
+
+test('compararVersoes: no empate vence a exclusão e depois o maior idDispositivo', () => {
+    const data = '2026-03-01T10:00:00.000Z';
+    const edicao = alteracao('u1', data, { idDispositivo: 'pc-z' });
+    const exclusao = alteracao('u1', data, { idDispositivo: 'pc-a', excluido: true, dados: undefined });
+    assert.strictEqual(compararVersoes(exclusao, edicao), 1);
+    assert.strictEqual(compararVersoes(edicao, exclusao), -1);
+
+    const doA = alteracao('u1', data, { idDispositivo: 'pc-a' });
+    const doB = alteracao('u1', data, { idDispositivo: 'pc-b' });
+    assert.strictEqual(compararVersoes(doB, doA), 1);
+    assert.strictEqual(compararVersoes(doA, { ...doA }), 0);
+});
+
+test('validarAlteracao: aceita alterações e lápides completas', () => {
+    assert.strictEqual(validarAlteracao(alteracao('u1', '2026-03-01T10:00:00.000Z')), null);
+    assert.strictEqual(validarAlteracao({ store: 'alunos', uid: 'u2', atualizadoEm: '2026-03-01T10:00:00.000Z', excluido: true }), null);
+});
+
+test('validarAlteracao: rejeita alterações incompletas ou de tabelas desconhecidas', () => {
+    const valida = alteracao('u1', '2026-03-01T10:00:00.000Z');
+    assert.match(validarAlteracao(null), /alteração inválida/);
+    assert.match(validarAlteracao('livros'), /alteração inválida/);
+    assert.match(validarAlteracao({ ...valida, store: 'auditoria' }), /tabela desconhecida/);
+    assert.match(validarAlteracao({ ...valida, uid: '' }), /uid ausente/);
+    assert.match(validarAlteracao({ ...valida, atualizadoEm: 'ontem' }), /atualizadoEm inválido/);
+    assert.match(validarAlteracao({ ...valida, excluido: undefined }), /excluido ausente/);
+    assert.match(validarAlteracao({ ...valida, dados: null }), /dados ausentes/);
+});
+
+test('receberAlteracoes: guarda só a versão vencedora de cada registro', () => {
+    const estado = novoEstado();
+    const primeira = receberAlteracoes(estado, [
+        alteracao('u1', '2026-03-01T10:00:00.000Z'),
+        alteracao('u2', '2026-03-01T10:00:00.000Z')
+    ]);
+    assert.deepStrictEqual(primeira, { aceitas: 2, ignoradas: 0, cursor: 2 });
+
+    // Versão antiga e repetição exata são ignoradas; a mais nova substitui
+    const segunda = receberAlteracoes(estado, [
+        alteracao('u1', '2026-02-28T10:00:00.000Z', { dados: { titulo: 'antiga' } }),
+        alteracao('u2', '2026-03-01T10:00:00.000Z'),
+        alteracao('u1', '2026-03-02T10:00:00.000Z', { dados: { titulo: 'nova' } })
+    ]);
+    assert.deepStrictEqual(segunda, { aceitas: 1, ignoradas: 2, cursor: 3 });
+    assert.strictEqual(estado.registros.get('livros|u1').dados.titulo, 'nova');
+    assert.strictEqual(estado.registros.get('livros|u1').seq, 3);
+    assert.strictEqual(estado.registros.size, 2);
+});
+
+test('receberAlteracoes: exclusão vence edição no empate e perde para edição mais nova', () => {
+    const estado = novoEstado();
+    const data = '2026-03-01T10:00:00.000Z';
+    receberAlteracoes(estado, [alteracao('u1', data, { idDispositivo: 'pc-z' })]);
+
+    const empate = receberAlteracoes(estado, [alteracao('u1', data, { excluido: true, dados: undefined })]);
+    assert.strictEqual(empate.aceitas, 1);
+    assert.strictEqual(estado.registros.get('livros|u1').excluido, true);
+
+    // A edição com a mesma data não ressuscita o registro; uma posterior, sim
+    assert.strictEqual(receberAlteracoes(estado, [alteracao('u1', data, { idDispositivo: 'pc-z' })]).ignoradas, 1);
+    receberAlteracoes(estado, [alteracao('u1', '2026-03-01T10:00:01.000Z')]);
+    assert.strictEqual(estado.registros.get('livros|u1').excluido, false);
+});
+
+test('listarDesde: devolve, em ordem, só o que mudou depois do cursor', () => {
+    const estado = novoEstado();
+    receberAlteracoes(estado, [alteracao('u1', '2026-03-01T10:00:00.000Z'), alteracao('u2', '2026-03-01T10:00:00.000Z')]);
+    const primeiraLeitura = listarDesde(estado, 0);
+    assert.deepStrictEqual(primeiraLeitura.map(a => [a.uid, a.seq]), [['u1', 1], ['u2', 2]]);
+
+    const cursor = estado.cursor;
+    assert.deepStrictEqual(listarDesde(estado, cursor), []);
+
+    // u1 alterado de novo passa para o fim da fila com seq nova; u2 não volta
+    receberAlteracoes(estado, [alteracao('u1', '2026-03-02T10:00:00.000Z'), alteracao('u3', '2026-03-02T10:00:00.000Z')]);
+    assert.deepStrictEqual(listarDesde(estado, cursor).map(a => [a.uid, a.seq]), [['u1', 3], ['u3', 4]]);
+    assert.deepStrictEqual(listarDesde(estado, 3).map(a => a.uid), ['u3']);
+});
+
+test('POST /sync/push recusa corpo que não é objeto com 400', async (t) => {
+    const estado = novoEstado();
+    const servidor = criarServidor(estado);
+    await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+    t.after(() => servidor.close());
+    const endereco = `http://127.0.0.1:${servidor.address().port}/sync/push`;
+    const enviar = (corpo) => fetch(endereco, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: corpo });
+
+    for (const corpo of ['null', '42', '"texto"', '[]', '{"alteracoes": {}}', '{']) {
+        const resposta = await enviar(corpo);
+        assert.strictEqual(resposta.status, 400, `corpo ${corpo}`);
+        assert.ok((await resposta.json()).erro);
+    }
+
+    const aceito = await enviar(JSON.stringify({ idDispositivo: 'pc-a', alteracoes: [alteracao('u1', '2026-03-01T10:00:00.000Z')] }));
+    assert.strictEqual(aceito.status, 200);
+    assert.deepStrictEqual(await aceito.json(), { aceitas: 1, ignoradas: 0, cursor: 1 });
+});
@@ -20,6 +20,46 @@ const Testes = {
         }
     },
 
+    /**
+     * Executa `cenario` com a camada DB apontando para um banco temporário, criado do zero
+     * pelas migrações e apagado ao final. O banco da biblioteca não é tocado.
+     */
+    comBancoTemporario: async function(cenario) {
+        const nomeBanco = `${DB_NAME}-teste-transacoes`;
+        const apagarBanco = () => new Promise(resolve => {
+            const r = indexedDB.deleteDatabase(nomeBanco);
+            r.onsuccess = r.onerror = r.onblocked = resolve;
+        });
+        await apagarBanco();
+
+        const bancoDaBiblioteca = dbInstance;
+        dbInstance = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(nomeBanco, DB_VERSION);
+            request.onupgradeneeded = (event) => aplicarMigracoes(event.target.result, event.target.transaction, MIGRACOES);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        try {
+            await cenario();
+        } finally {
+            dbInstance.close();
+            dbInstance = bancoDaBiblioteca;
+            await apagarBanco();
+        }
+    },
+
+    /**
+     * Aguarda a promessa e devolve o erro com que ela rejeitou (null se resolveu).
+     */
+    capturarErro: async function(promessa) {
+        try {
+            await promessa;
+            return null;
+        } catch (e) {
+            return e;
+        }
+    },
+
     runTests: async function() {
         this.resultados = { totalTestes: 0, sucessos: 0, falhas: 0 };
         this.logs = [];
@@ -56,7 +96,7 @@ const Testes = {
             // 2.1 JSON Inválido (Simulado pelo try/catch no script.js, aqui testamos a função de validação de objeto)
             let erroDetectado = false;
             try {
-                validarBackup({ versao: "1.0" }); // Faltam arrays e checksum
+                await validarBackup({ versao: "1.0" }); // Faltam arrays e checksum
             } catch(e) { erroDetectado = true; }
             this.assert(erroDetectado, "Detectou JSON sem campos obrigatórios na raiz.");
 
@@ -65,7 +105,7 @@ const Testes = {
             jsonCorrompido.livros = "não é um array";
             erroDetectado = false;
             try {
-                validarBackup(jsonCorrompido);
+                await validarBackup(jsonCorrompido);
             } catch(e) { erroDetectado = true; }
             this.assert(erroDetectado, "Detectou estrutura de dados corrompida (arrays inválidos).");
 
@@ -74,7 +114,7 @@ const Testes = {
             jsonChecksumInvalido.livros[0].titulo = 'Título Modificado Maliciosamente';
             erroDetectado = false;
             try {
-                validarBackup(jsonChecksumInvalido);
+                await validarBackup(jsonChecksumInvalido);
             } catch(e) { erroDetectado = true; }
             this.assert(erroDetectado, "Detectou JSON com checksum incorreto (adulteração).");
 
@@ -87,7 +127,7 @@ const Testes = {
             
             erroDetectado = false;
             try {
-                validarBackup(jsonFaltandoCampo);
+                await validarBackup(jsonFaltandoCampo);
             } catch(e) { erroDetectado = true; }
             this.assert(erroDetectado, "Detectou ausência de campo obrigatório interno (isbn).");
 
@@ -97,7 +137,7 @@ const Testes = {
             let jsonValido = JSON.parse(JSON.stringify(payload));
             erroDetectado = false;
             try {
-                validarBackup(jsonValido);
+                await validarBackup(jsonValido);
             } catch(e) { erroDetectado = true; }
             this.assert(!erroDetectado, "Validou corretamente um JSON íntegro.");
 
@@ -112,6 +152,1068 @@ const Testes = {
             }
             this.assert(rollbackAcionado, "Sistema de captura de erro para rollback está funcional.");
 
+            // ==================================================================
+            // 4. Testa Busca do Acervo (acentos, maiúsculas e ISBN)
+            // ==================================================================
+            this.assert(normalizarTexto('  Érico VERÍSSIMO ') === 'erico verissimo', "Normalização remove acentos, espaços e maiúsculas.");
+
+            const livroBusca = { titulo: 'O Cortiço', autor: 'Aluísio Azevedo', isbn: '978-85-08-13261-3' };
+            this.assert(livroCorrespondeBusca(livroBusca, normalizarTexto('cortico')), "Busca por título ignora acentos.");
+            this.assert(livroCorrespondeBusca(livroBusca, normalizarTexto('ALUISIO')), "Busca por autor ignora maiúsculas e acentos.");
+            this.assert(livroCorrespondeBusca(livroBusca, normalizarTexto('9788508')), "Busca por ISBN ignora hífens do cadastro.");
+            this.assert(!livroCorrespondeBusca(livroBusca, normalizarTexto('Dom Casmurro')), "Busca não retorna livro sem correspondência.");
+            this.assert(livroCorrespondeBusca(livroBusca, ''), "Busca vazia retorna todos os livros.");
+
+            // ==================================================================
+            // 5. Testa Validação e Normalização de ISBN
+            // ==================================================================
+            this.assert(normalizarISBN('978-85-08-15361-9') === '9788508153619', "ISBN-13 com hífens é normalizado.");
+            this.assert(normalizarISBN('0 306 40615 2') === '9780306406157', "ISBN-10 é convertido para ISBN-13.");
+            this.assert(normalizarISBN('080442957x') === '9780804429573', "ISBN-10 com dígito 'x' minúsculo é aceito.");
+
+            erroDetectado = false;
+            try { normalizarISBN('9788508153610'); } catch (e) { erroDetectado = true; }
+            this.assert(erroDetectado, "Rejeitou ISBN-13 com dígito verificador incorreto.");
+
+            erroDetectado = false;
+            try { normalizarISBN('0306406153'); } catch (e) { erroDetectado = true; }
+            this.assert(erroDetectado, "Rejeitou ISBN-10 com dígito verificador incorreto.");
+
+            erroDetectado = false;
+            try { normalizarISBN('12345'); } catch (e) { erroDetectado = true; }
+            this.assert(erroDetectado, "Rejeitou ISBN com quantidade de dígitos inválida.");
+
+            // ==================================================================
+            // 6. Testa Cálculo de Prazos (Renovações)
+            // ==================================================================
+            this.assert(adicionarDias('2026-02-25', 7) === '2026-03-04', "Soma de dias atravessa a virada do mês.");
+            this.assert(adicionarDias('2026-12-30', 3) === '2027-01-02', "Soma de dias atravessa a virada do ano.");
+            this.assert(formatarDataISO(new Date(2026, 0, 5)) === '2026-01-05', "Data local formatada como YYYY-MM-DD.");
+
+            // ==================================================================
+            // 7. Testa Backup com Fila de Reservas
+            // ==================================================================
+            let jsonComReservas = JSON.parse(JSON.stringify(payload));
+            delete jsonComReservas.checksum;
+            jsonComReservas.reservas = [{ id: 1, idLivro: 1, idAluno: 1, dataReserva: new Date().toISOString(), status: 'aguardando' }];
+            jsonComReservas.totalRegistros = 3;
+            jsonComReservas.checksum = gerarChecksumSimples(jsonComReservas);
+            erroDetectado = false;
+            try { await validarBackup(jsonComReservas); } catch (e) { erroDetectado = true; }
+            this.assert(!erroDetectado, "Validou backup contendo a fila de reservas.");
+
+            let jsonReservasCorrompidas = JSON.parse(JSON.stringify(jsonComReservas));
+            delete jsonReservasCorrompidas.checksum;
+            jsonReservasCorrompidas.reservas = "não é um array";
+            jsonReservasCorrompidas.checksum = gerarChecksumSimples(jsonReservasCorrompidas);
+            erroDetectado = false;
+            try { await validarBackup(jsonReservasCorrompidas); } catch (e) { erroDetectado = true; }
+            this.assert(erroDetectado, "Detectou fila de reservas corrompida no backup.");
+
+            // ==================================================================
+            // 8. Testa Exibição de Justificativas (Política de Empréstimo)
+            // ==================================================================
+            this.assert(escaparHTML('Aula "extra" <b>') === 'Aula &quot;extra&quot; &lt;b&gt;', "Justificativa livre é escapada antes de ir para o HTML.");
+            this.assert(obterConfiguracoes().maxEmprestimosAluno >= 1, "Configurações retornam limite de empréstimos por aluno.");
+
+            // ==================================================================
+            // 9. Testa Cálculo e Saldo de Multas
+            // ==================================================================
+            const regrasMulta = { valorDiarioMulta: 0.5, valorMaximoMulta: 0, diasCarenciaMulta: 0 };
+            this.assert(calcularValorMulta(4, regrasMulta) === 2, "Multa diária multiplicada pelos dias de atraso.");
+            this.assert(calcularValorMulta(4, { ...regrasMulta, diasCarenciaMulta: 2 }) === 1, "Dias de carência não são cobrados.");
+            this.assert(calcularValorMulta(1, { ...regrasMulta, diasCarenciaMulta: 2 }) === 0, "Atraso dentro da carência não gera multa.");
+            this.assert(calcularValorMulta(30, { ...regrasMulta, valorMaximoMulta: 5 }) === 5, "Teto limita o valor da multa.");
+            this.assert(calcularValorMulta(3, { ...regrasMulta, valorDiarioMulta: 0.1 }) === 0.3, "Valor arredondado em centavos.");
+
+            const alunosSaldo = new Map([[1, { nome: 'Ana', turma: '1A' }], [2, { nome: 'Bia', turma: '1A' }], [3, { nome: 'Caio', turma: '2B' }]]);
+            const saldos = agruparSaldosMultas([
+                { idAluno: 1, valor: 1.5 }, { idAluno: 1, valor: 2 }, { idAluno: 2, valor: 1 }, { idAluno: 3, valor: 0.5 }
+            ], alunosSaldo);
+            this.assert(saldos.total === 5, "Saldo total soma todas as multas pendentes.");
+            this.assert(saldos.porAluno[0].nome === 'Ana' && saldos.porAluno[0].valor === 3.5, "Saldo agrupado por aluno, do maior para o menor.");
+            this.assert(saldos.porTurma[0].turma === '1A' && saldos.porTurma[0].valor === 4.5, "Saldo agrupado por turma.");
+
+            // ==================================================================
+            // 10. Testa Trilha de Auditoria (resumo e filtros)
+            // ==================================================================
+            const alteracoes = resumirAlteracoes(
+                { id: 7, status: 'ativo', dataDevolucaoReal: null },
+                { id: 7, status: 'devolvido', dataDevolucaoReal: '2026-03-01' }
+            );
+            this.assert(alteracoes.length === 2 && alteracoes[0].campo === 'status', "Resumo lista apenas os campos alterados.");
+            this.assert(resumirAlteracoes(null, { id: 1, nome: 'Ana' }).length === 2, "Resumo de criação lista todos os campos.");
+
+            const entradaAuditoria = {
+                operacao: 'devolucao', store: 'emprestimos', idRegistro: 7,
+                antes: { status: 'ativo' }, depois: { status: 'devolvido' },
+                dataHora: new Date(2026, 2, 1, 10, 0).toISOString()
+            };
+            this.assert(entradaAuditoriaCorresponde(entradaAuditoria, { store: 'emprestimos', operacao: 'devolucao' }), "Filtro por tabela e operação encontra a entrada.");
+            this.assert(!entradaAuditoriaCorresponde(entradaAuditoria, { store: 'livros' }), "Filtro por tabela exclui outras tabelas.");
+            this.assert(entradaAuditoriaCorresponde(entradaAuditoria, { de: '2026-03-01', ate: '2026-03-01' }), "Filtro por período inclui o próprio dia.");
+            this.assert(!entradaAuditoriaCorresponde(entradaAuditoria, { de: '2026-03-02' }), "Filtro por período exclui datas anteriores.");
+            this.assert(entradaAuditoriaCorresponde(entradaAuditoria, { busca: '7' }), "Busca pelo ID do registro.");
+            this.assert(entradaAuditoriaCorresponde(entradaAuditoria, { busca: 'DEVOLVIDO' }), "Busca por texto no conteúdo da alteração.");
+
+            // ==================================================================
+            // 11. Testa Leitura de CSV e Classificação da Importação de Alunos
+            // ==================================================================
+            const csvAlunos = 'Nome;Matrícula;Turma\r\n"Silva; Ana";101;1A\r\n\r\nBruno "B";102;1B\n';
+            const delimitador = detectarDelimitador(csvAlunos);
+            this.assert(delimitador === ';', "Detecta ponto e vírgula como delimitador.");
+            this.assert(detectarDelimitador('nome,"a;b",turma') === ',', "Ignora delimitadores entre aspas na detecção.");
+
+            const matriz = parseCSV(csvAlunos, delimitador);
+            this.assert(matriz.length === 3 && matriz[1][0] === 'Silva; Ana', "CSV respeita aspas e ignora linhas vazias.");
+            this.assert(parseCSV('a,"x ""y"""\n', ',')[0][1] === 'x "y"', "CSV converte aspas duplicadas.");
+
+            const bytesLatin1 = new Uint8Array([0x4a, 0x6f, 0xe3, 0x6f]).buffer; // "João" em Latin-1
+            this.assert(decodificarTexto(bytesLatin1) === 'João', "Recorre ao Latin-1 quando o arquivo não é UTF-8.");
+            this.assert(decodificarTexto(new TextEncoder().encode('João').buffer) === 'João', "Lê arquivos UTF-8.");
+
+            this.assert(sugerirColunaCSV(['Turma', 'Nome do Aluno', 'Matrícula'], CAMPOS_IMPORTACAO_ALUNOS.nome) === 1, "Sugere a coluna pelo nome do cabeçalho.");
+
+            const classificacao = classificarLinhasAlunos(
+                [['Ana', '101', '1A'], ['Bruno', '102', '2B'], ['Caio', '103', '1C'], ['', '104', '1A'], ['Duda', '103', '1C']],
+                { nome: 0, matricula: 1, turma: 2 },
+                [{ id: 1, nome: 'Ana', matricula: '101', turma: '1A' }, { id: 2, nome: 'Bruno', matricula: '102', turma: '1B' }]
+            );
+            this.assert(classificacao.map(c => c.acao).join() === 'ignorar,atualizar,inserir,invalida,invalida', "Classifica linhas em inserir/atualizar/ignorar/erro.");
+            this.assert(classificacao[4].motivo.includes('linha 4'), "Aponta a linha da matrícula repetida.");
+
+            // ==================================================================
+            // 12. Testa Importação do Acervo (MARC 21, MARCXML e CSV)
+            // ==================================================================
+            // Monta um registro ISO 2709 em UTF-8 a partir de { tag: 'ind1ind2$asub...' }
+            const montarRegistroMARC = (campos) => {
+                const encoder = new TextEncoder();
+                let diretorio = '';
+                let dados = '';
+                let posicao = 0;
+                Object.entries(campos).forEach(([tag, conteudo]) => {
+                    const campo = conteudo.replace(/\$/g, '\x1F') + '\x1E';
+                    const tamanho = encoder.encode(campo).length;
+                    diretorio += tag + String(tamanho).padStart(4, '0') + String(posicao).padStart(5, '0');
+                    dados += campo;
+                    posicao += tamanho;
+                });
+                diretorio += '\x1E';
+                const base = 24 + diretorio.length;
+                const total = base + encoder.encode(dados).length + 1;
+                const lider = String(total).padStart(5, '0') + 'nam a22' + String(base).padStart(5, '0') + ' a 4500';
+                return encoder.encode(lider + diretorio + dados + '\x1D');
+            };
+            const registro1 = montarRegistroMARC({
+                '001': '123',
+                '020': '  $a8535914846 (broch.)',
+                '100': '1 $aAssis, Machado de,$d1839-1908.',
+                '245': '10$aDom Casmurro /$cMachado de Assis.'
+            });
+            const registro2 = montarRegistroMARC({
+                '020': '  $a978-0-306-40615-7',
+                '245': '00$aIracema :$blenda do Ceará.',
+                '700': '1 $aAlencar, José de.'
+            });
+            const arquivoMARC = new Uint8Array([...registro1, 0x0A, ...registro2]).buffer;
+            const livrosMARC = parseMARC21(arquivoMARC);
+            this.assert(livrosMARC.length === 2, "Lê todos os registros do arquivo MARC.");
+            this.assert(livrosMARC[0].titulo === 'Dom Casmurro' && livrosMARC[0].autor === 'Assis, Machado de', "Extrai título e autor sem pontuação ISBD.");
+            this.assert(livrosMARC[0].isbn === '8535914846', "Extrai o ISBN sem qualificadores.");
+            this.assert(livrosMARC[1].titulo === 'Iracema: lenda do Ceará' && livrosMARC[1].autor === 'Alencar, José de', "Usa subtítulo e autor secundário (700).");
+            this.assert(detectarFormatoCatalogo('doacao.dat', arquivoMARC) === 'marc', "Detecta MARC pelo conteúdo.");
+
+            let erroMARC = false;
+            try { parseMARC21(registro1.slice(0, 40).buffer); } catch (e) { erroMARC = true; }
+            this.assert(erroMARC, "Rejeitou registro MARC truncado.");
+
+            const xml = `<?xml version="1.0"?>
+                <collection xmlns="http://www.loc.gov/MARC21/slim"><record>
+                    <datafield tag="020" ind1=" " ind2=" "><subfield code="a">9780306406157</subfield></datafield>
+                    <datafield tag="100" ind1="1" ind2=" "><subfield code="a">Lobato, Monteiro.</subfield></datafield>
+                    <datafield tag="245" ind1="1" ind2="0"><subfield code="a">Reinações de Narizinho /</subfield></datafield>
+                </record></collection>`;
+            const livrosXML = parseMARCXML(xml);
+            this.assert(livrosXML.length === 1 && livrosXML[0].titulo === 'Reinações de Narizinho' && livrosXML[0].autor === 'Lobato, Monteiro', "Lê registros MARCXML.");
+
+            const livrosCSV = linhasCSVParaLivros(
+                [['O Cortiço', 'Aluísio Azevedo', '978-0-306-40615-7', '2'], ['Iracema', 'José de Alencar', '0306406152', ''], ['Sem ISBN', 'Autor', '123', '1'], ['Zero', 'Autor', '9788508153619', '0']],
+                { titulo: 0, autor: 1, isbn: 2, quantidade: 3 }
+            );
+            this.assert(livrosCSV[1].quantidade === 1, "Quantidade vazia no CSV vale um exemplar.");
+
+            const classificacaoCatalogo = classificarRegistrosCatalogo(
+                livrosCSV,
+                [{ id: 5, titulo: 'O Cortiço', isbn: '978-0-306-40615-7', quantidadeTotal: 1, quantidadeDisponivel: 1 }],
+                'Linha'
+            );
+            this.assert(classificacaoCatalogo.map(c => c.acao).join() === 'somar,agrupada,invalida,invalida', "Classifica registros do acervo (somar/agrupar/erro).");
+            this.assert(classificacaoCatalogo[0].idExistente === 5 && classificacaoCatalogo[0].quantidade === 3, "ISBN-10 repetido soma exemplares ao mesmo livro.");
+            this.assert(classificacaoCatalogo[2].motivo === 'ISBN inválido' && classificacaoCatalogo[3].motivo === 'Quantidade inválida', "Informa o motivo dos registros descartados.");
+
+            // ==================================================================
+            // 13. Testa Exportação de Planilhas (CSV e XLSX)
+            // ==================================================================
+            const csvExportado = gerarCSV(['Título', 'Qtd'], [['Livro; "especial"', 2], [null, 0]]);
+            this.assert(csvExportado.startsWith('\uFEFFTítulo;Qtd\r\n'), "CSV inicia com BOM e usa ponto e vírgula.");
+            this.assert(csvExportado.includes('"Livro; ""especial""";2'), "CSV escapa delimitadores e aspas.");
+            this.assert(gerarCSV(['Data'], [[new Date(2026, 2, 5)]]).endsWith('05/03/2026'), "CSV grava datas como DD/MM/AAAA.");
+
+            this.assert(letraColunaXLSX(0) === 'A' && letraColunaXLSX(25) === 'Z' && letraColunaXLSX(27) === 'AB', "Converte índice em letra de coluna.");
+            this.assert(calcularCRC32(new TextEncoder().encode('123456789')) === 0xCBF43926, "CRC-32 confere com o valor de referência.");
+
+            const xlsx = gerarXLSX('Empréstimos', ['Livro', 'Data'], [['Dom <Casmurro>', new Date(2026, 0, 1)]]);
+            const conteudoXLSX = new TextDecoder().decode(xlsx);
+            this.assert(xlsx[0] === 0x50 && xlsx[1] === 0x4B, "XLSX é um pacote ZIP.");
+            this.assert(conteudoXLSX.includes('xl/worksheets/sheet1.xml') && conteudoXLSX.includes('Dom &lt;Casmurro&gt;'), "XLSX contém a planilha com texto escapado.");
+            this.assert(conteudoXLSX.includes('<c r="B2" s="1"><v>46023</v></c>'), "XLSX grava datas como número de série do Excel.");
+
+            // ==================================================================
+            // 14. Testa Estatísticas de Circulação
+            // ==================================================================
+            this.assert(diferencaEmDias('2026-02-25', '2026-03-04') === 7, "Diferença de dias atravessa fevereiro.");
+
+            const livrosRelatorio = [
+                { id: 1, titulo: 'Dom Casmurro', autor: 'Machado de Assis', isbn: '1', quantidadeTotal: 2 },
+                { id: 2, titulo: 'Memórias Póstumas', autor: 'Machado de Assis', isbn: '2', quantidadeTotal: 1 },
+                { id: 3, titulo: 'Iracema', autor: 'José de Alencar', isbn: '3', quantidadeTotal: 1 },
+                { id: 4, titulo: 'Arquivado', autor: 'X', isbn: '4', quantidadeTotal: 1, arquivado: true }
+            ];
+            const alunosRelatorio = [
+                { id: 1, nome: 'Ana', turma: '1A' },
+                { id: 2, nome: 'Bruno', turma: '2B' }
+            ];
+            const emprestimosRelatorio = [
+                { idLivro: 1, idAluno: 1, dataEmprestimo: '2026-03-02', dataPrevistaDevolucao: '2026-03-09', dataDevolucaoReal: '2026-03-06', status: 'devolvido' },
+                { idLivro: 1, idAluno: 2, dataEmprestimo: '2026-03-10', dataPrevistaDevolucao: '2026-03-17', dataDevolucaoReal: '2026-03-20', status: 'devolvido' },
+                { idLivro: 2, idAluno: 1, dataEmprestimo: '2026-05-04', dataPrevistaDevolucao: '2026-05-11', dataDevolucaoReal: null, status: 'ativo' },
+                { idLivro: 3, idAluno: 2, dataEmprestimo: '2025-11-03', dataPrevistaDevolucao: '2025-11-10', dataDevolucaoReal: '2025-11-10', status: 'devolvido' }
+            ];
+            const estatisticas = calcularEstatisticasCirculacao(emprestimosRelatorio, livrosRelatorio, alunosRelatorio, { de: '2026-03-01', ate: '2026-05-31' });
+            this.assert(estatisticas.total === 3 && estatisticas.leitores === 2, "Conta apenas os empréstimos do período.");
+            this.assert(estatisticas.atrasados === 2, "Atraso considera devoluções tardias e ativos vencidos.");
+            this.assert(estatisticas.duracaoMedia === 7, "Duração média usa os empréstimos devolvidos.");
+            this.assert(estatisticas.porMes.map(m => m.valor).join() === '2,0,1', "Série mensal inclui meses sem empréstimos.");
+            this.assert(estatisticas.topTitulos[0].rotulo === 'Dom Casmurro' && estatisticas.topTitulos[0].valor === 2, "Ranking de títulos mais emprestados.");
+            this.assert(estatisticas.topAutores.length === 1 && estatisticas.topAutores[0].valor === 3, "Ranking agrupa títulos do mesmo autor.");
+            this.assert(estatisticas.porTurma.map(t => `${t.rotulo}:${t.valor}`).join() === '1A:2,2B:1', "Empréstimos agrupados por turma.");
+            this.assert(estatisticas.nuncaEmprestados.length === 0, "Livro emprestado fora do período não conta como nunca emprestado.");
+
+            const semEmprestimos = calcularEstatisticasCirculacao([], livrosRelatorio, alunosRelatorio, { de: '2026-03-01', ate: '2026-03-31' });
+            this.assert(semEmprestimos.taxaAtraso === 0 && semEmprestimos.duracaoMedia === null, "Período vazio não divide por zero.");
+            this.assert(semEmprestimos.nuncaEmprestados.map(l => l.titulo).join() === 'Dom Casmurro,Iracema,Memórias Póstumas', "Lista livros nunca emprestados, sem os arquivados.");
+
+            const svg = gerarGraficoBarras([{ rotulo: '<b>Turma</b>', valor: 3 }]);
+            this.assert(svg.startsWith('<svg') && svg.includes('&lt;b&gt;Turma'), "Gráfico SVG escapa os rótulos.");
+
+            // ==================================================================
+            // 15. Testa Resumo do Perfil do Aluno
+            // ==================================================================
+            const hojePerfil = formatarDataISO(new Date());
+            const historicoAluno = resumirHistoricoAluno(
+                [
+                    { id: 1, status: 'devolvido', dataEmprestimo: '2026-01-05', dataPrevistaDevolucao: '2026-01-12', dataDevolucaoReal: '2026-01-10' },
+                    { id: 2, status: 'ativo', dataEmprestimo: hojePerfil, dataPrevistaDevolucao: adicionarDias(hojePerfil, 7) },
+                    { id: 3, status: 'ativo', dataEmprestimo: adicionarDias(hojePerfil, -10), dataPrevistaDevolucao: adicionarDias(hojePerfil, -2) },
+                    { id: 4, status: 'devolvido', dataEmprestimo: '2026-02-02', dataPrevistaDevolucao: '2026-02-09', dataDevolucaoReal: '2026-02-09' }
+                ],
+                [{ valor: 2, status: 'pendente' }, { valor: 1.5, status: 'paga' }, { valor: 0.5, status: 'pendente' }]
+            );
+            this.assert(historicoAluno.ativos.map(e => e.id).join() === '3,2', "Empréstimos em aberto ordenados pela devolução prevista.");
+            this.assert(historicoAluno.totalAtrasados === 1 && historicoAluno.ativos[0].atraso.diasAtraso === 2, "Perfil aponta os empréstimos atrasados.");
+            this.assert(historicoAluno.historico.map(e => e.id).join() === '4,1', "Histórico de leitura do mais recente para o mais antigo.");
+            this.assert(historicoAluno.saldoPendente === 2.5, "Perfil soma apenas as multas pendentes.");
+
+            // ==================================================================
+            // 16. Testa Exemplares (tombos, contadores e migração)
+            // ==================================================================
+            const proximoTombo = criarSequenciaTombos(['000007', '2024/015', '000002']);
+            this.assert(proximoTombo() === '000008' && proximoTombo() === '000009', "Tombos seguem a sequência numérica, ignorando formatos manuais.");
+
+            const contagem = contarExemplares([
+                { status: 'disponivel' }, { status: 'emprestado' }, { status: 'retido' }, { status: 'baixado' }
+            ]);
+            this.assert(contagem.quantidadeTotal === 3 && contagem.quantidadeDisponivel === 1, "Disponibilidade derivada da situação dos exemplares.");
+
+            const migrado = gerarExemplaresIniciais({
+                livros: [
+                    { id: 2, titulo: 'B', quantidadeTotal: 1, quantidadeDisponivel: 1 },
+                    { id: 1, titulo: 'A', quantidadeTotal: 3, quantidadeDisponivel: 1 }
+                ],
+                emprestimos: [
+                    { id: 1, idLivro: 1, status: 'ativo' },
+                    { id: 2, idLivro: 1, status: 'devolvido' }
+                ],
+                reservas: [{ id: 1, idLivro: 1, status: 'disponivel' }]
+            });
+            this.assert(migrado.exemplares.map(e => `${e.tombo}:${e.idLivro}:${e.status}`).join() === '000001:1:emprestado,000002:1:retido,000003:1:disponivel,000004:2:disponivel', "Migração gera um exemplar por unidade, na ordem dos livros.");
+            this.assert(migrado.emprestimos[0].tombo === '000001' && migrado.emprestimos[1].tombo === undefined && migrado.reservas[0].tombo === '000002', "Empréstimos ativos e reservas retidas apontam o tombo migrado.");
+            this.assert(migrado.livros.find(l => l.id === 1).quantidadeDisponivel === 1, "Contadores recalculados após a migração.");
+
+            // ==================================================================
+            // 17. Testa Migrações de Esquema (banco e backups)
+            // ==================================================================
+            this.assert(MIGRACOES.every((passo, i) => passo.versao === i + 1) && DB_VERSION === MIGRACOES.length, "Passos de migração numerados em sequência até DB_VERSION.");
+
+            const baseMigracao = {
+                livros: [{ id: 1, titulo: 'A', autor: 'a', isbn: '1', quantidadeTotal: 2, quantidadeDisponivel: 1 }],
+                alunos: [{ id: 1, nome: 'Aluno', matricula: '1', turma: 'A' }],
+                emprestimos: [{ id: 1, idLivro: 1, idAluno: 1, status: 'ativo' }]
+            };
+            const passo = (versao) => MIGRACOES.find(m => m.versao === versao);
+            this.assert(JSON.stringify(passo(1).converter(baseMigracao)) === JSON.stringify(baseMigracao), "Migração v1 mantém livros, alunos e empréstimos.");
+            const v2 = passo(2).converter(baseMigracao);
+            this.assert(Array.isArray(v2.reservas) && v2.reservas.length === 0 && baseMigracao.reservas === undefined, "Migração v2 cria a fila de reservas vazia sem alterar o original.");
+            this.assert(passo(2).converter({ ...baseMigracao, reservas: [{ id: 9 }] }).reservas.length === 1, "Migração v2 preserva reservas já existentes.");
+            const v3 = passo(3).converter(v2);
+            this.assert(Array.isArray(v3.multas) && v3.multas.length === 0, "Migração v3 cria o livro de multas vazio.");
+            this.assert(JSON.stringify(passo(4).converter(v3)) === JSON.stringify(v3), "Migração v4 (auditoria) não altera os dados do backup.");
+            const v5 = passo(5).converter(v3);
+            this.assert(v5.exemplares.map(e => e.status).join() === 'emprestado,disponivel' && v5.emprestimos[0].tombo === '000001', "Migração v5 gera os exemplares a partir dos contadores.");
+            this.assert(passo(5).converter({ ...v3, exemplares: [] }).exemplares.length === 0, "Migração v5 mantém exemplares já presentes no backup.");
+
+            const backupAntigo = atualizarBackup({ ...baseMigracao, versao: '1.0' });
+            this.assert(backupAntigo.versao === DB_VERSION && STORES_BACKUP.every(nome => Array.isArray(backupAntigo[nome])), "Backup 1.0 é convertido para o formato atual.");
+            this.assert(atualizarBackup({ ...v5, versao: DB_VERSION }).exemplares === v5.exemplares, "Backup na versão atual não passa por conversões.");
+
+            erroDetectado = false;
+            try { versaoDoBackup({ versao: DB_VERSION + 1 }); } catch (e) { erroDetectado = true; }
+            this.assert(erroDetectado, "Rejeita backup de versão mais recente que a do aplicativo.");
+            erroDetectado = false;
+            try { versaoDoBackup({ versao: '2.0-beta' }); } catch (e) { erroDetectado = true; }
+            this.assert(erroDetectado, "Rejeita backup com versão desconhecida.");
+
+            // Upgrade real: cria um banco temporário na v4 e o abre na versão atual
+            const nomeBancoTeste = 'BibliotecaEscolarDB-teste-migracao';
+            const abrirBancoTeste = (versao, aoCriar) => new Promise((resolve, reject) => {
+                const request = indexedDB.open(nomeBancoTeste, versao);
+                request.onupgradeneeded = (event) => {
+                    aplicarMigracoes(event.target.result, event.target.transaction,
+                        MIGRACOES.filter(m => m.versao > event.oldVersion && m.versao <= versao));
+                    if (aoCriar) aoCriar(event.target.transaction);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            await new Promise(resolve => { const r = indexedDB.deleteDatabase(nomeBancoTeste); r.onsuccess = r.onerror = resolve; });
+            const bancoV4 = await abrirBancoTeste(4, (transaction) => {
+                transaction.objectStore('livros').add(baseMigracao.livros[0]);
+                transaction.objectStore('emprestimos').add(baseMigracao.emprestimos[0]);
+            });
+            this.assert(!bancoV4.objectStoreNames.contains('exemplares') && bancoV4.objectStoreNames.contains('auditoria'), "Banco temporário criado com a estrutura da v4.");
+            bancoV4.close();
+            const bancoAtual = await abrirBancoTeste(DB_VERSION);
+            const exemplaresMigrados = await new Promise(resolve => {
+                const r = bancoAtual.transaction('exemplares').objectStore('exemplares').getAll();
+                r.onsuccess = () => resolve(r.result);
+            });
+            this.assert(exemplaresMigrados.length === 2 && exemplaresMigrados[0].status === 'emprestado', "Upgrade do banco converte os registros existentes em exemplares.");
+            bancoAtual.close();
+            await new Promise(resolve => { const r = indexedDB.deleteDatabase(nomeBancoTeste); r.onsuccess = r.onerror = resolve; });
+
+            // ==================================================================
+            // 18. Testa Integridade SHA-256 dos Backups
+            // ==================================================================
+            this.assert(await calcularSHA256('abc') === 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad', "SHA-256 confere com o vetor de teste padrão.");
+            this.assert(serializarCanonico({ b: 1, a: [{ d: 'x', c: null }] }) === serializarCanonico({ a: [{ c: null, d: 'x' }], b: 1 }), "Serialização canônica independe da ordem das chaves.");
+
+            const backupSHA = {
+                versao: DB_VERSION,
+                dataExportacao: '2026-03-01T10:00:00.000Z',
+                totalRegistros: 2,
+                livros: [{ id: 1, titulo: 'Iracema', autor: 'José de Alencar', isbn: '9788508153619', quantidadeTotal: 1, quantidadeDisponivel: 1 }],
+                alunos: [{ id: 1, nome: 'Roma', matricula: '001', turma: 'A' }],
+                emprestimos: []
+            };
+            backupSHA.integridade = await gerarIntegridadeBackup(backupSHA);
+            this.assert((await validarBackup(JSON.parse(JSON.stringify(backupSHA)))).length === 0, "Backup com SHA-256 íntegro é aceito sem avisos.");
+
+            // Anagrama: a soma dos caracteres não muda, o SHA-256 sim
+            const backupAnagrama = JSON.parse(JSON.stringify(backupSHA));
+            backupAnagrama.alunos[0].nome = 'Amor';
+            let mensagemErro = '';
+            try { await validarBackup(backupAnagrama); } catch (e) { mensagemErro = e.message; }
+            this.assert(mensagemErro.includes('alunos') && !mensagemErro.includes('livros'), "Anagrama em um campo é detectado e a seção alterada é apontada.");
+
+            const backupMetadados = JSON.parse(JSON.stringify(backupSHA));
+            backupMetadados.dataExportacao = '2026-03-02T10:00:00.000Z';
+            mensagemErro = '';
+            try { await validarBackup(backupMetadados); } catch (e) { mensagemErro = e.message; }
+            this.assert(mensagemErro.includes('metadados'), "Alteração apenas nos metadados é detectada.");
+
+            const avisosLegado = await validarBackup(JSON.parse(JSON.stringify(payload)));
+            this.assert(avisosLegado.length === 1, "Backup 1.0 com checksum simples é aceito com aviso.");
+
+            // Remover o SHA-256 e recalcular o checksum aditivo não rebaixa um backup atual
+            const backupRebaixado = JSON.parse(JSON.stringify(backupAnagrama));
+            delete backupRebaixado.integridade;
+            backupRebaixado.checksum = gerarChecksumSimples(backupRebaixado);
+            mensagemErro = '';
+            try { await validarBackup(backupRebaixado); } catch (e) { mensagemErro = e.message; }
+            this.assert(mensagemErro.includes('integridade'), "Backup da versão atual sem integridade SHA-256 é rejeitado.");
+
+            // ==================================================================
+            // 19. Testa Backups Criptografados (AES-GCM + PBKDF2)
+            // ==================================================================
+            const textoBackup = JSON.stringify(backupSHA);
+            const envelope = await criptografarBackup(textoBackup, 'senha secreta', 1000);
+            this.assert(ehBackupCriptografado(envelope) && !envelope.dados.includes('Roma') && envelope.kdf.iteracoes === 1000, "Envelope criptografado não expõe os dados do backup.");
+            this.assert(await descriptografarBackup(envelope, 'senha secreta') === textoBackup, "Backup criptografado é restaurado com a senha correta.");
+
+            let erroSenha = null;
+            try { await descriptografarBackup(envelope, 'senha errada'); } catch (e) { erroSenha = e; }
+            this.assert(erroSenha && erroSenha.codigo === 'SENHA', "Senha incorreta é reportada como tal.");
+
+            const envelopeCorrompido = { ...envelope };
+            const bytesCorrompidos = base64ParaBytes(envelope.dados);
+            bytesCorrompidos[0] ^= 0xff;
+            envelopeCorrompido.dados = bytesParaBase64(bytesCorrompidos);
+            let erroCorrupcao = null;
+            try { await descriptografarBackup(envelopeCorrompido, 'senha secreta'); } catch (e) { erroCorrupcao = e; }
+            this.assert(erroCorrupcao && erroCorrupcao.codigo === undefined && erroCorrupcao.message.includes('corrompido'), "Arquivo corrompido é diferenciado de senha incorreta.");
+            const iteracoesInvalidas = [0, -1000, 1.5, '1000', null, MAX_ITERACOES_PBKDF2_BACKUP + 1];
+            let envelopesRejeitados = 0;
+            for (const iteracoes of iteracoesInvalidas) {
+                const envelopeIteracoes = { ...envelope, kdf: { ...envelope.kdf, iteracoes } };
+                try { await descriptografarBackup(envelopeIteracoes, 'senha secreta'); } catch (e) {
+                    if (e.codigo === undefined && e.message.includes('Envelope')) envelopesRejeitados++;
+                }
+            }
+            this.assert(envelopesRejeitados === iteracoesInvalidas.length, "Número de iterações do PBKDF2 inválido ou exagerado torna o envelope inválido.");
+            this.assert(!ehBackupCriptografado(backupSHA), "Backup em claro não é tratado como criptografado.");
+
+            // ==================================================================
+            // 20. Testa Planejamento da Mesclagem de Backups
+            // ==================================================================
+            const localMesclagem = {
+                livros: [{ id: 1, titulo: 'Iracema', autor: 'José de Alencar', isbn: '9788508153619', quantidadeTotal: 2, quantidadeDisponivel: 1 }],
+                alunos: [{ id: 1, nome: 'Ana', matricula: '001', turma: 'A' }],
+                emprestimos: [{ id: 1, idLivro: 1, idAluno: 1, dataEmprestimo: '2026-03-01', dataPrevistaDevolucao: '2026-03-08', dataDevolucaoReal: null, status: 'ativo', tombo: '000001' }],
+                reservas: [],
+                multas: [],
+                exemplares: [
+                    { tombo: '000001', idLivro: 1, status: 'emprestado' },
+                    { tombo: '000005', idLivro: 1, status: 'disponivel' }
+                ]
+            };
+            const entradaMesclagem = {
+                livros: [
+                    { id: 7, titulo: 'Iracema (edição revista)', autor: 'José de Alencar', isbn: '978-85-08-15361-9', quantidadeTotal: 2, quantidadeDisponivel: 2 },
+                    { id: 8, titulo: 'Dom Casmurro', autor: 'Machado de Assis', isbn: '9780306406157', quantidadeTotal: 1, quantidadeDisponivel: 0 }
+                ],
+                alunos: [
+                    { id: 3, nome: 'Ana', matricula: '001', turma: 'A' },
+                    { id: 4, nome: 'Bruno', matricula: '002', turma: 'B' }
+                ],
+                emprestimos: [
+                    { id: 10, idLivro: 7, idAluno: 3, dataEmprestimo: '2026-03-01', dataPrevistaDevolucao: '2026-03-08', dataDevolucaoReal: '2026-03-05', status: 'devolvido', tombo: '000001' },
+                    { id: 11, idLivro: 8, idAluno: 4, dataEmprestimo: '2026-03-02', dataPrevistaDevolucao: '2026-03-09', dataDevolucaoReal: null, status: 'ativo', tombo: '000005' }
+                ],
+                reservas: [],
+                multas: [{ id: 1, idEmprestimo: 11, idAluno: 4, valor: 1, status: 'pendente' }],
+                exemplares: [
+                    { tombo: '000001', idLivro: 7, status: 'disponivel' },
+                    { tombo: '000002', idLivro: 7, status: 'disponivel' },
+                    { tombo: '000005', idLivro: 8, status: 'emprestado' }
+                ]
+            };
+
+            const plano = planejarMesclagem(localMesclagem, entradaMesclagem);
+            this.assert(plano.conflitos.map(c => `${c.chave}=${c.resolucao}`).join() === 'livros:7=local,emprestimos:10=local', "Mesclagem aponta conflitos de título e de situação do empréstimo, mantendo o local por padrão.");
+            this.assert(plano.operacoes.livros.inserir.map(l => `${l.id}:${l.titulo}`).join() === '2:Dom Casmurro' && plano.resumo.alunos.existentes === 1, "Livros e alunos novos recebem IDs livres; os iguais são reaproveitados pelo ISBN e pela matrícula.");
+            this.assert(plano.operacoes.exemplares.inserir.map(e => `${e.tombo}:${e.idLivro}:${e.status}`).join() === '000002:1:disponivel,000006:2:emprestado', "Tombo ocupado por outro livro é renumerado e a situação é derivada dos empréstimos.");
+            const emprestimoNovo = plano.operacoes.emprestimos.inserir[0];
+            this.assert(plano.operacoes.emprestimos.inserir.length === 1 && emprestimoNovo.id === 2 && emprestimoNovo.idLivro === 2 && emprestimoNovo.idAluno === 2 && emprestimoNovo.tombo === '000006', "Empréstimo novo tem livro, aluno e tombo convertidos para os IDs locais.");
+            this.assert(plano.operacoes.multas.inserir[0].idEmprestimo === 2, "Multa acompanha o novo ID do empréstimo.");
+            const livroLocalAtualizado = plano.operacoes.livros.atualizar.find(op => op.depois.id === 1);
+            this.assert(livroLocalAtualizado && livroLocalAtualizado.depois.titulo === 'Iracema' && livroLocalAtualizado.depois.quantidadeTotal === 3 && livroLocalAtualizado.depois.quantidadeDisponivel === 2, "Contadores do livro local incluem os exemplares recebidos.");
+
+            const planoEntrada = planejarMesclagem(localMesclagem, entradaMesclagem, { 'livros:7': 'entrada', 'emprestimos:10': 'entrada' });
+            const livroEntrada = planoEntrada.operacoes.livros.atualizar.find(op => op.depois.id === 1).depois;
+            this.assert(livroEntrada.titulo === 'Iracema (edição revista)' && livroEntrada.quantidadeDisponivel === 3, "Usar do arquivo atualiza o cadastro local e libera o exemplar devolvido.");
+            this.assert(planoEntrada.operacoes.emprestimos.atualizar[0].depois.status === 'devolvido' && planoEntrada.operacoes.emprestimos.atualizar[0].depois.id === 1, "Empréstimo do arquivo substitui o local mantendo o ID local.");
+
+            const entradaOutraAna = JSON.parse(JSON.stringify(entradaMesclagem));
+            entradaOutraAna.alunos[0].turma = 'C';
+            const planoAmbos = planejarMesclagem(localMesclagem, entradaOutraAna, { 'alunos:3': 'ambos' });
+            this.assert(planoAmbos.operacoes.alunos.inserir.map(a => a.matricula).join() === '001-2,002', "Manter ambos cadastra o aluno do arquivo com matrícula diferenciada.");
+            this.assert(!planoAmbos.conflitos.some(c => c.tabela === 'emprestimos') && planoAmbos.operacoes.emprestimos.inserir.length === 2, "Empréstimos do aluno separado não são confundidos com os locais.");
+
+            // Mesmo empréstimo ativo nos dois lados, renovado só no arquivo: não pode virar dois empréstimos ativos
+            const entradaRenovada = JSON.parse(JSON.stringify(localMesclagem));
+            entradaRenovada.emprestimos[0].dataPrevistaDevolucao = '2026-03-15';
+            const planoRenovado = planejarMesclagem(localMesclagem, entradaRenovada, { 'emprestimos:1': 'ambos' });
+            const conflitoAtivo = planoRenovado.conflitos.find(c => c.chave === 'emprestimos:1');
+            this.assert(conflitoAtivo && !conflitoAtivo.opcoes.includes('ambos') && conflitoAtivo.resolucao === 'local' && planoRenovado.operacoes.emprestimos.inserir.length === 0, "Conflito entre empréstimos ativos não oferece manter ambos nem duplica o empréstimo.");
+
+            const planoRepetido = planejarMesclagem(localMesclagem, { ...localMesclagem });
+            this.assert(planoRepetido.conflitos.length === 0 && STORES_BACKUP.every(n => planoRepetido.operacoes[n].inserir.length === 0 && planoRepetido.operacoes[n].atualizar.length === 0), "Mesclar os próprios dados não duplica nada.");
+
+            // 21. Testa Retenção dos Pontos de Restauração
+            this.assert(selecionarSnapshotsExpirados([1, 4, 6], [2, 3, 5], { diarios: 2, operacoes: 5 }).join() === '1', "Retenção exclui só os diários mais antigos além do limite.");
+            this.assert(selecionarSnapshotsExpirados([1], [2, 3, 5], { diarios: 7, operacoes: 1 }).join() === '2,3', "Retenção de operações mantém apenas o ponto mais recente.");
+            this.assert(selecionarSnapshotsExpirados([1, 2], [3], { diarios: 0, operacoes: 0 }).join() === '1', "Limite zero ainda mantém um ponto de cada tipo.");
+
+            // 22. Testa Diagnóstico de Consistência
+            const dadosConsistentes = {
+                livros: [{ id: 1, titulo: 'A', quantidadeTotal: 2, quantidadeDisponivel: 1 }],
+                alunos: [{ id: 1, nome: 'Ana' }],
+                emprestimos: [{ id: 1, idLivro: 1, idAluno: 1, tombo: '000001', dataEmprestimo: '2024-03-01', dataPrevistaDevolucao: '2024-03-08', status: 'ativo' }],
+                reservas: [],
+                exemplares: [
+                    { tombo: '000001', idLivro: 1, status: 'emprestado' },
+                    { tombo: '000002', idLivro: 1, status: 'disponivel' }
+                ]
+            };
+            this.assert(diagnosticarConsistencia(dadosConsistentes, '2024-03-05').problemas.length === 0, "Dados coerentes não geram problemas.");
+
+            const dadosInconsistentes = {
+                ...dadosConsistentes,
+                livros: [{ id: 1, titulo: 'A', quantidadeTotal: 2, quantidadeDisponivel: -1 }],
+                emprestimos: [
+                    ...dadosConsistentes.emprestimos,
+                    { ...dadosConsistentes.emprestimos[0], id: 2 },
+                    { id: 3, idLivro: 9, idAluno: 1, tombo: '000009', dataEmprestimo: '2024-03-01', dataPrevistaDevolucao: '2024-03-08', status: 'ativo' },
+                    { id: 4, idLivro: 1, idAluno: 1, tombo: '000002', dataEmprestimo: '2024-02-30', dataPrevistaDevolucao: '2024-02-20', status: 'devolvido' }
+                ],
+                exemplares: [
+                    { tombo: '000001', idLivro: 1, status: 'disponivel' },
+                    { tombo: '000002', idLivro: 1, status: 'disponivel' }
+                ]
+            };
+            const diagnostico = diagnosticarConsistencia(dadosInconsistentes, '2024-03-05');
+            const tipos = diagnostico.problemas.map(p => p.tipo).sort().join();
+            this.assert(tipos === 'contagem,data-invalida,duplicado,orfao,situacao-exemplar', `Diagnóstico encontra cada tipo de problema (${tipos}).`);
+            const correcaoDe = (store) => diagnostico.correcoes.filter(c => c.store === store);
+            this.assert(correcaoDe('emprestimos').some(c => c.antes.id === 2 && c.depois === null), "Empréstimo repetido é excluído no reparo.");
+            this.assert(correcaoDe('emprestimos').some(c => c.antes.id === 3 && c.depois.status === 'devolvido' && c.depois.dataDevolucaoReal === '2024-03-05'), "Empréstimo ativo de livro inexistente é encerrado no reparo.");
+            this.assert(correcaoDe('exemplares').length === 1 && correcaoDe('exemplares')[0].depois.status === 'emprestado', "Exemplar do empréstimo vigente volta a constar como emprestado.");
+            const livroCorrigido = correcaoDe('livros')[0].depois;
+            this.assert(livroCorrigido.quantidadeDisponivel === 1 && livroCorrigido.quantidadeTotal === 2, "Disponibilidade é recalculada a partir dos exemplares corrigidos.");
+            this.assert(!diagnostico.problemas.find(p => p.tipo === 'data-invalida').reparo, "Datas inválidas ficam para revisão manual.");
+
+            const comRetido = { ...dadosConsistentes, reservas: [{ id: 1, idLivro: 1, idAluno: 1, status: 'disponivel', tombo: '000002' }] };
+            this.assert(diagnosticarConsistencia(comRetido, '2024-03-05').correcoes.find(c => c.store === 'livros').depois.quantidadeDisponivel === 0, "Exemplar retido para reserva não conta como disponível.");
+
+            // 23. Testa Comprovantes, Avisos de Atraso e PDF
+            const configDocumentos = { nomeBiblioteca: 'Biblioteca Teste', modeloAvisoAtraso: 'Aluno {aluno} ({turma}): {quantidade}\n{itens}\n{desconhecido}' };
+            this.assert(preencherModeloAviso('{a}-{b}-{c}', { a: 1, b: 'x' }) === '1-x-{c}', "Modelo preenche campos conhecidos e mantém os desconhecidos.");
+
+            const emprestimoRecibo = { id: 1, tombo: '000007', dataEmprestimo: '2024-03-01', dataPrevistaDevolucao: '2024-03-08', dataDevolucaoReal: '2024-03-10' };
+            const alunoRecibo = { nome: 'Ana', matricula: '001', turma: '6A' };
+            const recibo = montarComprovante('devolucao', { emprestimo: emprestimoRecibo, livro: { titulo: 'Iracema', autor: 'Alencar' }, aluno: alunoRecibo, multa: { valor: 1, diasAtraso: 2 } }, configDocumentos);
+            this.assert(recibo.titulo === 'Biblioteca Teste' && recibo.linhas.includes('Devolvido em: 10/03/2024') && recibo.linhas.includes('Tombo: 000007') && recibo.linhas.some(l => l.startsWith('Multa:')), "Comprovante de devolução traz biblioteca, datas, tombo e multa.");
+            const reciboOrfao = montarComprovante('emprestimo', { emprestimo: emprestimoRecibo, livro: null, aluno: null }, configDocumentos);
+            this.assert(reciboOrfao.linhas.includes('Livro: Livro Excluído') && reciboOrfao.linhas.includes('Devolver até: 08/03/2024'), "Comprovante tolera livro e aluno excluídos.");
+
+            const atrasados = agruparAtrasosPorAluno(
+                [
+                    { id: 1, idLivro: 1, idAluno: 2, dataPrevistaDevolucao: '2000-01-10', status: 'ativo' },
+                    { id: 2, idLivro: 2, idAluno: 2, dataPrevistaDevolucao: '2000-01-05', status: 'ativo' },
+                    { id: 3, idLivro: 1, idAluno: 1, dataPrevistaDevolucao: '2000-01-01', status: 'ativo' },
+                    { id: 4, idLivro: 1, idAluno: 1, dataPrevistaDevolucao: '2999-01-01', status: 'ativo' },
+                    { id: 5, idLivro: 1, idAluno: 3, dataPrevistaDevolucao: '2000-01-01', status: 'devolvido' },
+                    { id: 6, idLivro: 1, idAluno: 9, dataPrevistaDevolucao: '2000-01-01', status: 'ativo' }
+                ],
+                [{ id: 1, titulo: 'Iracema' }],
+                [{ id: 1, nome: 'Bruno', turma: '7A' }, { id: 2, nome: 'Ana', turma: '6A' }, { id: 3, nome: 'Caio', turma: '6A' }]
+            );
+            this.assert(atrasados.map(g => `${g.aluno.nome}:${g.itens.map(i => i.emprestimo.id).join('+')}`).join() === 'Ana:2+1,Bruno:3', "Avisos agrupam só atrasos ativos por aluno, em ordem de turma e vencimento.");
+            const aviso = montarAvisoAtraso(atrasados[0], configDocumentos, '2024-03-05');
+            this.assert(aviso.linhas[0] === 'Aluno Ana (6A): 2' && aviso.linhas.length === 4 && aviso.linhas[1].includes('Livro Excluído') && aviso.linhas[3] === '{desconhecido}', "Aviso aplica o modelo com uma linha por item em atraso.");
+
+            this.assert(textoParaPDF('Ação (1) — \\ ✓') === 'A\xE7\xE3o \\(1\\) \x97 \\\\ ?', "Texto do PDF usa WinAnsi e escapa parênteses e barras.");
+            this.assert(quebrarLinhaPDF('aaa bbb ccc', 7).join('|') === 'aaa bbb|ccc', "Quebra de linha do PDF respeita o limite pelos espaços.");
+            const pdfTexto = (bytes) => Array.from(bytes, b => String.fromCharCode(b)).join('');
+            const pdfPaginas = pdfTexto(gerarPDF([recibo, aviso], 'pagina'));
+            const pdfRecortes = pdfTexto(gerarPDF([recibo, aviso], 'recorte'));
+            const inicioXref = parseInt(pdfPaginas.match(/startxref\n(\d+)/)[1], 10);
+            this.assert(pdfPaginas.startsWith('%PDF-1.4') && pdfPaginas.slice(inicioXref, inicioXref + 4) === 'xref', "PDF gerado aponta corretamente para a tabela xref.");
+            this.assert(pdfPaginas.includes('/Count 2') && pdfRecortes.includes('/Count 1') && pdfRecortes.includes('[4 3] 0 d'), "PDF usa uma página por aviso ou recortes na mesma página.");
+
+            // 24. Testa Códigos de Barras (Code 128 e QR Code)
+            const somaLarguras = (padrao) => [...padrao].reduce((soma, w) => soma + Number(w), 0);
+            const modulosBarras = (padrao) => [...padrao].reduce((soma, w, i) => soma + (i % 2 === 0 ? Number(w) : 0), 0);
+            this.assert(PADROES_CODE128.length === 107 && new Set(PADROES_CODE128).size === 107, "Tabela do Code 128 tem 107 símbolos distintos.");
+            this.assert(PADROES_CODE128.slice(0, 106).every(p => somaLarguras(p) === 11 && modulosBarras(p) % 2 === 0) && somaLarguras(PADROES_CODE128[106]) === 13, "Símbolos do Code 128 têm 11 módulos e barras pares (parada com 13).");
+            this.assert(codificarCode128('9788508153619').join() === '105,97,88,50,81,53,61,100,25,14,106', "ISBN é codificado em pares (conjunto C) com o último dígito no conjunto B.");
+            this.assert(codificarCode128('A-1').join() === '104,33,13,17,8,106', "Texto curto usa o conjunto B com dígito verificador módulo 103.");
+            this.assert(codificarCode128('2024-A').join() === '105,20,24,100,13,33,72,106', "Texto iniciado por 4 dígitos começa no conjunto C e troca para o B.");
+            erroDetectado = false;
+            try { codificarCode128('João'); } catch (e) { erroDetectado = true; }
+            this.assert(erroDetectado, "Code 128 rejeita caracteres fora do ASCII imprimível.");
+
+            const correcaoISO = calcularCorrecaoReedSolomon([16, 32, 12, 86, 97, 128, 236, 17, 236, 17, 236, 17, 236, 17, 236, 17], 10);
+            this.assert(correcaoISO.join() === '165,36,212,193,237,54,199,135,44,85', "Reed-Solomon reproduz o exemplo da norma do QR Code (versão 1-M).");
+            const matrizQR = gerarMatrizQRCode('001');
+            const ultimo = matrizQR.length - 1;
+            this.assert(matrizQR.length === 21 && [matrizQR[0][0], matrizQR[0][ultimo], matrizQR[ultimo][0], matrizQR[ultimo - 7][8]].every(Boolean) && !matrizQR[ultimo][ultimo - 7], "QR Code curto usa a versão 1 com localizadores e módulo escuro fixo.");
+            const formatoA = [0, 1, 2, 3, 4, 5, 7, 8].map(y => matrizQR[y][8]).concat([7, 5, 4, 3, 2, 1, 0].map(x => matrizQR[8][x]));
+            const formatoB = [0, 1, 2, 3, 4, 5, 6, 7].map(i => matrizQR[8][ultimo - i]).concat([6, 5, 4, 3, 2, 1, 0].map(i => matrizQR[ultimo - i][8]));
+            this.assert(formatoA.join() === formatoB.join(), "As duas cópias da informação de formato do QR Code coincidem.");
+            this.assert(gerarMatrizQRCode('x'.repeat(100)).length === 41, "QR Code escolhe a menor versão que comporta o conteúdo.");
+            erroDetectado = false;
+            try { gerarMatrizQRCode('x'.repeat(200)); } catch (e) { erroDetectado = true; }
+            this.assert(erroDetectado, "QR Code rejeita conteúdo acima da capacidade suportada.");
+
+            const folhas = montarFolhasCarteirinhas([{ nome: 'Bia', matricula: '002', turma: '7A' }, { nome: 'Ana', matricula: 'Nº1', turma: '6A' }], 'Biblioteca');
+            this.assert((folhas.match(/class="folha-impressa"/g) || []).length === 2 && folhas.indexOf('6A') < folhas.indexOf('7A') && folhas.includes('codigo-invalido') && (folhas.match(/class="codigo-qr"/g) || []).length === 2, "Carteirinhas saem em uma folha por turma, com QR Code mesmo quando a matrícula não cabe no Code 128.");
+            const folhaMatriculaLonga = montarFolhasCarteirinhas([{ nome: 'Caio', matricula: '9'.repeat(200), turma: '8A' }, { nome: 'Davi', matricula: '003', turma: '8A' }], 'Biblioteca');
+            this.assert(folhaMatriculaLonga.includes('Conteúdo longo demais para o QR Code.') && (folhaMatriculaLonga.match(/class="codigo-qr"/g) || []).length === 1 && folhaMatriculaLonga.includes('Davi'), "Matrícula grande demais para o QR Code mostra aviso na carteirinha e não impede as demais.");
+
+
+            // 25. Testa Decisões do Modo Balcão
+            const alunoBalcao = { id: 1, nome: 'Ana' };
+            const emprestimoDeAna = { id: 10, idAluno: 1, tombo: '000001' };
+            const emprestimoDeBia = { id: 11, idAluno: 2, tombo: '000002' };
+            const leituraLivro = { tipo: 'livro', livro: { id: 5 } };
+            const leituraExemplar = (tombo) => ({ tipo: 'exemplar', exemplar: { tombo, idLivro: 5 } });
+            this.assert(decidirAcaoBalcao(leituraExemplar('000002'), alunoBalcao, [emprestimoDeAna, emprestimoDeBia]).emprestimo === emprestimoDeBia, "Tombo emprestado é devolvido, mesmo com outro aluno em atendimento.");
+            this.assert(decidirAcaoBalcao(leituraExemplar('000003'), alunoBalcao, [emprestimoDeAna]).tombo === '000003', "Tombo livre é emprestado ao aluno em atendimento.");
+            this.assert(decidirAcaoBalcao(leituraLivro, alunoBalcao, [emprestimoDeBia, emprestimoDeAna]).emprestimo === emprestimoDeAna, "ISBN de livro que o aluno já tem é devolvido.");
+            this.assert(decidirAcaoBalcao(leituraLivro, alunoBalcao, [emprestimoDeBia]).acao === 'emprestar', "ISBN de livro que o aluno não tem é emprestado.");
+            this.assert(decidirAcaoBalcao(leituraLivro, null, [emprestimoDeBia]).emprestimo === emprestimoDeBia, "Sem aluno, ISBN com um único empréstimo ativo é devolvido.");
+            this.assert(decidirAcaoBalcao(leituraLivro, null, [emprestimoDeAna, emprestimoDeBia]).acao === 'erro' && decidirAcaoBalcao(leituraLivro, null, []).acao === 'erro', "Sem aluno, ISBN ambíguo ou sem empréstimo pede nova leitura.");
+
+            // 26. Testa Sincronização (versões e plano de aplicação)
+            const T0 = '2026-01-01T00:00:00.000Z';
+            const T1 = '2026-01-02T00:00:00.000Z';
+            const T2 = '2026-01-03T00:00:00.000Z';
+            const versaoSync = (atualizadoEm, idDispositivo, excluido = false) => ({ atualizadoEm, idDispositivo, excluido });
+            this.assert(compararVersoesSync(versaoSync(T1, 'a'), versaoSync(T0, 'z')) > 0 && compararVersoesSync(versaoSync(T0, 'z'), versaoSync(T1, 'a')) < 0, "Versão mais recente vence, qualquer que seja o computador.");
+            this.assert(compararVersoesSync(versaoSync(T1, 'a', true), versaoSync(T1, 'z')) > 0 && compararVersoesSync(versaoSync(T1, 'b'), versaoSync(T1, 'a')) > 0 && compararVersoesSync(versaoSync(T1, 'a'), versaoSync(T1, 'a')) === 0, "Empates de data favorecem a exclusão e depois o maior idDispositivo.");
+
+            const alteracaoEnviada = montarAlteracaoSync('emprestimos',
+                { id: 3, uid: 'E9', atualizadoEm: T1, idDispositivo: 'a', pendenteSync: true, idLivro: 1, idAluno: 2, tombo: '000001' },
+                { livros: new Map([[1, 'L1']]), alunos: new Map([[2, 'A1']]) });
+            this.assert(alteracaoEnviada.uid === 'E9' && !('id' in alteracaoEnviada.dados) && !('pendenteSync' in alteracaoEnviada.dados) && alteracaoEnviada.dados.idLivro === 'L1' && alteracaoEnviada.dados.idAluno === 'A1', "Alteração enviada leva as referências como uid, sem o ID local.");
+
+            const dadosSync = {
+                livros: [{ id: 4, uid: 'L1', isbn: '111', titulo: 'Local', atualizadoEm: T0, idDispositivo: 'a', pendenteSync: false }],
+                alunos: [{ id: 2, uid: 'A1', matricula: '10', nome: 'Ana Local', atualizadoEm: T1, idDispositivo: 'a', pendenteSync: true }],
+                exemplares: [{ tombo: '000001', uid: '000001', idLivro: 4, status: 'emprestado', atualizadoEm: T1, idDispositivo: 'a', pendenteSync: true }],
+                emprestimos: [{ id: 1, uid: 'E1', idLivro: 4, idAluno: 2, tombo: '000001', status: 'ativo', atualizadoEm: T1, idDispositivo: 'a', pendenteSync: true }],
+                reservas: [{ id: 7, uid: 'R1', idLivro: 4, idAluno: 2, status: 'ativa', atualizadoEm: T0, idDispositivo: 'a', pendenteSync: false }],
+                multas: []
+            };
+            const planoSync = planejarAplicacaoSync(dadosSync, [], [
+                { store: 'emprestimos', uid: 'E2', atualizadoEm: T2, idDispositivo: 'b', excluido: false, dados: { idLivro: 'L2', idAluno: 'A1', tombo: '000001', status: 'ativo' } },
+                { store: 'livros', uid: 'L2', atualizadoEm: T2, idDispositivo: 'b', excluido: false, dados: { isbn: '222', titulo: 'Novo' } },
+                { store: 'livros', uid: 'L0', atualizadoEm: T2, idDispositivo: 'b', excluido: false, dados: { isbn: '111', titulo: 'Remoto' } },
+                { store: 'alunos', uid: 'A1', atualizadoEm: T0, idDispositivo: 'b', excluido: false, dados: { matricula: '10', nome: 'Ana Antiga' } },
+                { store: 'exemplares', uid: '000001', atualizadoEm: T2, idDispositivo: 'b', excluido: false, dados: { tombo: '000001', idLivro: 'L2', status: 'emprestado' } },
+                { store: 'reservas', uid: 'R1', atualizadoEm: T2, idDispositivo: 'b', excluido: true }
+            ]);
+            const gravadoSync = (store, uid) => planoSync.operacoes.filter(op => op.store === store && (op.depois || op.antes).uid === uid).pop();
+
+            const livroNovo = gravadoSync('livros', 'L2').depois;
+            const emprestimoRecebido = gravadoSync('emprestimos', 'E2').depois;
+            this.assert(livroNovo.id === 5 && livroNovo.pendenteSync === false && emprestimoRecebido.id === 2 && emprestimoRecebido.idLivro === 5 && emprestimoRecebido.idAluno === 2, "Registros recebidos ganham IDs novos e referências traduzidas, mesmo chegando fora de ordem.");
+            this.assert(planoSync.ignoradas === 1 && !gravadoSync('alunos', 'A1') && planoSync.conflitos.some(c => c.uid === 'A1' && c.vencedor === 'local'), "Versão recebida mais antiga é ignorada e a alteração local pendente é relatada.");
+
+            const livroUnido = gravadoSync('livros', 'L0');
+            const lapideUniao = planoSync.lapides.find(l => l.uid === 'L1');
+            this.assert(livroUnido.antes.uid === 'L1' && livroUnido.depois.id === 4 && livroUnido.depois.titulo === 'Remoto' && lapideUniao && lapideUniao.substituidoPor === 'L0' && lapideUniao.atualizadoEm > T2, "Mesmo ISBN com uids diferentes é unido no menor uid, com lápide apontando a substituição.");
+
+            const exemplarRenumerado = planoSync.operacoes.find(op => op.store === 'exemplares' && op.depois && op.depois.tombo === '000002');
+            const emprestimoRenumerado = gravadoSync('emprestimos', 'E1').depois;
+            this.assert(exemplarRenumerado && exemplarRenumerado.depois.idLivro === 4 && exemplarRenumerado.depois.pendenteSync && gravadoSync('exemplares', '000001').depois.idLivro === 5 && emprestimoRenumerado.tombo === '000002' && emprestimoRenumerado.atualizadoEm > T1, "Tombo recebido para outro livro renumera o exemplar local ainda não enviado e seus empréstimos.");
+
+            const reservaExcluida = gravadoSync('reservas', 'R1');
+            this.assert(reservaExcluida.depois === null && planoSync.lapides.some(l => l.store === 'reservas' && l.uid === 'R1' && !l.pendenteSync), "Lápide recebida exclui o registro local e é guardada sem reenvio.");
+            this.assert(planejarAplicacaoSync(dadosSync, [], [{ store: 'livros', uid: 'L1', atualizadoEm: T2, idDispositivo: 'b', excluido: false, dados: { isbn: '111', titulo: 'Editado' } }]).conflitos.length === 0, "Alteração recebida de registro local já enviado é aplicada sem conflito.");
+
+            const exclusaoRecebida = (store, uid, atualizadoEm, idDispositivo = 'b') => ({ store, uid, atualizadoEm, idDispositivo, excluido: true });
+            const exclusaoAntiga = planejarAplicacaoSync(dadosSync, [], [exclusaoRecebida('alunos', 'A1', T0)]);
+            this.assert(exclusaoAntiga.operacoes.length === 0 && exclusaoAntiga.lapides.length === 0 && exclusaoAntiga.conflitos.some(c => c.uid === 'A1' && c.vencedor === 'local'), "Exclusão recebida perde para a edição local mais recente, que é mantida.");
+            const exclusaoNova = planejarAplicacaoSync(dadosSync, [], [exclusaoRecebida('alunos', 'A1', T2)]);
+            this.assert(exclusaoNova.operacoes.some(op => op.store === 'alunos' && op.antes.uid === 'A1' && op.depois === null) && exclusaoNova.conflitos.some(c => c.uid === 'A1' && c.vencedor === 'remoto'), "Exclusão recebida mais recente vence a edição local pendente.");
+            this.assert(planejarAplicacaoSync(dadosSync, [], [exclusaoRecebida('alunos', 'A1', T1, '0')]).operacoes.some(op => op.store === 'alunos' && op.depois === null), "No empate de data, a exclusão recebida vence a edição local.");
+
+            const edicaoEmpatada = (idDispositivo) => planejarAplicacaoSync(dadosSync, [], [{ store: 'livros', uid: 'L1', atualizadoEm: T0, idDispositivo, excluido: false, dados: { isbn: '111', titulo: `Do ${idDispositivo}` } }]);
+            this.assert(edicaoEmpatada('b').aplicadas === 1 && edicaoEmpatada('b').operacoes[0].depois.titulo === 'Do b' && edicaoEmpatada('0').ignoradas === 1 && edicaoEmpatada('0').operacoes.length === 0, "No empate de data entre edições, vence o maior idDispositivo.");
+
+            const lapideLocal = { store: 'reservas', uid: 'R9', atualizadoEm: T1, idDispositivo: 'a', excluido: true, pendenteSync: true };
+            const reservaAntiga = { store: 'reservas', uid: 'R9', atualizadoEm: T0, idDispositivo: 'b', excluido: false, dados: { idLivro: 'L1', idAluno: 'A1', status: 'ativa' } };
+            this.assert(planejarAplicacaoSync(dadosSync, [lapideLocal], [reservaAntiga]).operacoes.length === 0, "Lápide local mais recente impede que edição antiga recrie o registro.");
+            this.assert(planejarAplicacaoSync(dadosSync, [lapideLocal], [{ ...reservaAntiga, atualizadoEm: T2 }]).operacoes.some(op => op.store === 'reservas' && op.depois && op.depois.uid === 'R9'), "Edição recebida posterior à lápide local recria o registro.");
+
+            // 27. Testa Renovações no Banco (limite, atraso e fila de reservas)
+            await this.comBancoTemporario(async () => {
+                const idLivro = await DB.cadastrarLivro({ titulo: 'Capitães da Areia', autor: 'Jorge Amado', isbn: '9788535914061' }, 1);
+                const idAna = await DB.save('alunos', { nome: 'Ana', matricula: 'R1', turma: '6A' });
+                const idBia = await DB.save('alunos', { nome: 'Bia', matricula: 'R2', turma: '6A' });
+                const { id: idEmprestimo } = await DB.registrarEmprestimo({ idLivro, idAluno: idAna, dataEmprestimo: '2026-03-01', dataPrevistaDevolucao: '2026-03-08', dataDevolucaoReal: null, status: 'ativo' });
+
+                const renovado = await DB.renovarEmprestimo(idEmprestimo, '2026-03-15', '2026-03-05', 1);
+                const gravado = await DB.getById('emprestimos', idEmprestimo);
+                this.assert(renovado.dataPrevistaDevolucao === '2026-03-15' && gravado.renovacoes.length === 1 && gravado.renovacoes[0].dataPrevistaAnterior === '2026-03-08', "Renovação adia o prazo e fica no histórico do empréstimo.");
+
+                const erroLimite = await this.capturarErro(DB.renovarEmprestimo(idEmprestimo, '2026-03-22', '2026-03-10', 1));
+                this.assert(erroLimite && /Limite de 1/.test(erroLimite.message), "Renovação recusada ao atingir o limite configurado.");
+
+                const erroAtraso = await this.capturarErro(DB.renovarEmprestimo(idEmprestimo, '2026-03-30', '2026-03-20', 5));
+                this.assert(erroAtraso && /atrasado/.test(erroAtraso.message), "Renovação recusada para empréstimo atrasado.");
+
+                await DB.registrarReserva({ idLivro, idAluno: idBia, dataReserva: '2026-03-10T10:00:00.000Z' });
+                const erroFila = await this.capturarErro(DB.renovarEmprestimo(idEmprestimo, '2026-03-22', '2026-03-10', 5));
+                const semAlteracao = await DB.getById('emprestimos', idEmprestimo);
+                this.assert(erroFila && /aguardando/.test(erroFila.message) && semAlteracao.renovacoes.length === 1 && semAlteracao.dataPrevistaDevolucao === '2026-03-15', "Renovação recusada com aluno na fila, sem gravar nada (rollback).");
+            });
+
+            // 28. Testa Fila de Reservas no Banco (retenção, bloqueio e expiração)
+            await this.comBancoTemporario(async () => {
+                const idLivro = await DB.cadastrarLivro({ titulo: 'Vidas Secas', autor: 'Graciliano Ramos', isbn: '9788501067340' }, 1);
+                const [idAna, idBia, idCaio] = [
+                    await DB.save('alunos', { nome: 'Ana', matricula: 'F1', turma: '7A' }),
+                    await DB.save('alunos', { nome: 'Bia', matricula: 'F2', turma: '7A' }),
+                    await DB.save('alunos', { nome: 'Caio', matricula: 'F3', turma: '7B' })
+                ];
+                const novoEmprestimo = (idAluno, dataEmprestimo) => ({ idLivro, idAluno, dataEmprestimo, dataPrevistaDevolucao: adicionarDias(dataEmprestimo, 7), dataDevolucaoReal: null, status: 'ativo' });
+
+                const { id: idEmprestimo, tombo } = await DB.registrarEmprestimo(novoEmprestimo(idAna, '2026-04-01'));
+                const idReservaBia = await DB.registrarReserva({ idLivro, idAluno: idBia, dataReserva: '2026-04-02T09:00:00.000Z' });
+                const idReservaCaio = await DB.registrarReserva({ idLivro, idAluno: idCaio, dataReserva: '2026-04-02T10:00:00.000Z' });
+
+                const { reserva } = await DB.registrarDevolucao(idEmprestimo, '2026-04-05', { dataLimiteRetirada: '2026-04-08' });
+                const exemplarRetido = await DB.getById('exemplares', tombo);
+                const livroRetido = await DB.getById('livros', idLivro);
+                this.assert(reserva && reserva.id === idReservaBia && reserva.tombo === tombo && exemplarRetido.status === 'retido' && livroRetido.quantidadeDisponivel === 0, "Devolução retém o exemplar para o primeiro da fila.");
+
+                const erroOutroAluno = await this.capturarErro(DB.registrarEmprestimo(novoEmprestimo(idCaio, '2026-04-06')));
+                this.assert(erroOutroAluno && /retido/.test(erroOutroAluno.message) && (await DB.getAll('emprestimos')).length === 1, "Outro aluno não pode levar o exemplar retido.");
+
+                const expiradas = await DB.processarReservasExpiradas('2026-04-09', '2026-04-12');
+                const [reservaBia, reservaCaio] = [await DB.getById('reservas', idReservaBia), await DB.getById('reservas', idReservaCaio)];
+                this.assert(expiradas === 1 && reservaBia.status === 'expirada' && reservaCaio.status === 'disponivel' && reservaCaio.tombo === tombo, "Retenção vencida passa o exemplar ao próximo da fila.");
+
+                const emprestimoCaio = await DB.registrarEmprestimo(novoEmprestimo(idCaio, '2026-04-10'));
+                this.assert(emprestimoCaio.tombo === tombo && (await DB.getById('reservas', idReservaCaio)).status === 'atendida', "Aluno contemplado leva o exemplar retido e a reserva é atendida.");
+            });
+
+            // 29. Testa Política de Empréstimo no Banco (limite, atraso e liberação justificada)
+            await this.comBancoTemporario(async () => {
+                const idLivro = await DB.cadastrarLivro({ titulo: 'Quincas Borba', autor: 'Machado de Assis', isbn: '9788535910681' }, 3);
+                const idAna = await DB.save('alunos', { nome: 'Ana', matricula: 'P1', turma: '8A' });
+                const idBia = await DB.save('alunos', { nome: 'Bia', matricula: 'P2', turma: '8A' });
+                const novoEmprestimo = (idAluno, dataEmprestimo, dataPrevistaDevolucao) => ({ idLivro, idAluno, dataEmprestimo, dataPrevistaDevolucao, dataDevolucaoReal: null, status: 'ativo' });
+
+                await DB.registrarEmprestimo(novoEmprestimo(idAna, '2026-05-04', '2026-05-11'), { maxEmprestimosAluno: 1 });
+                const erroLimite = await this.capturarErro(DB.registrarEmprestimo(novoEmprestimo(idAna, '2026-05-05', '2026-05-12'), { maxEmprestimosAluno: 1 }));
+                this.assert(erroLimite && erroLimite.codigo === 'POLITICA' && /limite de 1/.test(erroLimite.message) && (await DB.getAll('emprestimos')).length === 1, "Empréstimo acima do limite do aluno é bloqueado.");
+
+                await DB.registrarEmprestimo(novoEmprestimo(idBia, '2026-05-04', '2026-05-11'));
+                const erroAtraso = await this.capturarErro(DB.registrarEmprestimo(novoEmprestimo(idBia, '2026-05-20', '2026-05-27'), { maxEmprestimosAluno: 5 }));
+                this.assert(erroAtraso && erroAtraso.codigo === 'POLITICA' && /em atraso/.test(erroAtraso.message), "Aluno com empréstimo atrasado é bloqueado.");
+
+                const liberado = await DB.registrarEmprestimo(novoEmprestimo(idBia, '2026-05-20', '2026-05-27'), { maxEmprestimosAluno: 5, justificativaExcecao: 'Trabalho de recuperação' });
+                const gravado = await DB.getById('emprestimos', liberado.id);
+                const entradaAuditoria = (await DB.getAll('auditoria')).find(a => a.operacao === 'emprestimo' && a.idRegistro === liberado.id);
+                this.assert(gravado.excecaoPolitica && gravado.excecaoPolitica.justificativa === 'Trabalho de recuperação' && /em atraso/.test(gravado.excecaoPolitica.motivo), "Liberação justificada fica gravada no empréstimo.");
+                this.assert(entradaAuditoria && entradaAuditoria.depois.excecaoPolitica.justificativa === 'Trabalho de recuperação', "Liberação justificada fica registrada na auditoria.");
+            });
+
+            // 30. Testa Multas no Banco (geração única, bloqueio e quitação)
+            await this.comBancoTemporario(async () => {
+                const idLivro = await DB.cadastrarLivro({ titulo: 'Iracema', autor: 'José de Alencar', isbn: '9788508133123' }, 1);
+                const idAna = await DB.save('alunos', { nome: 'Ana', matricula: 'M1', turma: '9A' });
+                const novoEmprestimo = (dataEmprestimo) => ({ idLivro, idAluno: idAna, dataEmprestimo, dataPrevistaDevolucao: adicionarDias(dataEmprestimo, 7), dataDevolucaoReal: null, status: 'ativo' });
+                const calcularMulta = () => ({ diasAtraso: 3, valor: calcularValorMulta(3, { valorDiarioMulta: 0.5 }) });
+                const multasDaAna = async () => (await DB.getAll('multas')).filter(m => m.idAluno === idAna);
+                const saldoDaAna = async () => resumirHistoricoAluno([], await multasDaAna()).saldoPendente;
+
+                const primeiro = await DB.registrarEmprestimo(novoEmprestimo('2026-06-01'));
+                const { multa } = await DB.registrarDevolucao(primeiro.id, '2026-06-11', { calcularMulta });
+                const erroSegundaDevolucao = await this.capturarErro(DB.registrarDevolucao(primeiro.id, '2026-06-12', { calcularMulta }));
+                const multas = await multasDaAna();
+                this.assert(erroSegundaDevolucao && multas.length === 1 && multas[0].id === multa.id && multas[0].valor === 1.5 && multas[0].status === 'pendente', "Devolução atrasada gera exatamente uma multa pendente.");
+
+                const erroBloqueio = await this.capturarErro(DB.registrarEmprestimo(novoEmprestimo('2026-06-12')));
+                this.assert(erroBloqueio && erroBloqueio.codigo === 'POLITICA' && /multa/.test(erroBloqueio.message) && await saldoDaAna() === 1.5, "Multa pendente entra no saldo e bloqueia novo empréstimo.");
+
+                await DB.quitarMulta(multa.id, 'paga', '2026-06-12', 'Dinheiro');
+                const segundo = await DB.registrarEmprestimo(novoEmprestimo('2026-06-12'));
+                this.assert(segundo.id && await saldoDaAna() === 0, "Pagamento zera o saldo e libera o empréstimo.");
+
+                const { multa: segundaMulta } = await DB.registrarDevolucao(segundo.id, '2026-06-22', { calcularMulta });
+                await DB.quitarMulta(segundaMulta.id, 'perdoada', '2026-06-22', 'Aluno doente');
+                const terceiro = await DB.registrarEmprestimo(novoEmprestimo('2026-06-22'));
+                this.assert(terceiro.id && await saldoDaAna() === 0 && (await multasDaAna()).map(m => m.status).join() === 'paga,perdoada', "Perdão zera o saldo e libera o empréstimo.");
+            });
+
+            // 31. Testa Arquivamento no Banco (bloqueio por vínculo e restauração)
+            await this.comBancoTemporario(async () => {
+                const idLivro = await DB.cadastrarLivro({ titulo: 'O Cortiço', autor: 'Aluísio Azevedo', isbn: '9788508040155' }, 1);
+                const idAna = await DB.save('alunos', { nome: 'Ana', matricula: 'A1', turma: '6A' });
+                const emprestimo = await DB.registrarEmprestimo({ idLivro, idAluno: idAna, dataEmprestimo: '2026-07-01', dataPrevistaDevolucao: '2026-07-08', dataDevolucaoReal: null, status: 'ativo' });
+                const opcoesDosSelects = () => ({
+                    livros: [...document.getElementById('emprestimo-livro').options].map(o => o.value),
+                    alunos: [...document.getElementById('emprestimo-aluno').options].map(o => o.value)
+                });
+
+                const erroLivro = await this.capturarErro(DB.definirArquivado('livros', idLivro, true));
+                const erroAluno = await this.capturarErro(DB.definirArquivado('alunos', idAna, true));
+                this.assert(erroLivro && /1 empréstimo\(s\) ativo/.test(erroLivro.message) && erroAluno && /1 empréstimo\(s\) ativo/.test(erroAluno.message), "Arquivamento é recusado com empréstimo ativo.");
+                this.assert(!(await DB.getById('livros', idLivro)).arquivado && !(await DB.getById('alunos', idAna)).arquivado, "Recusa não altera os registros.");
+
+                await DB.registrarDevolucao(emprestimo.id, '2026-07-05');
+                await DB.definirArquivado('livros', idLivro, true);
+                await DB.definirArquivado('alunos', idAna, true);
+                await atualizarSelectsEmprestimo();
+                const arquivados = opcoesDosSelects();
+                this.assert((await DB.getById('livros', idLivro)).arquivado === true && (await DB.getById('alunos', idAna)).arquivado === true
+                    && !arquivados.livros.includes(String(idLivro)) && !arquivados.alunos.includes(String(idAna)), "Arquivados continuam no banco e somem das seleções.");
+
+                await DB.definirArquivado('livros', idLivro, false);
+                await DB.definirArquivado('alunos', idAna, false);
+                await atualizarSelectsEmprestimo();
+                const restaurados = opcoesDosSelects();
+                this.assert(!(await DB.getById('livros', idLivro)).arquivado && (await DB.getById('emprestimos', emprestimo.id)).idAluno === idAna
+                    && restaurados.livros.includes(String(idLivro)) && restaurados.alunos.includes(String(idAna)), "Restauração mantém o histórico e devolve os registros às seleções.");
+            });
+            // Os selects voltam a refletir o banco da biblioteca
+            await atualizarSelectsEmprestimo();
+
+            // 32. Testa Auditoria da Importação no Banco (contagens antes e depois)
+            await this.comBancoTemporario(async () => {
+                await DB.cadastrarLivro({ titulo: 'Senhora', autor: 'José de Alencar', isbn: '9788508133130' }, 2);
+                await DB.save('alunos', { nome: 'Ana', matricula: 'I1', turma: '6B' });
+                await DB.save('alunos', { nome: 'Bia', matricula: 'I2', turma: '6B' });
+                const backup = await DB.exportAllData();
+
+                await DB.importAllData({ ...backup, alunos: backup.alunos.slice(0, 1) });
+                const entrada = (await DB.getAll('auditoria')).find(a => a.operacao === 'importacao');
+                this.assert(entrada && entrada.antes.livros === 1 && entrada.antes.exemplares === 2 && entrada.antes.alunos === 2 && entrada.antes.emprestimos === 0, "Auditoria da importação registra as contagens anteriores.");
+                this.assert(entrada.depois.alunos === 1 && entrada.depois.exemplares === 2 && (await DB.getAll('alunos')).length === 1, "Auditoria da importação registra as contagens importadas.");
+            });
+
+            // 33. Testa Escape dos Dados de Alunos Importados nas Tabelas
+            await this.comBancoTemporario(async () => {
+                const turmaMaliciosa = '<img src="x" onerror="window.alunoInjetado = true">';
+                await DB.save('alunos', { nome: '<b>Ana</b>', matricula: '<i>E1</i>', turma: turmaMaliciosa });
+                await renderizarTabelaAlunos();
+                const linha = document.querySelector('#tabela-alunos tbody tr');
+                this.assert(linha.querySelector('img, b, i') === null && linha.textContent.includes(turmaMaliciosa) && linha.textContent.includes('<i>E1</i>'), "Tabela de alunos exibe nome, matrícula e turma como texto.");
+            });
+            await renderizarTabelaAlunos();
+
+            // 34. Testa Escape dos Dados de Livros Importados nas Tabelas
+            await this.comBancoTemporario(async () => {
+                const tituloMalicioso = '<img src="x" onerror="window.livroInjetado = true">';
+                const idLivro = await DB.cadastrarLivro({ titulo: tituloMalicioso, autor: '<b>Autor</b>', isbn: '<i>978</i>' }, 1);
+                const idAna = await DB.save('alunos', { nome: 'Ana', matricula: 'E2', turma: '6C' });
+                await DB.registrarEmprestimo({ idLivro, idAluno: idAna, dataEmprestimo: '2026-08-03', dataPrevistaDevolucao: '2026-08-10', dataDevolucaoReal: null, status: 'ativo' });
+                await renderizarTabelaLivros();
+                await renderizarTabelaEmprestimos();
+                const linhaLivro = document.querySelector('#tabela-livros tbody tr');
+                const linhaEmprestimo = document.querySelector('#tabela-emprestimos tbody tr');
+                this.assert(linhaLivro.querySelector('img, b, i') === null && linhaLivro.textContent.includes(tituloMalicioso) && linhaLivro.textContent.includes('<b>Autor</b>'), "Tabela de livros exibe título, autor e ISBN como texto.");
+                this.assert(linhaEmprestimo.querySelector('img') === null && linhaEmprestimo.textContent.includes(tituloMalicioso), "Tabela de empréstimos exibe o título como texto.");
+            });
+            await renderizarTabelaLivros();
+            await renderizarTabelaEmprestimos();
+
+            // 35. Testa Disponibilidade Derivada dos Exemplares no Banco
+            await this.comBancoTemporario(async () => {
+                const idLivro = await DB.cadastrarLivro({ titulo: 'A Moreninha', autor: 'Joaquim Manuel de Macedo', isbn: '9788508133147' }, 2);
+                const idAna = await DB.save('alunos', { nome: 'Ana', matricula: 'X1', turma: '7C' });
+                const contadores = async () => {
+                    const livro = await DB.getById('livros', idLivro);
+                    return `${livro.quantidadeDisponivel}/${livro.quantidadeTotal}`;
+                };
+                const tombo = await DB.adicionarExemplar({ idLivro, conservacao: 'novo', localizacao: 'Estante B', dataAquisicao: '2026-08-01' });
+                const { tombo: tomboEmprestado } = await DB.registrarEmprestimo({ idLivro, idAluno: idAna, dataEmprestimo: '2026-08-03', dataPrevistaDevolucao: '2026-08-10', dataDevolucaoReal: null, status: 'ativo' });
+                this.assert(await contadores() === '2/3', "Contadores do livro acompanham exemplares incluídos e emprestados.");
+
+                const totalAuditoria = (await DB.getAll('auditoria')).length;
+                const erroBaixa = await this.capturarErro(DB.baixarExemplar(tomboEmprestado, 'Extraviado', '2026-08-04'));
+                const erroDuplicado = await this.capturarErro(DB.adicionarExemplar({ idLivro, tombo, conservacao: 'bom', localizacao: '', dataAquisicao: null }));
+                this.assert(erroBaixa && erroDuplicado && await contadores() === '2/3' && (await DB.getById('exemplares', tomboEmprestado)).status === 'emprestado'
+                    && (await DB.getAll('auditoria')).length === totalAuditoria, "Baixa ou inclusão recusadas não alteram exemplares, contadores nem auditoria.");
+
+                await DB.baixarExemplar(tombo, 'Danificado', '2026-08-04');
+                this.assert(await contadores() === '1/2' && (await DB.getById('exemplares', tombo)).status === 'baixado', "Exemplar baixado deixa de contar no total e na disponibilidade.");
+            });
+
+            // 36. Testa Mesclagem no Banco (remapeamento de IDs e desfazimento)
+            await this.comBancoTemporario(async () => {
+                await DB.cadastrarLivro({ titulo: 'Livro Local', autor: 'Autor Local', isbn: '9788535902778' }, 1);
+                await DB.save('alunos', { nome: 'Ana', matricula: 'L1', turma: '8B' });
+                const entrada = {
+                    livros: [{ id: 1, titulo: 'Livro Doado', autor: 'Autor Doado', isbn: '9788535911664', quantidadeTotal: 1, quantidadeDisponivel: 0 }],
+                    alunos: [{ id: 1, nome: 'Bia', matricula: 'D1', turma: '8B' }],
+                    exemplares: [{ tombo: 'DOA-0001', idLivro: 1, status: 'emprestado', conservacao: 'bom', localizacao: '', dataAquisicao: null }],
+                    emprestimos: [{ id: 1, idLivro: 1, idAluno: 1, tombo: 'DOA-0001', dataEmprestimo: '2026-08-03', dataPrevistaDevolucao: '2026-08-10', dataDevolucaoReal: null, status: 'ativo' }],
+                    reservas: [],
+                    multas: []
+                };
+
+                // Plano feito antes de outro registro ocupar o ID reservado para a aluna nova
+                const planoVencido = planejarMesclagem(await DB.exportAllData(), entrada);
+                const idOcupado = await DB.save('alunos', { nome: 'Caio', matricula: 'L2', turma: '8B' });
+                const erroMesclagem = await this.capturarErro(DB.mesclarDados(planoVencido.operacoes));
+                const [livrosAposErro, emprestimosAposErro] = [await DB.getAll('livros'), await DB.getAll('emprestimos')];
+                this.assert(erroMesclagem && idOcupado === planoVencido.operacoes.alunos.inserir[0].id && livrosAposErro.length === 1 && emprestimosAposErro.length === 0
+                    && !(await DB.getById('exemplares', 'DOA-0001')), "Mesclagem com ID já ocupado é desfeita por inteiro.");
+
+                const { operacoes } = planejarMesclagem(await DB.exportAllData(), entrada);
+                await DB.mesclarDados(operacoes);
+                const livroDoado = (await DB.getAll('livros')).find(l => l.isbn === '9788535911664');
+                const bia = (await DB.getAll('alunos')).find(a => a.matricula === 'D1');
+                const [emprestimo] = await DB.getAll('emprestimos');
+                const exemplar = await DB.getById('exemplares', 'DOA-0001');
+                this.assert(livroDoado.id !== 1 && bia.id !== 1 && bia.id !== idOcupado && (await DB.getById('livros', 1)).titulo === 'Livro Local', "Registros mesclados recebem IDs livres sem tocar nos locais.");
+                this.assert(emprestimo.idLivro === livroDoado.id && emprestimo.idAluno === bia.id && exemplar.idLivro === livroDoado.id && livroDoado.quantidadeDisponivel === 0, "Referências do backup são convertidas para os novos IDs.");
+            });
+
+            // 37. Testa Pontos de Restauração no Banco (restauração e desfazimento)
+            await this.comBancoTemporario(async () => {
+                const politica = { diarios: 7, operacoes: 2 };
+                const idLivro = await DB.cadastrarLivro({ titulo: 'Memórias Póstumas', autor: 'Machado de Assis', isbn: '9788535911688' }, 2);
+                const idAna = await DB.save('alunos', { nome: 'Ana', matricula: 'R1', turma: '9B' });
+                const snapshot = await DB.criarSnapshot('manual', politica);
+                const restaurar = aplicarPontoRestauracao;
+                const resumoAtual = async () => {
+                    const dados = await DB.exportAllData();
+                    return STORES_BACKUP.map(nome => `${nome}:${dados[nome].length}`).join() + `|${dados.alunos.map(a => a.nome).join()}`;
+                };
+                const resumoDoPonto = await resumoAtual();
+
+                await DB.cadastrarLivro({ titulo: 'Livro Posterior', autor: 'Autor', isbn: '9788535911695' }, 1);
+                await DB.save('alunos', { id: idAna, nome: 'Ana Paula', matricula: 'R1', turma: '9B' });
+                const resumoAlterado = await resumoAtual();
+
+                const pontoInvalido = { ...snapshot, dados: { ...snapshot.dados, livros: [...snapshot.dados.livros, { ...snapshot.dados.livros[0], id: idLivro + 10 }] } };
+                const erroRestauracao = await this.capturarErro(restaurar(pontoInvalido));
+                this.assert(erroRestauracao && await resumoAtual() === resumoAlterado, "Restauração que falha (ISBN repetido) mantém os dados atuais.");
+
+                await restaurar(snapshot);
+                this.assert(await resumoAtual() === resumoDoPonto && (await DB.getById('alunos', idAna)).nome === 'Ana', "Restauração devolve todas as tabelas ao estado do ponto.");
+
+                await DB.criarSnapshot('restauracao', politica);
+                await DB.criarSnapshot('mesclagem', politica);
+                const restantes = await DB.listarSnapshots();
+                this.assert(restantes.length === 2 && !restantes.some(s => s.id === snapshot.id) && restantes.every(s => !s.dados), "Retenção descarta os pontos mais antigos e a listagem omite as tabelas.");
+            });
+
+            // 38. Testa Reparo de Consistência no Banco (transação única e desfazimento)
+            await this.comBancoTemporario(async () => {
+                const idLivro = await DB.cadastrarLivro({ titulo: 'O Guarani', autor: 'José de Alencar', isbn: '9788508133154' }, 2);
+                const idAna = await DB.save('alunos', { nome: 'Ana', matricula: 'C1', turma: '7D' });
+                const original = await DB.registrarEmprestimo({ idLivro, idAluno: idAna, dataEmprestimo: '2026-08-03', dataPrevistaDevolucao: '2026-08-10', dataDevolucaoReal: null, status: 'ativo' });
+                // Registros inconsistentes vindos de fora: empréstimo repetido, empréstimo de livro inexistente e contadores errados
+                const dados = await DB.exportAllData();
+                dados.emprestimos.push({ ...original, id: original.id + 1, uid: null }, { ...original, id: original.id + 2, uid: null, idLivro: idLivro + 50 });
+                dados.livros[0] = { ...dados.livros[0], quantidadeDisponivel: 5 };
+                await DB.importAllData(dados);
+                const estadoDoBanco = async () => JSON.stringify([await DB.getAll('emprestimos'), await DB.getAll('livros'), (await DB.getAll('exclusoes')).length, (await DB.getAll('auditoria')).length]);
+                const estadoInconsistente = await estadoDoBanco();
+
+                // Falha no meio do reparo: correções já feitas na transação são desfeitas
+                const registrarExclusaoOriginal = registrarExclusaoSync;
+                registrarExclusaoSync = () => { throw new Error('Falha simulada'); };
+                let erroReparo;
+                try {
+                    erroReparo = await this.capturarErro(DB.repararConsistencia('2026-08-05'));
+                } finally {
+                    registrarExclusaoSync = registrarExclusaoOriginal;
+                }
+                this.assert(erroReparo && await estadoDoBanco() === estadoInconsistente, "Reparo interrompido não deixa correções parciais.");
+
+                const resultado = await DB.repararConsistencia('2026-08-05');
+                const emprestimos = await DB.getAll('emprestimos');
+                const livro = await DB.getById('livros', idLivro);
+                const reparos = (await DB.getAll('auditoria')).filter(a => a.operacao === 'reparo');
+                this.assert(resultado.corrigidos === 3 && resultado.pendentes === 0, "Reparo informa os problemas corrigidos.");
+                this.assert(emprestimos.length === 2 && emprestimos.find(e => e.id === original.id + 2).status === 'devolvido'
+                    && livro.quantidadeDisponivel === 1 && livro.quantidadeTotal === 2 && reparos.length === 3
+                    && (await DB.getAll('exclusoes')).some(x => x.store === 'emprestimos'), "Reparo aplica todas as correções com auditoria e lápide do registro excluído.");
+                const { problemas: restantes } = diagnosticarConsistencia(await DB.exportAllData(), '2026-08-05');
+                this.assert(restantes.length === 1 && restantes[0].tipo === 'orfao' && !restantes[0].reparo, "Após o reparo, resta apenas o histórico órfão, que exige revisão manual.");
+            });
+
+            // 39. Testa Aviso de Nova Versão do Service Worker (worker em espera)
+            const banner = document.getElementById('banner-atualizacao');
+            const descritorOriginal = Object.getOwnPropertyDescriptor(navigator, 'serviceWorker');
+            const registroFalso = (waiting) => ({ waiting, installing: null, addEventListener: () => {} });
+            const workerEmEspera = { state: 'installed', mensagens: [], postMessage(mensagem) { this.mensagens.push(mensagem); } };
+            try {
+                Object.defineProperty(navigator, 'serviceWorker', { configurable: true, value: { controller: null } });
+                banner.classList.add('hidden');
+                monitorarAtualizacoesSW(registroFalso(workerEmEspera));
+                this.assert(banner.classList.contains('hidden'), "Primeira instalação (sem controlador) não mostra o aviso.");
+
+                Object.defineProperty(navigator, 'serviceWorker', { configurable: true, value: { controller: {} } });
+                monitorarAtualizacoesSW(registroFalso(null));
+                this.assert(banner.classList.contains('hidden'), "Sem worker em espera, o aviso continua oculto.");
+
+                monitorarAtualizacoesSW(registroFalso(workerEmEspera));
+                document.getElementById('btn-recarregar-atualizacao').click();
+                this.assert(!banner.classList.contains('hidden') && workerEmEspera.mensagens.length === 1 && workerEmEspera.mensagens[0].tipo === 'ATIVAR_NOVA_VERSAO', "Worker em espera mostra o aviso e o botão ativa a nova versão.");
+            } finally {
+                atualizacaoSWSolicitada = false;
+                banner.classList.add('hidden');
+                if (descritorOriginal) Object.defineProperty(navigator, 'serviceWorker', descritorOriginal);
+                else delete navigator.serviceWorker;
+            }
+
+            // 40. Testa Importação de Backup sobre Lápides de Sincronização no Banco
+            await this.comBancoTemporario(async () => {
+                await DB.save('alunos', { nome: 'Ana', matricula: 'S1', turma: '9C' });
+                const idBia = await DB.save('alunos', { nome: 'Bia', matricula: 'S2', turma: '9C' });
+                const backup = await DB.exportAllData();
+                await DB.delete('alunos', idBia);
+                this.assert((await DB.getAll('exclusoes')).length === 1, "Exclusão de registro sincronizável gera lápide.");
+
+                await DB.importAllData(backup);
+                const alteracoes = await DB.listarAlteracoesSync();
+                this.assert((await DB.getAll('exclusoes')).length === 0 && !alteracoes.some(a => a.excluido) && alteracoes.filter(a => a.store === 'alunos').length === 2, "Restauração completa descarta as lápides e envia os registros restaurados.");
+            });
+
+            // 41. Testa Ordem Alfabética do Acervo com Acentos e Minúsculas no Banco
+            await this.comBancoTemporario(async () => {
+                const titulos = ['Zebra', 'Ética', 'abelha', 'Árvore', 'Casa'];
+                for (const [i, titulo] of titulos.entries()) {
+                    await DB.save('livros', { titulo, autor: 'Autor', isbn: `978000000000${i}`, quantidadeTotal: 1, quantidadeDisponivel: 1 });
+                }
+
+                const estadoOriginal = { ...estadoTabelaLivros };
+                try {
+                    Object.assign(estadoTabelaLivros, { termo: '', somenteDisponiveis: false, arquivados: false, ordenarPor: 'titulo', direcao: 'next' });
+                    const crescente = (await consultarLivrosFiltrados()).itens.map(l => l.titulo);
+                    this.assert(crescente.join('|') === 'abelha|Árvore|Casa|Ética|Zebra', "Títulos acentuados e minúsculos entram na posição alfabética.");
+
+                    const pagina = await consultarLivrosFiltrados({ offset: 1, limite: 2 });
+                    this.assert(pagina.total === 5 && pagina.itens.map(l => l.titulo).join('|') === 'Árvore|Casa', "Paginação recorta a lista já em ordem alfabética.");
+
+                    estadoTabelaLivros.direcao = 'prev';
+                    const decrescente = (await consultarLivrosFiltrados()).itens.map(l => l.titulo);
+                    this.assert(decrescente.join('|') === 'Zebra|Ética|Casa|Árvore|abelha', "Ordem decrescente também respeita os acentos.");
+                } finally {
+                    Object.assign(estadoTabelaLivros, estadoOriginal);
+                }
+            });
+
+            // 42. Testa Estado de Sincronização no Desfazimento de uma Restauração no Banco
+            await this.comBancoTemporario(async () => {
+                await DB.save('alunos', { nome: 'Ana', matricula: 'T1', turma: '8A' });
+                const idBia = await DB.save('alunos', { nome: 'Bia', matricula: 'T2', turma: '8A' });
+                await DB.confirmarEnvioSync(await DB.listarAlteracoesSync());
+                await DB.delete('alunos', idBia);
+                const pendentesAntes = JSON.stringify(await DB.listarAlteracoesSync());
+
+                // Mesmo fluxo de importarDados: ponto de restauração, importação que falha e desfazimento
+                const snapshot = await DB.criarSnapshot('importacao', { diarios: 7, operacoes: 5 });
+                const backupInvalido = await DB.exportAllData();
+                backupInvalido.alunos.push({ ...backupInvalido.alunos[0], id: idBia + 10 });
+                const erroImportacao = await this.capturarErro(DB.importAllData(backupInvalido));
+                await aplicarPontoRestauracao(snapshot);
+
+                const pendentesDepois = await DB.listarAlteracoesSync();
+                this.assert(erroImportacao && snapshot.exclusoes.length === 1 && JSON.stringify(pendentesDepois) === pendentesAntes, "Desfazer a restauração mantém a exclusão pendente e não reenvia registros já sincronizados.");
+                this.assert(!(await DB.listarSnapshots()).some(s => s.exclusoes), "Listagem dos pontos omite as lápides copiadas.");
+            });
+
         } catch (globalError) {
             this.assert(false, `Erro fatal durante a execução dos testes: ${globalError.message}`);
         }